@@ -19,6 +19,10 @@
 // =============================================================================
 
 const path = require("path");
+const {
+  AUTO_LANGUAGE,
+  isSupportedLanguage,
+} = require("../services/stt/languages");
 
 // =============================================================================
 // ENVIRONMENT CONFIGURATION
@@ -61,6 +65,89 @@ class EnvironmentConfig {
         apiUrl: this._getString("SARVAM_API_URL", "https://api.sarvam.ai"),
         timeout: this._getNumber("SARVAM_TIMEOUT", 120000),
         maxRetries: this._getNumber("SARVAM_MAX_RETRIES", 3),
+        model: this._getString("SARVAM_MODEL", "saarika:v2.5"),
+        // Models a session may pick instead of the default
+        models: this._getList("SARVAM_MODELS", ["saarika:v2.5", "saarika:v2"]),
+        diarization: this._getBoolean("SARVAM_DIARIZATION", false),
+      },
+
+      // Speech-to-Text Provider Configuration
+      stt: {
+        // auto = sarvam when an API key is set, mock otherwise
+        provider: this._getString("STT_PROVIDER", "auto").toLowerCase(),
+        // Default session language; "auto" lets the provider detect it
+        language: this._getString("STT_LANGUAGE", "hi-IN"),
+        mock: {
+          delay: this._getNumber("STT_MOCK_DELAY", 1000),
+        },
+        http: {
+          url: this._getString("STT_HTTP_URL", ""),
+          authHeader: this._getString("STT_HTTP_AUTH_HEADER", "Authorization"),
+          authValue: this._getString("STT_HTTP_AUTH_VALUE", ""),
+          fileField: this._getString("STT_HTTP_FILE_FIELD", "file"),
+          languageField: this._getString(
+            "STT_HTTP_LANGUAGE_FIELD",
+            "language_code"
+          ),
+          languagePath: this._getString("STT_HTTP_LANGUAGE_PATH", ""),
+          modelField: this._getString("STT_HTTP_MODEL_FIELD", ""),
+          models: this._getList("STT_HTTP_MODELS", []),
+          extraFields: this._getJSON("STT_HTTP_EXTRA_FIELDS", {}),
+          transcriptPath: this._getString(
+            "STT_HTTP_TRANSCRIPT_PATH",
+            "transcript"
+          ),
+          confidencePath: this._getString("STT_HTTP_CONFIDENCE_PATH", ""),
+          utterancesPath: this._getString("STT_HTTP_UTTERANCES_PATH", ""),
+          timeout: this._getNumber("STT_HTTP_TIMEOUT", 120000),
+          maxRetries: this._getNumber("STT_HTTP_MAX_RETRIES", 3),
+        },
+      },
+
+      // Speaker Diarization Configuration
+      diarization: {
+        // auto = provider speaker labels when present, local clustering otherwise
+        mode: this._getString("DIARIZATION_MODE", "auto").toLowerCase(),
+        local: {
+          maxSpeakers: this._getNumber("DIARIZATION_MAX_SPEAKERS", 6),
+          threshold: this._getNumber("DIARIZATION_THRESHOLD", 1),
+        },
+      },
+
+      // Meeting Summary Configuration
+      summary: {
+        // auto = http when SUMMARY_HTTP_URL is set, local otherwise
+        provider: this._getString("SUMMARY_PROVIDER", "auto").toLowerCase(),
+        // Summarise new transcripts (and extract their action items) without
+        // waiting to be asked
+        auto: this._getBoolean("SUMMARY_AUTO", true),
+        // OpenAI-compatible chat completions endpoint
+        http: {
+          url: this._getString("SUMMARY_HTTP_URL", ""),
+          apiKey: this._getString("SUMMARY_HTTP_API_KEY", ""),
+          model: this._getString("SUMMARY_HTTP_MODEL", ""),
+          timeout: this._getNumber("SUMMARY_HTTP_TIMEOUT", 120000),
+        },
+        local: {
+          sentences: this._getNumber("SUMMARY_LOCAL_SENTENCES", 3),
+        },
+      },
+
+      // Long Recording Configuration (seconds)
+      transcription: {
+        chunkDuration: this._getNumber("TRANSCRIPTION_CHUNK_DURATION", 25),
+        chunkOverlap: this._getNumber("TRANSCRIPTION_CHUNK_OVERLAP", 2),
+        silenceSearch: this._getNumber("TRANSCRIPTION_SILENCE_SEARCH", 5),
+        // Live chunk jobs run at once, across all sockets
+        liveConcurrency: this._getNumber("TRANSCRIPTION_LIVE_CONCURRENCY", 4),
+      },
+
+      // Background Job Queue Configuration
+      jobs: {
+        concurrency: this._getNumber("JOB_CONCURRENCY", 2),
+        maxAttempts: this._getNumber("JOB_MAX_ATTEMPTS", 3),
+        retryDelay: this._getNumber("JOB_RETRY_DELAY", 2000), // doubled per retry
+        retainFinished: this._getNumber("JOB_RETAIN_FINISHED", 500),
       },
 
       // Security Configuration
@@ -83,10 +170,11 @@ class EnvironmentConfig {
         path: this._getString("WS_PATH", "/ws/stt"),
         heartbeatInterval: this._getNumber("WS_HEARTBEAT_INTERVAL", 30000),
         maxConnections: this._getNumber("WS_MAX_CONNECTIONS", 100),
-        maxMessageSize: this._getNumber(
-          "WS_MAX_MESSAGE_SIZE",
-          50 * 1024 * 1024
-        ),
+        // One streaming chunk (a few seconds of audio, base64 in JSON);
+        // whole recordings go through the upload API
+        maxMessageSize: this._getNumber("WS_MAX_MESSAGE_SIZE", 4 * 1024 * 1024),
+        // How long a dropped protocol session waits to be resumed (ms)
+        resumeTimeout: this._getNumber("WS_RESUME_TIMEOUT", 120000),
       },
 
       // Logging Configuration
@@ -104,7 +192,7 @@ class EnvironmentConfig {
       storage: {
         dataPath: this._getString("DATA_PATH", path.join(__dirname, "../data")),
         tempPath: this._getString("TEMP_PATH", "/tmp/granola-clone"),
-        maxFileSize: this._getNumber("MAX_FILE_SIZE", 50 * 1024 * 1024),
+        maxFileSize: this._getNumber("MAX_FILE_SIZE", 512 * 1024 * 1024),
       },
 
       // Performance Configuration
@@ -126,10 +214,92 @@ class EnvironmentConfig {
     const errors = [];
 
     // Critical validations
-    if (this.isProduction && !this.config.sarvam.apiKey) {
+    const sttProvider = this.config.stt.provider;
+    if (
+      this.isProduction &&
+      ["auto", "sarvam"].includes(sttProvider) &&
+      !this.config.sarvam.apiKey
+    ) {
       errors.push("SARVAM_API_KEY is required in production environment");
     }
 
+    if (!["auto", "sarvam", "mock", "http"].includes(sttProvider)) {
+      errors.push(
+        `Invalid STT_PROVIDER: ${sttProvider} (must be auto, sarvam, mock or http)`
+      );
+    }
+
+    if (sttProvider === "http" && !this.config.stt.http.url) {
+      errors.push("STT_HTTP_URL is required when STT_PROVIDER=http");
+    }
+
+    const sttLanguage = this.config.stt.language;
+    if (sttLanguage !== AUTO_LANGUAGE && !isSupportedLanguage(sttLanguage)) {
+      errors.push(
+        `Invalid STT_LANGUAGE: ${sttLanguage} (must be auto or a supported code such as hi-IN)`
+      );
+    }
+
+    if (
+      this.config.stt.http.modelField &&
+      this.config.stt.http.models.length === 0
+    ) {
+      errors.push(
+        "STT_HTTP_MODELS is required when STT_HTTP_MODEL_FIELD is set"
+      );
+    }
+
+    const diarizationMode = this.config.diarization.mode;
+    if (!["auto", "provider", "local", "off"].includes(diarizationMode)) {
+      errors.push(
+        `Invalid DIARIZATION_MODE: ${diarizationMode} (must be auto, provider, local or off)`
+      );
+    }
+
+    if (this.config.diarization.local.maxSpeakers < 1) {
+      errors.push("DIARIZATION_MAX_SPEAKERS must be at least 1");
+    }
+
+    const summaryProvider = this.config.summary.provider;
+    if (!["auto", "http", "local"].includes(summaryProvider)) {
+      errors.push(
+        `Invalid SUMMARY_PROVIDER: ${summaryProvider} (must be auto, http or local)`
+      );
+    }
+
+    if (summaryProvider === "http" && !this.config.summary.http.url) {
+      errors.push("SUMMARY_HTTP_URL is required when SUMMARY_PROVIDER=http");
+    }
+
+    if (this.config.summary.local.sentences < 1) {
+      errors.push("SUMMARY_LOCAL_SENTENCES must be at least 1");
+    }
+
+    const { chunkDuration, chunkOverlap, silenceSearch } =
+      this.config.transcription;
+    if (chunkOverlap < 0 || silenceSearch < 0) {
+      errors.push(
+        "TRANSCRIPTION_CHUNK_OVERLAP and TRANSCRIPTION_SILENCE_SEARCH must not be negative"
+      );
+    }
+    if (chunkDuration <= 2 * chunkOverlap) {
+      errors.push(
+        "TRANSCRIPTION_CHUNK_DURATION must be more than twice TRANSCRIPTION_CHUNK_OVERLAP"
+      );
+    }
+
+    if (this.config.transcription.liveConcurrency < 1) {
+      errors.push("TRANSCRIPTION_LIVE_CONCURRENCY must be at least 1");
+    }
+
+    if (this.config.jobs.concurrency < 1) {
+      errors.push("JOB_CONCURRENCY must be at least 1");
+    }
+
+    if (this.config.jobs.maxAttempts < 1) {
+      errors.push("JOB_MAX_ATTEMPTS must be at least 1");
+    }
+
     if (this.config.server.port < 1 || this.config.server.port > 65535) {
       errors.push(`Invalid PORT: ${this.config.server.port} (must be 1-65535)`);
     }
@@ -142,6 +312,14 @@ class EnvironmentConfig {
       errors.push("WS_MAX_CONNECTIONS must be at least 1");
     }
 
+    if (this.config.websocket.maxMessageSize < 1024) {
+      errors.push("WS_MAX_MESSAGE_SIZE must be at least 1KB");
+    }
+
+    if (this.config.websocket.resumeTimeout < 0) {
+      errors.push("WS_RESUME_TIMEOUT must not be negative");
+    }
+
     if (this.config.storage.maxFileSize < 1024) {
       errors.push("MAX_FILE_SIZE must be at least 1KB");
     }
@@ -169,6 +347,15 @@ class EnvironmentConfig {
       errors.push("SARVAM_TIMEOUT must be at least 10 seconds");
     }
 
+    if (
+      this.config.sarvam.maxRetries < 0 ||
+      this.config.stt.http.maxRetries < 0
+    ) {
+      errors.push(
+        "SARVAM_MAX_RETRIES and STT_HTTP_MAX_RETRIES cannot be negative"
+      );
+    }
+
     if (errors.length > 0) {
       console.error("❌ Environment Configuration Errors:");
       errors.forEach((error) => console.error(`  - ${error}`));
@@ -188,6 +375,7 @@ class EnvironmentConfig {
         this.config.sarvam.apiKey ? "Configured" : "Not configured (mock mode)"
       }`
     );
+    console.log(`🎙️  STT Provider: ${sttProvider}`);
     console.log(`📊 Log Level: ${this.config.logging.level}`);
   }
 
@@ -242,6 +430,46 @@ class EnvironmentConfig {
     return ["true", "1", "yes", "on"].includes(value.toLowerCase());
   }
 
+  /**
+   * @private
+   * @method _getJSON
+   * @description Gets JSON environment variable with default
+   * @param {string} key - Environment variable key
+   * @param {*} defaultValue - Default value
+   * @returns {*} Parsed environment variable value or default
+   */
+  _getJSON(key, defaultValue) {
+    const value = process.env[key];
+    if (value === undefined || value.trim() === "") return defaultValue;
+
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      console.warn(
+        `⚠️  Invalid JSON for ${key}: ${error.message}, using default`
+      );
+      return defaultValue;
+    }
+  }
+
+  /**
+   * @private
+   * @method _getList
+   * @description Gets comma-separated environment variable with default
+   * @param {string} key - Environment variable key
+   * @param {string[]} defaultValue - Default value
+   * @returns {string[]} Trimmed, non-empty entries or default
+   */
+  _getList(key, defaultValue) {
+    const value = process.env[key];
+    if (value === undefined || value.trim() === "") return defaultValue;
+
+    return value
+      .split(",")
+      .map((entry) => entry.trim())
+      .filter(Boolean);
+  }
+
   /**
    * @private
    * @method _generateSecret
@@ -317,6 +545,16 @@ class EnvironmentConfig {
         this.config.sarvam.apiKey ? "✅ Configured" : "❌ Not configured"
       }`
     );
+    console.log(`   STT Provider: ${this.config.stt.provider}`);
+    console.log(`   STT Language: ${this.config.stt.language}`);
+    console.log(`   Diarization: ${this.config.diarization.mode}`);
+    console.log(`   Summary Provider: ${this.config.summary.provider}`);
+    console.log(
+      `   Chunking: ${this.config.transcription.chunkDuration}s chunks, ${this.config.transcription.chunkOverlap}s overlap`
+    );
+    console.log(
+      `   Job Queue: ${this.config.jobs.concurrency} concurrent, ${this.config.jobs.maxAttempts} attempts`
+    );
     console.log(
       `   CORS Origin: ${this.config.security.corsOrigin || "Not set"}`
     );
@@ -198,7 +198,7 @@ class SecurityMiddleware {
         callback(new Error("Not allowed by CORS"));
       },
       credentials: true,
-      methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
+      methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
       allowedHeaders: [
         "Origin",
         "X-Requested-With",
@@ -363,7 +363,7 @@ class SecurityMiddleware {
    */
   _sanitizeObject(obj) {
     for (const key in obj) {
-      if (obj.hasOwnProperty(key)) {
+      if (Object.prototype.hasOwnProperty.call(obj, key)) {
         if (typeof obj[key] === "string") {
           obj[key] = xss(obj[key]);
         } else if (typeof obj[key] === "object" && obj[key] !== null) {
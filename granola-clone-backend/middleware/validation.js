@@ -19,11 +19,71 @@
 // =============================================================================
 
 const Joi = require("joi");
+const { AUTO_LANGUAGE, LANGUAGE_CODES } = require("../services/stt/languages");
+const {
+  SUPPORTED_MIME_TYPES,
+  SUPPORTED_EXTENSIONS,
+} = require("../utils/audioNormalizer");
 
 // =============================================================================
 // VALIDATION SCHEMAS
 // =============================================================================
 
+// Audio sent over the WebSocket; compressed formats are converted to WAV
+const audioMimeType = Joi.string()
+  .valid(...SUPPORTED_MIME_TYPES)
+  .default("audio/wav")
+  .messages({
+    "any.only": "Only WAV, Opus (WebM/Ogg) and FLAC audio are supported",
+  });
+
+// Language a transcript was recognised in
+const transcriptLanguage = Joi.string()
+  .valid(...LANGUAGE_CODES)
+  .messages({
+    "any.only": `Language must be one of ${LANGUAGE_CODES.join(", ")}`,
+  });
+
+// Language requested for transcription; "auto" lets the provider detect it
+const sessionLanguage = Joi.string()
+  .valid(AUTO_LANGUAGE, ...LANGUAGE_CODES)
+  .messages({
+    "any.only": `Language must be ${AUTO_LANGUAGE} or one of ${LANGUAGE_CODES.join(
+      ", "
+    )}`,
+  });
+
+// Note jotted during a meeting; time is seconds into the recording, or null
+// for notes written before recording started
+const meetingNote = Joi.object({
+  index: Joi.number().integer().min(0).optional(),
+  time: Joi.number().min(0).allow(null).default(null),
+  text: Joi.string().min(1).max(2000).trim().required().messages({
+    "string.empty": "Note text cannot be empty",
+    "string.min": "Note text cannot be empty",
+    "string.max": "A note must be less than 2,000 characters",
+  }),
+});
+
+const meetingNotes = Joi.array().items(meetingNote).max(1000).messages({
+  "array.max": "A transcript can hold at most 1,000 notes",
+});
+
+// Meeting template a transcript is summarised with; whether it exists is
+// checked against storage
+const templateId = Joi.string().guid().messages({
+  "string.guid": "Template ID must be a UUID",
+});
+
+// Provider model; which ones exist is checked against the provider
+const sttModel = Joi.string().min(1).max(100).trim().messages({
+  "string.max": "Model must be less than 100 characters",
+});
+
+// WebSocket message that carries nothing but its type
+const controlMessage = (type) =>
+  Joi.object({ type: Joi.string().valid(type).required() });
+
 /**
  * @class ValidationSchemas
  * @description Defines validation schemas for different endpoints
@@ -35,6 +95,31 @@ class ValidationSchemas {
    * @description Validation schema for transcript operations
    */
   static get transcript() {
+    // One timed piece of a transcript; content is derived from these
+    const segment = Joi.object({
+      index: Joi.number().integer().min(0).optional(),
+      startTime: Joi.number().min(0).required().messages({
+        "any.required": "Segment startTime is required",
+      }),
+      endTime: Joi.number().min(Joi.ref("startTime")).required().messages({
+        "number.min": "Segment endTime must not be before startTime",
+        "any.required": "Segment endTime is required",
+      }),
+      text: Joi.string().max(10000).trim().allow("").required(),
+      confidence: Joi.number().min(0).max(1).allow(null).default(null),
+      speaker: Joi.string().max(100).trim().allow(null).default(null),
+    });
+    const segments = Joi.array().items(segment).max(10000).messages({
+      "array.max": "A transcript can hold at most 10,000 segments",
+    });
+    // Recording analysis reported by the client
+    const metadata = Joi.object({
+      speechRatio: Joi.number().min(0).max(1).messages({
+        "number.min": "speechRatio must be between 0 and 1",
+        "number.max": "speechRatio must be between 0 and 1",
+      }),
+    });
+
     return {
       // POST /api/transcripts
       create: Joi.object({
@@ -47,12 +132,91 @@ class ValidationSchemas {
             "string.min": "Title cannot be empty",
             "string.max": "Title must be less than 200 characters",
           }),
-        content: Joi.string().max(50000).trim().default("").messages({
+        content: Joi.string().max(50000).trim().allow("").default("").messages({
           "string.max": "Content must be less than 50,000 characters",
         }),
+        segments: segments.optional(),
         date: Joi.date().iso().optional().messages({
           "date.format": "Date must be in ISO format (YYYY-MM-DD)",
         }),
+        language: transcriptLanguage.optional(),
+        metadata: metadata.optional(),
+        notes: meetingNotes.optional(),
+        templateId: templateId.optional(),
+      }),
+
+      // PUT /api/transcripts/:id
+      update: Joi.object({
+        title: Joi.string().min(1).max(200).trim().required().messages({
+          "string.min": "Title cannot be empty",
+          "string.max": "Title must be less than 200 characters",
+          "any.required": "Title is required",
+        }),
+        content: Joi.string().max(50000).trim().allow("").messages({
+          "string.max": "Content must be less than 50,000 characters",
+        }),
+        segments,
+        date: Joi.date().iso().optional().messages({
+          "date.format": "Date must be in ISO format (YYYY-MM-DD)",
+        }),
+        notes: meetingNotes,
+        templateId: templateId.allow(null),
+      })
+        .or("content", "segments")
+        .messages({
+          "object.missing": "Content or segments are required",
+        }),
+
+      // PATCH /api/transcripts/:id
+      patch: Joi.object({
+        title: Joi.string().min(1).max(200).trim().messages({
+          "string.min": "Title cannot be empty",
+          "string.max": "Title must be less than 200 characters",
+        }),
+        content: Joi.string().max(50000).trim().allow("").messages({
+          "string.max": "Content must be less than 50,000 characters",
+        }),
+        segments,
+        date: Joi.date().iso().messages({
+          "date.format": "Date must be in ISO format (YYYY-MM-DD)",
+        }),
+        language: transcriptLanguage,
+        notes: meetingNotes,
+        templateId: templateId.allow(null),
+      })
+        .min(1)
+        .messages({
+          "object.min": "At least one field must be provided",
+        }),
+
+      // PATCH /api/transcripts/:id/speakers
+      renameSpeakers: Joi.object({
+        renames: Joi.object()
+          .pattern(
+            Joi.string().max(100),
+            Joi.string().min(1).max(100).trim().required().messages({
+              "string.min": "Speaker name cannot be empty",
+              "string.max": "Speaker name must be less than 100 characters",
+            })
+          )
+          .min(1)
+          .required()
+          .messages({
+            "object.min": "At least one speaker rename must be provided",
+            "any.required": "Renames are required",
+          }),
+      }),
+
+      // POST /api/transcripts/:id/summarize
+      // templateId switches the template first; null summarises without one
+      summarize: Joi.object({
+        templateId: templateId.allow(null),
+      }),
+
+      // POST /api/transcripts/:id/retranscribe
+      retranscribe: Joi.object({
+        language: sessionLanguage.optional(),
+        model: sttModel.optional(),
       }),
 
       // GET /api/transcripts/:id
@@ -71,6 +235,20 @@ class ValidationSchemas {
         }),
       },
 
+      // GET /api/transcripts/:id/export
+      export: {
+        query: Joi.object({
+          format: Joi.string()
+            .lowercase()
+            .valid("srt", "vtt", "md", "txt", "docx", "pdf")
+            .required()
+            .messages({
+              "any.only": "Format must be one of srt, vtt, md, txt, docx, pdf",
+              "any.required": "Export format is required",
+            }),
+        }),
+      },
+
       // GET /api/transcripts with query parameters
       list: {
         query: Joi.object({
@@ -81,6 +259,163 @@ class ValidationSchemas {
           search: Joi.string().max(100).trim().optional(),
         }),
       },
+
+      // GET /api/transcripts/search
+      search: {
+        query: Joi.object({
+          q: Joi.string().min(1).max(200).trim().required().messages({
+            "string.empty": "Search query cannot be empty",
+            "string.max": "Search query cannot exceed 200 characters",
+            "any.required": "Search query is required",
+          }),
+          page: Joi.number().integer().min(1).default(1),
+          limit: Joi.number().integer().min(1).max(50).default(10),
+        }),
+      },
+    };
+  }
+
+  /**
+   * @static
+   * @method transcription
+   * @description Validation schema for batch transcription jobs
+   */
+  static get transcription() {
+    return {
+      // POST /api/transcriptions (multipart fields besides the file)
+      upload: Joi.object({
+        title: Joi.string().min(1).max(200).trim().optional().messages({
+          "string.min": "Title cannot be empty",
+          "string.max": "Title must be less than 200 characters",
+        }),
+        language: sessionLanguage.optional(),
+        model: sttModel.optional(),
+        // Multipart fields are strings, so notes arrive as a JSON array
+        notes: Joi.string()
+          .custom((value, helpers) => {
+            let parsed;
+            try {
+              parsed = JSON.parse(value);
+            } catch (error) {
+              return helpers.error("string.json");
+            }
+            const { error, value: notes } = meetingNotes.validate(parsed);
+            if (error) return helpers.message(error.message);
+            return notes;
+          })
+          .optional()
+          .messages({ "string.json": "Notes must be a JSON array" }),
+        templateId: templateId.optional(),
+      }),
+
+      // GET /api/transcriptions/:id
+      getById: {
+        params: Joi.object({
+          id: Joi.string().guid().required().messages({
+            "string.guid": "Job ID must be a UUID",
+            "any.required": "Job ID is required",
+          }),
+        }),
+      },
+    };
+  }
+
+  /**
+   * @static
+   * @method template
+   * @description Validation schema for meeting template operations
+   */
+  static get template() {
+    const section = Joi.object({
+      title: Joi.string().min(1).max(100).trim().required().messages({
+        "string.empty": "Section title cannot be empty",
+        "string.min": "Section title cannot be empty",
+        "string.max": "Section title must be less than 100 characters",
+        "any.required": "Section title is required",
+      }),
+      prompt: Joi.string().max(1000).trim().allow("").default("").messages({
+        "string.max": "Section prompt must be less than 1,000 characters",
+      }),
+    });
+
+    const body = Joi.object({
+      name: Joi.string().min(1).max(100).trim().required().messages({
+        "string.empty": "Name cannot be empty",
+        "string.min": "Name cannot be empty",
+        "string.max": "Name must be less than 100 characters",
+        "any.required": "Name is required",
+      }),
+      description: Joi.string().max(500).trim().allow("").default("").messages({
+        "string.max": "Description must be less than 500 characters",
+      }),
+      sections: Joi.array()
+        .items(section)
+        .min(1)
+        .max(20)
+        .unique((a, b) => a.title.toLowerCase() === b.title.toLowerCase())
+        .required()
+        .messages({
+          "array.min": "A template needs at least one section",
+          "array.max": "A template can have at most 20 sections",
+          "array.unique": "Section titles must be unique",
+          "any.required": "Sections are required",
+        }),
+    });
+
+    return {
+      // POST /api/templates
+      create: body,
+
+      // PUT /api/templates/:id
+      update: body,
+
+      // /api/templates/:id
+      getById: {
+        params: Joi.object({
+          id: Joi.string().guid().required().messages({
+            "string.guid": "Template ID must be a UUID",
+            "any.required": "Template ID is required",
+          }),
+        }),
+      },
+    };
+  }
+
+  /**
+   * @static
+   * @method actionItem
+   * @description Validation schema for action item operations
+   */
+  static get actionItem() {
+    return {
+      // GET /api/action-items with query parameters
+      list: {
+        query: Joi.object({
+          status: Joi.string().valid("open", "done").optional().messages({
+            "any.only": "Status must be open or done",
+          }),
+          owner: Joi.string().max(100).trim().optional(),
+          transcriptId: Joi.number().integer().positive().optional(),
+        }),
+      },
+
+      // PATCH /api/action-items/:id
+      update: Joi.object({
+        status: Joi.string().valid("open", "done").required().messages({
+          "any.only": "Status must be open or done",
+          "any.required": "Status is required",
+        }),
+      }),
+
+      // /api/action-items/:id
+      getById: {
+        params: Joi.object({
+          id: Joi.string().guid().required().messages({
+            "string.guid": "Action item ID must be a UUID",
+            "any.required": "Action item ID is required",
+          }),
+        }),
+      },
     };
   }
 
@@ -91,17 +426,52 @@ class ValidationSchemas {
    */
   static get webSocket() {
     return {
+      // Session settings, sent before (or between) audio messages
+      sessionConfig: Joi.object({
+        type: Joi.string().valid("config").required(),
+        language: sessionLanguage.optional(),
+        model: sttModel.optional(),
+      }),
+
+      // Protocol v1 (ws/protocol.js); config reuses sessionConfig
+      hello: Joi.object({
+        type: Joi.string().valid("hello").required(),
+        version: Joi.number().integer().min(1).required().messages({
+          "any.required": "Protocol version is required",
+        }),
+        client: Joi.string().max(100).optional(),
+        // Session and token from an earlier hello reply, after a reconnect
+        resume: Joi.object({
+          sessionId: Joi.string().guid().required(),
+          token: Joi.string().max(200).required(),
+        }).optional(),
+      }),
+
+      start: controlMessage("start"),
+
+      audio: Joi.object({
+        type: Joi.string().valid("audio").required(),
+        sequence: Joi.number().integer().min(0).required(),
+        // Omitted for silent chunks, which only carry their duration
+        audio: Joi.string().base64().optional().messages({
+          "string.base64": "Audio data must be valid base64",
+        }),
+        mimeType: audioMimeType,
+        startTime: Joi.number().min(0).optional(),
+        duration: Joi.number().min(0).optional(),
+      }),
+
+      pause: controlMessage("pause"),
+      resume: controlMessage("resume"),
+      stop: controlMessage("stop"),
+
+      // Unversioned single-shot recording ({audio, mimeType})
       audioMessage: Joi.object({
         audio: Joi.string().base64().required().messages({
           "string.base64": "Audio data must be valid base64",
           "any.required": "Audio data is required",
         }),
-        mimeType: Joi.string()
-          .valid("audio/wav", "audio/wave", "audio/x-wav")
-          .default("audio/wav")
-          .messages({
-            "any.only": "Only WAV audio format is supported",
-          }),
+        mimeType: audioMimeType,
         timestamp: Joi.date().iso().optional(),
         metadata: Joi.object({
           duration: Joi.number().positive().optional(),
@@ -179,7 +549,7 @@ class ValidationMiddleware {
       }
 
       // Replace request data with validated/sanitized data
-      req[property] = value;
+      ValidationMiddleware.assign(req, property, value);
       next();
     };
   }
@@ -214,7 +584,7 @@ class ValidationMiddleware {
           }));
           errors.push(...propertyErrors);
         } else {
-          req[property] = value;
+          ValidationMiddleware.assign(req, property, value);
         }
       }
 
@@ -235,22 +605,43 @@ class ValidationMiddleware {
     };
   }
 
+  /**
+   * @static
+   * @method assign
+   * @description Stores validated data on the request. Express 5 exposes
+   * req.query as a getter, so plain assignment would be silently ignored.
+   * @param {Object} req - Express request
+   * @param {string} property - Request property to replace
+   * @param {*} value - Validated value
+   */
+  static assign(req, property, value) {
+    Object.defineProperty(req, property, {
+      value,
+      writable: true,
+      configurable: true,
+      enumerable: true,
+    });
+  }
+
   /**
    * @static
    * @method validateWebSocketMessage
    * @description Validates WebSocket message data
    * @param {*} data - Message data to validate
+   * @param {Joi.Schema} [schema] - Message schema (audio message by default)
    * @returns {Object} Validation result with isValid and error properties
    */
-  static validateWebSocketMessage(data) {
+  static validateWebSocketMessage(
+    data,
+    schema = ValidationSchemas.webSocket.audioMessage
+  ) {
     try {
-      const { error, value } =
-        ValidationSchemas.webSocket.audioMessage.validate(data, {
-          abortEarly: false,
-          allowUnknown: false,
-          stripUnknown: true,
-          convert: true,
-        });
+      const { error, value } = schema.validate(data, {
+        abortEarly: false,
+        allowUnknown: false,
+        stripUnknown: true,
+        convert: true,
+      });
 
       if (error) {
         const errorDetails = error.details.map((detail) => ({
@@ -284,20 +675,31 @@ class ValidationMiddleware {
    * @description Validates file upload parameters
    * @param {Object} file - File object from multer
    * @param {Object} options - Validation options
+   * @param {number} [options.maxSize] - Largest accepted file in bytes
+   * @param {string[]|null} [options.allowedMimeTypes] - Accepted declared
+   *   types; null when the caller identifies the format from the content
+   * @param {string[]} [options.requiredFields] - File fields that must be set
    * @returns {Object} Validation result
    */
   static validateFileUpload(file, options = {}) {
     const {
       maxSize = 50 * 1024 * 1024, // 50MB default
-      allowedMimeTypes = ["audio/wav", "audio/wave", "audio/x-wav"],
+      allowedMimeTypes = SUPPORTED_MIME_TYPES,
       requiredFields = ["originalname", "mimetype", "size", "buffer"],
     } = options;
 
     const errors = [];
 
+    if (!file) {
+      return {
+        isValid: false,
+        errors: [{ field: "file", message: "file is required" }],
+      };
+    }
+
     // Check required fields
     for (const field of requiredFields) {
-      if (!file || !file[field]) {
+      if (!file[field]) {
         errors.push({
           field,
           message: `${field} is required`,
@@ -320,7 +722,7 @@ class ValidationMiddleware {
     }
 
     // Check MIME type
-    if (!allowedMimeTypes.includes(file.mimetype)) {
+    if (allowedMimeTypes && !allowedMimeTypes.includes(file.mimetype)) {
       errors.push({
         field: "mimetype",
         message: `File type ${
@@ -330,10 +732,11 @@ class ValidationMiddleware {
     }
 
     // Check file name
-    if (
-      file.originalname &&
-      !/^[\w\-. ]+\.(wav|wave)$/i.test(file.originalname)
-    ) {
+    const fileNamePattern = new RegExp(
+      `^[\\w\\-. ]+\\.(${SUPPORTED_EXTENSIONS.join("|")})$`,
+      "i"
+    );
+    if (file.originalname && !fileNamePattern.test(file.originalname)) {
       errors.push({
         field: "originalname",
         message:
@@ -347,6 +750,37 @@ class ValidationMiddleware {
     };
   }
 
+  /**
+   * @static
+   * @method validateFile
+   * @description Creates middleware that checks req.file with validateFileUpload
+   * @param {Object} options - Options passed to validateFileUpload
+   * @returns {Function} Express middleware function
+   */
+  static validateFile(options = {}) {
+    return (req, res, next) => {
+      const { isValid, errors } = ValidationMiddleware.validateFileUpload(
+        req.file,
+        options
+      );
+
+      if (!isValid) {
+        console.log(
+          `❌ File validation error for ${req.method} ${req.path}:`,
+          errors
+        );
+
+        return res.status(400).json({
+          error: "Validation failed",
+          details: errors,
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      next();
+    };
+  }
+
   /**
    * @static
    * @method createCustomValidator
@@ -402,10 +836,77 @@ const validate = {
   getTranscript: ValidationMiddleware.validateMultiple(
     ValidationSchemas.transcript.getById
   ),
+  updateTranscript: ValidationMiddleware.validateMultiple({
+    ...ValidationSchemas.transcript.getById,
+    body: ValidationSchemas.transcript.update,
+  }),
+  patchTranscript: ValidationMiddleware.validateMultiple({
+    ...ValidationSchemas.transcript.getById,
+    body: ValidationSchemas.transcript.patch,
+  }),
+  renameSpeakers: ValidationMiddleware.validateMultiple({
+    ...ValidationSchemas.transcript.getById,
+    body: ValidationSchemas.transcript.renameSpeakers,
+  }),
+  exportTranscript: ValidationMiddleware.validateMultiple({
+    ...ValidationSchemas.transcript.getById,
+    ...ValidationSchemas.transcript.export,
+  }),
+  retranscribe: ValidationMiddleware.validateMultiple({
+    ...ValidationSchemas.transcript.getById,
+    body: ValidationSchemas.transcript.retranscribe,
+  }),
+  enhanceNotes: ValidationMiddleware.validateMultiple(
+    ValidationSchemas.transcript.getById
+  ),
+  summarizeTranscript: ValidationMiddleware.validateMultiple({
+    ...ValidationSchemas.transcript.getById,
+    body: ValidationSchemas.transcript.summarize,
+  }),
+  deleteTranscript: ValidationMiddleware.validateMultiple(
+    ValidationSchemas.transcript.getById
+  ),
   listTranscripts: ValidationMiddleware.validate(
     ValidationSchemas.transcript.list.query,
     "query"
   ),
+  searchTranscripts: ValidationMiddleware.validate(
+    ValidationSchemas.transcript.search.query,
+    "query"
+  ),
+
+  // Batch transcription validation
+  uploadTranscription: ValidationMiddleware.validate(
+    ValidationSchemas.transcription.upload
+  ),
+  getTranscriptionJob: ValidationMiddleware.validateMultiple(
+    ValidationSchemas.transcription.getById
+  ),
+
+  // Template validation
+  createTemplate: ValidationMiddleware.validate(
+    ValidationSchemas.template.create
+  ),
+  getTemplate: ValidationMiddleware.validateMultiple(
+    ValidationSchemas.template.getById
+  ),
+  updateTemplate: ValidationMiddleware.validateMultiple({
+    ...ValidationSchemas.template.getById,
+    body: ValidationSchemas.template.update,
+  }),
+  deleteTemplate: ValidationMiddleware.validateMultiple(
+    ValidationSchemas.template.getById
+  ),
+
+  // Action item validation
+  listActionItems: ValidationMiddleware.validate(
+    ValidationSchemas.actionItem.list.query,
+    "query"
+  ),
+  updateActionItem: ValidationMiddleware.validateMultiple({
+    ...ValidationSchemas.actionItem.getById,
+    body: ValidationSchemas.actionItem.update,
+  }),
 
   // Health check validation
   healthCheck: ValidationMiddleware.validate(
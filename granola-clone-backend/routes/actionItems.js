@@ -0,0 +1,40 @@
+const express = require("express");
+const { validate } = require("../middleware/validation");
+
+const notFound = (res) =>
+  res.status(404).json({ message: "Action item not found" });
+
+// Builds the action item router on top of the storage layer
+module.exports = (storage) => {
+  const router = express.Router();
+  const { actionItems, transcripts } = storage;
+
+  // Items link back to the meeting they came up in
+  const withTranscript = (item) => {
+    const transcript = transcripts.get(item.transcriptId);
+    return {
+      ...item,
+      transcript: transcript && {
+        id: transcript.id,
+        title: transcript.title,
+        date: transcript.date,
+      },
+    };
+  };
+
+  // GET action items across all meetings
+  // Query: status=open|done, owner, transcriptId
+  router.get("/", validate.listActionItems, (req, res) => {
+    res.json(actionItems.list(req.query).map(withTranscript));
+  });
+
+  // PATCH marks an action item open or done
+  // Body: { status: "done" }
+  router.patch("/:id", validate.updateActionItem, (req, res) => {
+    const item = actionItems.setStatus(req.params.id, req.body.status);
+    if (!item) return notFound(res);
+    res.json(withTranscript(item));
+  });
+
+  return router;
+};
@@ -20,10 +20,12 @@
 // =============================================================================
 
 const express = require("express");
+const http = require("http");
 const https = require("https");
 const fs = require("fs").promises;
 const path = require("path");
 const { ValidationMiddleware } = require("../middleware/validation");
+const { resolveProviderName } = require("../services/stt");
 
 // =============================================================================
 // HEALTH MONITORING CLASS
@@ -286,16 +288,22 @@ class HealthMonitor {
     }
 
     try {
-      const apiKey = this.config.get("sarvam.apiKey");
+      const provider = resolveProviderName(this.config);
 
-      if (!apiKey) {
+      if (provider === "mock") {
         return {
           status: "warning",
-          message: "API key not configured - running in mock mode",
+          message: "STT provider is mock - no external API in use",
           lastChecked: new Date().toISOString(),
         };
       }
 
+      const apiUrl = new URL(
+        provider === "http"
+          ? this.config.get("stt.http.url")
+          : this.config.get("sarvam.apiUrl")
+      );
+
       // Quick connectivity test
       const result = await new Promise((resolve, reject) => {
         const timeout = setTimeout(() => {
@@ -303,18 +311,21 @@ class HealthMonitor {
         }, 5000);
 
         const options = {
-          hostname: "api.sarvam.ai",
-          port: 443,
-          path: "/health",
-          method: "GET",
+          hostname: apiUrl.hostname,
+          port: apiUrl.port || (apiUrl.protocol === "http:" ? 80 : 443),
+          path: provider === "http" ? apiUrl.pathname : "/health",
+          method: provider === "http" ? "HEAD" : "GET",
           timeout: 5000,
         };
 
-        const req = https.request(options, (res) => {
+        const transport = apiUrl.protocol === "http:" ? http : https;
+        const req = transport.request(options, (res) => {
           clearTimeout(timeout);
+          res.resume();
           resolve({
             status: "healthy",
             message: "API endpoint accessible",
+            provider,
             responseCode: res.statusCode,
             lastChecked: new Date().toISOString(),
           });
@@ -501,6 +512,7 @@ class HealthMonitor {
     return {
       environment: this.config.get("server.environment"),
       sarvamConfigured: !!this.config.get("sarvam.apiKey"),
+      sttProvider: resolveProviderName(this.config),
       corsOrigin: this.config.get("security.corsOrigin") || "localhost",
       rateLimitEnabled: true,
       compressionEnabled: true,
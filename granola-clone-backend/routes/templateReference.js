@@ -0,0 +1,15 @@
+// Checks for routes accepting a templateId, so every route rejects an
+// unknown template the same way
+
+// A templateId must name a stored template; null clears it
+const namesUnknownTemplate = (templates, body) =>
+  Boolean(body.templateId) && !templates.get(body.templateId);
+
+const unknownTemplate = (res) =>
+  res.status(400).json({
+    error: "Validation failed",
+    details: [{ field: "templateId", message: "Unknown template" }],
+    timestamp: new Date().toISOString(),
+  });
+
+module.exports = { namesUnknownTemplate, unknownTemplate };
@@ -0,0 +1,45 @@
+const express = require("express");
+const { validate } = require("../middleware/validation");
+
+const notFound = (res) =>
+  res.status(404).json({ message: "Template not found" });
+
+// Builds the meeting template router on top of the storage layer
+module.exports = (storage) => {
+  const router = express.Router();
+  const { templates } = storage;
+
+  // GET all templates, by name
+  router.get("/", (req, res) => {
+    res.json(templates.list());
+  });
+
+  // GET one template by id
+  router.get("/:id", validate.getTemplate, (req, res) => {
+    const template = templates.get(req.params.id);
+    if (!template) return notFound(res);
+    res.json(template);
+  });
+
+  // POST new template
+  // Body: { name, description, sections: [{ title, prompt }] }
+  router.post("/", validate.createTemplate, (req, res) => {
+    const template = templates.create(req.body);
+    res.status(201).location(`/api/templates/${template.id}`).json(template);
+  });
+
+  // PUT replaces a template's name, description and sections
+  router.put("/:id", validate.updateTemplate, (req, res) => {
+    const template = templates.update(req.params.id, req.body);
+    if (!template) return notFound(res);
+    res.json(template);
+  });
+
+  // DELETE a template; transcripts using it are summarised without one
+  router.delete("/:id", validate.deleteTemplate, (req, res) => {
+    if (!templates.remove(req.params.id)) return notFound(res);
+    res.status(204).end();
+  });
+
+  return router;
+};
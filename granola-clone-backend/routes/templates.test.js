@@ -0,0 +1,130 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const express = require("express");
+const createTemplateRoutes = require("./templates");
+const { createStorage } = require("../services/storage");
+
+const MISSING_TEMPLATE_ID = "0f9e8d7c-6b5a-4c3d-8e1f-a0b1c2d3e4f5";
+
+let dataPath;
+let storage;
+let server;
+let baseUrl;
+
+beforeEach(async () => {
+  dataPath = fs.mkdtempSync(path.join(os.tmpdir(), "granola-templates-"));
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  storage = createStorage({ get: () => dataPath });
+
+  const app = express();
+  app.use(express.json());
+  app.use("/api/templates", createTemplateRoutes(storage));
+  server = app.listen(0, "127.0.0.1");
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/templates`;
+});
+
+afterEach(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  storage.engine.close();
+  jest.restoreAllMocks();
+  fs.rmSync(dataPath, { recursive: true, force: true });
+});
+
+const send = (method, url, body) =>
+  fetch(url, {
+    method,
+    headers: { "Content-Type": "application/json" },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+
+const retro = {
+  name: "Retro",
+  description: "  Fortnightly team retrospective ",
+  sections: [
+    { title: "Went well", prompt: "Wins and things to keep" },
+    { title: "To improve" },
+  ],
+};
+
+describe("templates API", () => {
+  test("the default templates are listed by name", async () => {
+    const response = await fetch(baseUrl);
+
+    expect(response.status).toBe(200);
+    expect((await response.json()).map(({ name }) => name)).toEqual([
+      "1:1",
+      "Customer call",
+      "Interview",
+      "Standup",
+    ]);
+  });
+
+  test("a created template can be read, replaced and deleted", async () => {
+    const created = await send("POST", baseUrl, retro);
+    const template = await created.json();
+
+    expect(created.status).toBe(201);
+    expect(created.headers.get("location")).toBe(
+      `/api/templates/${template.id}`
+    );
+    expect(template).toMatchObject({
+      name: "Retro",
+      description: "Fortnightly team retrospective",
+      sections: [
+        { title: "Went well", prompt: "Wins and things to keep" },
+        { title: "To improve", prompt: "" },
+      ],
+    });
+    expect(await (await fetch(`${baseUrl}/${template.id}`)).json()).toEqual(
+      template
+    );
+
+    const replaced = await send("PUT", `${baseUrl}/${template.id}`, {
+      name: "Sprint retro",
+      sections: [{ title: "Actions", prompt: "What we will change" }],
+    });
+    expect(replaced.status).toBe(200);
+    expect(storage.templates.get(template.id)).toMatchObject({
+      name: "Sprint retro",
+      description: "",
+      sections: [{ title: "Actions", prompt: "What we will change" }],
+      createdAt: template.createdAt,
+    });
+
+    const deleted = await send("DELETE", `${baseUrl}/${template.id}`);
+    expect(deleted.status).toBe(204);
+    expect(storage.templates.get(template.id)).toBeNull();
+  });
+
+  test("invalid templates are rejected", async () => {
+    const cases = [
+      [{ ...retro, name: "" }, "Name cannot be empty"],
+      [{ ...retro, sections: [] }, "A template needs at least one section"],
+      [
+        { ...retro, sections: [{ title: "Notes" }, { title: "notes" }] },
+        "Section titles must be unique",
+      ],
+      [{ ...retro, sections: [{ prompt: "x" }] }, "Section title is required"],
+    ];
+
+    for (const [body, message] of cases) {
+      const response = await send("POST", baseUrl, body);
+      expect(response.status).toBe(400);
+      expect((await response.json()).details[0].message).toBe(message);
+    }
+    expect(storage.templates.list()).toHaveLength(4);
+  });
+
+  test("unknown and malformed ids", async () => {
+    expect((await fetch(`${baseUrl}/${MISSING_TEMPLATE_ID}`)).status).toBe(404);
+    expect(
+      (await send("PUT", `${baseUrl}/${MISSING_TEMPLATE_ID}`, retro)).status
+    ).toBe(404);
+    expect(
+      (await send("DELETE", `${baseUrl}/${MISSING_TEMPLATE_ID}`)).status
+    ).toBe(404);
+    expect((await fetch(`${baseUrl}/not-a-uuid`)).status).toBe(400);
+  });
+});
@@ -0,0 +1,142 @@
+const fs = require("fs");
+const express = require("express");
+const multer = require("multer");
+const { validate, ValidationMiddleware } = require("../middleware/validation");
+const {
+  AUDIO_FORMATS,
+  detectAudioFileFormat,
+  stripExtension,
+} = require("../utils/audioNormalizer");
+const { JOB_STATUS } = require("../services/jobs");
+const {
+  namesUnknownTemplate,
+  unknownTemplate,
+} = require("./templateReference");
+
+const SUPPORTED_FORMATS = Object.values(AUDIO_FORMATS)
+  .map((format) => format.name)
+  .join(", ");
+
+// Parses the multipart "file" field, reporting multer limits as 400/413.
+// The file is removed once the response is sent unless a job took it.
+const fileReceiver = (upload) => (req, res, next) =>
+  upload.single("file")(req, res, (error) => {
+    if (req.file) {
+      res.on("close", () => fs.rm(req.file.path, { force: true }, () => {}));
+    }
+    if (!error) return next();
+    if (!(error instanceof multer.MulterError)) return next(error);
+
+    res.status(error.code === "LIMIT_FILE_SIZE" ? 413 : 400).json({
+      error: "Validation failed",
+      details: [{ field: error.field || "file", message: error.message }],
+      timestamp: new Date().toISOString(),
+    });
+  });
+
+const invalidFile = (res, message) =>
+  res.status(400).json({
+    error: "Validation failed",
+    details: [{ field: "file", message }],
+    timestamp: new Date().toISOString(),
+  });
+
+const notFound = (res) =>
+  res.status(404).json({ message: "Transcription job not found" });
+
+// Builds the transcription job router on top of the transcription service.
+// Uploads are audio files (WAV, Opus or FLAC) up to maxFileSize bytes,
+// written to uploadDir as they arrive rather than held in memory.
+module.exports = ({
+  transcription,
+  templates,
+  uploadLimit,
+  maxFileSize,
+  uploadDir,
+}) => {
+  const { jobs } = transcription;
+  const router = express.Router();
+  const receiveFile = fileReceiver(
+    multer({
+      storage: multer.diskStorage({ destination: uploadDir, flush: true }),
+      limits: { fileSize: maxFileSize, files: 1 },
+    })
+  );
+
+  // POST a recording (multipart field "file", optional "title", "language",
+  // "model", "notes" as a JSON array and "templateId"); the job converts
+  // compressed recordings to WAV
+  router.post(
+    "/",
+    uploadLimit,
+    receiveFile,
+    ValidationMiddleware.validateFile({
+      maxSize: maxFileSize,
+      allowedMimeTypes: null,
+      requiredFields: ["originalname", "size", "path"],
+    }),
+    validate.uploadTranscription,
+    async (req, res) => {
+      const { originalname, path: audioFile } = req.file;
+      const { title, language, model, notes, templateId } = req.body;
+
+      if (model && !transcription.supportsModel(model)) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: [{ field: "model", message: `Unknown model: ${model}` }],
+          timestamp: new Date().toISOString(),
+        });
+      }
+      if (namesUnknownTemplate(templates, req.body)) {
+        return unknownTemplate(res);
+      }
+
+      // Reject content that is not audio now rather than in a failed job;
+      // the format is read from the content, as clients often send audio as
+      // application/octet-stream
+      if (!(await detectAudioFileFormat(audioFile))) {
+        return invalidFile(
+          res,
+          `Unsupported audio format (supported: ${SUPPORTED_FORMATS})`
+        );
+      }
+
+      const job = transcription.submitUpload({
+        audioFile,
+        title: title || stripExtension(originalname),
+        fileName: originalname,
+        language,
+        model,
+        notes,
+        templateId,
+      });
+      res.status(202).location(`${req.baseUrl}/${job.id}`).json(job);
+    }
+  );
+
+  // GET the languages and models a recording or live session can use
+  router.get("/options", (req, res) => {
+    res.json(transcription.getSessionOptions());
+  });
+
+  // GET a job's status; succeeded upload jobs carry result.transcriptId
+  router.get("/:id", validate.getTranscriptionJob, (req, res) => {
+    const job = jobs.get(req.params.id);
+    if (!job) return notFound(res);
+    res.json(job);
+  });
+
+  // DELETE cancels a queued or running job
+  router.delete("/:id", validate.getTranscriptionJob, (req, res) => {
+    const job = jobs.cancel(req.params.id);
+    if (!job) return notFound(res);
+    if (job.status !== JOB_STATUS.CANCELLED) {
+      return res
+        .status(409)
+        .json({ message: `Job has already ${job.status}`, job });
+    }
+    res.json(job);
+  });
+
+  return router;
+};
@@ -0,0 +1,132 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const express = require("express");
+const createTranscriptionRoutes = require("./transcriptions");
+const { WAVValidator } = require("../utils/wavValidator");
+
+const TEMPLATE_ID = "6b1c2f8e-4a2d-4f5e-9c1a-2d3e4f5a6b7c";
+const MISSING_TEMPLATE_ID = "0f9e8d7c-6b5a-4c3d-8e1f-a0b1c2d3e4f5";
+
+// Two seconds of a steady tone as 16kHz mono WAV
+const wav = () => {
+  const pcm = Buffer.alloc(32000 * 2);
+  for (let i = 0; i < pcm.length / 2; i++) {
+    pcm.writeInt16LE(Math.round(8000 * Math.sin(i / 14)), i * 2);
+  }
+  return WAVValidator.buildWAV(pcm, {
+    sampleRate: 16000,
+    numChannels: 1,
+    bitsPerSample: 16,
+  });
+};
+
+let server;
+let baseUrl;
+let transcription;
+let uploadDir;
+
+beforeEach(async () => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "error").mockImplementation(() => {});
+  uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), "granola-uploads-"));
+  transcription = {
+    jobs: {},
+    supportsModel: () => true,
+    // Takes the file like the job queue does
+    submitUpload: jest.fn(({ audioFile }) => {
+      fs.renameSync(audioFile, path.join(uploadDir, "queued"));
+      return { id: "job-1", status: "queued" };
+    }),
+  };
+
+  const app = express();
+  app.use(
+    "/api/transcriptions",
+    createTranscriptionRoutes({
+      transcription,
+      templates: { get: (id) => (id === TEMPLATE_ID ? { id } : null) },
+      uploadLimit: (req, res, next) => next(),
+      maxFileSize: 256 * 1024,
+      uploadDir,
+    })
+  );
+  server = app.listen(0, "127.0.0.1");
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/transcriptions`;
+});
+
+afterEach(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  jest.restoreAllMocks();
+  fs.rmSync(uploadDir, { recursive: true, force: true });
+});
+
+const upload = (content, type, fields = {}) => {
+  const form = new FormData();
+  Object.entries(fields).forEach(([name, value]) => form.append(name, value));
+  form.append("file", new Blob([content], { type }), "meeting.wav");
+  return fetch(baseUrl, { method: "POST", body: form });
+};
+
+// Files left in the upload directory besides the one a job took, once the
+// route has had time to remove rejected uploads
+const leftoverUploads = async () => {
+  const leftover = () =>
+    fs.readdirSync(uploadDir).filter((name) => name !== "queued");
+  for (let wait = 0; leftover().length > 0 && wait < 50; wait++) {
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  return leftover();
+};
+
+test("audio sent as application/octet-stream is identified by its content", async () => {
+  const response = await upload(wav(), "application/octet-stream", {
+    templateId: TEMPLATE_ID,
+  });
+
+  expect(response.status).toBe(202);
+  expect(transcription.submitUpload).toHaveBeenCalledWith(
+    expect.objectContaining({
+      audioFile: expect.stringContaining(uploadDir),
+      title: "meeting",
+      fileName: "meeting.wav",
+      templateId: TEMPLATE_ID,
+    })
+  );
+  expect(fs.readFileSync(path.join(uploadDir, "queued"))).toEqual(wav());
+});
+
+test("content that is not audio is rejected whatever its declared type", async () => {
+  const response = await upload(Buffer.alloc(4000, "text "), "audio/wav");
+
+  expect(response.status).toBe(400);
+  expect((await response.json()).details).toEqual([
+    expect.objectContaining({ field: "file" }),
+  ]);
+  expect(transcription.submitUpload).not.toHaveBeenCalled();
+  expect(await leftoverUploads()).toEqual([]);
+});
+
+test("files over maxFileSize are rejected with 413 and not kept", async () => {
+  const response = await upload(Buffer.alloc(300 * 1024), "audio/wav");
+
+  expect(response.status).toBe(413);
+  expect(transcription.submitUpload).not.toHaveBeenCalled();
+  expect(await leftoverUploads()).toEqual([]);
+});
+
+test("an unknown templateId is rejected like on transcripts", async () => {
+  const response = await upload(wav(), "audio/wav", {
+    templateId: MISSING_TEMPLATE_ID,
+  });
+
+  expect(response.status).toBe(400);
+  expect(await response.json()).toEqual({
+    error: "Validation failed",
+    details: [{ field: "templateId", message: "Unknown template" }],
+    timestamp: expect.any(String),
+  });
+  expect(transcription.submitUpload).not.toHaveBeenCalled();
+  expect(await leftoverUploads()).toEqual([]);
+});
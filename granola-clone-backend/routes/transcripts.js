@@ -1,42 +1,210 @@
 const express = require("express");
-const fs = require("fs");
-const path = require("path");
-
-const router = express.Router();
-const dataPath = path.join(__dirname, "../data/transcripts.json");
-
-// Helper to read/write data
-const readData = () => JSON.parse(fs.readFileSync(dataPath, "utf-8"));
-const writeData = (data) =>
-  fs.writeFileSync(dataPath, JSON.stringify(data, null, 2));
-
-// GET all transcripts
-router.get("/", (req, res) => {
-  const transcripts = readData();
-  res.json(transcripts);
-});
-
-// GET one transcript by id
-router.get("/:id", (req, res) => {
-  const transcripts = readData();
-  const transcript = transcripts.find((t) => t.id.toString() === req.params.id);
-  if (!transcript)
-    return res.status(404).json({ message: "Transcript not found" });
-  res.json(transcript);
-});
-
-// POST new transcript
-router.post("/", (req, res) => {
-  const transcripts = readData();
-  const newTranscript = {
-    id: Date.now(),
-    title: req.body.title || "Untitled Meeting",
-    date: new Date().toISOString().split("T")[0],
-    content: req.body.content || "",
-  };
-  transcripts.push(newTranscript);
-  writeData(transcripts);
-  res.status(201).json(newTranscript);
-});
-
-module.exports = router;
+const { validate } = require("../middleware/validation");
+const TranscriptRepository = require("../services/storage/transcriptRepository");
+const { renderExport } = require("../services/export");
+const { enhanceNotes } = require("../services/notes");
+const {
+  namesUnknownTemplate,
+  unknownTemplate,
+} = require("./templateReference");
+
+const notFound = (res) =>
+  res.status(404).json({ message: "Transcript not found" });
+
+// Content of a segmented transcript is derived, so it must be edited through
+// its segments rather than overwritten
+const editsDerivedContent = (transcript, body) =>
+  body.content !== undefined &&
+  body.segments === undefined &&
+  TranscriptRepository.hasDerivedContent(transcript);
+
+// Edits that make the summary and its action items stale
+const changesText = (transcript, body) =>
+  body.segments !== undefined ||
+  (body.content !== undefined && body.content !== transcript.content);
+
+const derivedContentConflict = (res) =>
+  res.status(409).json({
+    message: "Content is derived from segments; update segments instead",
+  });
+
+// Builds the transcript router on top of the storage layer
+module.exports = (storage, transcription, summarization, search) => {
+  const router = express.Router();
+  const { transcripts, actionItems, templates } = storage;
+
+  // GET transcripts (paginated, sorted, searchable)
+  // Query "search" keeps the transcripts matching every word, in list order
+  router.get("/", validate.listTranscripts, (req, res) => {
+    const { search: query, ...options } = req.query;
+    const { total, items } = transcripts.list({
+      ...options,
+      ids: query ? search.matchingIds(query) : undefined,
+    });
+    res.set("X-Total-Count", String(total));
+    res.json(items);
+  });
+
+  // GET ranked full-text search hits with highlighted snippets
+  // Query: q, page, limit
+  router.get("/search", validate.searchTranscripts, (req, res) => {
+    const { q, ...options } = req.query;
+    const { total, items } = search.search(q, options);
+    res.set("X-Total-Count", String(total));
+    res.json(items);
+  });
+
+  // GET one transcript by id
+  router.get("/:id", validate.getTranscript, (req, res) => {
+    const transcript = transcripts.get(req.params.id);
+    if (!transcript) return notFound(res);
+    res.json(transcript);
+  });
+
+  // GET a transcript as a downloadable file
+  // Query: format=srt|vtt|md|txt|docx|pdf
+  router.get("/:id/export", validate.exportTranscript, async (req, res) => {
+    const transcript = transcripts.get(req.params.id);
+    if (!transcript) return notFound(res);
+
+    const { body, mimeType, fileName } = await renderExport(
+      transcript,
+      req.query.format
+    );
+    res.attachment(fileName);
+    res.type(mimeType);
+    res.send(body);
+  });
+
+  // POST new transcript; its summary and action items follow in the
+  // background when automatic summaries are on
+  router.post("/", validate.createTranscript, (req, res) => {
+    if (namesUnknownTemplate(templates, req.body)) return unknownTemplate(res);
+    const transcript = transcripts.create(req.body);
+    summarization.summarizeIfEnabled(transcript.id);
+    res.status(201).json(transcript);
+  });
+
+  // PUT replaces a transcript's editable fields; new text or segments drop
+  // the summary and action items, which are redone in the background when
+  // automatic summaries are on
+  router.put("/:id", validate.updateTranscript, (req, res) => {
+    const existing = transcripts.get(req.params.id);
+    if (!existing) return notFound(res);
+    if (namesUnknownTemplate(templates, req.body)) return unknownTemplate(res);
+    if (editsDerivedContent(existing, req.body)) {
+      return derivedContentConflict(res);
+    }
+    const transcript = transcripts.update(req.params.id, req.body);
+    if (changesText(existing, req.body)) {
+      actionItems.removeForTranscript(transcript.id);
+      summarization.summarizeIfEnabled(transcript.id);
+    }
+    res.json(transcript);
+  });
+
+  // PATCH updates only the provided fields, re-summarising like PUT
+  router.patch("/:id", validate.patchTranscript, (req, res) => {
+    const existing = transcripts.get(req.params.id);
+    if (!existing) return notFound(res);
+    if (namesUnknownTemplate(templates, req.body)) return unknownTemplate(res);
+    if (editsDerivedContent(existing, req.body)) {
+      return derivedContentConflict(res);
+    }
+    const transcript = transcripts.update(req.params.id, req.body);
+    if (changesText(existing, req.body)) {
+      actionItems.removeForTranscript(transcript.id);
+      summarization.summarizeIfEnabled(transcript.id);
+    }
+    res.json(transcript);
+  });
+
+  // PATCH speaker labels across the whole transcript
+  // Body: { renames: { "Speaker 1": "Asha" } }
+  router.patch("/:id/speakers", validate.renameSpeakers, (req, res) => {
+    const transcript = transcripts.renameSpeakers(
+      req.params.id,
+      req.body.renames
+    );
+    if (!transcript) return notFound(res);
+    actionItems.renameOwners(transcript.id, req.body.renames);
+    res.json(transcript);
+  });
+
+  // POST queues a new transcription of the stored recording (uploads only)
+  // Body (optional): { language, model } to transcribe with instead
+  router.post("/:id/retranscribe", validate.retranscribe, (req, res) => {
+    const { language, model } = req.body || {};
+    if (!transcripts.get(req.params.id)) return notFound(res);
+    if (!transcription.hasRecording(req.params.id)) {
+      return res.status(409).json({
+        message: "Transcript has no stored recording to re-transcribe",
+      });
+    }
+    if (model && !transcription.supportsModel(model)) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: [{ field: "model", message: `Unknown model: ${model}` }],
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const job = transcription.retranscribe(req.params.id, { language, model });
+    res.status(202).location(`/api/transcriptions/${job.id}`).json(job);
+  });
+
+  // POST queues a summary (overview, decisions, action items and the
+  // sections of the transcript's template); the job stores it on the
+  // transcript as `summary`
+  // Body (optional): { templateId } to switch template first, null for none
+  router.post("/:id/summarize", validate.summarizeTranscript, (req, res) => {
+    const body = req.body || {};
+    const transcript = transcripts.get(req.params.id);
+    if (!transcript) return notFound(res);
+    if (!(transcript.content || "").trim()) {
+      return res
+        .status(409)
+        .json({ message: "Transcript has no text to summarise" });
+    }
+    if (namesUnknownTemplate(templates, body)) return unknownTemplate(res);
+    if (body.templateId !== undefined) {
+      transcripts.update(req.params.id, { templateId: body.templateId });
+    }
+
+    const job = summarization.summarize(req.params.id);
+    res.status(202).location(`/api/transcriptions/${job.id}`).json(job);
+  });
+
+  // POST merges the meeting notes with the transcript passages around them;
+  // the result is kept as enhancedNotes until notes or segments change
+  router.post("/:id/notes/enhance", validate.enhanceNotes, (req, res) => {
+    const transcript = transcripts.get(req.params.id);
+    if (!transcript) return notFound(res);
+    if (!transcript.notes || transcript.notes.length === 0) {
+      return res
+        .status(409)
+        .json({ message: "Transcript has no notes to enhance" });
+    }
+    if (!TranscriptRepository.hasDerivedContent(transcript)) {
+      return res.status(409).json({
+        message: "Transcript has no timed segments to enhance notes with",
+      });
+    }
+
+    res.json(
+      transcripts.update(req.params.id, {
+        enhancedNotes: enhanceNotes(transcript),
+      })
+    );
+  });
+
+  // DELETE a transcript, its action items and its stored recording
+  router.delete("/:id", validate.deleteTranscript, (req, res) => {
+    if (!transcripts.remove(req.params.id)) return notFound(res);
+    actionItems.removeForTranscript(req.params.id);
+    transcription.removeRecording(req.params.id);
+    res.status(204).end();
+  });
+
+  return router;
+};
@@ -0,0 +1,344 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const express = require("express");
+const createTranscriptRoutes = require("./transcripts");
+const { createStorage } = require("../services/storage");
+const { JobQueue } = require("../services/jobs");
+const { createSummarizationService } = require("../services/summarization");
+
+// Local summaries, only when asked for
+const settings = {
+  "summary.provider": "local",
+  "summary.local": {},
+  "summary.auto": false,
+};
+const config = { get: (key) => settings[key] };
+
+let dataPath;
+let storage;
+let jobs;
+let summarization;
+let server;
+let baseUrl;
+
+beforeEach(async () => {
+  dataPath = fs.mkdtempSync(path.join(os.tmpdir(), "granola-transcripts-"));
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  storage = createStorage({ get: () => dataPath });
+  jobs = new JobQueue({ repository: storage.jobs, audio: storage.audio });
+  summarization = createSummarizationService(config, storage, jobs);
+  jest.spyOn(summarization, "summarizeIfEnabled");
+  jobs.start();
+
+  const app = express();
+  app.use(express.json());
+  app.use(
+    "/api/transcripts",
+    createTranscriptRoutes(storage, {}, summarization, {})
+  );
+  server = app.listen(0, "127.0.0.1");
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/transcripts`;
+});
+
+afterEach(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  jobs.stop();
+  storage.engine.close();
+  jest.restoreAllMocks();
+  fs.rmSync(dataPath, { recursive: true, force: true });
+});
+
+const send = (method, id, body) =>
+  fetch(`${baseUrl}/${id}`, {
+    method,
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+
+const segments = [
+  { startTime: 0, endTime: 4, text: "I will send the deck.", speaker: "A" },
+];
+
+// A summarised transcript with one tracked action item; text edits are only
+// allowed on transcripts without segments
+const summarisedTranscript = (withSegments = true) => {
+  const { id } = storage.transcripts.create({
+    title: "Planning",
+    ...(withSegments ? { segments } : { content: "I will send the deck." }),
+  });
+  const actionItems = [{ index: 0, text: "I will send the deck.", owner: "A" }];
+  storage.transcripts.update(id, {
+    summary: { overview: "Deck", decisions: [], actionItems, sections: [] },
+  });
+  storage.actionItems.replaceForTranscript(id, actionItems);
+  return id;
+};
+
+describe("editing a summarised transcript", () => {
+  test.each([
+    ["PUT", { title: "Planning", content: "Welcome everyone." }],
+    ["PATCH", { content: "Welcome everyone." }],
+    [
+      "PATCH",
+      {
+        segments: [{ startTime: 0, endTime: 4, text: "Hello.", speaker: "A" }],
+      },
+    ],
+  ])(
+    "%s with new text drops the summary and action items",
+    async (method, body) => {
+      const id = summarisedTranscript(body.segments !== undefined);
+      expect(storage.transcripts.get(id).summary).toBeDefined();
+
+      const response = await send(method, id, body);
+
+      expect(response.status).toBe(200);
+      expect((await response.json()).summary).toBeUndefined();
+      expect(storage.actionItems.list({ transcriptId: id })).toEqual([]);
+      expect(summarization.summarizeIfEnabled).toHaveBeenCalledWith(id);
+    }
+  );
+
+  test("PATCH with new segments of the same text is re-summarised", async () => {
+    const id = summarisedTranscript();
+
+    await send("PATCH", id, {
+      segments: [{ ...segments[0], speaker: "Asha" }],
+    });
+
+    expect(storage.transcripts.get(id).summary).toBeUndefined();
+    expect(storage.actionItems.list({ transcriptId: id })).toEqual([]);
+    expect(summarization.summarizeIfEnabled).toHaveBeenCalledWith(id);
+  });
+
+  test("PATCH of other fields keeps the summary and action items", async () => {
+    const id = summarisedTranscript();
+
+    const response = await send("PATCH", id, { title: "Q3 planning" });
+
+    expect(response.status).toBe(200);
+    expect((await response.json()).summary.overview).toBe("Deck");
+    expect(storage.actionItems.list({ transcriptId: id })).toHaveLength(1);
+    expect(summarization.summarizeIfEnabled).not.toHaveBeenCalled();
+  });
+});
+
+describe("summarising a transcript", () => {
+  const summarize = (id, body) =>
+    fetch(`${baseUrl}/${id}/summarize`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+
+  const meeting = () =>
+    storage.transcripts.create({
+      title: "Planning",
+      content: "We agreed to ship on Friday. Ravi will send the release notes.",
+    }).id;
+
+  test("without a templateId the summary is queued and stored", async () => {
+    const id = meeting();
+
+    const response = await summarize(id);
+    const job = await response.json();
+    await jobs.wait(job.id);
+
+    expect(response.status).toBe(202);
+    expect(response.headers.get("location")).toBe(
+      `/api/transcriptions/${job.id}`
+    );
+    const { summary } = storage.transcripts.get(id);
+    expect(summary.decisions).toEqual(["We agreed to ship on Friday."]);
+    expect(summary.template).toBeNull();
+    expect(storage.actionItems.list({ transcriptId: id })).toEqual([
+      expect.objectContaining({ owner: "Ravi" }),
+    ]);
+  });
+
+  test("a known templateId is set on the transcript first", async () => {
+    const id = meeting();
+    const [template] = storage.templates.list();
+
+    const response = await summarize(id, { templateId: template.id });
+    await jobs.wait((await response.json()).id);
+
+    expect(response.status).toBe(202);
+    const transcript = storage.transcripts.get(id);
+    expect(transcript.templateId).toBe(template.id);
+    expect(transcript.summary.template).toEqual({
+      id: template.id,
+      name: template.name,
+    });
+  });
+
+  test("an unknown templateId is rejected and nothing is queued", async () => {
+    const id = meeting();
+
+    const response = await summarize(id, {
+      templateId: "0f9e8d7c-6b5a-4c3d-8e1f-a0b1c2d3e4f5",
+    });
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).details).toEqual([
+      { field: "templateId", message: "Unknown template" },
+    ]);
+    expect(storage.transcripts.get(id).templateId).toBeUndefined();
+    expect(jobs.list()).toEqual([]);
+  });
+
+  test("a transcript without text cannot be summarised", async () => {
+    const { id } = storage.transcripts.create({ title: "Empty", content: "" });
+
+    const response = await summarize(id);
+
+    expect(response.status).toBe(409);
+  });
+});
+
+describe("meeting templates", () => {
+  const planning = () =>
+    storage.templates.create({
+      name: "Planning",
+      sections: [
+        { title: "Budget", prompt: "Spending and hiring budget" },
+        { title: "Launch", prompt: "Launch date and timeline" },
+      ],
+    });
+
+  const post = (body) =>
+    fetch(baseUrl, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+
+  test("a summary is written in the template's sections", async () => {
+    const template = planning();
+    const transcript = await (
+      await post({
+        title: "Q3 planning",
+        content:
+          "The hiring budget is approved. The launch date moves to March.",
+        templateId: template.id,
+      })
+    ).json();
+
+    const response = await fetch(`${baseUrl}/${transcript.id}/summarize`, {
+      method: "POST",
+    });
+    await jobs.wait((await response.json()).id);
+
+    expect(storage.transcripts.get(transcript.id).summary.sections).toEqual([
+      { title: "Budget", content: "The hiring budget is approved." },
+      { title: "Launch", content: "The launch date moves to March." },
+    ]);
+  });
+
+  test("a deleted template is summarised without sections", async () => {
+    const template = planning();
+    const { id } = storage.transcripts.create({
+      title: "Q3 planning",
+      content: "The hiring budget is approved.",
+      templateId: template.id,
+    });
+    storage.templates.remove(template.id);
+
+    const response = await fetch(`${baseUrl}/${id}/summarize`, {
+      method: "POST",
+    });
+    await jobs.wait((await response.json()).id);
+
+    const { summary } = storage.transcripts.get(id);
+    expect(summary.sections).toEqual([]);
+    expect(summary.template).toBeNull();
+  });
+
+  test("creating or editing with an unknown template is rejected", async () => {
+    const unknown = { templateId: "0f9e8d7c-6b5a-4c3d-8e1f-a0b1c2d3e4f5" };
+    const { id } = storage.transcripts.create({ title: "Sync", content: "" });
+
+    const created = await post({ title: "Sync", ...unknown });
+    const patched = await send("PATCH", id, unknown);
+
+    expect(created.status).toBe(400);
+    expect(patched.status).toBe(400);
+    expect((await patched.json()).details).toEqual([
+      { field: "templateId", message: "Unknown template" },
+    ]);
+    expect(storage.transcripts.list({}).total).toBe(1);
+  });
+
+  test("a templateId of null clears the template", async () => {
+    const template = planning();
+    const { id } = storage.transcripts.create({
+      title: "Sync",
+      content: "",
+      templateId: template.id,
+    });
+
+    const response = await send("PATCH", id, { templateId: null });
+
+    expect(response.status).toBe(200);
+    expect(storage.transcripts.get(id).templateId).toBeNull();
+  });
+});
+
+describe("renaming speakers", () => {
+  const rename = (id, body) =>
+    fetch(`${baseUrl}/${id}/speakers`, {
+      method: "PATCH",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+
+  test("segments, the summary and tracked action items use the new name", async () => {
+    const id = summarisedTranscript();
+
+    const response = await rename(id, { renames: { A: "Asha" } });
+
+    expect(response.status).toBe(200);
+    expect((await response.json()).segments[0].speaker).toBe("Asha");
+    const transcript = storage.transcripts.get(id);
+    expect(transcript.summary.actionItems[0].owner).toBe("Asha");
+    expect(
+      storage.actionItems.list({ transcriptId: id }).map(({ owner }) => owner)
+    ).toEqual(["Asha"]);
+    // The words are unchanged, so nothing is summarised again
+    expect(summarization.summarizeIfEnabled).not.toHaveBeenCalled();
+  });
+
+  test("labels that are not renamed are kept", async () => {
+    const { id } = storage.transcripts.create({
+      title: "Standup",
+      segments: [
+        { startTime: 0, endTime: 2, text: "Morning.", speaker: "A" },
+        { startTime: 2, endTime: 4, text: "Hi.", speaker: "B" },
+      ],
+    });
+
+    await rename(id, { renames: { B: "Ravi", C: "Nobody" } });
+
+    expect(
+      storage.transcripts.get(id).segments.map(({ speaker }) => speaker)
+    ).toEqual(["A", "Ravi"]);
+  });
+
+  test("unknown transcripts and empty renames are rejected", async () => {
+    const id = summarisedTranscript();
+
+    const missing = await rename(999, { renames: { A: "Asha" } });
+    const empty = await rename(id, { renames: {} });
+    const blank = await rename(id, { renames: { A: "" } });
+
+    expect(missing.status).toBe(404);
+    expect(empty.status).toBe(400);
+    expect((await empty.json()).details[0].message).toBe(
+      "At least one speaker rename must be provided"
+    );
+    expect(blank.status).toBe(400);
+    expect(storage.transcripts.get(id).segments[0].speaker).toBe("A");
+  });
+});
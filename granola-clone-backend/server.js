@@ -3,6 +3,7 @@
  * @description Express server with security middleware, monitoring, and WebSocket STT
  */
 
+const path = require("path");
 const express = require("express");
 const bodyParser = require("body-parser");
 
@@ -12,8 +13,16 @@ const config = require("./config/environment");
 
 // Import middleware and routes
 const SecurityMiddleware = require("./middleware/security");
-const transcriptRoutes = require("./routes/transcripts");
+const createTranscriptRoutes = require("./routes/transcripts");
+const createTranscriptionRoutes = require("./routes/transcriptions");
+const createActionItemRoutes = require("./routes/actionItems");
+const createTemplateRoutes = require("./routes/templates");
 const HealthMonitor = require("./routes/health");
+const { createStorage } = require("./services/storage");
+const { createJobQueue } = require("./services/jobs");
+const { createTranscriptionService } = require("./services/transcription");
+const { createSummarizationService } = require("./services/summarization");
+const { createSearchService } = require("./services/search");
 
 // =============================================================================
 // APPLICATION SETUP
@@ -26,6 +35,22 @@ const PORT = config.get("server.port");
 console.log("🚀 Starting Enhanced Granola Clone Backend...");
 config.printSummary();
 
+// =============================================================================
+// STORAGE
+// =============================================================================
+
+const storage = createStorage(config);
+const search = createSearchService(storage);
+
+// =============================================================================
+// BACKGROUND JOBS
+// =============================================================================
+
+const jobs = createJobQueue(config, storage);
+const transcription = createTranscriptionService(config, storage, jobs);
+const summarization = createSummarizationService(config, storage, jobs);
+jobs.start();
+
 // =============================================================================
 // SECURITY MIDDLEWARE
 // =============================================================================
@@ -62,7 +87,22 @@ app.use(healthMonitor.getRouter());
 // =============================================================================
 
 app.use("/api", rateLimits.general);
-app.use("/api/transcripts", transcriptRoutes);
+app.use(
+  "/api/transcripts",
+  createTranscriptRoutes(storage, transcription, summarization, search)
+);
+app.use(
+  "/api/transcriptions",
+  createTranscriptionRoutes({
+    transcription,
+    templates: storage.templates,
+    uploadLimit: rateLimits.upload,
+    maxFileSize: config.get("storage.maxFileSize"),
+    uploadDir: path.join(config.get("storage.tempPath"), "uploads"),
+  })
+);
+app.use("/api/action-items", createActionItemRoutes(storage));
+app.use("/api/templates", createTemplateRoutes(storage));
 
 // =============================================================================
 // ROOT ENDPOINT
@@ -79,6 +119,9 @@ app.get("/", (req, res) => {
     endpoints: {
       health: "/health",
       api: "/api/transcripts",
+      transcriptions: "/api/transcriptions",
+      actionItems: "/api/action-items",
+      templates: "/api/templates",
       websocket: "/ws/stt",
     },
   });
@@ -102,6 +145,7 @@ const server = app.listen(PORT, HOST, () => {
       config.get("sarvam.apiKey") ? "Configured" : "Mock mode"
     }`
   );
+  console.log(`🎙️  STT provider: ${config.get("stt.provider")}`);
   console.log(`🏥 Health check: http://${HOST}:${PORT}/health`);
 });
 
@@ -109,7 +153,7 @@ const server = app.listen(PORT, HOST, () => {
 // WEBSOCKET INTEGRATION (PRESERVE EXISTING FUNCTIONALITY)
 // =============================================================================
 
-require("./ws/sttHandler")(server);
+require("./ws/sttHandler")(server, config, { transcription });
 
 // =============================================================================
 // GRACEFUL SHUTDOWN
@@ -117,7 +161,9 @@ require("./ws/sttHandler")(server);
 
 process.on("SIGTERM", () => {
   console.log("🔄 SIGTERM received. Shutting down gracefully...");
+  jobs.stop();
   server.close(() => {
+    storage.engine.close();
     console.log("✅ Server closed");
     process.exit(0);
   });
@@ -125,10 +171,19 @@ process.on("SIGTERM", () => {
 
 process.on("SIGINT", () => {
   console.log("🔄 SIGINT received. Shutting down gracefully...");
+  jobs.stop();
   server.close(() => {
+    storage.engine.close();
     console.log("✅ Server closed");
     process.exit(0);
   });
 });
 
-module.exports = { app, server, config };
+module.exports = {
+  app,
+  server,
+  config,
+  storage,
+  transcription,
+  summarization,
+};
@@ -0,0 +1,153 @@
+/**
+ * @fileoverview Speaker Diarization
+ * @description Attaches "Speaker N" labels to finalised transcript segments.
+ *
+ * Modes (`diarization.mode`):
+ * - auto:     provider speaker labels when the STT result has them,
+ *             the local diarizer otherwise
+ * - provider: provider labels only (segments stay unlabelled without them)
+ * - local:    always use the local diarizer
+ * - off:      no speaker labels
+ *
+ * The local diarizer is pluggable: any object with
+ * `assign(pcm, format) => number|null` can be supplied via `createLocal`.
+ *
+ * @author AI Assistant
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+// =============================================================================
+// IMPORTS
+// =============================================================================
+
+const { LocalDiarizer } = require("./localDiarizer");
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * @function speakerLabel
+ * @description Formats a 0-based speaker number for display
+ * @param {number} number - Speaker number
+ * @returns {string} Label such as "Speaker 1"
+ */
+const speakerLabel = (number) => `Speaker ${number + 1}`;
+
+/**
+ * @function dominantSpeaker
+ * @description Finds the provider speaker who talks longest in a segment
+ * @param {Array<{speaker: string|null, startTime: number, endTime: number}>} utterances
+ *   Normalised provider utterances
+ * @returns {string|null} Provider speaker id
+ */
+function dominantSpeaker(utterances) {
+  const talkTime = new Map();
+  for (const utterance of utterances) {
+    if (utterance.speaker === null) continue;
+    const duration = Math.max(0, utterance.endTime - utterance.startTime);
+    talkTime.set(
+      utterance.speaker,
+      (talkTime.get(utterance.speaker) || 0) + duration
+    );
+  }
+
+  let best = null;
+  let bestTime = -1;
+  for (const [speaker, time] of talkTime) {
+    if (time > bestTime) {
+      best = speaker;
+      bestTime = time;
+    }
+  }
+  return best;
+}
+
+// =============================================================================
+// DIARIZATION SESSION CLASS
+// =============================================================================
+
+/**
+ * @class DiarizationSession
+ * @description Keeps speaker numbering consistent across one recording
+ */
+class DiarizationSession {
+  /**
+   * @constructor
+   * @param {Object} options - Session options
+   * @param {string} options.mode - auto | provider | local | off
+   * @param {Function} options.createLocal - Factory for the local diarizer
+   */
+  constructor({ mode, createLocal }) {
+    this.mode = mode;
+    this.local = ["auto", "local"].includes(mode) ? createLocal() : null;
+    this.providerSpeakers = new Map(); // provider id -> speaker number
+  }
+
+  /**
+   * @method assignSpeaker
+   * @description Picks the speaker label for a finalised segment
+   * @param {Object} segment - Segment data
+   * @param {Object[]} [segment.utterances] - Provider utterances for the segment
+   * @param {Buffer} [segment.pcm] - Segment PCM audio
+   * @param {Object} [segment.format] - PCM format
+   * @returns {string|null} Speaker label, or null if unknown
+   */
+  assignSpeaker({ utterances = [], pcm, format }) {
+    if (this.mode === "off") return null;
+
+    if (this.mode !== "local") {
+      const providerSpeaker = dominantSpeaker(utterances);
+      if (providerSpeaker !== null) {
+        if (!this.providerSpeakers.has(providerSpeaker)) {
+          this.providerSpeakers.set(
+            providerSpeaker,
+            this.providerSpeakers.size
+          );
+        }
+        return speakerLabel(this.providerSpeakers.get(providerSpeaker));
+      }
+    }
+
+    if (!this.local || !pcm || pcm.length === 0) return null;
+
+    const number = this.local.assign(pcm, format);
+    return number === null ? null : speakerLabel(number);
+  }
+}
+
+// =============================================================================
+// FACTORY
+// =============================================================================
+
+/**
+ * @function createDiarizer
+ * @description Builds a per-recording diarization session factory
+ * @param {Object} config - Environment configuration instance
+ * @param {Object} [options] - Overrides
+ * @param {Function} [options.createLocal] - Custom local diarizer factory
+ * @returns {{mode: string, createSession: Function}} Diarizer
+ */
+function createDiarizer(config, options = {}) {
+  const mode = config.get("diarization.mode") || "auto";
+  const createLocal =
+    options.createLocal ||
+    (() => new LocalDiarizer(config.get("diarization.local")));
+
+  return {
+    mode,
+    createSession: () => new DiarizationSession({ mode, createLocal }),
+  };
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  createDiarizer,
+  DiarizationSession,
+  LocalDiarizer,
+  speakerLabel,
+};
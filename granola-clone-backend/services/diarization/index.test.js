@@ -0,0 +1,67 @@
+const { createDiarizer } = require(".");
+
+const sessionFor = (mode, assign = jest.fn(() => 0)) =>
+  createDiarizer(
+    { get: (key) => (key === "diarization.mode" ? mode : undefined) },
+    { createLocal: () => ({ assign }) }
+  ).createSession();
+
+const utterance = (speaker, startTime, endTime) => ({
+  speaker,
+  startTime,
+  endTime,
+});
+
+const pcm = Buffer.alloc(320);
+
+describe("DiarizationSession", () => {
+  test("provider speakers are numbered in order of appearance", () => {
+    const session = sessionFor("auto");
+
+    const labels = [
+      [utterance("spk_b", 0, 2)],
+      // spk_a talks longer in this segment
+      [utterance("spk_b", 2, 3), utterance("spk_a", 3, 6)],
+      [utterance("spk_b", 6, 8)],
+    ].map((utterances) => session.assignSpeaker({ utterances, pcm }));
+
+    expect(labels).toEqual(["Speaker 1", "Speaker 2", "Speaker 1"]);
+  });
+
+  test("auto falls back to the local diarizer without provider labels", () => {
+    const assign = jest.fn(() => 2);
+    const session = sessionFor("auto", assign);
+    const format = { sampleRate: 16000, numChannels: 1, bitsPerSample: 16 };
+
+    expect(
+      session.assignSpeaker({
+        utterances: [utterance(null, 0, 1)],
+        pcm,
+        format,
+      })
+    ).toBe("Speaker 3");
+    expect(assign).toHaveBeenCalledWith(pcm, format);
+  });
+
+  test("each mode uses only its own source of speakers", () => {
+    const labelled = { utterances: [utterance("spk_a", 0, 1)], pcm };
+    const assign = jest.fn(() => 1);
+
+    expect(sessionFor("provider", assign).assignSpeaker({ pcm })).toBeNull();
+    expect(sessionFor("local", assign).assignSpeaker(labelled)).toBe(
+      "Speaker 2"
+    );
+    expect(sessionFor("off", assign).assignSpeaker(labelled)).toBeNull();
+    expect(assign).toHaveBeenCalledTimes(1);
+  });
+
+  test("segments the local diarizer cannot judge stay unlabelled", () => {
+    const session = sessionFor(
+      "local",
+      jest.fn(() => null)
+    );
+
+    expect(session.assignSpeaker({ pcm })).toBeNull();
+    expect(session.assignSpeaker({ pcm: Buffer.alloc(0) })).toBeNull();
+  });
+});
@@ -0,0 +1,266 @@
+/**
+ * @fileoverview Local Speaker Diarizer
+ * @description Offline fallback that tells speakers apart by voice features.
+ * Each segment is reduced to a small voice profile (median pitch, pitch
+ * spread and zero-crossing rate over voiced frames) and assigned to the
+ * nearest speaker cluster seen so far in the recording, or to a new one.
+ *
+ * This is a heuristic: it separates clearly different voices well (e.g. low
+ * and high pitched speakers) but cannot split two people talking within the
+ * same segment.
+ *
+ * @author AI Assistant
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const LOCAL_DIARIZER_CONFIG = {
+  FRAME_DURATION: 0.03, // seconds per analysis frame
+  MIN_PITCH: 70, // Hz
+  MAX_PITCH: 400, // Hz
+  VOICED_RMS: 500, // 16-bit amplitude below which a frame is treated as silence
+  MIN_VOICED_FRAMES: 5,
+  PITCH_FRAME_STEP: 2, // estimate pitch on every Nth voiced frame
+  // Feature scales: a difference of one scale unit counts as distance 1
+  SCALES: {
+    logPitch: 0.15, // ~15% pitch difference
+    pitchSpread: 0.2,
+    zcr: 0.05,
+  },
+};
+
+// =============================================================================
+// FEATURE EXTRACTION
+// =============================================================================
+
+/**
+ * @function readSamples
+ * @description Reads the first channel of 16-bit PCM as numbers
+ * @param {Buffer} pcm - Interleaved 16-bit little-endian PCM
+ * @param {number} numChannels - Channel count
+ * @returns {Int16Array} First-channel samples
+ */
+function readSamples(pcm, numChannels) {
+  const frameBytes = 2 * numChannels;
+  const count = Math.floor(pcm.length / frameBytes);
+  const samples = new Int16Array(count);
+  for (let i = 0; i < count; i++) {
+    samples[i] = pcm.readInt16LE(i * frameBytes);
+  }
+  return samples;
+}
+
+/**
+ * @function estimatePitch
+ * @description Autocorrelation pitch estimate for one frame
+ * @param {Int16Array} samples - Source samples
+ * @param {number} start - Frame start index
+ * @param {number} length - Frame length in samples
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {number|null} Pitch in Hz, or null if unvoiced
+ */
+function estimatePitch(samples, start, length, sampleRate) {
+  const minLag = Math.floor(sampleRate / LOCAL_DIARIZER_CONFIG.MAX_PITCH);
+  const maxLag = Math.min(
+    Math.floor(sampleRate / LOCAL_DIARIZER_CONFIG.MIN_PITCH),
+    length - 1
+  );
+
+  let energy = 0;
+  for (let i = start; i < start + length; i++) {
+    energy += samples[i] * samples[i];
+  }
+  if (energy === 0) return null;
+
+  let bestLag = 0;
+  let bestCorrelation = 0;
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    let correlation = 0;
+    for (let i = start; i < start + length - lag; i++) {
+      correlation += samples[i] * samples[i + lag];
+    }
+    if (correlation > bestCorrelation) {
+      bestCorrelation = correlation;
+      bestLag = lag;
+    }
+  }
+
+  // Require a clear periodic peak
+  return bestLag > 0 && bestCorrelation / energy > 0.3
+    ? sampleRate / bestLag
+    : null;
+}
+
+/**
+ * @function median
+ * @param {number[]} values - Non-empty list
+ * @returns {number} Median value
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * @function extractVoiceProfile
+ * @description Summarises the voiced frames of a segment
+ * @param {Buffer} pcm - 16-bit PCM audio
+ * @param {Object} format - {sampleRate, numChannels, bitsPerSample}
+ * @returns {{logPitch: number, pitchSpread: number, zcr: number}|null}
+ *   Profile, or null when there is too little voiced audio
+ */
+function extractVoiceProfile(pcm, format) {
+  if (!format || format.bitsPerSample !== 16) return null;
+
+  const samples = readSamples(pcm, format.numChannels || 1);
+  const frameLength = Math.floor(
+    format.sampleRate * LOCAL_DIARIZER_CONFIG.FRAME_DURATION
+  );
+  const pitches = [];
+  const crossingRates = [];
+  let voicedFrames = 0;
+
+  for (
+    let start = 0;
+    start + frameLength <= samples.length;
+    start += frameLength
+  ) {
+    let sumSquares = 0;
+    let crossings = 0;
+    for (let i = start; i < start + frameLength; i++) {
+      sumSquares += samples[i] * samples[i];
+      if (i > start && samples[i] >= 0 !== samples[i - 1] >= 0) crossings++;
+    }
+
+    if (
+      Math.sqrt(sumSquares / frameLength) < LOCAL_DIARIZER_CONFIG.VOICED_RMS
+    ) {
+      continue;
+    }
+
+    crossingRates.push(crossings / frameLength);
+    if (voicedFrames++ % LOCAL_DIARIZER_CONFIG.PITCH_FRAME_STEP === 0) {
+      const pitch = estimatePitch(
+        samples,
+        start,
+        frameLength,
+        format.sampleRate
+      );
+      if (pitch) pitches.push(Math.log(pitch));
+    }
+  }
+
+  if (
+    voicedFrames < LOCAL_DIARIZER_CONFIG.MIN_VOICED_FRAMES ||
+    pitches.length === 0
+  ) {
+    return null;
+  }
+
+  const logPitch = median(pitches);
+  return {
+    logPitch,
+    pitchSpread: median(pitches.map((value) => Math.abs(value - logPitch))),
+    zcr: median(crossingRates),
+  };
+}
+
+/**
+ * @function profileDistance
+ * @description Scaled distance between two voice profiles
+ * @param {Object} a - Voice profile
+ * @param {Object} b - Voice profile
+ * @returns {number} Distance (1 = one scale unit apart)
+ */
+function profileDistance(a, b) {
+  const { SCALES } = LOCAL_DIARIZER_CONFIG;
+  return Math.sqrt(
+    Object.keys(SCALES).reduce(
+      (sum, key) => sum + Math.pow((a[key] - b[key]) / SCALES[key], 2),
+      0
+    )
+  );
+}
+
+// =============================================================================
+// LOCAL DIARIZER CLASS
+// =============================================================================
+
+/**
+ * @class LocalDiarizer
+ * @description Per-recording online clustering of segment voice profiles
+ */
+class LocalDiarizer {
+  /**
+   * @constructor
+   * @param {Object} [options] - Diarizer options
+   * @param {number} [options.maxSpeakers] - Upper bound on distinct speakers
+   * @param {number} [options.threshold] - Distance above which a new speaker starts
+   */
+  constructor(options = {}) {
+    this.maxSpeakers = options.maxSpeakers || 6;
+    this.threshold = options.threshold || 1;
+    this.clusters = [];
+    this.lastSpeaker = null;
+  }
+
+  /**
+   * @method assign
+   * @description Assigns a segment to a speaker cluster
+   * @param {Buffer} pcm - Segment PCM audio
+   * @param {Object} format - {sampleRate, numChannels, bitsPerSample}
+   * @returns {number|null} 0-based speaker number, or null if undecidable
+   */
+  assign(pcm, format) {
+    const profile = extractVoiceProfile(pcm, format);
+    // Too little speech to judge: assume the previous speaker carried on
+    if (!profile) return this.lastSpeaker;
+
+    let nearest = null;
+    let nearestDistance = Infinity;
+    this.clusters.forEach((cluster, index) => {
+      const distance = profileDistance(profile, cluster.centroid);
+      if (distance < nearestDistance) {
+        nearest = index;
+        nearestDistance = distance;
+      }
+    });
+
+    if (
+      nearest === null ||
+      (nearestDistance > this.threshold &&
+        this.clusters.length < this.maxSpeakers)
+    ) {
+      this.clusters.push({ centroid: profile, count: 1 });
+      this.lastSpeaker = this.clusters.length - 1;
+      return this.lastSpeaker;
+    }
+
+    // Move the centroid towards the new observation (running mean)
+    const cluster = this.clusters[nearest];
+    cluster.count++;
+    for (const key of Object.keys(cluster.centroid)) {
+      cluster.centroid[key] +=
+        (profile[key] - cluster.centroid[key]) / cluster.count;
+    }
+    this.lastSpeaker = nearest;
+    return nearest;
+  }
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  LocalDiarizer,
+  extractVoiceProfile,
+  LOCAL_DIARIZER_CONFIG,
+};
@@ -0,0 +1,67 @@
+const { LocalDiarizer, extractVoiceProfile } = require("./localDiarizer");
+
+const format = { sampleRate: 16000, numChannels: 1, bitsPerSample: 16 };
+
+// A second of a voiced tone: the pitch plus a softer second harmonic
+const voice = (pitch, seconds = 1) => {
+  const pcm = Buffer.alloc(format.sampleRate * seconds * 2);
+  for (let i = 0; i < pcm.length / 2; i++) {
+    const t = i / format.sampleRate;
+    const sample =
+      6000 * Math.sin(2 * Math.PI * pitch * t) +
+      2000 * Math.sin(4 * Math.PI * pitch * t);
+    pcm.writeInt16LE(Math.round(sample), i * 2);
+  }
+  return pcm;
+};
+
+const silence = (seconds = 1) => Buffer.alloc(format.sampleRate * seconds * 2);
+
+describe("extractVoiceProfile", () => {
+  test("finds the pitch of a voiced segment", () => {
+    const profile = extractVoiceProfile(voice(120), format);
+
+    expect(Math.exp(profile.logPitch)).toBeGreaterThan(114);
+    expect(Math.exp(profile.logPitch)).toBeLessThan(126);
+    expect(profile.pitchSpread).toBeLessThan(0.05);
+  });
+
+  test("silence and unsupported formats have no profile", () => {
+    expect(extractVoiceProfile(silence(), format)).toBeNull();
+    expect(
+      extractVoiceProfile(voice(120), { ...format, bitsPerSample: 8 })
+    ).toBeNull();
+    expect(extractVoiceProfile(voice(120), null)).toBeNull();
+  });
+});
+
+describe("LocalDiarizer", () => {
+  test("different voices get different speakers, returning ones their own", () => {
+    const diarizer = new LocalDiarizer();
+
+    const speakers = [voice(110), voice(230), voice(112), voice(225)].map(
+      (pcm) => diarizer.assign(pcm, format)
+    );
+
+    expect(speakers).toEqual([0, 1, 0, 1]);
+  });
+
+  test("a segment without speech keeps the previous speaker", () => {
+    const diarizer = new LocalDiarizer();
+
+    expect(diarizer.assign(silence(), format)).toBeNull();
+    diarizer.assign(voice(110), format);
+    diarizer.assign(voice(230), format);
+
+    expect(diarizer.assign(silence(), format)).toBe(1);
+  });
+
+  test("past maxSpeakers a new voice joins the nearest speaker", () => {
+    const diarizer = new LocalDiarizer({ maxSpeakers: 2 });
+    diarizer.assign(voice(110), format);
+    diarizer.assign(voice(230), format);
+
+    expect(diarizer.assign(voice(300), format)).toBe(1);
+    expect(diarizer.clusters).toHaveLength(2);
+  });
+});
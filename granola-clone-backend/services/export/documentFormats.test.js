@@ -0,0 +1,59 @@
+const JSZip = require("jszip");
+const { renderDOCX, renderPDF } = require("./documentFormats");
+
+const transcript = {
+  id: 1,
+  title: "साप्ताहिक बैठक",
+  date: "2026-10-19",
+  content: "",
+  segments: [
+    { startTime: 0, endTime: 4, text: "नमस्ते सबको", speaker: "Speaker 1" },
+    { startTime: 4, endTime: 9, text: "Let's review the roadmap." },
+  ],
+};
+
+const readPart = async (docx, name) =>
+  (await JSZip.loadAsync(docx)).file(name).async("string");
+
+describe("renderDOCX", () => {
+  test("runs use Noto Sans Devanagari for complex script text", async () => {
+    const styles = await readPart(
+      await renderDOCX(transcript),
+      "word/styles.xml"
+    );
+
+    expect(styles).toMatch(/<w:rFonts [^>]*w:cs="Noto Sans Devanagari"/);
+    expect(styles).toMatch(/<w:rFonts [^>]*w:ascii="Noto Sans Devanagari"/);
+  });
+
+  test("the embedded font is not limited to the ANSI character set", async () => {
+    const docx = await renderDOCX(transcript);
+    const fontTable = await readPart(docx, "word/fontTable.xml");
+    const zip = await JSZip.loadAsync(docx);
+
+    expect(fontTable).toContain('w:name="Noto Sans Devanagari"');
+    expect(fontTable).not.toContain("w:charset");
+    expect(zip.file(/^word\/fonts\//)).toHaveLength(1);
+  });
+
+  test("the document keeps the Devanagari text", async () => {
+    const body = await readPart(
+      await renderDOCX(transcript),
+      "word/document.xml"
+    );
+
+    expect(body).toContain("साप्ताहिक बैठक");
+    expect(body).toContain("[0:00] Speaker 1: ");
+    expect(body).toContain("नमस्ते सबको");
+  });
+});
+
+describe("renderPDF", () => {
+  test("embeds the regular and bold faces", async () => {
+    const pdf = (await renderPDF(transcript)).toString("latin1");
+
+    expect(pdf.startsWith("%PDF-")).toBe(true);
+    expect(pdf).toMatch(/\/BaseFont \/[A-Z]{6}\+NotoSansDevanagari-Regular/);
+    expect(pdf).toMatch(/\/BaseFont \/[A-Z]{6}\+NotoSansDevanagari-Bold/);
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * @fileoverview Transcript Export
+ * @description Registry of download formats. Each format knows its file
+ * extension, MIME type and how to render a stored transcript.
+ *
+ * @author AI Assistant
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+const {
+  renderSRT,
+  renderVTT,
+  renderMarkdown,
+  renderText,
+} = require("./textFormats");
+const { renderDOCX, renderPDF } = require("./documentFormats");
+
+// =============================================================================
+// FORMAT REGISTRY
+// =============================================================================
+
+const EXPORT_FORMATS = {
+  srt: {
+    extension: "srt",
+    mimeType: "application/x-subrip; charset=utf-8",
+    render: renderSRT,
+  },
+  vtt: {
+    extension: "vtt",
+    mimeType: "text/vtt; charset=utf-8",
+    render: renderVTT,
+  },
+  md: {
+    extension: "md",
+    mimeType: "text/markdown; charset=utf-8",
+    render: renderMarkdown,
+  },
+  txt: {
+    extension: "txt",
+    mimeType: "text/plain; charset=utf-8",
+    render: renderText,
+  },
+  docx: {
+    extension: "docx",
+    mimeType:
+      "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    render: renderDOCX,
+  },
+  pdf: {
+    extension: "pdf",
+    mimeType: "application/pdf",
+    render: renderPDF,
+  },
+};
+
+// =============================================================================
+// EXPORT FUNCTIONS
+// =============================================================================
+
+/**
+ * @function exportFileName
+ * @description Builds a download file name from the transcript title. Unicode
+ * letters (e.g. Devanagari) are kept; the response header carries them via
+ * the RFC 5987 filename* parameter.
+ * @param {Object} transcript - Stored transcript
+ * @param {string} format - Format key
+ * @returns {string} File name such as "Team_Sync.pdf"
+ */
+function exportFileName(transcript, format) {
+  const base =
+    (transcript.title || "")
+      .normalize("NFC")
+      .replace(/[^\p{L}\p{M}\p{N}\-]+/gu, "_")
+      .replace(/^_+|_+$/g, "")
+      .slice(0, 80) || `transcript-${transcript.id}`;
+  return `${base}.${EXPORT_FORMATS[format].extension}`;
+}
+
+/**
+ * @function renderExport
+ * @description Renders a transcript in the requested format
+ * @param {Object} transcript - Stored transcript
+ * @param {string} format - One of the EXPORT_FORMATS keys
+ * @returns {Promise<{body: Buffer, mimeType: string, fileName: string}>}
+ *   Rendered file
+ */
+async function renderExport(transcript, format) {
+  const definition = EXPORT_FORMATS[format];
+  if (!definition) {
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+
+  const rendered = await definition.render(transcript);
+  return {
+    body: Buffer.isBuffer(rendered) ? rendered : Buffer.from(rendered, "utf8"),
+    mimeType: definition.mimeType,
+    fileName: exportFileName(transcript, format),
+  };
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  EXPORT_FORMATS,
+  renderExport,
+  exportFileName,
+};
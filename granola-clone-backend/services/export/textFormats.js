@@ -0,0 +1,210 @@
+/**
+ * @fileoverview Text Export Formats
+ * @description Renders transcripts as SubRip (SRT), WebVTT, Markdown and
+ * plain text. Timed formats use segment timestamps; transcripts saved before
+ * segments existed are exported as a single cue.
+ *
+ * @author AI Assistant
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const TEXT_EXPORT_CONFIG = {
+  // Reading speed used to time legacy transcripts without segments
+  SECONDS_PER_WORD: 0.4,
+  MIN_CUE_DURATION: 1,
+};
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * @function formatClock
+ * @description Formats seconds as HH:MM:SS plus milliseconds
+ * @param {number} seconds - Offset in seconds
+ * @param {string} separator - Millisecond separator ("," for SRT, "." for VTT)
+ * @returns {string} Timestamp such as 00:01:05,250
+ */
+function formatClock(seconds, separator) {
+  const totalMs = Math.max(0, Math.round((seconds || 0) * 1000));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  const pad = (value, length = 2) => String(value).padStart(length, "0");
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(ms, 3)}`;
+}
+
+/**
+ * @function formatOffset
+ * @description Formats seconds as m:ss (or h:mm:ss) for readable documents
+ * @param {number} seconds - Offset in seconds
+ * @returns {string} Short timestamp
+ */
+function formatOffset(seconds) {
+  const total = Math.max(0, Math.floor(seconds || 0));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, "0");
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, "0")}:${secs}`
+    : `${minutes}:${secs}`;
+}
+
+/**
+ * @function getCues
+ * @description Returns the timed pieces of a transcript to export
+ * @param {Object} transcript - Stored transcript
+ * @returns {Array<{startTime: number, endTime: number, text: string, speaker: string|null}>}
+ *   Cues in playback order
+ */
+function getCues(transcript) {
+  const segments = (transcript.segments || []).filter((segment) =>
+    (segment.text || "").trim()
+  );
+  if (segments.length > 0) {
+    return segments.map((segment) => ({
+      startTime: segment.startTime,
+      endTime: Math.max(segment.endTime, segment.startTime),
+      text: segment.text.trim(),
+      speaker: segment.speaker || null,
+    }));
+  }
+
+  const text = (transcript.content || "").trim();
+  if (!text) return [];
+
+  const words = text.split(/\s+/).length;
+  return [
+    {
+      startTime: 0,
+      endTime: Math.max(
+        TEXT_EXPORT_CONFIG.MIN_CUE_DURATION,
+        words * TEXT_EXPORT_CONFIG.SECONDS_PER_WORD
+      ),
+      text,
+      speaker: null,
+    },
+  ];
+}
+
+// =============================================================================
+// RENDERERS
+// =============================================================================
+
+/**
+ * @function renderSRT
+ * @param {Object} transcript - Stored transcript
+ * @returns {string} SubRip subtitles
+ */
+function renderSRT(transcript) {
+  return getCues(transcript)
+    .map((cue, index) =>
+      [
+        index + 1,
+        `${formatClock(cue.startTime, ",")} --> ${formatClock(
+          cue.endTime,
+          ","
+        )}`,
+        cue.speaker ? `${cue.speaker}: ${cue.text}` : cue.text,
+        "",
+      ].join("\n")
+    )
+    .join("\n");
+}
+
+/**
+ * @function renderVTT
+ * @param {Object} transcript - Stored transcript
+ * @returns {string} WebVTT subtitles, with speakers as voice tags
+ */
+function renderVTT(transcript) {
+  const escape = (text) =>
+    text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+  const cues = getCues(transcript).map((cue) =>
+    [
+      `${formatClock(cue.startTime, ".")} --> ${formatClock(cue.endTime, ".")}`,
+      cue.speaker
+        ? `<v ${escape(cue.speaker)}>${escape(cue.text)}`
+        : escape(cue.text),
+      "",
+    ].join("\n")
+  );
+
+  return ["WEBVTT", "", ...cues].join("\n");
+}
+
+/**
+ * @function renderMarkdown
+ * @param {Object} transcript - Stored transcript
+ * @returns {string} Markdown document
+ */
+function renderMarkdown(transcript) {
+  const lines = [`# ${transcript.title}`, "", `**Date:** ${transcript.date}`];
+
+  const segments = (transcript.segments || []).filter((segment) =>
+    (segment.text || "").trim()
+  );
+
+  lines.push("", "## Transcript", "");
+  if (segments.length > 0) {
+    segments.forEach((segment) => {
+      const speaker = segment.speaker ? ` **${segment.speaker}:**` : "";
+      lines.push(
+        `**[${formatOffset(
+          segment.startTime
+        )}]**${speaker} ${segment.text.trim()}`,
+        ""
+      );
+    });
+  } else {
+    lines.push(transcript.content || "", "");
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * @function renderText
+ * @param {Object} transcript - Stored transcript
+ * @returns {string} Plain text document
+ */
+function renderText(transcript) {
+  const lines = [transcript.title, `Date: ${transcript.date}`, ""];
+
+  const segments = (transcript.segments || []).filter((segment) =>
+    (segment.text || "").trim()
+  );
+
+  if (segments.length > 0) {
+    segments.forEach((segment) => {
+      const speaker = segment.speaker ? ` ${segment.speaker}:` : "";
+      lines.push(
+        `[${formatOffset(segment.startTime)}]${speaker} ${segment.text.trim()}`
+      );
+    });
+  } else {
+    lines.push(transcript.content || "");
+  }
+
+  return `${lines.join("\n")}\n`;
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  renderSRT,
+  renderVTT,
+  renderMarkdown,
+  renderText,
+  formatOffset,
+  getCues,
+};
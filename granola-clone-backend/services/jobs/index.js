@@ -0,0 +1,46 @@
+/**
+ * @fileoverview Background Jobs
+ * @description Builds the persistent job queue from configuration. Job types
+ * are registered by the services that own them (see services/transcription).
+ *
+ * @author AI Assistant
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+// =============================================================================
+// IMPORTS
+// =============================================================================
+
+const { JobQueue, JobError, JOB_STATUS } = require("./jobQueue");
+
+// =============================================================================
+// FACTORY
+// =============================================================================
+
+/**
+ * @function createJobQueue
+ * @description Creates the job queue on top of the storage layer. Call
+ * `start()` once all job types are registered.
+ * @param {Object} config - Environment configuration instance
+ * @param {Object} storage - Storage from createStorage()
+ * @returns {JobQueue} Job queue (not yet started)
+ */
+function createJobQueue(config, storage) {
+  return new JobQueue({
+    repository: storage.jobs,
+    audio: storage.audio,
+    ...config.get("jobs"),
+  });
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  createJobQueue,
+  JobQueue,
+  JobError,
+  JOB_STATUS,
+};
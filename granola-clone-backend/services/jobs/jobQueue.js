@@ -0,0 +1,533 @@
+/**
+ * @fileoverview Persistent Job Queue
+ * @description Background queue for transcription work. Jobs are stored in
+ * the `jobs` table and their audio in the audio store, so queued work
+ * survives restarts.
+ *
+ * Lifecycle: queued → running → succeeded | failed, or cancelled at any
+ * point before finishing. A failed attempt is retried with exponential
+ * backoff until `maxAttempts` is reached, unless the handler marks the error
+ * as not retryable (`error.retryable = false`).
+ *
+ * Job types can override the queue defaults when they are registered: a
+ * higher `priority` is started before queued work of lower priority, and a
+ * type with its own `concurrency` runs in its own slots instead of sharing
+ * the queue's, so it never waits behind long uploads.
+ *
+ * @author AI Assistant
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+// =============================================================================
+// IMPORTS
+// =============================================================================
+
+const crypto = require("crypto");
+const EventEmitter = require("events");
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const JOB_STATUS = {
+  QUEUED: "queued",
+  RUNNING: "running",
+  SUCCEEDED: "succeeded",
+  FAILED: "failed",
+  CANCELLED: "cancelled",
+};
+
+const FINISHED_STATUSES = [
+  JOB_STATUS.SUCCEEDED,
+  JOB_STATUS.FAILED,
+  JOB_STATUS.CANCELLED,
+];
+
+const JOB_QUEUE_DEFAULTS = {
+  concurrency: 2,
+  maxAttempts: 3,
+  retryDelay: 2000, // ms before the first retry, doubled for each further one
+  retainFinished: 500, // finished jobs kept for polling, oldest removed first
+};
+
+// =============================================================================
+// ERRORS
+// =============================================================================
+
+/**
+ * @class JobError
+ * @description Raised by JobQueue#run when a job does not succeed
+ */
+class JobError extends Error {
+  /**
+   * @constructor
+   * @param {string} message - Error message
+   * @param {Object} job - Final job view
+   */
+  constructor(message, job) {
+    super(message);
+    this.name = "JobError";
+    this.job = job;
+  }
+}
+
+// =============================================================================
+// JOB QUEUE CLASS
+// =============================================================================
+
+/**
+ * @class JobQueue
+ * @description Runs registered job types with retries, a concurrency limit
+ * and cancellation. Emits "finished" with the job view when a job reaches a
+ * final status.
+ */
+class JobQueue extends EventEmitter {
+  /**
+   * @constructor
+   * @param {Object} options - Queue options
+   * @param {JobRepository} options.repository - Job records
+   * @param {AudioStore} options.audio - Audio blobs for job input
+   * @param {number} [options.concurrency] - Jobs allowed to run at once
+   * @param {number} [options.maxAttempts] - Default attempts per job
+   * @param {number} [options.retryDelay] - Base retry delay in ms
+   * @param {number} [options.retainFinished] - Finished jobs to keep
+   */
+  constructor({ repository, audio, ...options }) {
+    super();
+    this.setMaxListeners(0); // one "finished" listener per waiting caller
+    this.repository = repository;
+    this.audio = audio;
+    this.options = { ...JOB_QUEUE_DEFAULTS, ...options };
+    this.handlers = new Map(); // type -> { handler, ...type options }
+    this.running = new Map(); // id -> { controller, type }
+    this.timer = null;
+    this.isStarted = false;
+  }
+
+  /**
+   * @method register
+   * @description Registers the handler for a job type
+   * @param {string} type - Job type
+   * @param {Function} handler - async (job, { audio, signal }) => result
+   * @param {Object} [options] - Type options
+   * @param {boolean} [options.recoverable=true] - Re-queue jobs interrupted by
+   *   a restart; otherwise they fail, e.g. when their requester is gone
+   * @param {number} [options.priority=0] - Jobs with a higher priority start
+   *   first
+   * @param {number} [options.concurrency] - Jobs of this type allowed to run
+   *   at once, in slots of their own; shares the queue's limit if omitted
+   * @param {number} [options.maxAttempts] - Default attempts for this type
+   * @param {number} [options.retryDelay] - Base retry delay in ms for this
+   *   type
+   * @param {boolean} [options.retainFinished=true] - Keep finished jobs for
+   *   polling; otherwise they are deleted once their waiters are told
+   * @returns {JobQueue} This queue
+   */
+  register(
+    type,
+    handler,
+    {
+      recoverable = true,
+      priority = 0,
+      concurrency,
+      maxAttempts,
+      retryDelay,
+      retainFinished = true,
+    } = {}
+  ) {
+    this.handlers.set(type, {
+      handler,
+      recoverable,
+      priority,
+      concurrency,
+      maxAttempts,
+      retryDelay,
+      retainFinished,
+    });
+    return this;
+  }
+
+  /**
+   * @method start
+   * @description Recovers jobs interrupted by a restart and starts processing
+   * @returns {JobQueue} This queue
+   */
+  start() {
+    if (this.isStarted) return this;
+    this.isStarted = true;
+
+    const interrupted = this.repository.list({ status: JOB_STATUS.RUNNING });
+    interrupted.forEach((job) => {
+      const registration = this.handlers.get(job.type);
+      if (registration && registration.recoverable) {
+        this.repository.update(job.id, { status: JOB_STATUS.QUEUED });
+      } else {
+        this._finish(job.id, {
+          status: JOB_STATUS.FAILED,
+          error: "Interrupted by server restart",
+        });
+      }
+    });
+
+    const queued = this.repository.list({ status: JOB_STATUS.QUEUED }).length;
+    console.log(
+      `📋 Job queue started [concurrency: ${this.options.concurrency}] [queued: ${queued}] [recovered: ${interrupted.length}]`
+    );
+
+    this._pump();
+    return this;
+  }
+
+  /**
+   * @method stop
+   * @description Stops picking up new jobs; running jobs finish normally
+   */
+  stop() {
+    this.isStarted = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * @method submit
+   * @description Queues a job
+   * @param {string} type - Registered job type
+   * @param {Object} [payload] - JSON handler input, visible in job views
+   * @param {Object} [options] - Submit options
+   * @param {Buffer} [options.audio] - Audio input, stored outside the database
+   * @param {string} [options.audioFile] - Audio input already on disk; the
+   *   file is moved into the audio store
+   * @param {number} [options.maxAttempts] - Attempts before failing
+   * @returns {Object} Job view
+   */
+  submit(type, payload = {}, { audio, audioFile, maxAttempts } = {}) {
+    if (!this.handlers.has(type)) {
+      throw new Error(`Unknown job type: ${type}`);
+    }
+
+    const now = new Date().toISOString();
+    const id = crypto.randomUUID();
+    if (audio) this.audio.save(this._audioKey(id), audio);
+    if (audioFile) this.audio.saveFile(this._audioKey(id), audioFile);
+
+    const job = this.repository.create({
+      id,
+      type,
+      status: JOB_STATUS.QUEUED,
+      payload,
+      hasAudio: Boolean(audio || audioFile),
+      attempts: 0,
+      maxAttempts:
+        maxAttempts ||
+        this.handlers.get(type).maxAttempts ||
+        this.options.maxAttempts,
+      runAfter: null,
+      result: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      finishedAt: null,
+    });
+
+    console.log(`📥 Job queued [${type}] [${id}]`);
+    setImmediate(() => this._pump());
+    return job;
+  }
+
+  /**
+   * @method run
+   * @description Submits a job and waits for its result
+   * @param {string} type - Registered job type
+   * @param {Object} [payload] - Handler input
+   * @param {Object} [options] - Submit options
+   * @returns {Promise<*>} Handler result
+   * @throws {JobError} If the job fails or is cancelled
+   */
+  async run(type, payload, options) {
+    const job = await this.wait(this.submit(type, payload, options).id);
+    if (job.status !== JOB_STATUS.SUCCEEDED) {
+      throw new JobError(job.error || `Job ${job.status}`, job);
+    }
+    return job.result;
+  }
+
+  /**
+   * @method wait
+   * @description Resolves once a job reaches a final status
+   * @param {string} id - Job id
+   * @returns {Promise<Object|null>} Final job view, or null if unknown
+   */
+  wait(id) {
+    const job = this.repository.get(id);
+    if (!job || FINISHED_STATUSES.includes(job.status)) {
+      return Promise.resolve(job);
+    }
+
+    return new Promise((resolve) => {
+      const onFinished = (finished) => {
+        if (finished.id !== id) return;
+        this.off("finished", onFinished);
+        resolve(finished);
+      };
+      this.on("finished", onFinished);
+    });
+  }
+
+  /**
+   * @method get
+   * @param {string} id - Job id
+   * @returns {Object|null} Job view or null
+   */
+  get(id) {
+    return this.repository.get(id);
+  }
+
+  /**
+   * @method list
+   * @param {Object} [filter] - {status, type}
+   * @returns {Object[]} Job views, oldest first
+   */
+  list(filter) {
+    return this.repository.list(filter);
+  }
+
+  /**
+   * @method cancel
+   * @description Cancels a queued or running job. A running handler is
+   * signalled through its AbortSignal and its result is discarded.
+   * @param {string} id - Job id
+   * @returns {Object|null} Job view (unchanged if already finished), or null
+   *   if unknown
+   */
+  cancel(id) {
+    const job = this.repository.get(id);
+    if (!job || FINISHED_STATUSES.includes(job.status)) return job;
+
+    const running = this.running.get(id);
+    if (running) running.controller.abort();
+
+    console.log(`🛑 Job cancelled [${job.type}] [${id}]`);
+    return this._finish(id, { status: JOB_STATUS.CANCELLED });
+  }
+
+  /**
+   * @method getStats
+   * @returns {Object} Job counts by status
+   */
+  getStats() {
+    return Object.fromEntries(
+      Object.values(JOB_STATUS).map((status) => [
+        status,
+        this.repository.list({ status }).length,
+      ])
+    );
+  }
+
+  // ==========================================================================
+  // PROCESSING
+  // ==========================================================================
+
+  /**
+   * @private
+   * @method _pump
+   * @description Starts due jobs, highest priority first, while their
+   * type has a free slot, and schedules a wake-up for the next delayed retry
+   */
+  _pump() {
+    if (!this.isStarted) return;
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const now = Date.now();
+    // Oldest first within a priority (the sort is stable)
+    const queued = this.repository
+      .list({ status: JOB_STATUS.QUEUED })
+      .filter((job) => this.handlers.has(job.type))
+      .sort(
+        (a, b) =>
+          this.handlers.get(b.type).priority -
+          this.handlers.get(a.type).priority
+      );
+
+    let nextRunAt = Infinity;
+    for (const job of queued) {
+      if (!this._hasFreeSlot(job.type)) continue;
+
+      const runAt = job.runAfter ? Date.parse(job.runAfter) : 0;
+      if (runAt > now) {
+        nextRunAt = Math.min(nextRunAt, runAt);
+        continue;
+      }
+      this._execute(job);
+    }
+
+    if (nextRunAt !== Infinity) {
+      this.timer = setTimeout(() => this._pump(), nextRunAt - now);
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * @private
+   * @method _hasFreeSlot
+   * @description Whether another job of a type may start: types with their
+   * own concurrency count only their own running jobs, the others share the
+   * queue's limit
+   * @param {string} type - Job type
+   * @returns {boolean} True if a slot is free
+   */
+  _hasFreeSlot(type) {
+    const { concurrency } = this.handlers.get(type);
+    const sharesSlots = (running) =>
+      this.handlers.get(running.type)?.concurrency === undefined;
+    const running = Array.from(this.running.values());
+
+    return concurrency === undefined
+      ? running.filter(sharesSlots).length < this.options.concurrency
+      : running.filter((job) => job.type === type).length < concurrency;
+  }
+
+  /**
+   * @private
+   * @method _execute
+   * @description Runs one attempt of a job
+   * @param {Object} queuedJob - Job record
+   */
+  async _execute(queuedJob) {
+    const controller = new AbortController();
+    this.running.set(queuedJob.id, { controller, type: queuedJob.type });
+
+    const job = this.repository.update(queuedJob.id, {
+      status: JOB_STATUS.RUNNING,
+      attempts: queuedJob.attempts + 1,
+      startedAt: new Date().toISOString(),
+      runAfter: null,
+    });
+    console.log(
+      `🔄 Job running [${job.type}] [${job.id}] (attempt ${job.attempts}/${job.maxAttempts})`
+    );
+
+    try {
+      const audio = job.hasAudio
+        ? this.audio.read(this._audioKey(job.id))
+        : null;
+      if (job.hasAudio && !audio) {
+        throw Object.assign(new Error("Job audio is missing"), {
+          retryable: false,
+        });
+      }
+
+      const { handler } = this.handlers.get(job.type);
+      const result = await handler(job, { audio, signal: controller.signal });
+
+      if (!controller.signal.aborted) {
+        this._finish(job.id, {
+          status: JOB_STATUS.SUCCEEDED,
+          result: result === undefined ? null : result,
+          error: null,
+        });
+        console.log(`✅ Job succeeded [${job.type}] [${job.id}]`);
+      }
+    } catch (error) {
+      if (!controller.signal.aborted) this._handleFailure(job, error);
+    } finally {
+      this.running.delete(job.id);
+      this._pump();
+    }
+  }
+
+  /**
+   * @private
+   * @method _handleFailure
+   * @description Schedules a retry or fails the job
+   * @param {Object} job - Running job
+   * @param {Error} error - Error from the handler
+   */
+  _handleFailure(job, error) {
+    const canRetry =
+      error.retryable !== false && job.attempts < job.maxAttempts;
+
+    if (!canRetry) {
+      console.error(`❌ Job failed [${job.type}] [${job.id}]:`, error.message);
+      this._finish(job.id, { status: JOB_STATUS.FAILED, error: error.message });
+      return;
+    }
+
+    const retryDelay =
+      this.handlers.get(job.type).retryDelay ?? this.options.retryDelay;
+    const delay = retryDelay * Math.pow(2, job.attempts - 1);
+    console.warn(
+      `⚠️  Job attempt ${job.attempts} failed [${job.type}] [${job.id}], retrying in ${delay}ms:`,
+      error.message
+    );
+    this.repository.update(job.id, {
+      status: JOB_STATUS.QUEUED,
+      error: error.message,
+      runAfter: new Date(Date.now() + delay).toISOString(),
+    });
+  }
+
+  /**
+   * @private
+   * @method _finish
+   * @description Moves a job to a final status, frees its audio and trims
+   * old finished jobs
+   * @param {string} id - Job id
+   * @param {Object} changes - Final status and outcome
+   * @returns {Object} Final job view
+   */
+  _finish(id, changes) {
+    const job = this.repository.update(id, {
+      ...changes,
+      runAfter: null,
+      finishedAt: new Date().toISOString(),
+    });
+    if (job.hasAudio) this.audio.remove(this._audioKey(id));
+
+    this._pruneFinished();
+    this.emit("finished", job);
+    if (this.handlers.get(job.type)?.retainFinished === false) {
+      this.repository.remove(id);
+    }
+    return job;
+  }
+
+  /**
+   * @private
+   * @method _pruneFinished
+   * @description Deletes the oldest finished jobs beyond the retention limit
+   */
+  _pruneFinished() {
+    const finished = FINISHED_STATUSES.flatMap((status) =>
+      this.repository.list({ status })
+    ).sort((a, b) => a.finishedAt.localeCompare(b.finishedAt));
+
+    finished
+      .slice(0, Math.max(0, finished.length - this.options.retainFinished))
+      .forEach((job) => this.repository.remove(job.id));
+  }
+
+  /**
+   * @private
+   * @method _audioKey
+   * @param {string} id - Job id
+   * @returns {string} Audio store key for the job's input
+   */
+  _audioKey(id) {
+    return `jobs/${id}`;
+  }
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  JobQueue,
+  JobError,
+  JOB_STATUS,
+  FINISHED_STATUSES,
+  JOB_QUEUE_DEFAULTS,
+};
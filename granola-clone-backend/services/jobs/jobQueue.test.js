@@ -0,0 +1,274 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createStorage } = require("../storage");
+const { JobQueue, JobError, JOB_STATUS } = require("./jobQueue");
+
+let dataPath;
+let storage;
+
+const createQueue = (options = {}) =>
+  new JobQueue({
+    repository: storage.jobs,
+    audio: storage.audio,
+    retryDelay: 10,
+    ...options,
+  });
+
+// A promise with its resolve function, for handlers the test finishes
+const deferred = () => {
+  let resolve;
+  const promise = new Promise((done) => (resolve = done));
+  return { promise, resolve };
+};
+
+const failing = (message, extra = {}) =>
+  Object.assign(new Error(message), extra);
+
+beforeEach(() => {
+  dataPath = fs.mkdtempSync(path.join(os.tmpdir(), "granola-jobs-"));
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+  jest.spyOn(console, "error").mockImplementation(() => {});
+  storage = createStorage({ get: () => dataPath });
+});
+
+afterEach(() => {
+  storage.engine.close();
+  jest.restoreAllMocks();
+  fs.rmSync(dataPath, { recursive: true, force: true });
+});
+
+describe("retries", () => {
+  test("failed attempts are retried with exponential backoff", async () => {
+    const queue = createQueue({ maxAttempts: 3 }).start();
+    let calls = 0;
+    queue.register("work", async () => {
+      calls += 1;
+      if (calls < 3) throw failing(`attempt ${calls} failed`);
+      return { ok: true };
+    });
+
+    await expect(queue.run("work", { n: 1 })).resolves.toEqual({ ok: true });
+    const [job] = queue.list({ type: "work" });
+    expect(job).toEqual(
+      expect.objectContaining({ status: JOB_STATUS.SUCCEEDED, attempts: 3 })
+    );
+    const delays = console.warn.mock.calls.map(
+      ([message]) => message.match(/retrying in (\d+)ms/)[1]
+    );
+    expect(delays).toEqual(["10", "20"]);
+    queue.stop();
+  });
+
+  test("a job fails once its attempts are used up", async () => {
+    const queue = createQueue({ maxAttempts: 2 }).start();
+    queue.register("work", async () => {
+      throw failing("provider down");
+    });
+
+    const error = await queue.run("work").catch((caught) => caught);
+    expect(error).toBeInstanceOf(JobError);
+    expect(error.message).toBe("provider down");
+    expect(error.job).toEqual(
+      expect.objectContaining({ status: JOB_STATUS.FAILED, attempts: 2 })
+    );
+    queue.stop();
+  });
+
+  test("errors marked not retryable fail on the first attempt", async () => {
+    const queue = createQueue({ maxAttempts: 3 }).start();
+    queue.register("work", async () => {
+      throw failing("unreadable audio", { retryable: false });
+    });
+
+    const error = await queue.run("work").catch((caught) => caught);
+    expect(error.job.attempts).toBe(1);
+    expect(console.warn).not.toHaveBeenCalled();
+    queue.stop();
+  });
+
+  test("a job type can set its own attempts and retry delay", async () => {
+    const queue = createQueue({ maxAttempts: 5 }).start();
+    queue.register(
+      "live",
+      async () => {
+        throw failing("provider down");
+      },
+      { maxAttempts: 2, retryDelay: 1 }
+    );
+
+    const error = await queue.run("live").catch((caught) => caught);
+    expect(error.job.attempts).toBe(2);
+    expect(console.warn.mock.calls[0][0]).toMatch(/retrying in 1ms/);
+    queue.stop();
+  });
+});
+
+describe("cancel", () => {
+  test("a running job is aborted and its late result discarded", async () => {
+    const queue = createQueue().start();
+    const finish = deferred();
+    let signal;
+    queue.register("work", async (job, context) => {
+      ({ signal } = context);
+      await finish.promise;
+      return "too late";
+    });
+
+    const job = queue.submit("work", {}, { audio: Buffer.from("audio") });
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(queue.get(job.id).status).toBe(JOB_STATUS.RUNNING);
+
+    const cancelled = queue.cancel(job.id);
+    expect(cancelled.status).toBe(JOB_STATUS.CANCELLED);
+    expect(signal.aborted).toBe(true);
+    expect(storage.audio.has(`jobs/${job.id}`)).toBe(false);
+
+    finish.resolve();
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(queue.get(job.id)).toEqual(
+      expect.objectContaining({ status: JOB_STATUS.CANCELLED, result: null })
+    );
+    queue.stop();
+  });
+
+  test("a queued job never runs and its waiter is rejected", async () => {
+    const queue = createQueue();
+    const handler = jest.fn();
+    queue.register("work", handler);
+
+    const waiting = queue.run("work").catch((caught) => caught);
+    const [job] = queue.list({ status: JOB_STATUS.QUEUED });
+    queue.cancel(job.id);
+
+    expect((await waiting).message).toBe("Job cancelled");
+    queue.start();
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(handler).not.toHaveBeenCalled();
+    queue.stop();
+  });
+
+  test("cancelling a finished job leaves it unchanged", async () => {
+    const queue = createQueue().start();
+    queue.register("work", async () => "done");
+    await queue.run("work");
+    const [job] = queue.list();
+
+    expect(queue.cancel(job.id).status).toBe(JOB_STATUS.SUCCEEDED);
+    expect(queue.cancel("missing")).toBeNull();
+    queue.stop();
+  });
+});
+
+describe("scheduling", () => {
+  test("no more than `concurrency` jobs run at once", async () => {
+    const queue = createQueue({ concurrency: 1 }).start();
+    const finishes = [deferred(), deferred()];
+    let started = 0;
+    queue.register("work", async (job) => {
+      started += 1;
+      await finishes[job.payload.n].promise;
+    });
+
+    const first = queue.run("work", { n: 0 });
+    const second = queue.run("work", { n: 1 });
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(started).toBe(1);
+
+    finishes[0].resolve();
+    await first;
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(started).toBe(2);
+
+    finishes[1].resolve();
+    await second;
+    queue.stop();
+  });
+
+  test("a restart re-queues recoverable jobs and fails the others", async () => {
+    // Left running by a previous process
+    const interrupted = (type) => {
+      const { id } = createQueue().register(type, jest.fn()).submit(type);
+      return storage.jobs.update(id, { status: JOB_STATUS.RUNNING });
+    };
+    const recoverable = interrupted("upload");
+    const live = interrupted("live");
+
+    const queue = createQueue();
+    queue.register("upload", async () => "recovered");
+    queue.register("live", jest.fn(), { recoverable: false });
+    queue.start();
+
+    expect(await queue.wait(recoverable.id)).toEqual(
+      expect.objectContaining({
+        status: JOB_STATUS.SUCCEEDED,
+        result: "recovered",
+      })
+    );
+    expect(queue.get(live.id)).toEqual(
+      expect.objectContaining({
+        status: JOB_STATUS.FAILED,
+        error: "Interrupted by server restart",
+      })
+    );
+    queue.stop();
+  });
+
+  test("higher-priority jobs start before older queued ones", async () => {
+    const queue = createQueue({ concurrency: 1 });
+    const started = [];
+    queue.register("upload", async (job) => started.push(job.payload.n));
+    queue.register("live", async (job) => started.push(job.payload.n), {
+      priority: 1,
+    });
+
+    const jobs = [
+      queue.submit("upload", { n: "upload 1" }),
+      queue.submit("upload", { n: "upload 2" }),
+      queue.submit("live", { n: "live" }),
+    ];
+    queue.start();
+    await Promise.all(jobs.map(({ id }) => queue.wait(id)));
+
+    expect(started).toEqual(["live", "upload 1", "upload 2"]);
+    queue.stop();
+  });
+
+  test("a type with its own concurrency does not wait for shared slots", async () => {
+    const queue = createQueue({ concurrency: 1 }).start();
+    const upload = deferred();
+    const running = { upload: 0, live: 0 };
+    queue.register("upload", async () => {
+      running.upload += 1;
+      await upload.promise;
+    });
+    queue.register(
+      "live",
+      () => {
+        running.live += 1;
+        return new Promise(() => {});
+      },
+      { concurrency: 2 }
+    );
+
+    const uploads = [queue.run("upload"), queue.run("upload")];
+    [1, 2, 3].forEach(() => queue.submit("live"));
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(running).toEqual({ upload: 1, live: 2 });
+
+    upload.resolve();
+    await Promise.all(uploads);
+    expect(running).toEqual({ upload: 2, live: 2 });
+    queue.stop();
+  });
+
+  test("types that do not retain finished jobs delete them", async () => {
+    const queue = createQueue().start();
+    queue.register("live", async () => "text", { retainFinished: false });
+
+    await expect(queue.run("live")).resolves.toBe("text");
+    expect(queue.list()).toEqual([]);
+    queue.stop();
+  });
+});
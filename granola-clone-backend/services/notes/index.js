@@ -0,0 +1,132 @@
+/**
+ * @fileoverview Meeting Notes Enhancement
+ * @description Fills out rough meeting notes with what was said around them.
+ * Each note carries the time (seconds into the recording) it was written at;
+ * enhancing attaches the transcript passages near that time to the note.
+ *
+ * - A note collects segments from CONTEXT_BEFORE seconds before it was
+ *   written to CONTEXT_AFTER seconds after; people note things down just
+ *   after hearing them, so the window mostly looks back
+ * - A segment near several notes goes to the closest one, so no passage is
+ *   quoted twice
+ * - Consecutive segments of one speaker are joined into a single passage
+ * - Notes written before recording started (time null) get no passages
+ *
+ * @author AI Assistant
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const NOTES_CONFIG = {
+  CONTEXT_BEFORE: 45, // Seconds of transcript before a note
+  CONTEXT_AFTER: 15, // Seconds of transcript after a note
+};
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * @function distanceToNote
+ * @description How far a segment lies from the moment a note was written
+ * @param {Object} segment - Transcript segment
+ * @param {number} time - Note time in seconds
+ * @returns {number} Seconds between them; 0 if the note falls inside
+ */
+function distanceToNote(segment, time) {
+  if (time < segment.startTime) return segment.startTime - time;
+  if (time > segment.endTime) return time - segment.endTime;
+  return 0;
+}
+
+/**
+ * @function toPassages
+ * @description Joins consecutive segments of the same speaker
+ * @param {Object[]} segments - Ordered segments
+ * @returns {Object[]} Passages {startTime, endTime, speaker, text,
+ *   segmentIndexes}
+ */
+function toPassages(segments) {
+  const passages = [];
+  for (const segment of segments) {
+    const last = passages[passages.length - 1];
+    if (last && last.speaker === (segment.speaker ?? null)) {
+      last.endTime = segment.endTime;
+      last.text = `${last.text} ${segment.text.trim()}`;
+      last.segmentIndexes.push(segment.index);
+      continue;
+    }
+    passages.push({
+      startTime: segment.startTime,
+      endTime: segment.endTime,
+      speaker: segment.speaker ?? null,
+      text: segment.text.trim(),
+      segmentIndexes: [segment.index],
+    });
+  }
+  return passages;
+}
+
+// =============================================================================
+// ENHANCEMENT
+// =============================================================================
+
+/**
+ * @function enhanceNotes
+ * @description Merges each note of a transcript with the passages around it
+ * @param {Object} transcript - Stored transcript with notes and segments
+ * @param {Object} [options] - Window overrides
+ * @param {number} [options.before] - Seconds of context before a note
+ * @param {number} [options.after] - Seconds of context after a note
+ * @returns {Object} {generatedAt, notes: [{index, time, text, passages}]}
+ */
+function enhanceNotes(
+  transcript,
+  {
+    before = NOTES_CONFIG.CONTEXT_BEFORE,
+    after = NOTES_CONFIG.CONTEXT_AFTER,
+  } = {}
+) {
+  const notes = transcript.notes || [];
+  const timed = notes.filter((note) => typeof note.time === "number");
+  const assigned = new Map(notes.map((note) => [note.index, []]));
+
+  for (const segment of transcript.segments || []) {
+    if (!segment.text || !segment.text.trim()) continue;
+
+    let closest = null;
+    let closestDistance = Infinity;
+    for (const note of timed) {
+      const inWindow =
+        segment.endTime >= note.time - before &&
+        segment.startTime <= note.time + after;
+      const distance = distanceToNote(segment, note.time);
+      // Ties go to the later note, which was written after hearing it
+      if (inWindow && distance <= closestDistance) {
+        closest = note;
+        closestDistance = distance;
+      }
+    }
+    if (closest) assigned.get(closest.index).push(segment);
+  }
+
+  return {
+    generatedAt: new Date().toISOString(),
+    notes: notes.map((note) => ({
+      index: note.index,
+      time: note.time,
+      text: note.text,
+      passages: toPassages(assigned.get(note.index)),
+    })),
+  };
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = { enhanceNotes, NOTES_CONFIG };
@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Transcript Search
+ * @description Full-text search across every transcript's title, text and
+ * meeting notes, with Hindi-aware tokenisation.
+ *
+ * Words are matched by their normalised form and by a phonetic key, so a
+ * query finds Devanagari, Hinglish and variant spellings of the same word
+ * (see normalizer.js). Hits are ranked transcripts, each with highlighted
+ * snippets pointing at the segments (with timestamps), notes or title they
+ * matched in.
+ *
+ * @author AI Assistant
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+// =============================================================================
+// IMPORTS
+// =============================================================================
+
+const { SearchIndex, SEARCH_CONFIG } = require("./searchIndex");
+const { tokenize } = require("./normalizer");
+
+// =============================================================================
+// FACTORY
+// =============================================================================
+
+/**
+ * @function createSearchService
+ * @description Builds the search service over the transcript repository.
+ * The index is built on the first query; later queries re-index only the
+ * transcripts written since the one before.
+ * @param {Object} storage - Storage layer from createStorage
+ * @returns {{search: Function, matchingIds: Function}} Search service
+ */
+function createSearchService(storage) {
+  const index = new SearchIndex();
+  let indexedVersion = null;
+
+  // Picks up every write since the previous query
+  const refresh = () => {
+    const version = storage.transcripts.version();
+    if (version === indexedVersion) return;
+    index.sync(storage.transcripts.versions(), (id) =>
+      storage.transcripts.get(id)
+    );
+    indexedVersion = version;
+  };
+
+  return {
+    /**
+     * @function search
+     * @description Ranked transcripts matching every word of the query
+     * @param {string} query - Search text
+     * @param {Object} [options] - Pagination
+     * @param {number} [options.page] - 1-based page number
+     * @param {number} [options.limit] - Page size
+     * @returns {{total: number, items: Object[]}} Page of hits {transcript:
+     *   {id, title, date, language}, score, matchCount, matches}
+     */
+    search(query, { page = 1, limit = 10 } = {}) {
+      refresh();
+      const hits = index.search(query);
+      const start = (page - 1) * limit;
+
+      return {
+        total: hits.length,
+        items: hits.slice(start, start + limit).map(({ id, ...hit }) => {
+          const transcript = storage.transcripts.get(id);
+          return {
+            transcript: {
+              id: transcript.id,
+              title: transcript.title,
+              date: transcript.date,
+              language: transcript.language ?? null,
+            },
+            ...hit,
+          };
+        }),
+      };
+    },
+
+    /**
+     * @function matchingIds
+     * @description Ids of transcripts matching every word of the query
+     * @param {string} query - Search text
+     * @returns {Set<string>} Transcript ids
+     */
+    matchingIds(query) {
+      refresh();
+      return new Set(index.search(query).map((hit) => hit.id));
+    },
+  };
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  createSearchService,
+  SearchIndex,
+  SEARCH_CONFIG,
+  tokenize,
+};
@@ -0,0 +1,68 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createSearchService } = require(".");
+const { createStorage } = require("../storage");
+
+let dataPath;
+let storage;
+let search;
+
+beforeEach(() => {
+  dataPath = fs.mkdtempSync(path.join(os.tmpdir(), "granola-search-"));
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  storage = createStorage({ get: () => dataPath });
+  search = createSearchService(storage);
+});
+
+afterEach(() => {
+  storage.engine.close();
+  jest.restoreAllMocks();
+  fs.rmSync(dataPath, { recursive: true, force: true });
+});
+
+describe("createSearchService", () => {
+  test("creates, edits and deletes show up in the next query", () => {
+    const { id } = storage.transcripts.create({
+      title: "Roadmap",
+      content: "Quarterly planning",
+    });
+    expect(search.matchingIds("planning")).toEqual(new Set([String(id)]));
+
+    storage.transcripts.update(id, { content: "Hiring update" });
+    expect(search.matchingIds("planning").size).toBe(0);
+    expect(search.matchingIds("hiring")).toEqual(new Set([String(id)]));
+
+    storage.transcripts.remove(id);
+    expect(search.matchingIds("hiring").size).toBe(0);
+  });
+
+  test("queries without writes in between read no transcripts", () => {
+    storage.transcripts.create({ title: "Alpha", content: "first meeting" });
+    storage.transcripts.create({ title: "Beta", content: "second meeting" });
+    search.matchingIds("meeting");
+    const get = jest.spyOn(storage.transcripts, "get");
+    const all = jest.spyOn(storage.transcripts, "all");
+
+    search.matchingIds("meeting");
+    search.search("first");
+
+    expect(all).not.toHaveBeenCalled();
+    // Only the hit on the page is read, for its title and date
+    expect(get).toHaveBeenCalledTimes(1);
+  });
+
+  test("an edit re-reads only the transcript that changed", () => {
+    const first = storage.transcripts.create({ title: "Alpha", content: "a" });
+    const second = storage.transcripts.create({ title: "Beta", content: "b" });
+    search.matchingIds("alpha");
+    const get = jest.spyOn(storage.transcripts, "get");
+
+    storage.transcripts.update(second.id, { title: "Gamma" });
+    get.mockClear();
+    search.matchingIds("gamma");
+
+    expect(get.mock.calls).toEqual([[String(second.id)]]);
+    expect(search.matchingIds("alpha")).toEqual(new Set([String(first.id)]));
+  });
+});
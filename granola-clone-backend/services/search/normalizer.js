@@ -0,0 +1,246 @@
+/**
+ * @fileoverview Search Normalizer
+ * @description Splits transcript text into search tokens. Each token has two
+ * spellings:
+ *
+ * - `form`: the word folded to one way of writing it. Unicode NFC, lower
+ *   case, Latin accents dropped; in Devanagari the nukta is dropped (ज़रूरी →
+ *   जरूरी), long and short i/u are merged (की → कि), chandrabindu becomes
+ *   anusvara, a nasal consonant before another consonant becomes anusvara
+ *   (हिन्दी → हिंदी) and Devanagari digits become ASCII
+ * - `key`: a rough phonetic key shared by Devanagari and its Hinglish
+ *   spellings, so "नमस्ते" meets "namaste" and "ज़रूरी" meets "zaroori".
+ *   Devanagari is transliterated to Latin first; the key then drops
+ *   aspiration, doubled letters, every "a" but a leading one and a final "e"
+ *
+ * @author AI Assistant
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+// Letters, combining marks (matras) and digits; ZWJ/ZWNJ sit inside words
+const TOKEN_PATTERN = /[\p{L}\p{M}\p{N}\u200C\u200D]+/gu;
+
+const DEVANAGARI_PATTERN = /^[\u0900-\u097F0-9]+$/;
+const LATIN_PATTERN = /^[a-z0-9]+$/;
+
+// Latin accents, the nukta and zero-width joiners carry no meaning for search
+const IGNORED_MARKS = /[\u0300-\u036F\u093C\u200C\u200D]/g;
+
+// Nasal consonant + virama before a consonant is written as anusvara too
+const NASAL_CLUSTER = /[ङञणनम]\u094D(?=[\u0915-\u0939])/g;
+
+// Spellings Hindi writers use interchangeably, folded to one of them
+const DEVANAGARI_VARIANTS = {
+  "\u0901": "\u0902", // chandrabindu → anusvara (हँसी → हंसी)
+  "\u0940": "\u093F", // ी → ि
+  "\u0942": "\u0941", // ू → ु
+  ई: "इ",
+  ऊ: "उ",
+  "\u0945": "\u0947", // ॅ → े
+  "\u0949": "\u094B", // ॉ → ो (कॉल → कोल)
+  ऍ: "ए",
+  ऑ: "ओ",
+};
+
+const DEVANAGARI_ZERO = 0x0966;
+
+const CONSONANTS = {
+  क: "k",
+  ख: "kh",
+  ग: "g",
+  घ: "gh",
+  ङ: "n",
+  च: "ch",
+  छ: "chh",
+  ज: "j",
+  झ: "jh",
+  ञ: "n",
+  ट: "t",
+  ठ: "th",
+  ड: "d",
+  ढ: "dh",
+  ण: "n",
+  त: "t",
+  थ: "th",
+  द: "d",
+  ध: "dh",
+  न: "n",
+  प: "p",
+  फ: "ph",
+  ब: "b",
+  भ: "bh",
+  म: "m",
+  य: "y",
+  र: "r",
+  ल: "l",
+  ळ: "l",
+  व: "v",
+  श: "sh",
+  ष: "sh",
+  स: "s",
+  ह: "h",
+};
+
+const VOWELS = {
+  अ: "a",
+  आ: "aa",
+  इ: "i",
+  उ: "u",
+  ऋ: "ri",
+  ए: "e",
+  ऐ: "ai",
+  ओ: "o",
+  औ: "au",
+};
+
+const MATRAS = {
+  "\u093E": "aa",
+  "\u093F": "i",
+  "\u0941": "u",
+  "\u0943": "ri",
+  "\u0947": "e",
+  "\u0948": "ai",
+  "\u094B": "o",
+  "\u094C": "au",
+};
+
+const SIGNS = {
+  "\u0902": "n", // anusvara
+  "\u0903": "h", // visarga
+  ॐ: "om",
+};
+
+const VIRAMA = "\u094D";
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * @function normalizeWord
+ * @description Folds a word to its search form
+ * @param {string} word - Word as written
+ * @returns {string} Search form (may be empty)
+ */
+function normalizeWord(word) {
+  return Array.from(
+    word.normalize("NFD").toLowerCase().replace(IGNORED_MARKS, ""),
+    (char) => {
+      const code = char.charCodeAt(0);
+      if (code >= DEVANAGARI_ZERO && code <= DEVANAGARI_ZERO + 9) {
+        return String(code - DEVANAGARI_ZERO);
+      }
+      return DEVANAGARI_VARIANTS[char] || char;
+    }
+  )
+    .join("")
+    .replace(NASAL_CLUSTER, "\u0902")
+    .normalize("NFC");
+}
+
+/**
+ * @function transliterate
+ * @description Romanises a normalised Devanagari word the way it is usually
+ * typed in Hinglish: consonants carry the inherent "a" unless a matra or
+ * virama follows, and the final one is dropped (कल → kal)
+ * @param {string} form - Normalised Devanagari word
+ * @returns {string} Latin spelling
+ */
+function transliterate(form) {
+  const chars = Array.from(form);
+  return chars
+    .map((char, i) => {
+      if (CONSONANTS[char] === undefined) {
+        return (
+          MATRAS[char] ??
+          VOWELS[char] ??
+          SIGNS[char] ??
+          (char === VIRAMA ? "" : char)
+        );
+      }
+      const next = chars[i + 1];
+      const hasInherentVowel =
+        next !== undefined && next !== VIRAMA && MATRAS[next] === undefined;
+      return CONSONANTS[char] + (hasInherentVowel ? "a" : "");
+    })
+    .join("");
+}
+
+/**
+ * @function phoneticKey
+ * @description Reduces a Latin spelling to the sounds Hinglish spellings
+ * agree on: "ph" is f, w is v, z is j, q is k, "ee" is i, "oo" is u; the h of
+ * aspirated consonants, doubled letters and non-leading "a" are dropped
+ * @param {string} latin - Lower-case Latin word
+ * @returns {string} Phonetic key
+ */
+function phoneticKey(latin) {
+  const key = latin
+    .replace(/ph/g, "f")
+    .replace(/x/g, "ks")
+    .replace(/ee/g, "i")
+    .replace(/oo/g, "u")
+    .replace(/w/g, "v")
+    .replace(/z/g, "j")
+    .replace(/q/g, "k")
+    .replace(/([bcdfgjklmnprstvy])h+/g, "$1")
+    .replace(/(?!^)a/g, "")
+    .replace(/(.)\1+/g, "$1")
+    .replace(/(?<=..)e$/, "");
+  return key || latin;
+}
+
+/**
+ * @function keyFor
+ * @description Phonetic key of a search form; words in other scripts are
+ * their own key
+ * @param {string} form - Search form
+ * @returns {string} Key
+ */
+function keyFor(form) {
+  if (LATIN_PATTERN.test(form)) return phoneticKey(form);
+  if (DEVANAGARI_PATTERN.test(form)) return phoneticKey(transliterate(form));
+  return form;
+}
+
+// =============================================================================
+// TOKENIZER
+// =============================================================================
+
+/**
+ * @function tokenize
+ * @description Splits text into search tokens
+ * @param {string} text - Text to split
+ * @returns {Array<{form: string, key: string, start: number, end: number}>}
+ *   Tokens with their offsets in the original text
+ */
+function tokenize(text) {
+  const tokens = [];
+  for (const match of String(text || "").matchAll(TOKEN_PATTERN)) {
+    const form = normalizeWord(match[0]);
+    if (!form) continue;
+    tokens.push({
+      form,
+      key: keyFor(form),
+      start: match.index,
+      end: match.index + match[0].length,
+    });
+  }
+  return tokens;
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  tokenize,
+  normalizeWord,
+  transliterate,
+  phoneticKey,
+};
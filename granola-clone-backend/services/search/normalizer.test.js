@@ -0,0 +1,73 @@
+const {
+  normalizeWord,
+  phoneticKey,
+  tokenize,
+  transliterate,
+} = require("./normalizer");
+
+const keyOf = (word) => tokenize(word)[0].key;
+
+describe("normalizeWord", () => {
+  test("folds Devanagari spelling variants to one form", () => {
+    expect(normalizeWord("ज़रूरी")).toBe(normalizeWord("जरूरी"));
+    expect(normalizeWord("हिन्दी")).toBe(normalizeWord("हिंदी"));
+    expect(normalizeWord("की")).toBe(normalizeWord("कि"));
+    expect(normalizeWord("हँसी")).toBe(normalizeWord("हंसी"));
+    expect(normalizeWord("कॉल")).toBe("कोल");
+  });
+
+  test("composes to NFC whatever the input", () => {
+    const decomposed = "\u0915\u093C"; // क + nukta
+    const composed = "\u0958"; // क़
+
+    expect(normalizeWord(decomposed)).toBe(normalizeWord(composed));
+    expect(normalizeWord("Café")).toBe("cafe");
+  });
+
+  test("Devanagari digits become ASCII", () => {
+    expect(normalizeWord("१२३")).toBe("123");
+  });
+});
+
+describe("phonetic keys", () => {
+  test("Devanagari and Hinglish spellings of a word share a key", () => {
+    expect(keyOf("नमस्ते")).toBe(keyOf("namaste"));
+    expect(keyOf("ज़रूरी")).toBe(keyOf("zaroori"));
+    expect(keyOf("हिंदी")).toBe(keyOf("hindi"));
+  });
+
+  test("different words keep different keys", () => {
+    expect(keyOf("namaste")).not.toBe(keyOf("namaskar"));
+    expect(keyOf("कल")).not.toBe(keyOf("काम"));
+  });
+
+  test("transliteration drops the final inherent vowel", () => {
+    expect(transliterate("कल")).toBe("kal");
+    expect(transliterate("नमस्ते")).toBe("namaste");
+  });
+
+  test("aspiration and doubled letters are ignored", () => {
+    expect(phoneticKey("bhaat")).toBe(phoneticKey("baat"));
+    expect(phoneticKey("pakka")).toBe(phoneticKey("paka"));
+    expect(phoneticKey("phone")).toBe(phoneticKey("fone"));
+  });
+});
+
+describe("tokenize", () => {
+  test("splits mixed-script text with offsets into the original", () => {
+    const text = "Hello, दुनिया!  ok";
+
+    const tokens = tokenize(text);
+
+    expect(tokens.map(({ form }) => form)).toEqual(["hello", "दुनिया", "ok"]);
+    tokens.forEach(({ start, end }, i) =>
+      expect(normalizeWord(text.slice(start, end))).toBe(tokens[i].form)
+    );
+  });
+
+  test("empty and missing text has no tokens", () => {
+    expect(tokenize("")).toEqual([]);
+    expect(tokenize(null)).toEqual([]);
+    expect(tokenize(" , . ")).toEqual([]);
+  });
+});
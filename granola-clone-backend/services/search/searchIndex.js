@@ -0,0 +1,311 @@
+/**
+ * @fileoverview Search Index
+ * @description In-memory inverted index over transcript titles, segments (or
+ * the plain content of transcripts without segments) and meeting notes.
+ *
+ * - Postings are keyed by phonetic key, so one lookup finds the Devanagari,
+ *   Hinglish and variant spellings of a word; a posting whose form differs
+ *   from the query's counts for TRANSLITERATION_WEIGHT of an exact one
+ * - Every query word must match (AND); transcripts are ranked with BM25, a
+ *   word in the title counting more than one in the transcript or notes
+ * - The index syncs against the stored transcripts' row versions before
+ *   each query, reading and re-indexing only those written since
+ *
+ * @author AI Assistant
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+// =============================================================================
+// IMPORTS
+// =============================================================================
+
+const { tokenize } = require("./normalizer");
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const SEARCH_CONFIG = {
+  FIELD_WEIGHTS: { title: 3, note: 1.5, segment: 1, content: 1 },
+  TRANSLITERATION_WEIGHT: 0.6, // Same sounds, different spelling or script
+  BM25_K1: 1.2,
+  BM25_B: 0.75,
+  MAX_MATCHES: 3, // Snippets returned per transcript
+  SNIPPET_LENGTH: 160, // Characters; longer text is cut around the first hit
+  SNIPPET_LEAD: 60, // Characters kept before the first hit
+};
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * @function searchableUnits
+ * @description Splits a transcript into the pieces a hit can point at
+ * @param {Object} transcript - Stored transcript
+ * @returns {Object[]} Units {field, text, ...position in the meeting}
+ */
+function searchableUnits(transcript) {
+  const units = [{ field: "title", text: transcript.title || "" }];
+
+  const segments = transcript.segments || [];
+  if (segments.length > 0) {
+    segments.forEach((segment) =>
+      units.push({
+        field: "segment",
+        index: segment.index,
+        startTime: segment.startTime,
+        endTime: segment.endTime,
+        speaker: segment.speaker ?? null,
+        text: segment.text,
+      })
+    );
+  } else if (transcript.content) {
+    // Transcripts from before segments existed only have their content
+    units.push({ field: "content", text: transcript.content });
+  }
+
+  (transcript.notes || []).forEach((note) =>
+    units.push({
+      field: "note",
+      index: note.index,
+      time: note.time ?? null,
+      text: note.text,
+    })
+  );
+
+  return units;
+}
+
+/**
+ * @function snippet
+ * @description Cuts long text down to the part around its first highlight
+ * @param {string} text - Unit text
+ * @param {Array<number[]>} highlights - [start, end] offsets into text
+ * @returns {{text: string, highlights: Array<number[]>}} Snippet with its
+ *   highlights shifted to match
+ */
+function snippet(text, highlights) {
+  const sorted = [...highlights].sort((a, b) => a[0] - b[0]);
+  if (text.length <= SEARCH_CONFIG.SNIPPET_LENGTH) {
+    return { text, highlights: sorted };
+  }
+
+  const [firstStart, firstEnd] = sorted[0];
+  // Start and end on word boundaries
+  let from = Math.max(0, firstStart - SEARCH_CONFIG.SNIPPET_LEAD);
+  if (from > 0) from = text.lastIndexOf(" ", from) + 1;
+  let to = Math.min(text.length, from + SEARCH_CONFIG.SNIPPET_LENGTH);
+  if (to < text.length) {
+    const space = text.lastIndexOf(" ", to);
+    if (space > firstEnd) to = space;
+  }
+
+  const prefix = from > 0 ? "…" : "";
+  const suffix = to < text.length ? "…" : "";
+  const shift = prefix.length - from;
+
+  return {
+    text: `${prefix}${text.slice(from, to)}${suffix}`,
+    highlights: sorted
+      .filter(([start, end]) => start >= from && end <= to)
+      .map(([start, end]) => [start + shift, end + shift]),
+  };
+}
+
+/**
+ * @function toMatch
+ * @description Builds the API shape of a matching unit
+ * @param {Object} unit - Searchable unit
+ * @param {Array<number[]>} highlights - Offsets of matched words
+ * @returns {Object} Match {field, ...position, text, highlights}
+ */
+function toMatch(unit, highlights) {
+  const { text, ...position } = unit;
+  return { ...position, ...snippet(text, highlights) };
+}
+
+// =============================================================================
+// SEARCH INDEX CLASS
+// =============================================================================
+
+/**
+ * @class SearchIndex
+ * @description Inverted index from phonetic key to the transcripts and
+ * units a word appears in
+ */
+class SearchIndex {
+  constructor() {
+    // key -> Map(transcriptId -> [{unit, form, start, end}])
+    this.postings = new Map();
+    // transcriptId -> {version, units, keys, length}
+    this.documents = new Map();
+    this.totalLength = 0;
+  }
+
+  /**
+   * @method sync
+   * @description Brings the index in line with the stored transcripts
+   * @param {Map<string, number>} versions - Version of every stored
+   *   transcript by id
+   * @param {Function} load - Reads a transcript by id; only called for
+   *   transcripts whose version changed
+   */
+  sync(versions, load) {
+    for (const [id, version] of versions) {
+      const existing = this.documents.get(id);
+      if (existing?.version === version) continue;
+
+      if (existing) this._remove(id);
+      const transcript = load(id);
+      if (transcript) this._add(id, searchableUnits(transcript), version);
+    }
+
+    for (const id of this.documents.keys()) {
+      if (!versions.has(id)) this._remove(id);
+    }
+  }
+
+  /**
+   * @method search
+   * @description Ranks transcripts containing every word of the query
+   * @param {string} query - Search text
+   * @returns {Object[]} Hits {id, score, matchCount, matches} by score,
+   *   where matches are the best MAX_MATCHES units in meeting order
+   */
+  search(query) {
+    const terms = new Map();
+    tokenize(query).forEach((token) => terms.set(token.key, token));
+    if (terms.size === 0) return [];
+
+    // Transcripts containing every term
+    let candidates = null;
+    for (const key of terms.keys()) {
+      const ids = this.postings.get(key);
+      if (!ids) return [];
+      candidates = candidates
+        ? candidates.filter((id) => ids.has(id))
+        : Array.from(ids.keys());
+    }
+
+    const documentCount = this.documents.size;
+    const averageLength = Math.max(this.totalLength / documentCount, 1);
+    const { BM25_K1: k1, BM25_B: b } = SEARCH_CONFIG;
+
+    return candidates
+      .map((id) => {
+        const document = this.documents.get(id);
+        const lengthNorm = 1 - b + (b * document.length) / averageLength;
+        // unit position -> {keys, exact, highlights}
+        const hitUnits = new Map();
+        let score = 0;
+
+        for (const [key, term] of terms) {
+          const ids = this.postings.get(key);
+          let frequency = 0;
+
+          for (const posting of ids.get(id)) {
+            const exact = posting.form === term.form;
+            const unit = document.units[posting.unit];
+            frequency +=
+              SEARCH_CONFIG.FIELD_WEIGHTS[unit.field] *
+              (exact ? 1 : SEARCH_CONFIG.TRANSLITERATION_WEIGHT);
+
+            const hit = hitUnits.get(posting.unit) || {
+              keys: new Set(),
+              exact: 0,
+              highlights: [],
+            };
+            hit.keys.add(key);
+            if (exact) hit.exact += 1;
+            hit.highlights.push([posting.start, posting.end]);
+            hitUnits.set(posting.unit, hit);
+          }
+
+          const idf = Math.log(
+            1 + (documentCount - ids.size + 0.5) / (ids.size + 0.5)
+          );
+          score += (idf * frequency * (k1 + 1)) / (frequency + k1 * lengthNorm);
+        }
+
+        // Units matching the most words (then exactly) make the snippets
+        const matches = Array.from(hitUnits)
+          .sort(
+            ([positionA, hitA], [positionB, hitB]) =>
+              hitB.keys.size - hitA.keys.size ||
+              hitB.exact - hitA.exact ||
+              positionA - positionB
+          )
+          .slice(0, SEARCH_CONFIG.MAX_MATCHES)
+          .sort(([positionA], [positionB]) => positionA - positionB)
+          .map(([position, hit]) =>
+            toMatch(document.units[position], hit.highlights)
+          );
+
+        return {
+          id,
+          score: Math.round(score * 1000) / 1000,
+          matchCount: hitUnits.size,
+          matches,
+        };
+      })
+      .sort((a, b) => b.score - a.score || Number(b.id) - Number(a.id));
+  }
+
+  /**
+   * @private
+   * @method _add
+   * @param {string} id - Transcript id
+   * @param {Object[]} units - Searchable units
+   * @param {number} version - Version of the transcript they came from
+   */
+  _add(id, units, version) {
+    const keys = new Set();
+    let length = 0;
+
+    units.forEach((unit, position) => {
+      for (const token of tokenize(unit.text)) {
+        length += 1;
+        keys.add(token.key);
+
+        if (!this.postings.has(token.key)) {
+          this.postings.set(token.key, new Map());
+        }
+        const ids = this.postings.get(token.key);
+        if (!ids.has(id)) ids.set(id, []);
+        ids.get(id).push({
+          unit: position,
+          form: token.form,
+          start: token.start,
+          end: token.end,
+        });
+      }
+    });
+
+    this.documents.set(id, { version, units, keys, length });
+    this.totalLength += length;
+  }
+
+  /**
+   * @private
+   * @method _remove
+   * @param {string} id - Transcript id
+   */
+  _remove(id) {
+    const document = this.documents.get(id);
+    for (const key of document.keys) {
+      const ids = this.postings.get(key);
+      ids.delete(id);
+      if (ids.size === 0) this.postings.delete(key);
+    }
+    this.documents.delete(id);
+    this.totalLength -= document.length;
+  }
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = { SearchIndex, SEARCH_CONFIG };
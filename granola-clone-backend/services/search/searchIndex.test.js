@@ -0,0 +1,170 @@
+const { SearchIndex } = require("./searchIndex");
+
+// An index over the given transcripts, each at version 1
+const indexOf = (...transcripts) => {
+  const index = new SearchIndex();
+  const byId = new Map(
+    transcripts.map((transcript) => [String(transcript.id), transcript])
+  );
+  index.sync(new Map(Array.from(byId.keys(), (id) => [id, 1])), (id) =>
+    byId.get(id)
+  );
+  return index;
+};
+
+const ids = (hits) => hits.map((hit) => hit.id);
+
+describe("SearchIndex ranking", () => {
+  test("every query word must match", () => {
+    const index = indexOf(
+      { id: 1, title: "Budget", content: "Budget review for marketing" },
+      { id: 2, title: "Hiring", content: "Budget for hiring" }
+    );
+
+    expect(ids(index.search("budget marketing"))).toEqual(["1"]);
+    expect(index.search("budget roadmap")).toEqual([]);
+    expect(index.search("  ")).toEqual([]);
+  });
+
+  test("more occurrences rank higher, with diminishing returns", () => {
+    const index = indexOf(
+      { id: 1, title: "Sync", content: "launch plan and other things" },
+      { id: 2, title: "Sync", content: "launch launch launch plan things" },
+      { id: 3, title: "Sync", content: "nothing relevant here at all" }
+    );
+
+    const [first, second] = index.search("launch");
+
+    expect([first.id, second.id]).toEqual(["2", "1"]);
+    expect(first.score).toBeLessThan(second.score * 3);
+  });
+
+  test("rare words weigh more than common ones", () => {
+    const index = indexOf(
+      { id: 1, title: "A", content: "team roadmap" },
+      { id: 2, title: "B", content: "team update" },
+      { id: 3, title: "C", content: "team update" }
+    );
+
+    const [roadmap] = index.search("roadmap");
+    const [team] = index.search("team");
+
+    expect(roadmap.score).toBeGreaterThan(team.score);
+  });
+
+  test("a word in the title counts more than one in the text", () => {
+    const index = indexOf(
+      { id: 1, title: "Weekly sync", content: "we talked about pricing" },
+      { id: 2, title: "Pricing", content: "we talked about the weekly sync" }
+    );
+
+    expect(ids(index.search("pricing"))).toEqual(["2", "1"]);
+  });
+
+  test("a transliterated match counts less than an exact one", () => {
+    const index = indexOf(
+      { id: 1, title: "Call", content: "नमस्ते सब लोग" },
+      { id: 2, title: "Call", content: "namaste sab log" }
+    );
+
+    const hits = index.search("namaste");
+
+    expect(ids(hits)).toEqual(["2", "1"]);
+    expect(hits[1].score).toBeGreaterThan(0);
+  });
+});
+
+describe("SearchIndex matches", () => {
+  test("segment matches carry their timestamps and highlights", () => {
+    const index = indexOf({
+      id: 1,
+      title: "Standup",
+      segments: [
+        { index: 0, startTime: 0, endTime: 3, text: "Good morning" },
+        {
+          index: 1,
+          startTime: 3,
+          endTime: 7,
+          text: "The deploy is blocked",
+          speaker: "Asha",
+        },
+      ],
+    });
+
+    const [hit] = index.search("deploy");
+
+    expect(hit.matchCount).toBe(1);
+    expect(hit.matches).toEqual([
+      {
+        field: "segment",
+        index: 1,
+        startTime: 3,
+        endTime: 7,
+        speaker: "Asha",
+        text: "The deploy is blocked",
+        highlights: [[4, 10]],
+      },
+    ]);
+  });
+
+  test("long text is cut around the first hit", () => {
+    const filler = "word ".repeat(100);
+    const index = indexOf({
+      id: 1,
+      title: "Notes",
+      content: `${filler}milestone ${filler}`,
+    });
+
+    const [match] = index.search("milestone")[0].matches;
+    const [start, end] = match.highlights[0];
+
+    expect(match.text.startsWith("…")).toBe(true);
+    expect(match.text.endsWith("…")).toBe(true);
+    expect(match.text.slice(start, end)).toBe("milestone");
+  });
+});
+
+describe("SearchIndex sync", () => {
+  test("only transcripts with a new version are read again", () => {
+    const stored = new Map([
+      ["1", { id: 1, title: "Alpha", content: "first" }],
+      ["2", { id: 2, title: "Beta", content: "second" }],
+    ]);
+    const load = jest.fn((id) => stored.get(id));
+    const index = new SearchIndex();
+    index.sync(
+      new Map([
+        ["1", 1],
+        ["2", 1],
+      ]),
+      load
+    );
+    load.mockClear();
+
+    stored.set("2", { id: 2, title: "Beta", content: "rewritten" });
+    index.sync(
+      new Map([
+        ["1", 1],
+        ["2", 2],
+      ]),
+      load
+    );
+
+    expect(load.mock.calls).toEqual([["2"]]);
+    expect(index.search("second")).toEqual([]);
+    expect(ids(index.search("rewritten"))).toEqual(["2"]);
+  });
+
+  test("transcripts no longer stored leave the index", () => {
+    const index = indexOf(
+      { id: 1, title: "Alpha", content: "shared" },
+      { id: 2, title: "Beta", content: "shared" }
+    );
+
+    index.sync(new Map([["1", 1]]), () => null);
+
+    expect(ids(index.search("shared"))).toEqual(["1"]);
+    expect(index.postings.has("bt")).toBe(false);
+    expect(index.totalLength).toBe(2);
+  });
+});
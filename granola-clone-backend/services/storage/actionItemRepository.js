@@ -0,0 +1,236 @@
+/**
+ * @fileoverview Action Item Repository
+ * @description Action items tracked across meetings. Items are extracted from
+ * a transcript's summary and keep their status when the transcript is
+ * summarised again.
+ *
+ * @author AI Assistant
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+// =============================================================================
+// IMPORTS
+// =============================================================================
+
+const crypto = require("crypto");
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const ACTION_ITEM_STATUS = {
+  OPEN: "open",
+  DONE: "done",
+};
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * @function itemKey
+ * @description Matches an item across summaries of the same transcript
+ * @param {string} text - Action item text
+ * @returns {string} Case- and whitespace-insensitive key
+ */
+const itemKey = (text) => text.replace(/\s+/g, " ").trim().toLowerCase();
+
+// =============================================================================
+// ACTION ITEM REPOSITORY CLASS
+// =============================================================================
+
+/**
+ * @class ActionItemRepository
+ * @description Queries and status changes for action items. Each item is
+ * {id, transcriptId, index, text, owner, due, time, segmentIndex, status,
+ * createdAt, updatedAt, completedAt}
+ */
+class ActionItemRepository {
+  /**
+   * @constructor
+   * @param {StorageEngine} engine - Open storage engine
+   */
+  constructor(engine) {
+    this.engine = engine;
+  }
+
+  /**
+   * @method list
+   * @description Lists action items, newest meeting first and in the order
+   * they came up within a meeting
+   * @param {Object} [filter] - Optional filters
+   * @param {string} [filter.status] - Only items in this status
+   * @param {number} [filter.transcriptId] - Only items from this transcript
+   * @param {string} [filter.owner] - Only items of this owner
+   *   (case-insensitive)
+   * @returns {Object[]} Matching items
+   */
+  list({ status, transcriptId, owner } = {}) {
+    const table = this._table();
+    let items;
+    if (transcriptId !== undefined) {
+      items = table.findBy("transcriptId", transcriptId);
+    } else if (status) {
+      items = table.findBy("status", status);
+    } else {
+      items = table.all();
+    }
+
+    return items
+      .filter((item) => !status || item.status === status)
+      .filter(
+        (item) =>
+          !owner || (item.owner || "").toLowerCase() === owner.toLowerCase()
+      )
+      .sort((a, b) => b.transcriptId - a.transcriptId || a.index - b.index);
+  }
+
+  /**
+   * @method get
+   * @param {string} id - Action item id
+   * @returns {Object|null} Action item or null
+   */
+  get(id) {
+    return this._table().get(id);
+  }
+
+  /**
+   * @method setStatus
+   * @description Marks an item open or done
+   * @param {string} id - Action item id
+   * @param {string} status - One of ACTION_ITEM_STATUS
+   * @returns {Object|null} Updated item or null if not found
+   */
+  setStatus(id, status) {
+    return this.engine.transaction(() => {
+      const table = this._table();
+      const existing = table.get(id);
+      if (!existing) return null;
+      if (existing.status === status) return existing;
+
+      const now = new Date().toISOString();
+      return table.update(id, {
+        ...existing,
+        status,
+        completedAt: status === ACTION_ITEM_STATUS.DONE ? now : null,
+        updatedAt: now,
+      });
+    });
+  }
+
+  /**
+   * @method replaceForTranscript
+   * @description Replaces a transcript's items with those of its latest
+   * summary. Items with the same text keep their id and status; items no
+   * longer in the summary are deleted.
+   * @param {number} transcriptId - Transcript id
+   * @param {Object[]} actionItems - Summary action items ({index, text,
+   *   owner, due, time, segmentIndex})
+   * @returns {Object[]} The transcript's items
+   */
+  replaceForTranscript(transcriptId, actionItems) {
+    return this.engine.transaction(() => {
+      const table = this._table();
+      const previous = new Map(
+        table
+          .findBy("transcriptId", transcriptId)
+          .map((item) => [itemKey(item.text), item])
+      );
+      const now = new Date().toISOString();
+
+      const items = actionItems.map((actionItem) => {
+        const fields = {
+          transcriptId: Number(transcriptId),
+          index: actionItem.index,
+          text: actionItem.text,
+          owner: actionItem.owner ?? null,
+          due: actionItem.due ?? null,
+          time: actionItem.time ?? null,
+          segmentIndex: actionItem.segmentIndex ?? null,
+        };
+
+        const key = itemKey(actionItem.text);
+        const existing = previous.get(key);
+        if (!existing) {
+          return table.insert({
+            id: crypto.randomUUID(),
+            ...fields,
+            status: ACTION_ITEM_STATUS.OPEN,
+            createdAt: now,
+            updatedAt: now,
+            completedAt: null,
+          });
+        }
+
+        previous.delete(key);
+        return table.update(existing.id, {
+          ...existing,
+          ...fields,
+          updatedAt: now,
+        });
+      });
+
+      previous.forEach((item) => table.delete(item.id));
+      return items;
+    });
+  }
+
+  /**
+   * @method renameOwners
+   * @description Applies speaker renames to the owners of a transcript's
+   * items
+   * @param {number} transcriptId - Transcript id
+   * @param {Object<string, string>} renames - Old label -> new label
+   * @returns {number} Number of items changed
+   */
+  renameOwners(transcriptId, renames) {
+    return this.engine.transaction(() => {
+      const table = this._table();
+      const renamed = table
+        .findBy("transcriptId", transcriptId)
+        .filter((item) =>
+          Object.prototype.hasOwnProperty.call(renames, item.owner)
+        );
+
+      renamed.forEach((item) =>
+        table.update(item.id, {
+          ...item,
+          owner: renames[item.owner],
+          updatedAt: new Date().toISOString(),
+        })
+      );
+      return renamed.length;
+    });
+  }
+
+  /**
+   * @method removeForTranscript
+   * @param {number} transcriptId - Transcript id
+   * @returns {number} Number of items deleted
+   */
+  removeForTranscript(transcriptId) {
+    return this.engine.transaction(() => {
+      const table = this._table();
+      const items = table.findBy("transcriptId", transcriptId);
+      items.forEach((item) => table.delete(item.id));
+      return items.length;
+    });
+  }
+
+  /**
+   * @private
+   * @method _table
+   * @returns {Table} Action items table
+   */
+  _table() {
+    return this.engine.table("action_items");
+  }
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = ActionItemRepository;
+module.exports.ACTION_ITEM_STATUS = ACTION_ITEM_STATUS;
@@ -0,0 +1,151 @@
+/**
+ * @fileoverview Audio Store
+ * @description Keeps audio blobs (queued job input, uploaded recordings) as
+ * files under `$DATA_PATH/audio`, next to the database. Keys are relative
+ * paths such as "jobs/<jobId>" or "recordings/<transcriptId>".
+ *
+ * @author AI Assistant
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+// =============================================================================
+// IMPORTS
+// =============================================================================
+
+const fs = require("fs");
+const path = require("path");
+const { StorageError, writeFileAtomic } = require("./storageEngine");
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const AUDIO_STORE_CONFIG = {
+  DIRECTORY: "audio",
+  EXTENSION: ".wav",
+  KEY_PATTERN: /^[a-z]+\/[\w-]+$/i,
+};
+
+// =============================================================================
+// AUDIO STORE CLASS
+// =============================================================================
+
+/**
+ * @class AudioStore
+ * @description Synchronous, crash-safe file storage for audio buffers
+ */
+class AudioStore {
+  /**
+   * @constructor
+   * @param {Object} options - Store options
+   * @param {string} options.dataPath - Data directory
+   */
+  constructor({ dataPath }) {
+    this.root = path.join(dataPath, AUDIO_STORE_CONFIG.DIRECTORY);
+  }
+
+  /**
+   * @method save
+   * @param {string} key - Audio key, e.g. "jobs/abc"
+   * @param {Buffer} buffer - Audio contents
+   */
+  save(key, buffer) {
+    const filePath = this._path(key);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    writeFileAtomic(filePath, buffer);
+  }
+
+  /**
+   * @method saveFile
+   * @description Moves a file into the store without reading it into memory.
+   * The file must be complete and flushed to disk; across file systems it is
+   * copied, synced and the original removed.
+   * @param {string} key - Audio key
+   * @param {string} sourcePath - File to move
+   */
+  saveFile(key, sourcePath) {
+    const filePath = this._path(key);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    try {
+      fs.renameSync(sourcePath, filePath);
+    } catch (error) {
+      if (error.code !== "EXDEV") throw error;
+
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      fs.copyFileSync(sourcePath, tempPath);
+      const fd = fs.openSync(tempPath, "r+");
+      try {
+        fs.fsyncSync(fd);
+      } finally {
+        fs.closeSync(fd);
+      }
+      fs.renameSync(tempPath, filePath);
+      fs.unlinkSync(sourcePath);
+    }
+  }
+
+  /**
+   * @method read
+   * @param {string} key - Audio key
+   * @returns {Buffer|null} Audio contents, or null if missing
+   */
+  read(key) {
+    try {
+      return fs.readFileSync(this._path(key));
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  }
+
+  /**
+   * @method has
+   * @param {string} key - Audio key
+   * @returns {boolean} True if stored
+   */
+  has(key) {
+    return fs.existsSync(this._path(key));
+  }
+
+  /**
+   * @method remove
+   * @param {string} key - Audio key
+   * @returns {boolean} True if a file was deleted
+   */
+  remove(key) {
+    try {
+      fs.unlinkSync(this._path(key));
+      return true;
+    } catch (error) {
+      if (error.code === "ENOENT") return false;
+      throw error;
+    }
+  }
+
+  /**
+   * @private
+   * @method _path
+   * @param {string} key - Audio key
+   * @returns {string} File path for the key
+   * @throws {StorageError} If the key could escape the store directory
+   */
+  _path(key) {
+    if (!AUDIO_STORE_CONFIG.KEY_PATTERN.test(key)) {
+      throw new StorageError(`Invalid audio key: ${key}`, {
+        code: "INVALID_KEY",
+      });
+    }
+    return path.join(this.root, `${key}${AUDIO_STORE_CONFIG.EXTENSION}`);
+  }
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  AudioStore,
+  AUDIO_STORE_CONFIG,
+};
@@ -0,0 +1,54 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { AudioStore } = require("./audioStore");
+
+let dataPath;
+let store;
+let upload;
+
+beforeEach(() => {
+  dataPath = fs.mkdtempSync(path.join(os.tmpdir(), "granola-audio-"));
+  store = new AudioStore({ dataPath });
+  upload = path.join(dataPath, "upload");
+  fs.writeFileSync(upload, "RIFF audio");
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  fs.rmSync(dataPath, { recursive: true, force: true });
+});
+
+describe("AudioStore#saveFile", () => {
+  test("moves the file under its key", () => {
+    store.saveFile("jobs/abc", upload);
+
+    expect(fs.existsSync(upload)).toBe(false);
+    expect(store.read("jobs/abc")).toEqual(Buffer.from("RIFF audio"));
+  });
+
+  test("copies across file systems and removes the original", () => {
+    const rename = fs.renameSync;
+    jest.spyOn(fs, "renameSync").mockImplementation((from, to) => {
+      if (from === upload) {
+        throw Object.assign(new Error("cross-device link"), { code: "EXDEV" });
+      }
+      return rename(from, to);
+    });
+
+    store.saveFile("jobs/abc", upload);
+
+    expect(fs.existsSync(upload)).toBe(false);
+    expect(store.read("jobs/abc")).toEqual(Buffer.from("RIFF audio"));
+    expect(fs.readdirSync(path.join(dataPath, "audio", "jobs"))).toEqual([
+      "abc.wav",
+    ]);
+  });
+
+  test("rejects keys outside the store", () => {
+    expect(() => store.saveFile("../escape", upload)).toThrow(
+      "Invalid audio key"
+    );
+    expect(fs.existsSync(upload)).toBe(true);
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * @fileoverview Storage Layer
+ * @description Opens the storage engine under `storage.dataPath` and exposes
+ * one repository per entity.
+ *
+ * @author AI Assistant
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+// =============================================================================
+// IMPORTS
+// =============================================================================
+
+const { StorageEngine, StorageError } = require("./storageEngine");
+const migrations = require("./migrations");
+const TranscriptRepository = require("./transcriptRepository");
+const JobRepository = require("./jobRepository");
+const ActionItemRepository = require("./actionItemRepository");
+const TemplateRepository = require("./templateRepository");
+const { AudioStore } = require("./audioStore");
+
+// =============================================================================
+// FACTORY
+// =============================================================================
+
+/**
+ * @function createStorage
+ * @description Opens the database (migrating legacy data on first boot)
+ * @param {Object} config - Environment configuration instance
+ * @returns {{engine: StorageEngine, transcripts: TranscriptRepository, jobs: JobRepository, actionItems: ActionItemRepository, templates: TemplateRepository, audio: AudioStore}}
+ *   Open storage with repositories and the audio file store
+ */
+function createStorage(config) {
+  const dataPath = config.get("storage.dataPath");
+  const engine = new StorageEngine({ dataPath, migrations }).open();
+
+  return {
+    engine,
+    transcripts: new TranscriptRepository(engine),
+    jobs: new JobRepository(engine),
+    actionItems: new ActionItemRepository(engine),
+    templates: new TemplateRepository(engine),
+    audio: new AudioStore({ dataPath }),
+  };
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  createStorage,
+  StorageEngine,
+  StorageError,
+  AudioStore,
+};
@@ -0,0 +1,106 @@
+/**
+ * @fileoverview Job Repository
+ * @description Background job records on top of the storage engine.
+ *
+ * @author AI Assistant
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+// =============================================================================
+// JOB REPOSITORY CLASS
+// =============================================================================
+
+/**
+ * @class JobRepository
+ * @description CRUD and status queries for background jobs
+ */
+class JobRepository {
+  /**
+   * @constructor
+   * @param {StorageEngine} engine - Open storage engine
+   */
+  constructor(engine) {
+    this.engine = engine;
+  }
+
+  /**
+   * @method list
+   * @description Lists jobs, oldest first
+   * @param {Object} [filter] - Optional filters
+   * @param {string} [filter.status] - Only jobs in this status
+   * @param {string} [filter.type] - Only jobs of this type
+   * @returns {Object[]} Matching jobs
+   */
+  list({ status, type } = {}) {
+    const jobs = status
+      ? this._table().findBy("status", status)
+      : this._table().all();
+    return jobs
+      .filter((job) => !type || job.type === type)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * @method get
+   * @param {string} id - Job id
+   * @returns {Object|null} Job or null
+   */
+  get(id) {
+    return this._table().get(id);
+  }
+
+  /**
+   * @method create
+   * @param {Object} job - Complete job record with an id
+   * @returns {Object} Stored job
+   */
+  create(job) {
+    return this.engine.transaction(() => this._table().insert(job));
+  }
+
+  /**
+   * @method update
+   * @description Applies field changes to a job
+   * @param {string} id - Job id
+   * @param {Object} changes - Fields to change
+   * @returns {Object|null} Updated job or null if not found
+   */
+  update(id, changes) {
+    return this.engine.transaction(() => {
+      const table = this._table();
+      const existing = table.get(id);
+      if (!existing) return null;
+
+      return table.update(id, {
+        ...existing,
+        ...changes,
+        updatedAt: new Date().toISOString(),
+      });
+    });
+  }
+
+  /**
+   * @method remove
+   * @param {string} id - Job id
+   * @returns {boolean} True if deleted
+   */
+  remove(id) {
+    return this.engine.transaction(() => this._table().delete(id));
+  }
+
+  /**
+   * @private
+   * @method _table
+   * @returns {Table} Jobs table
+   */
+  _table() {
+    return this.engine.table("jobs");
+  }
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = JobRepository;
@@ -0,0 +1,216 @@
+/**
+ * @fileoverview Storage Schema Migrations
+ * @description Ordered, append-only list of schema migrations. Each migration
+ * runs once, inside a transaction, when the database is opened. Never edit a
+ * released migration; add a new one with the next version number instead.
+ *
+ * @author AI Assistant
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+// =============================================================================
+// IMPORTS
+// =============================================================================
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const LEGACY_TRANSCRIPTS_FILE = "transcripts.json";
+
+const DEFAULT_TEMPLATES = [
+  {
+    name: "Standup",
+    description: "Daily team check-in",
+    sections: [
+      {
+        title: "Yesterday",
+        prompt: "What each person finished or worked on yesterday",
+      },
+      { title: "Today", prompt: "What each person plans to work on today" },
+      {
+        title: "Blockers",
+        prompt: "Anything blocked, stuck or waiting on someone",
+      },
+    ],
+  },
+  {
+    name: "1:1",
+    description: "Manager and report one-on-one",
+    sections: [
+      {
+        title: "Updates",
+        prompt: "Progress, wins and news since the last one-on-one",
+      },
+      {
+        title: "Concerns",
+        prompt: "Problems, worries or feedback that came up",
+      },
+      {
+        title: "Growth",
+        prompt: "Career, goals, skills and learning discussed",
+      },
+    ],
+  },
+  {
+    name: "Customer call",
+    description: "Sales or support conversation with a customer",
+    sections: [
+      {
+        title: "Customer needs",
+        prompt: "The customer's problems, requirements and goals",
+      },
+      {
+        title: "Objections",
+        prompt: "Concerns, risks, pricing or competitor questions raised",
+      },
+      {
+        title: "Next steps",
+        prompt: "What was agreed to happen next, with dates",
+      },
+    ],
+  },
+  {
+    name: "Interview",
+    description: "Candidate interview",
+    sections: [
+      {
+        title: "Background",
+        prompt: "The candidate's experience, roles and projects",
+      },
+      {
+        title: "Strengths",
+        prompt: "Skills and answers that stood out positively",
+      },
+      {
+        title: "Concerns",
+        prompt: "Gaps, weak answers or risks to follow up on",
+      },
+    ],
+  },
+];
+
+// =============================================================================
+// MIGRATIONS
+// =============================================================================
+
+const migrations = [
+  {
+    version: 1,
+    name: "create_transcripts",
+    up(engine) {
+      engine.createTable("transcripts", { indexes: ["date"] });
+    },
+  },
+  {
+    version: 2,
+    name: "import_legacy_transcripts_json",
+    up(engine, { dataPath }) {
+      // Earlier releases kept every transcript in data/transcripts.json.
+      // The file is left in place as a backup; it is only read here.
+      const legacyPath = path.join(dataPath, LEGACY_TRANSCRIPTS_FILE);
+      if (!fs.existsSync(legacyPath)) return;
+
+      const legacy = JSON.parse(fs.readFileSync(legacyPath, "utf-8"));
+      if (!Array.isArray(legacy)) {
+        throw new Error(`${legacyPath} does not contain a transcript array`);
+      }
+
+      const transcripts = engine.table("transcripts");
+      legacy.forEach((transcript) => {
+        if (!transcripts.has(transcript.id)) transcripts.insert(transcript);
+      });
+
+      console.log(
+        `📦 Imported ${legacy.length} transcripts from ${LEGACY_TRANSCRIPTS_FILE}`
+      );
+    },
+  },
+  {
+    version: 3,
+    name: "add_transcript_segments",
+    up(engine) {
+      // Transcripts now carry timed segments; older rows start with none and
+      // keep their stored content
+      const transcripts = engine.table("transcripts");
+      transcripts.all().forEach((transcript) => {
+        if (Array.isArray(transcript.segments)) return;
+        transcripts.update(transcript.id, { ...transcript, segments: [] });
+      });
+    },
+  },
+  {
+    version: 4,
+    name: "create_jobs",
+    up(engine) {
+      engine.createTable("jobs", { indexes: ["status"] });
+    },
+  },
+  {
+    version: 5,
+    name: "create_action_items",
+    up(engine) {
+      const actionItems = engine.createTable("action_items", {
+        indexes: ["transcriptId", "status"],
+      });
+
+      // Transcripts summarised before action items were tracked bring theirs
+      // along as open items
+      const now = new Date().toISOString();
+      engine
+        .table("transcripts")
+        .all()
+        .forEach((transcript) => {
+          (transcript.summary?.actionItems || []).forEach((item) => {
+            const segment = (transcript.segments || [])
+              .filter(({ startTime }) => startTime <= item.time)
+              .pop();
+            actionItems.insert({
+              id: crypto.randomUUID(),
+              transcriptId: transcript.id,
+              index: item.index,
+              text: item.text,
+              owner: item.owner,
+              due: item.due,
+              time: item.time,
+              segmentIndex:
+                item.time === null || !segment ? null : segment.index,
+              status: "open",
+              createdAt: now,
+              updatedAt: now,
+              completedAt: null,
+            });
+          });
+        });
+    },
+  },
+  {
+    version: 6,
+    name: "create_templates",
+    up(engine) {
+      const templates = engine.createTable("templates");
+
+      // Starting points for common meetings; users can edit or delete them
+      const now = new Date().toISOString();
+      DEFAULT_TEMPLATES.forEach((template) =>
+        templates.insert({
+          id: crypto.randomUUID(),
+          ...template,
+          createdAt: now,
+          updatedAt: now,
+        })
+      );
+    },
+  },
+];
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = migrations;
@@ -0,0 +1,150 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { StorageEngine } = require("./storageEngine");
+const migrations = require("./migrations");
+
+let dataPath;
+const openEngine = (upTo = migrations.length) =>
+  new StorageEngine({
+    dataPath,
+    migrations: migrations.slice(0, upTo),
+  }).open();
+
+const summarised = {
+  id: 1,
+  title: "Standup",
+  date: "2026-10-19",
+  content: "Ravi will fix the login bug.",
+  segments: [
+    { index: 0, startTime: 0, endTime: 4, text: "Hello." },
+    { index: 1, startTime: 4, endTime: 9, text: "Ravi will fix the bug." },
+  ],
+  summary: {
+    actionItems: [
+      {
+        index: 0,
+        text: "Fix the login bug",
+        owner: "Ravi",
+        due: null,
+        time: 5,
+      },
+    ],
+  },
+};
+
+beforeEach(() => {
+  dataPath = fs.mkdtempSync(path.join(os.tmpdir(), "granola-migrations-"));
+  jest.spyOn(console, "log").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  fs.rmSync(dataPath, { recursive: true, force: true });
+});
+
+test("versions are consecutive from 1", () => {
+  expect(migrations.map((m) => m.version)).toEqual(
+    migrations.map((m, i) => i + 1)
+  );
+});
+
+test("a new database is migrated to the latest version", () => {
+  const engine = openEngine();
+  expect(engine.schemaVersion).toBe(migrations.length);
+  expect(engine.getStats().tables).toEqual({
+    transcripts: 0,
+    jobs: 0,
+    action_items: 0,
+    templates: 4,
+  });
+  expect(
+    engine
+      .table("templates")
+      .all()
+      .map((t) => t.name)
+  ).toEqual(["Standup", "1:1", "Customer call", "Interview"]);
+  engine.close();
+});
+
+test("migrations run once; reopening keeps the data", () => {
+  openEngine().close();
+  const engine = openEngine();
+  expect(engine.table("templates").count()).toBe(4);
+  engine.close();
+});
+
+test("v2 imports transcripts.json and v3 gives old rows empty segments", () => {
+  const legacy = [
+    { id: 1, title: "Old", date: "2025-01-01", content: "नमस्ते" },
+    { id: 2, title: "Older", date: "2024-01-01", content: "hello" },
+  ];
+  fs.writeFileSync(
+    path.join(dataPath, "transcripts.json"),
+    JSON.stringify(legacy)
+  );
+
+  const engine = openEngine();
+  expect(engine.table("transcripts").all()).toEqual(
+    legacy.map((t) => ({ ...t, segments: [] }))
+  );
+  expect(engine.table("transcripts").findBy("date", "2025-01-01")).toHaveLength(
+    1
+  );
+  // The legacy file is kept as a backup
+  expect(fs.existsSync(path.join(dataPath, "transcripts.json"))).toBe(true);
+  engine.close();
+});
+
+test("v2 fails the open on a malformed transcripts.json", () => {
+  fs.writeFileSync(path.join(dataPath, "transcripts.json"), "{}");
+  expect(() => openEngine()).toThrow("does not contain a transcript array");
+});
+
+test("v4 creates the jobs table indexed by status", () => {
+  const engine = openEngine(4);
+  engine.transaction(() =>
+    engine.table("jobs").insert({ id: "j", status: "queued" })
+  );
+  expect(engine.table("jobs").findBy("status", "queued")).toHaveLength(1);
+  engine.close();
+});
+
+test("v5 backfills action items from summaries stored at v4", () => {
+  const v4 = openEngine(4);
+  v4.transaction(() => v4.table("transcripts").insert(summarised));
+  v4.close();
+
+  const engine = openEngine();
+  const items = engine.table("action_items").findBy("transcriptId", 1);
+  expect(items).toEqual([
+    expect.objectContaining({
+      text: "Fix the login bug",
+      owner: "Ravi",
+      time: 5,
+      segmentIndex: 1,
+      status: "open",
+      completedAt: null,
+    }),
+  ]);
+  expect(engine.table("action_items").findBy("status", "open")).toHaveLength(1);
+  engine.close();
+});
+
+test("v6 seeds templates with titled sections", () => {
+  const engine = openEngine();
+  engine
+    .table("templates")
+    .all()
+    .forEach((template) => {
+      expect(template.id).toEqual(expect.any(String));
+      expect(template.sections.length).toBeGreaterThan(0);
+      template.sections.forEach((section) =>
+        expect(section).toEqual({
+          title: expect.any(String),
+          prompt: expect.any(String),
+        })
+      );
+    });
+  engine.close();
+});
@@ -0,0 +1,261 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  StorageEngine,
+  StorageError,
+  writeFileAtomic,
+} = require("./storageEngine");
+
+const migrations = [
+  {
+    version: 1,
+    name: "create_notes",
+    up(engine) {
+      engine.createTable("notes", { indexes: ["tag"] });
+    },
+  },
+];
+
+let dataPath;
+const openEngine = (options = {}) =>
+  new StorageEngine({ dataPath, migrations, ...options }).open();
+const logPath = () => path.join(dataPath, "granola.db.json.log");
+
+beforeEach(() => {
+  dataPath = fs.mkdtempSync(path.join(os.tmpdir(), "granola-engine-"));
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  fs.rmSync(dataPath, { recursive: true, force: true });
+});
+
+describe("transactions", () => {
+  test("commits are durable across a reopen without compaction", () => {
+    const engine = openEngine();
+    engine.transaction(() => {
+      engine.table("notes").insert({ id: "a", tag: "x", text: "first" });
+    });
+    engine.transaction(() => {
+      engine.table("notes").update("a", { tag: "y", text: "second" });
+      engine.table("notes").insert({ id: "b", tag: "y", text: "other" });
+    });
+    engine.transaction(() => engine.table("notes").delete("b"));
+    expect(engine.logSize).toBeGreaterThan(0);
+    engine.close();
+
+    const reopened = openEngine();
+    expect(reopened.table("notes").all()).toEqual([
+      { id: "a", tag: "y", text: "second" },
+    ]);
+    expect(reopened.table("notes").findBy("tag", "y")).toHaveLength(1);
+    expect(reopened.table("notes").findBy("tag", "x")).toHaveLength(0);
+    reopened.close();
+  });
+
+  test("a throwing transaction rolls back every change and logs nothing", () => {
+    const engine = openEngine();
+    engine.transaction(() => {
+      engine.table("notes").insert({ id: "a", tag: "x" });
+    });
+    const logSize = engine.logSize;
+
+    expect(() =>
+      engine.transaction(() => {
+        engine.table("notes").update("a", { tag: "changed" });
+        engine.table("notes").insert({ id: "b", tag: "x" });
+        engine.createTable("extra");
+        engine.schemaVersion = 99;
+        throw new Error("boom");
+      })
+    ).toThrow("boom");
+
+    expect(engine.table("notes").all()).toEqual([{ id: "a", tag: "x" }]);
+    expect(engine.table("notes").findBy("tag", "changed")).toEqual([]);
+    expect(() => engine.table("extra")).toThrow(StorageError);
+    expect(engine.schemaVersion).toBe(1);
+    expect(engine.logSize).toBe(logSize);
+    expect(fs.statSync(logPath()).size).toBe(logSize);
+    engine.close();
+  });
+
+  test("a failed log write rolls the transaction back", () => {
+    const engine = openEngine();
+    jest.spyOn(fs, "writeSync").mockImplementationOnce(() => {
+      throw new Error("disk full");
+    });
+
+    expect(() =>
+      engine.transaction(() => engine.table("notes").insert({ id: "a" }))
+    ).toThrow("disk full");
+    expect(engine.table("notes").count()).toBe(0);
+
+    engine.transaction(() => engine.table("notes").insert({ id: "b" }));
+    engine.close();
+    expect(openEngine().table("notes").all()).toEqual([{ id: "b" }]);
+  });
+
+  test("nested transactions join the outer one", () => {
+    const engine = openEngine();
+    expect(() =>
+      engine.transaction(() => {
+        engine.transaction(() => engine.table("notes").insert({ id: "a" }));
+        throw new Error("outer fails");
+      })
+    ).toThrow("outer fails");
+    expect(engine.table("notes").count()).toBe(0);
+    engine.close();
+  });
+
+  test("writes outside a transaction and async transactions are rejected", () => {
+    const engine = openEngine();
+    expect(() => engine.table("notes").insert({ id: "a" })).toThrow(
+      expect.objectContaining({ code: "NO_TRANSACTION" })
+    );
+    expect(() =>
+      engine.transaction(async () => engine.table("notes").insert({ id: "b" }))
+    ).toThrow("Transactions must be synchronous");
+    expect(engine.table("notes").count()).toBe(0);
+    engine.close();
+  });
+});
+
+describe("row versions", () => {
+  test("every write gives the row and the table a new version", () => {
+    const engine = openEngine();
+    const notes = engine.table("notes");
+    engine.transaction(() => {
+      notes.insert({ id: "a" });
+      notes.insert({ id: "b" });
+    });
+    const before = notes.versions();
+
+    engine.transaction(() => notes.update("b", { text: "edited" }));
+    const after = notes.versions();
+
+    expect(after.get("a")).toBe(before.get("a"));
+    expect(after.get("b")).toBeGreaterThan(before.get("b"));
+    expect(notes.version).toBe(after.get("b"));
+
+    engine.transaction(() => notes.delete("a"));
+    expect(notes.versions().has("a")).toBe(false);
+    expect(notes.version).toBeGreaterThan(after.get("b"));
+    engine.close();
+  });
+
+  test("a rolled-back write still changes the version", () => {
+    const engine = openEngine();
+    const notes = engine.table("notes");
+    engine.transaction(() => notes.insert({ id: "a" }));
+    const version = notes.versions().get("a");
+
+    expect(() =>
+      engine.transaction(() => {
+        notes.update("a", { text: "edited" });
+        throw new Error("fails");
+      })
+    ).toThrow("fails");
+
+    expect(notes.get("a")).toEqual({ id: "a" });
+    expect(notes.versions().get("a")).toBeGreaterThan(version);
+    engine.close();
+  });
+});
+
+describe("change log", () => {
+  test("a torn last entry is dropped and earlier ones survive", () => {
+    const engine = openEngine();
+    engine.transaction(() => engine.table("notes").insert({ id: "a" }));
+    engine.close();
+    fs.appendFileSync(logPath(), '{"seq":99,"changes":[{"op":"put","tab');
+
+    const reopened = openEngine();
+    expect(reopened.table("notes").all()).toEqual([{ id: "a" }]);
+    reopened.transaction(() => reopened.table("notes").insert({ id: "b" }));
+    reopened.close();
+    expect(
+      openEngine()
+        .table("notes")
+        .all()
+        .map((row) => row.id)
+    ).toEqual(["a", "b"]);
+  });
+
+  test("a corrupt complete entry fails the open", () => {
+    openEngine().close();
+    fs.appendFileSync(logPath(), "not json\n");
+    expect(() => openEngine()).toThrow(
+      expect.objectContaining({ code: "CORRUPT_DATABASE" })
+    );
+  });
+
+  test("entries already in the snapshot are not replayed", () => {
+    const engine = openEngine();
+    engine.transaction(() => engine.table("notes").insert({ id: "a" }));
+    const staleLog = fs.readFileSync(logPath());
+    engine.transaction(() => engine.table("notes").delete("a"));
+    engine.compact();
+    engine.close();
+
+    // Crash after the snapshot was renamed but before the log was emptied
+    fs.writeFileSync(logPath(), staleLog);
+    expect(openEngine().table("notes").count()).toBe(0);
+  });
+
+  test("the log is compacted into the snapshot once it grows too large", () => {
+    const engine = openEngine({ compactLogBytes: 200 });
+    for (let i = 0; i < 5; i++) {
+      engine.transaction(() =>
+        engine.table("notes").insert({ id: String(i), text: "x".repeat(50) })
+      );
+    }
+    expect(engine.logSize).toBeLessThan(200);
+    engine.close();
+
+    const snapshot = JSON.parse(
+      fs.readFileSync(path.join(dataPath, "granola.db.json"), "utf-8")
+    );
+    expect(snapshot.seq).toBeGreaterThan(1);
+    expect(openEngine().table("notes").count()).toBe(5);
+  });
+
+  test("opening compacts the log and a legacy snapshot still loads", () => {
+    fs.writeFileSync(
+      path.join(dataPath, "granola.db.json"),
+      JSON.stringify({
+        formatVersion: 1,
+        schemaVersion: 1,
+        tables: { notes: { indexes: ["tag"], rows: [{ id: "a", tag: "x" }] } },
+      })
+    );
+    const engine = openEngine();
+    expect(engine.table("notes").findBy("tag", "x")).toEqual([
+      { id: "a", tag: "x" },
+    ]);
+    expect(engine.logSize).toBe(0);
+    engine.close();
+  });
+});
+
+describe("writeFileAtomic", () => {
+  test("replaces the file and leaves no temp file behind", () => {
+    const filePath = path.join(dataPath, "file.json");
+    fs.writeFileSync(filePath, "old");
+    writeFileAtomic(filePath, "new");
+    expect(fs.readFileSync(filePath, "utf-8")).toBe("new");
+    expect(fs.readdirSync(dataPath)).toEqual(["file.json"]);
+  });
+
+  test("a crash before the rename keeps the previous contents", () => {
+    const filePath = path.join(dataPath, "file.json");
+    fs.writeFileSync(filePath, "old");
+    jest.spyOn(fs, "renameSync").mockImplementationOnce(() => {
+      throw new Error("crash");
+    });
+    expect(() => writeFileAtomic(filePath, "new")).toThrow("crash");
+    expect(fs.readFileSync(filePath, "utf-8")).toBe("old");
+  });
+});
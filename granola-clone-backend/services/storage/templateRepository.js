@@ -0,0 +1,134 @@
+/**
+ * @fileoverview Template Repository
+ * @description Meeting templates ("recipes") on top of the storage engine. A
+ * template names the sections a summary is written in, each with a prompt
+ * saying what belongs there.
+ *
+ * @author AI Assistant
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+// =============================================================================
+// IMPORTS
+// =============================================================================
+
+const crypto = require("crypto");
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * @function normalizeSections
+ * @description Keeps only model fields of template sections, in order
+ * @param {Object[]} sections - Validated sections
+ * @returns {Object[]} Sections as {title, prompt}
+ */
+const normalizeSections = (sections) =>
+  sections.map(({ title, prompt }) => ({ title, prompt: prompt || "" }));
+
+// =============================================================================
+// TEMPLATE REPOSITORY CLASS
+// =============================================================================
+
+/**
+ * @class TemplateRepository
+ * @description CRUD for meeting templates. Each template is {id, name,
+ * description, sections: [{title, prompt}], createdAt, updatedAt}
+ */
+class TemplateRepository {
+  /**
+   * @constructor
+   * @param {StorageEngine} engine - Open storage engine
+   */
+  constructor(engine) {
+    this.engine = engine;
+  }
+
+  /**
+   * @method list
+   * @description Lists templates by name
+   * @returns {Object[]} Templates
+   */
+  list() {
+    return this._table()
+      .all()
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * @method get
+   * @param {string} id - Template id
+   * @returns {Object|null} Template or null
+   */
+  get(id) {
+    return this._table().get(id);
+  }
+
+  /**
+   * @method create
+   * @param {Object} data - Validated template fields
+   * @returns {Object} Created template
+   */
+  create({ name, description = "", sections }) {
+    return this.engine.transaction(() => {
+      const now = new Date().toISOString();
+      return this._table().insert({
+        id: crypto.randomUUID(),
+        name,
+        description,
+        sections: normalizeSections(sections),
+        createdAt: now,
+        updatedAt: now,
+      });
+    });
+  }
+
+  /**
+   * @method update
+   * @description Replaces a template's name, description and sections
+   * @param {string} id - Template id
+   * @param {Object} data - Validated template fields
+   * @returns {Object|null} Updated template or null if not found
+   */
+  update(id, { name, description = "", sections }) {
+    return this.engine.transaction(() => {
+      const table = this._table();
+      const existing = table.get(id);
+      if (!existing) return null;
+
+      return table.update(id, {
+        ...existing,
+        name,
+        description,
+        sections: normalizeSections(sections),
+        updatedAt: new Date().toISOString(),
+      });
+    });
+  }
+
+  /**
+   * @method remove
+   * @param {string} id - Template id
+   * @returns {boolean} True if deleted
+   */
+  remove(id) {
+    return this.engine.transaction(() => this._table().delete(id));
+  }
+
+  /**
+   * @private
+   * @method _table
+   * @returns {Table} Templates table
+   */
+  _table() {
+    return this.engine.table("templates");
+  }
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = TemplateRepository;
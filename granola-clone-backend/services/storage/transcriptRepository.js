@@ -0,0 +1,342 @@
+/**
+ * @fileoverview Transcript Repository
+ * @description Transcript queries and mutations on top of the storage engine.
+ *
+ * @author AI Assistant
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+// Dates are stored as YYYY-MM-DD strings
+const formatDate = (date = new Date()) =>
+  new Date(date).toISOString().split("T")[0];
+
+/**
+ * @function normalizeSegments
+ * @description Orders segments by start time and keeps only model fields
+ * @param {Object[]} segments - Validated segments
+ * @returns {Object[]} Segments with sequential indexes
+ */
+function normalizeSegments(segments) {
+  return [...segments]
+    .sort((a, b) => a.startTime - b.startTime || a.endTime - b.endTime)
+    .map((segment, index) => ({
+      index,
+      startTime: segment.startTime,
+      endTime: segment.endTime,
+      text: segment.text || "",
+      confidence: segment.confidence ?? null,
+      speaker: segment.speaker ?? null,
+    }));
+}
+
+/**
+ * @function normalizeNotes
+ * @description Keeps only model fields of meeting notes, in the order written
+ * @param {Object[]} notes - Validated notes
+ * @returns {Object[]} Notes with sequential indexes
+ */
+function normalizeNotes(notes) {
+  return notes.map((note, index) => ({
+    index,
+    time: note.time ?? null,
+    text: note.text,
+  }));
+}
+
+/**
+ * @function deriveContent
+ * @description Joins segment text into the plain-text transcript
+ * @param {Object[]} segments - Ordered segments
+ * @returns {string} Plain transcript content
+ */
+function deriveContent(segments) {
+  return segments
+    .map((segment) => segment.text.trim())
+    .filter(Boolean)
+    .join(" ");
+}
+
+/**
+ * @function compareBy
+ * @description Builds a comparator for the list endpoint's sort fields
+ * @param {string} sort - "date", "title" or "id"
+ * @param {string} order - "asc" or "desc"
+ * @returns {Function} Array#sort comparator
+ */
+function compareBy(sort, order) {
+  const direction = order === "asc" ? 1 : -1;
+
+  const compareText = (a, b) =>
+    String(a || "").localeCompare(String(b || ""), undefined, {
+      sensitivity: "base",
+    });
+
+  return (a, b) => {
+    const compared =
+      sort === "id"
+        ? Number(a.id) - Number(b.id)
+        : compareText(a[sort], b[sort]);
+    // Ties fall back to id so pages stay stable
+    return (compared || Number(a.id) - Number(b.id)) * direction;
+  };
+}
+
+// =============================================================================
+// TRANSCRIPT REPOSITORY CLASS
+// =============================================================================
+
+/**
+ * @class TranscriptRepository
+ * @description CRUD and query operations for transcripts. A transcript holds
+ * an ordered list of segments ({index, startTime, endTime, text, confidence,
+ * speaker}); when it has segments, `content` is derived from their text.
+ * Meeting notes ({index, time, text}) are kept alongside; `enhancedNotes` is
+ * derived from notes and segments and dropped when either changes, and
+ * `summary` is dropped when the content or segments change. `templateId`
+ * names the meeting template the summary is written in.
+ */
+class TranscriptRepository {
+  /**
+   * @constructor
+   * @param {StorageEngine} engine - Open storage engine
+   */
+  constructor(engine) {
+    this.engine = engine;
+  }
+
+  /**
+   * @method list
+   * @description Filters, sorts and paginates transcripts
+   * @param {Object} query - Validated list query
+   * @param {number} query.page - 1-based page number
+   * @param {number} query.limit - Page size
+   * @param {string} query.sort - Sort field
+   * @param {string} query.order - Sort direction
+   * @param {Set<string>} [query.ids] - Only these transcripts (e.g. the
+   *   matches of a full-text search)
+   * @returns {{total: number, items: Object[]}} Page of transcripts
+   */
+  list({ page = 1, limit = 10, sort = "date", order = "desc", ids }) {
+    let results = this._table().all();
+
+    if (ids) {
+      results = results.filter((t) => ids.has(String(t.id)));
+    }
+
+    results.sort(compareBy(sort, order));
+
+    const start = (page - 1) * limit;
+    return {
+      total: results.length,
+      items: results.slice(start, start + limit),
+    };
+  }
+
+  /**
+   * @method all
+   * @returns {Object[]} Every transcript, in insertion order
+   */
+  all() {
+    return this._table().all();
+  }
+
+  /**
+   * @method version
+   * @returns {number} Changes whenever any transcript is written or removed
+   */
+  version() {
+    return this._table().version;
+  }
+
+  /**
+   * @method versions
+   * @description Current version of every transcript, for caches that
+   * re-read only what changed
+   * @returns {Map<string, number>} Transcript id -> version
+   */
+  versions() {
+    return this._table().versions();
+  }
+
+  /**
+   * @method get
+   * @param {string|number} id - Transcript id
+   * @returns {Object|null} Transcript or null
+   */
+  get(id) {
+    return this._table().get(id);
+  }
+
+  /**
+   * @method create
+   * @description Stores a new transcript with a unique id
+   * @param {Object} data - Validated transcript fields
+   * @returns {Object} Created transcript
+   */
+  create({
+    title,
+    content,
+    segments = [],
+    date,
+    language,
+    recording,
+    metadata,
+    notes,
+    templateId,
+  }) {
+    return this.engine.transaction(() => {
+      const table = this._table();
+      // Millisecond ids, bumped when two requests land in the same tick
+      let id = Date.now();
+      while (table.has(id)) id++;
+
+      const ordered = normalizeSegments(segments);
+      return table.insert({
+        id,
+        title,
+        date: formatDate(date),
+        content: ordered.length > 0 ? deriveContent(ordered) : content,
+        segments: ordered,
+        // Spoken language (BCP-47), as chosen or detected when transcribing
+        ...(language && { language }),
+        // Source recording kept for re-transcription (uploads only)
+        ...(recording && { recording }),
+        // Audio analysis, e.g. {speechRatio} from voice activity detection
+        ...(metadata && { metadata }),
+        // Notes jotted during the meeting, timed against the recording
+        ...(notes && { notes: normalizeNotes(notes) }),
+        // Template the summary is written in
+        ...(templateId && { templateId }),
+      });
+    });
+  }
+
+  /**
+   * @method update
+   * @description Applies field changes to an existing transcript
+   * @param {string|number} id - Transcript id
+   * @param {Object} changes - Validated fields to change
+   * @returns {Object|null} Updated transcript or null if not found
+   */
+  update(id, changes) {
+    return this.engine.transaction(() => {
+      const table = this._table();
+      const existing = table.get(id);
+      if (!existing) return null;
+
+      const updates = { ...changes };
+      if (updates.date) updates.date = formatDate(updates.date);
+      else delete updates.date;
+
+      if (updates.segments) {
+        updates.segments = normalizeSegments(updates.segments);
+        if (updates.segments.length > 0) {
+          updates.content = deriveContent(updates.segments);
+        }
+      }
+      if (updates.notes) updates.notes = normalizeNotes(updates.notes);
+
+      const updated = { ...existing, ...updates };
+      // Enhanced notes quote the old notes or segments; enhance again instead
+      if (updates.notes || updates.segments) delete updated.enhancedNotes;
+      // Summaries quote the text and take owners and times from segments
+      if (updates.segments || updated.content !== existing.content) {
+        delete updated.summary;
+      }
+
+      return table.update(id, {
+        ...updated,
+        updatedAt: new Date().toISOString(),
+      });
+    });
+  }
+
+  /**
+   * @method renameSpeakers
+   * @description Renames speaker labels across every segment of a transcript,
+   * its enhanced notes and the owners of its action items
+   * @param {string|number} id - Transcript id
+   * @param {Object<string, string>} renames - Map of current label to new name
+   * @returns {Object|null} Updated transcript or null if not found
+   */
+  renameSpeakers(id, renames) {
+    return this.engine.transaction(() => {
+      const table = this._table();
+      const existing = table.get(id);
+      if (!existing) return null;
+
+      const rename = (item) =>
+        Object.prototype.hasOwnProperty.call(renames, item.speaker)
+          ? { ...item, speaker: renames[item.speaker] }
+          : item;
+      const segments = (existing.segments || []).map(rename);
+
+      return table.update(id, {
+        ...existing,
+        segments,
+        // Action items can be owned by a speaker label
+        ...(existing.summary && {
+          summary: {
+            ...existing.summary,
+            actionItems: existing.summary.actionItems.map((item) =>
+              Object.prototype.hasOwnProperty.call(renames, item.owner)
+                ? { ...item, owner: renames[item.owner] }
+                : item
+            ),
+          },
+        }),
+        // Quoted passages carry speaker labels too
+        ...(existing.enhancedNotes && {
+          enhancedNotes: {
+            ...existing.enhancedNotes,
+            notes: existing.enhancedNotes.notes.map((note) => ({
+              ...note,
+              passages: note.passages.map(rename),
+            })),
+          },
+        }),
+        updatedAt: new Date().toISOString(),
+      });
+    });
+  }
+
+  /**
+   * @method remove
+   * @param {string|number} id - Transcript id
+   * @returns {boolean} True if deleted
+   */
+  remove(id) {
+    return this.engine.transaction(() => this._table().delete(id));
+  }
+
+  /**
+   * @method hasDerivedContent
+   * @description Whether a transcript's content comes from its segments
+   * @param {Object} transcript - Stored transcript
+   * @returns {boolean} True if content cannot be edited directly
+   */
+  static hasDerivedContent(transcript) {
+    return Array.isArray(transcript.segments) && transcript.segments.length > 0;
+  }
+
+  /**
+   * @private
+   * @method _table
+   * @returns {Table} Transcripts table
+   */
+  _table() {
+    return this.engine.table("transcripts");
+  }
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = TranscriptRepository;
+module.exports.deriveContent = deriveContent;
@@ -0,0 +1,305 @@
+/**
+ * @fileoverview Speech-to-Text Provider Base Class
+ * @description Common contract for every STT engine the WebSocket handler can
+ * talk to. Subclasses implement `_transcribe`; input checks, retries and
+ * backoff live here so every provider behaves the same way.
+ *
+ * Features:
+ * - Uniform `transcribe(audioBuffer, options)` interface
+ * - Audio size validation before any network call
+ * - Retry with exponential backoff for transient failures
+ * - Typed provider errors with HTTP status and retryability
+ *
+ * @author AI Assistant
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const PROVIDER_DEFAULTS = {
+  TIMEOUT: 120000, // 2 minutes
+  MAX_RETRIES: 3,
+  RETRY_DELAY: 1000, // Base delay, doubled on each attempt
+  MIN_FILE_SIZE: 1000, // 1KB minimum
+  MAX_FILE_SIZE: 50 * 1024 * 1024, // 50MB maximum
+};
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * @function normalizeConfidence
+ * @description Coerces a provider confidence score into the 0-1 range
+ * @param {*} value - Raw confidence (0-1 or percentage)
+ * @returns {number|null} Confidence, or null if the provider gave none
+ */
+function normalizeConfidence(value) {
+  const score = Number(value);
+  if (value === null || value === undefined || !Number.isFinite(score)) {
+    return null;
+  }
+  const fraction = score > 1 ? score / 100 : score;
+  return Math.min(1, Math.max(0, fraction));
+}
+
+/**
+ * @function pick
+ * @description Returns the first defined property among alternative names
+ * @param {Object} obj - Source object
+ * @param {string[]} keys - Candidate property names
+ * @returns {*} Value or undefined
+ */
+function pick(obj, keys) {
+  const key = keys.find(
+    (name) => obj[name] !== undefined && obj[name] !== null
+  );
+  return key ? obj[key] : undefined;
+}
+
+/**
+ * @function normalizeUtterances
+ * @description Maps provider diarization output onto a common shape. Accepts
+ * the usual field spellings (start/start_time/start_time_seconds, speaker/
+ * speaker_id, text/transcript).
+ * @param {*} utterances - Raw provider utterance list
+ * @returns {Array<{text: string, startTime: number, endTime: number, speaker: string|null}>}
+ *   Utterances with times in seconds relative to the submitted audio
+ */
+function normalizeUtterances(utterances) {
+  if (!Array.isArray(utterances)) return [];
+
+  return utterances
+    .filter((entry) => entry && typeof entry === "object")
+    .map((entry) => {
+      const speaker = pick(entry, ["speaker", "speaker_id", "speakerId"]);
+      return {
+        text: String(pick(entry, ["text", "transcript"]) || "").trim(),
+        startTime: Number(
+          pick(entry, [
+            "startTime",
+            "start",
+            "start_time",
+            "start_time_seconds",
+          ])
+        ),
+        endTime: Number(
+          pick(entry, ["endTime", "end", "end_time", "end_time_seconds"])
+        ),
+        speaker: speaker === undefined ? null : String(speaker),
+      };
+    })
+    .filter(
+      (entry) =>
+        Number.isFinite(entry.startTime) && Number.isFinite(entry.endTime)
+    );
+}
+
+/**
+ * @function sleep
+ * @description Waits before a retry, ending early if the request is
+ * cancelled
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Cancels the wait
+ * @returns {Promise<void>} Resolves after the delay
+ * @throws {STTProviderError} If the signal aborts first
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(cancelledError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+// =============================================================================
+// ERROR CLASS
+// =============================================================================
+
+/**
+ * @class STTProviderError
+ * @description Error raised by STT providers
+ * @property {number|null} statusCode - Upstream HTTP status, if any
+ * @property {boolean} retryable - Whether the request may succeed on retry
+ */
+class STTProviderError extends Error {
+  constructor(message, { statusCode = null, retryable = false } = {}) {
+    super(message);
+    this.name = "STTProviderError";
+    this.statusCode = statusCode;
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * @function cancelledError
+ * @returns {STTProviderError} Error for a request whose signal aborted
+ */
+const cancelledError = () => new STTProviderError("Transcription cancelled");
+
+// =============================================================================
+// BASE PROVIDER CLASS
+// =============================================================================
+
+/**
+ * @class STTProvider
+ * @description Abstract speech-to-text provider
+ */
+class STTProvider {
+  /**
+   * @constructor
+   * @param {Object} options - Provider options
+   * @param {string} options.name - Provider name used in logs
+   * @param {number} [options.timeout] - Request timeout in milliseconds
+   * @param {number} [options.maxRetries] - Retries after the first attempt
+   * @param {number} [options.retryDelay] - Base backoff delay in milliseconds
+   * @param {string} [options.model] - Default model, if the engine has several
+   * @param {string[]} [options.models] - Models a session may choose from
+   */
+  constructor(options = {}) {
+    this.name = options.name || "unknown";
+    this.timeout = options.timeout || PROVIDER_DEFAULTS.TIMEOUT;
+    this.maxRetries =
+      options.maxRetries !== undefined
+        ? options.maxRetries
+        : PROVIDER_DEFAULTS.MAX_RETRIES;
+    this.retryDelay =
+      options.retryDelay !== undefined
+        ? options.retryDelay
+        : PROVIDER_DEFAULTS.RETRY_DELAY;
+    // The default model is always selectable and listed first
+    this.models = [
+      ...new Set([options.model, ...(options.models || [])].filter(Boolean)),
+    ];
+  }
+
+  /**
+   * @method supportsModel
+   * @param {string} model - Model identifier requested by a session
+   * @returns {boolean} True if the provider accepts the model
+   */
+  supportsModel(model) {
+    return this.models.includes(model);
+  }
+
+  /**
+   * @method transcribe
+   * @description Transcribes a WAV buffer
+   * @param {Buffer} audioBuffer - WAV file buffer
+   * @param {Object} [options] - Per-request options
+   * @param {string} [options.clientId] - Client identifier for logging
+   * @param {string} [options.language] - Language code, or "auto" to detect
+   * @param {string} [options.model] - One of `models`
+   * @param {AbortSignal} [options.signal] - Aborts the request and any
+   *   pending retry
+   * @returns {Promise<{transcript: string, confidence: number|null, utterances: Object[], language: string|null, provider: string}>}
+   *   Result; confidence is 0-1 when the provider reports one, utterances
+   *   carry speaker labels when the provider diarizes and language is the
+   *   recognised language when the provider reports it
+   * @throws {STTProviderError} If the audio is invalid, all attempts fail
+   *   or the signal aborts
+   */
+  async transcribe(audioBuffer, options = {}) {
+    this._validateAudio(audioBuffer);
+
+    const clientId = options.clientId || "unknown";
+    let attempt = 0;
+
+    while (true) {
+      if (options.signal?.aborted) throw cancelledError();
+
+      try {
+        const result = await this._transcribe(audioBuffer, options);
+        return {
+          ...result,
+          transcript: (result.transcript || "").trim(),
+          confidence: normalizeConfidence(result.confidence),
+          utterances: normalizeUtterances(result.utterances),
+          language: result.language || null,
+          provider: this.name,
+        };
+      } catch (error) {
+        const retryable = Boolean(error.retryable);
+
+        if (
+          !retryable ||
+          attempt >= this.maxRetries ||
+          options.signal?.aborted
+        ) {
+          throw error;
+        }
+
+        attempt++;
+        const delay = this.retryDelay * Math.pow(2, attempt - 1);
+        console.warn(
+          `🔁 [${clientId}] ${this.name} attempt ${attempt} failed (${error.message}), retrying in ${delay}ms`
+        );
+        await sleep(delay, options.signal);
+      }
+    }
+  }
+
+  /**
+   * @abstract
+   * @method _transcribe
+   * @description Performs a single transcription attempt
+   * @param {Buffer} audioBuffer - WAV file buffer
+   * @param {Object} options - Per-request options
+   * @returns {Promise<{transcript: string}>} Provider result
+   */
+  async _transcribe(audioBuffer, options) {
+    throw new Error(`${this.name} provider does not implement _transcribe()`);
+  }
+
+  /**
+   * @method describe
+   * @description Returns non-sensitive provider details for status endpoints
+   * @returns {Object} Provider description
+   */
+  describe() {
+    return {
+      name: this.name,
+      timeout: this.timeout,
+      maxRetries: this.maxRetries,
+      models: this.models,
+    };
+  }
+
+  /**
+   * @private
+   * @method _validateAudio
+   * @description Validates audio buffer size limits
+   * @param {Buffer} audioBuffer - WAV file buffer
+   * @throws {STTProviderError} If the buffer is empty or too large
+   */
+  _validateAudio(audioBuffer) {
+    if (!audioBuffer || audioBuffer.length < PROVIDER_DEFAULTS.MIN_FILE_SIZE) {
+      throw new STTProviderError("Audio buffer too small or empty");
+    }
+
+    if (audioBuffer.length > PROVIDER_DEFAULTS.MAX_FILE_SIZE) {
+      throw new STTProviderError("Audio file too large (max 50MB)");
+    }
+  }
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  STTProvider,
+  STTProviderError,
+  PROVIDER_DEFAULTS,
+  cancelledError,
+  normalizeUtterances,
+};
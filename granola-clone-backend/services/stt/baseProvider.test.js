@@ -0,0 +1,126 @@
+const http = require("http");
+const FormData = require("form-data");
+const { STTProvider, STTProviderError } = require("./baseProvider");
+const { postForm } = require("./httpClient");
+
+const audio = Buffer.alloc(2000);
+
+/**
+ * Provider whose attempts are scripted by the test
+ */
+class ScriptedProvider extends STTProvider {
+  constructor(attempts, options = {}) {
+    super({ name: "scripted", retryDelay: 10, ...options });
+    this.attempts = attempts;
+    this.calls = [];
+  }
+
+  async _transcribe(audioBuffer, options) {
+    this.calls.push(options);
+    return this.attempts[this.calls.length - 1](options);
+  }
+}
+
+const transient = () =>
+  Promise.reject(new STTProviderError("Socket timeout", { retryable: true }));
+
+beforeEach(() => {
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("STTProvider#transcribe", () => {
+  test("retries transient errors with backoff, then succeeds", async () => {
+    const provider = new ScriptedProvider([
+      transient,
+      transient,
+      async () => ({ transcript: " hello ", confidence: 87 }),
+    ]);
+
+    await expect(provider.transcribe(audio)).resolves.toEqual(
+      expect.objectContaining({ transcript: "hello", confidence: 0.87 })
+    );
+    expect(console.warn.mock.calls.map(([message]) => message)).toEqual([
+      expect.stringContaining("retrying in 10ms"),
+      expect.stringContaining("retrying in 20ms"),
+    ]);
+  });
+
+  test("passes the signal to each attempt", async () => {
+    const controller = new AbortController();
+    const provider = new ScriptedProvider([async () => ({ transcript: "" })]);
+
+    await provider.transcribe(audio, { signal: controller.signal });
+    expect(provider.calls[0].signal).toBe(controller.signal);
+  });
+
+  test("cancelling during the retry delay stops without another attempt", async () => {
+    const controller = new AbortController();
+    const provider = new ScriptedProvider([transient, transient], {
+      retryDelay: 60000,
+    });
+
+    const result = provider.transcribe(audio, { signal: controller.signal });
+    await new Promise((resolve) => setImmediate(resolve));
+    controller.abort();
+
+    await expect(result).rejects.toThrow("Transcription cancelled");
+    expect(provider.calls).toHaveLength(1);
+  });
+
+  test("a failure after cancelling is not retried", async () => {
+    const controller = new AbortController();
+    const provider = new ScriptedProvider([
+      () => {
+        controller.abort();
+        return transient();
+      },
+    ]);
+
+    await expect(
+      provider.transcribe(audio, { signal: controller.signal })
+    ).rejects.toThrow("Socket timeout");
+    expect(provider.calls).toHaveLength(1);
+  });
+});
+
+describe("postForm", () => {
+  test("aborting the signal destroys the pending request", async () => {
+    let received;
+    const requestReceived = new Promise((resolve) => (received = resolve));
+    // Accepts the upload and never answers
+    const server = http.createServer(() => received());
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    const url = `http://127.0.0.1:${server.address().port}/stt`;
+
+    const form = new FormData();
+    form.append("file", audio, { filename: "audio.wav" });
+    const controller = new AbortController();
+    const response = postForm(url, form, {
+      timeout: 60000,
+      signal: controller.signal,
+    });
+
+    await requestReceived;
+    controller.abort();
+    await expect(response).rejects.toThrow("Transcription cancelled");
+
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  test("an already aborted signal sends nothing", async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(
+      postForm("http://127.0.0.1:9/stt", new FormData(), {
+        timeout: 1000,
+        signal: controller.signal,
+      })
+    ).rejects.toThrow("Transcription cancelled");
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * @fileoverview Multipart HTTP Client for STT Providers
+ * @description Posts multipart form data to an HTTP(S) endpoint with timeouts,
+ * response size limits and network error mapping shared by HTTP providers.
+ *
+ * @author AI Assistant
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+// =============================================================================
+// IMPORTS
+// =============================================================================
+
+const http = require("http");
+const https = require("https");
+const { STTProviderError, cancelledError } = require("./baseProvider");
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const MAX_RESPONSE_SIZE = 10 * 1024 * 1024; // 10MB max response
+
+const NETWORK_ERROR_MESSAGES = {
+  ECONNRESET: "Connection reset - API server issue",
+  ENOTFOUND: "Cannot reach STT API - check internet connection",
+  ETIMEDOUT: "Connection timeout - check network connectivity",
+  ECONNREFUSED: "Connection refused - API server may be down",
+  CERT_HAS_EXPIRED: "SSL certificate error - API issue",
+};
+
+// =============================================================================
+// REQUEST FUNCTION
+// =============================================================================
+
+/**
+ * @function postForm
+ * @description Sends a multipart form to a URL and buffers the response
+ * @param {string} url - Absolute endpoint URL (http or https)
+ * @param {FormData} form - form-data instance to stream as the body
+ * @param {Object} options - Request options
+ * @param {Object} [options.headers] - Extra request headers
+ * @param {number} options.timeout - Request timeout in milliseconds
+ * @param {AbortSignal} [options.signal] - Aborts the request
+ * @returns {Promise<{statusCode: number, body: string}>} Buffered response
+ * @throws {STTProviderError} On network errors, timeouts, oversized
+ *   responses or cancellation
+ */
+function postForm(url, form, { headers = {}, timeout, signal }) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(cancelledError());
+      return;
+    }
+
+    let settled = false;
+    const finish = (fn, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(requestTimeout);
+      signal?.removeEventListener("abort", onAbort);
+      fn(value);
+    };
+    const onAbort = () => {
+      request.destroy();
+      finish(reject, cancelledError());
+    };
+
+    const requestTimeout = setTimeout(() => {
+      request.destroy();
+      finish(
+        reject,
+        new STTProviderError(
+          "API request timeout - server taking too long to respond",
+          { retryable: true }
+        )
+      );
+    }, timeout);
+
+    let target;
+    try {
+      target = new URL(url);
+    } catch (error) {
+      clearTimeout(requestTimeout);
+      reject(new STTProviderError(`Invalid STT endpoint URL: ${url}`));
+      return;
+    }
+
+    const transport = target.protocol === "http:" ? http : https;
+
+    const request = transport.request(
+      {
+        hostname: target.hostname,
+        port: target.port || (target.protocol === "http:" ? 80 : 443),
+        path: `${target.pathname}${target.search}`,
+        method: "POST",
+        timeout,
+        headers: {
+          "User-Agent": "Granola-Clone-STT/2.0",
+          ...headers,
+          ...form.getHeaders(),
+        },
+      },
+      (response) => {
+        let responseData = "";
+        let dataSize = 0;
+
+        response.setEncoding("utf8");
+
+        response.on("data", (chunk) => {
+          dataSize += Buffer.byteLength(chunk);
+          if (dataSize > MAX_RESPONSE_SIZE) {
+            request.destroy();
+            finish(
+              reject,
+              new STTProviderError("Response too large - possible API error")
+            );
+            return;
+          }
+          responseData += chunk;
+        });
+
+        response.on("end", () => {
+          finish(resolve, {
+            statusCode: response.statusCode,
+            body: responseData,
+          });
+        });
+      }
+    );
+
+    request.on("error", (error) => {
+      finish(
+        reject,
+        new STTProviderError(
+          NETWORK_ERROR_MESSAGES[error.code] ||
+            `Network error: ${error.message}`,
+          { retryable: error.code !== "CERT_HAS_EXPIRED" }
+        )
+      );
+    });
+
+    request.on("timeout", () => {
+      request.destroy();
+      finish(
+        reject,
+        new STTProviderError("Socket timeout", { retryable: true })
+      );
+    });
+
+    form.on("error", (error) => {
+      request.destroy();
+      finish(reject, new STTProviderError(`Form data error: ${error.message}`));
+    });
+
+    signal?.addEventListener("abort", onAbort, { once: true });
+    form.pipe(request);
+  });
+}
+
+/**
+ * @function isRetryableStatus
+ * @description Checks whether an HTTP status is worth retrying
+ * @param {number} statusCode - HTTP status code
+ * @returns {boolean} True for rate limiting and server errors
+ */
+function isRetryableStatus(statusCode) {
+  return statusCode === 429 || statusCode >= 500;
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  postForm,
+  isRetryableStatus,
+};
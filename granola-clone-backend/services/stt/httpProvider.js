@@ -0,0 +1,211 @@
+/**
+ * @fileoverview Generic HTTP Speech-to-Text Provider
+ * @description Posts WAV audio as multipart form data to any HTTP(S) endpoint
+ * and reads the transcript from a configurable JSON path. Useful for local
+ * stand-in servers in staging and for engines without a dedicated provider.
+ *
+ * @author AI Assistant
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+// =============================================================================
+// IMPORTS
+// =============================================================================
+
+const FormData = require("form-data");
+const { STTProvider, STTProviderError } = require("./baseProvider");
+const { postForm, isRetryableStatus } = require("./httpClient");
+const { AUTO_LANGUAGE } = require("./languages");
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * @function getPath
+ * @description Reads a dot-separated path from an object (e.g. "results.0.text")
+ * @param {Object} obj - Source object
+ * @param {string} path - Dot-separated path
+ * @returns {*} Value at the path, or undefined
+ */
+function getPath(obj, path) {
+  return path
+    .split(".")
+    .reduce(
+      (value, key) =>
+        value !== null && value !== undefined ? value[key] : undefined,
+      obj
+    );
+}
+
+// =============================================================================
+// HTTP PROVIDER CLASS
+// =============================================================================
+
+/**
+ * @class HttpProvider
+ * @extends STTProvider
+ * @description Configurable multipart HTTP speech-to-text provider
+ */
+class HttpProvider extends STTProvider {
+  /**
+   * @constructor
+   * @param {Object} options - Provider options
+   * @param {string} options.url - Endpoint URL receiving the upload
+   * @param {string} [options.authHeader] - Header carrying credentials
+   * @param {string} [options.authValue] - Credential header value
+   * @param {string} [options.fileField] - Form field for the audio file
+   * @param {string} [options.languageField] - Form field for the language code
+   * @param {string} [options.language] - Default language code; "auto" sends
+   *   no language so the endpoint detects it
+   * @param {string} [options.languagePath] - JSON path of the detected language
+   * @param {string} [options.modelField] - Form field for the model
+   * @param {string[]} [options.models] - Models sessions may choose; the first
+   *   is the default
+   * @param {Object} [options.extraFields] - Additional static form fields
+   * @param {string} [options.transcriptPath] - JSON path of the transcript
+   * @param {string} [options.confidencePath] - JSON path of a confidence score
+   * @param {string} [options.utterancesPath] - JSON path of diarized utterances
+   * @param {number} [options.timeout] - Request timeout in milliseconds
+   * @param {number} [options.maxRetries] - Retries after the first attempt
+   */
+  constructor(options) {
+    super({
+      ...options,
+      name: "http",
+      models: options.modelField ? options.models : [],
+    });
+    this.url = options.url;
+    this.authHeader = options.authHeader || "Authorization";
+    this.authValue = options.authValue || "";
+    this.fileField = options.fileField || "file";
+    this.languageField = options.languageField || "";
+    this.language = options.language || "";
+    this.languagePath = options.languagePath || "";
+    this.modelField = options.modelField || "";
+    this.extraFields = options.extraFields || {};
+    this.transcriptPath = options.transcriptPath || "transcript";
+    this.confidencePath = options.confidencePath || "";
+    this.utterancesPath = options.utterancesPath || "";
+  }
+
+  /**
+   * @method _transcribe
+   * @description Uploads the WAV file to the configured endpoint
+   * @param {Buffer} audioBuffer - WAV file buffer
+   * @param {Object} options - Per-request options
+   * @param {string} [options.clientId] - Client identifier for logging
+   * @param {string} [options.language] - Overrides the default language
+   * @param {string} [options.model] - Overrides the default model
+   * @param {AbortSignal} [options.signal] - Aborts the upload
+   * @returns {Promise<{transcript: string, confidence: *, utterances: *, language: string|null}>}
+   *   Result
+   */
+  async _transcribe(audioBuffer, options = {}) {
+    const clientId = options.clientId || "unknown";
+    const requested = options.language || this.language;
+    const language = requested === AUTO_LANGUAGE ? "" : requested;
+
+    console.log(
+      `📤 [${clientId}] Uploading WAV file to ${this.url}: ${(
+        audioBuffer.length / 1024
+      ).toFixed(1)}KB`
+    );
+
+    const form = new FormData();
+    form.append(this.fileField, audioBuffer, {
+      filename: "audio.wav",
+      contentType: "audio/wav",
+    });
+    if (this.languageField && language) {
+      form.append(this.languageField, language);
+    }
+    if (this.modelField) {
+      form.append(this.modelField, options.model || this.models[0]);
+    }
+    for (const [field, value] of Object.entries(this.extraFields)) {
+      form.append(field, String(value));
+    }
+
+    const headers = {};
+    if (this.authValue) {
+      headers[this.authHeader] = this.authValue;
+    }
+
+    const response = await postForm(this.url, form, {
+      timeout: this.timeout,
+      headers,
+      signal: options.signal,
+    });
+
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+      console.error(
+        `❌ [${clientId}] STT endpoint error ${response.statusCode}:`,
+        response.body.substring(0, 200)
+      );
+      throw new STTProviderError(
+        `API error ${response.statusCode}: ${response.body.substring(0, 200)}`,
+        {
+          statusCode: response.statusCode,
+          retryable: isRetryableStatus(response.statusCode),
+        }
+      );
+    }
+
+    let result;
+    try {
+      result = JSON.parse(response.body);
+    } catch (parseError) {
+      throw new STTProviderError(
+        `Response parsing failed: ${parseError.message}`
+      );
+    }
+
+    const transcript = getPath(result, this.transcriptPath);
+    if (typeof transcript !== "string") {
+      console.log(
+        `⚠️  [${clientId}] No transcript at "${this.transcriptPath}" in response`
+      );
+      return { transcript: "", language: language || null };
+    }
+
+    const confidence = this.confidencePath
+      ? getPath(result, this.confidencePath)
+      : null;
+
+    const utterances = this.utterancesPath
+      ? getPath(result, this.utterancesPath)
+      : null;
+
+    const detected = this.languagePath
+      ? getPath(result, this.languagePath)
+      : null;
+
+    return {
+      transcript,
+      confidence,
+      utterances,
+      language: (typeof detected === "string" && detected) || language || null,
+    };
+  }
+
+  /**
+   * @method describe
+   * @description Returns non-sensitive provider details
+   * @returns {Object} Provider description
+   */
+  describe() {
+    return {
+      ...super.describe(),
+      url: this.url,
+      transcriptPath: this.transcriptPath,
+    };
+  }
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = HttpProvider;
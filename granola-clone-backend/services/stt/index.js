@@ -0,0 +1,106 @@
+/**
+ * @fileoverview Speech-to-Text Provider Factory
+ * @description Selects and constructs the STT provider from configuration.
+ *
+ * Providers:
+ * - sarvam: SarvamAI REST API (`sarvam.*` settings)
+ * - http:   Generic multipart HTTP endpoint (`stt.http.*` settings)
+ * - mock:   Offline canned transcripts (`stt.mock.*` settings)
+ * - auto:   sarvam when an API key is configured, mock otherwise
+ *
+ * @author AI Assistant
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+// =============================================================================
+// IMPORTS
+// =============================================================================
+
+const { STTProvider, STTProviderError } = require("./baseProvider");
+const SarvamProvider = require("./sarvamProvider");
+const HttpProvider = require("./httpProvider");
+const MockProvider = require("./mockProvider");
+
+// =============================================================================
+// FACTORY
+// =============================================================================
+
+/**
+ * @function hasUsableApiKey
+ * @description Checks whether a SarvamAI key is set and not a placeholder
+ * @param {string} apiKey - Configured API key
+ * @returns {boolean} True if the key looks usable
+ */
+function hasUsableApiKey(apiKey) {
+  return Boolean(
+    apiKey && apiKey.trim() !== "" && apiKey !== "YOUR_API_KEY_HERE"
+  );
+}
+
+/**
+ * @function resolveProviderName
+ * @description Resolves "auto" to a concrete provider name
+ * @param {Object} config - Environment configuration instance
+ * @returns {string} Provider name
+ */
+function resolveProviderName(config) {
+  const provider = config.get("stt.provider") || "auto";
+
+  if (provider !== "auto") return provider;
+
+  return hasUsableApiKey(config.get("sarvam.apiKey")) ? "sarvam" : "mock";
+}
+
+/**
+ * @function createSTTProvider
+ * @description Creates the configured STT provider
+ * @param {Object} config - Environment configuration instance
+ * @returns {STTProvider} Provider instance
+ * @throws {Error} If the configured provider is unknown
+ */
+function createSTTProvider(config) {
+  const name = resolveProviderName(config);
+
+  switch (name) {
+    case "sarvam":
+      return new SarvamProvider({
+        apiKey: config.get("sarvam.apiKey"),
+        apiUrl: config.get("sarvam.apiUrl"),
+        model: config.get("sarvam.model"),
+        models: config.get("sarvam.models"),
+        language: config.get("stt.language"),
+        diarization: config.get("sarvam.diarization"),
+        timeout: config.get("sarvam.timeout"),
+        maxRetries: config.get("sarvam.maxRetries"),
+      });
+
+    case "http":
+      return new HttpProvider({
+        ...config.get("stt.http"),
+        language: config.get("stt.language"),
+      });
+
+    case "mock":
+      return new MockProvider({
+        delay: config.get("stt.mock.delay"),
+      });
+
+    default:
+      throw new Error(`Unknown STT provider: ${name}`);
+  }
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  createSTTProvider,
+  resolveProviderName,
+  STTProvider,
+  STTProviderError,
+  SarvamProvider,
+  HttpProvider,
+  MockProvider,
+};
@@ -0,0 +1,77 @@
+/**
+ * @fileoverview Speech-to-Text Languages
+ * @description Languages a transcription session can be held in, plus the
+ * "auto" option that lets the provider detect the spoken language. Codes are
+ * BCP-47 tags as used by SarvamAI; code-mixed Hinglish is transcribed as
+ * Hindi (hi-IN), which keeps English words in the transcript.
+ *
+ * @author AI Assistant
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const AUTO_LANGUAGE = "auto";
+
+const STT_LANGUAGES = [
+  { code: "hi-IN", name: "Hindi / Hinglish" },
+  { code: "en-IN", name: "English (India)" },
+  { code: "ta-IN", name: "Tamil" },
+  { code: "bn-IN", name: "Bengali" },
+  { code: "te-IN", name: "Telugu" },
+  { code: "mr-IN", name: "Marathi" },
+  { code: "gu-IN", name: "Gujarati" },
+  { code: "kn-IN", name: "Kannada" },
+  { code: "ml-IN", name: "Malayalam" },
+  { code: "pa-IN", name: "Punjabi" },
+  { code: "od-IN", name: "Odia" },
+];
+
+const LANGUAGE_CODES = STT_LANGUAGES.map((language) => language.code);
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * @function isSupportedLanguage
+ * @param {string} code - Language code
+ * @returns {boolean} True for a listed language (not "auto")
+ */
+const isSupportedLanguage = (code) => LANGUAGE_CODES.includes(code);
+
+/**
+ * @function dominantLanguage
+ * @description Picks the language most results were recognised in, e.g. the
+ * chunks of one recording transcribed with auto-detection
+ * @param {Array<string|null|undefined>} languages - Detected language codes
+ * @returns {string|null} Most frequent listed code (earliest wins ties), or
+ *   null if none was detected
+ */
+function dominantLanguage(languages) {
+  const counts = new Map();
+  languages.filter(isSupportedLanguage).forEach((code) => {
+    counts.set(code, (counts.get(code) || 0) + 1);
+  });
+
+  let best = null;
+  counts.forEach((count, code) => {
+    if (best === null || count > counts.get(best)) best = code;
+  });
+  return best;
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  AUTO_LANGUAGE,
+  STT_LANGUAGES,
+  LANGUAGE_CODES,
+  isSupportedLanguage,
+  dominantLanguage,
+};
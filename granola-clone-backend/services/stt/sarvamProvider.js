@@ -0,0 +1,177 @@
+/**
+ * @fileoverview SarvamAI Speech-to-Text Provider
+ * @description Transcribes WAV audio with the SarvamAI `/speech-to-text` REST
+ * API. Endpoint, model, language, timeout and retries come from `sarvam.*`
+ * configuration instead of being hard-coded.
+ *
+ * @author AI Assistant
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+// =============================================================================
+// IMPORTS
+// =============================================================================
+
+const FormData = require("form-data");
+const { STTProvider, STTProviderError } = require("./baseProvider");
+const { postForm, isRetryableStatus } = require("./httpClient");
+const { AUTO_LANGUAGE } = require("./languages");
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const SARVAM_ENDPOINT = "/speech-to-text";
+
+// SarvamAI detects the spoken language when asked for "unknown"
+const SARVAM_AUTO_LANGUAGE = "unknown";
+
+const SARVAM_ERROR_MESSAGES = {
+  400: "Invalid audio format or corrupted file",
+  401: "Invalid API key - check SARVAM_API_KEY",
+  403: "API access forbidden - check subscription status",
+  413: "Audio file too large for API",
+  429: "Rate limit exceeded - please try again in a moment",
+  500: "SarvamAI server error - please try again later",
+  503: "SarvamAI service temporarily unavailable",
+};
+
+// =============================================================================
+// SARVAM PROVIDER CLASS
+// =============================================================================
+
+/**
+ * @class SarvamProvider
+ * @extends STTProvider
+ * @description SarvamAI REST speech-to-text provider
+ */
+class SarvamProvider extends STTProvider {
+  /**
+   * @constructor
+   * @param {Object} options - Provider options
+   * @param {string} options.apiKey - SarvamAI subscription key
+   * @param {string} options.apiUrl - API base URL (e.g. https://api.sarvam.ai)
+   * @param {string} options.model - Model identifier (e.g. saarika:v2.5)
+   * @param {string[]} [options.models] - Other models sessions may choose
+   * @param {string} options.language - BCP-47 language code (e.g. hi-IN) or
+   *   "auto" to detect the language
+   * @param {boolean} [options.diarization] - Request speaker diarization
+   * @param {number} [options.timeout] - Request timeout in milliseconds
+   * @param {number} [options.maxRetries] - Retries after the first attempt
+   */
+  constructor(options) {
+    super({ ...options, name: "sarvam" });
+    this.apiKey = options.apiKey;
+    this.endpoint = `${options.apiUrl.replace(/\/+$/, "")}${SARVAM_ENDPOINT}`;
+    this.model = options.model;
+    this.language = options.language;
+    this.diarization = Boolean(options.diarization);
+  }
+
+  /**
+   * @method _transcribe
+   * @description Uploads the WAV file to SarvamAI
+   * @param {Buffer} audioBuffer - WAV file buffer
+   * @param {Object} options - Per-request options
+   * @param {string} [options.clientId] - Client identifier for logging
+   * @param {string} [options.language] - Overrides the configured language
+   * @param {string} [options.model] - Overrides the configured model
+   * @param {AbortSignal} [options.signal] - Aborts the upload
+   * @returns {Promise<{transcript: string, language: string|null, utterances: *}>}
+   *   Result; language is the detected one when auto-detecting
+   */
+  async _transcribe(audioBuffer, options = {}) {
+    const clientId = options.clientId || "unknown";
+    const language = options.language || this.language;
+    const autoDetect = language === AUTO_LANGUAGE;
+
+    console.log(
+      `📤 [${clientId}] Uploading WAV file to SarvamAI: ${(
+        audioBuffer.length / 1024
+      ).toFixed(1)}KB`
+    );
+
+    const form = new FormData();
+    form.append("file", audioBuffer, {
+      filename: "audio.wav",
+      contentType: "audio/wav",
+    });
+    form.append("model", options.model || this.model);
+    form.append("language_code", autoDetect ? SARVAM_AUTO_LANGUAGE : language);
+    if (this.diarization) {
+      form.append("with_diarization", "true");
+    }
+
+    const response = await postForm(this.endpoint, form, {
+      timeout: this.timeout,
+      headers: { "api-subscription-key": this.apiKey },
+      signal: options.signal,
+    });
+
+    if (response.statusCode !== 200) {
+      console.error(
+        `❌ [${clientId}] API Error ${response.statusCode}:`,
+        response.body.substring(0, 200)
+      );
+      throw new STTProviderError(
+        SARVAM_ERROR_MESSAGES[response.statusCode] ||
+          `API error ${response.statusCode}: ${response.body.substring(
+            0,
+            200
+          )}`,
+        {
+          statusCode: response.statusCode,
+          retryable: isRetryableStatus(response.statusCode),
+        }
+      );
+    }
+
+    let result;
+    try {
+      result = JSON.parse(response.body);
+    } catch (parseError) {
+      throw new STTProviderError(
+        `Response parsing failed: ${parseError.message}`
+      );
+    }
+
+    if (!result || typeof result.transcript !== "string") {
+      console.log(`⚠️  [${clientId}] Empty or invalid transcript response`);
+      return { transcript: "", language: autoDetect ? null : language };
+    }
+
+    const transcript = result.transcript.trim();
+    console.log(
+      `✅ [${clientId}] Transcription successful: ${transcript.length} chars, ` +
+        `"${transcript.substring(0, 50)}${transcript.length > 50 ? "..." : ""}"`
+    );
+
+    return {
+      transcript,
+      language: result.language_code || (autoDetect ? null : language),
+      utterances: result.diarized_transcript?.entries,
+    };
+  }
+
+  /**
+   * @method describe
+   * @description Returns non-sensitive provider details
+   * @returns {Object} Provider description
+   */
+  describe() {
+    return {
+      ...super.describe(),
+      endpoint: this.endpoint,
+      model: this.model,
+      diarization: this.diarization,
+      language: this.language,
+    };
+  }
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = SarvamProvider;
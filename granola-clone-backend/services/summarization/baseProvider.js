@@ -0,0 +1,291 @@
+/**
+ * @fileoverview Summary Provider Base Class
+ * @description Common contract for every engine that summarises meetings.
+ * Subclasses implement `_summarize`; input checks and the shape of the result
+ * live here so every provider behaves the same way.
+ *
+ * Features:
+ * - Uniform `summarize(transcript, options)` interface
+ * - Empty transcripts rejected before any work is done
+ * - Results normalised to {overview, decisions, actionItems, sections}
+ * - Sections follow the meeting template, when there is one
+ * - Typed provider errors with HTTP status and retryability (retries are left
+ *   to the job queue)
+ *
+ * @author AI Assistant
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const SUMMARY_LIMITS = {
+  MAX_OVERVIEW_LENGTH: 5000, // Characters
+  MAX_DECISIONS: 20,
+  MAX_ACTION_ITEMS: 50,
+  MAX_ITEM_LENGTH: 500, // Characters per decision or action item
+  MAX_SECTION_LENGTH: 5000, // Characters per template section
+};
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * @function transcriptUnits
+ * @description Splits a transcript into the pieces providers work on: its
+ * segments, or the whole content for transcripts without segments
+ * @param {Object} transcript - Stored transcript
+ * @returns {Array<{text: string, time: number|null, speaker: string|null}>}
+ *   Non-empty pieces in order
+ */
+function transcriptUnits(transcript) {
+  const segments = (transcript.segments || []).filter(
+    (segment) => segment.text && segment.text.trim()
+  );
+  if (segments.length > 0) {
+    return segments.map((segment) => ({
+      text: segment.text.trim(),
+      time: segment.startTime,
+      speaker: segment.speaker ?? null,
+    }));
+  }
+
+  const content = (transcript.content || "").trim();
+  return content ? [{ text: content, time: null, speaker: null }] : [];
+}
+
+/**
+ * @function cleanText
+ * @param {*} value - Provider output
+ * @param {number} maxLength - Length to cut at
+ * @returns {string} Trimmed single-spaced text, empty for non-strings
+ */
+const cleanText = (value, maxLength) =>
+  typeof value === "string"
+    ? value.replace(/\s+/g, " ").trim().slice(0, maxLength)
+    : "";
+
+/**
+ * @function cleanBlock
+ * @description Like cleanText, but keeps line breaks so sections can hold
+ * lists
+ * @param {*} value - Provider output
+ * @param {number} maxLength - Length to cut at
+ * @returns {string} Trimmed text, empty for non-strings
+ */
+const cleanBlock = (value, maxLength) =>
+  typeof value === "string"
+    ? value
+        .replace(/\r\n?/g, "\n")
+        .replace(/[ \t]+/g, " ")
+        .replace(/ ?\n ?/g, "\n")
+        .replace(/\n{3,}/g, "\n\n")
+        .trim()
+        .slice(0, maxLength)
+    : "";
+
+/**
+ * @function normalizeSections
+ * @description Lines provider sections up with the template's, matching by
+ * title and falling back to position
+ * @param {Object} template - Meeting template with sections [{title, prompt}]
+ * @param {*} sections - Provider sections [{title, content}]
+ * @returns {Object[]} One {title, content} per template section
+ */
+function normalizeSections(template, sections) {
+  const titleOf = (section) =>
+    typeof section.title === "string" ? section.title.trim().toLowerCase() : "";
+  const provided = (Array.isArray(sections) ? sections : []).filter(
+    (section) => section && typeof section === "object"
+  );
+  const templateTitles = new Set(
+    template.sections.map(({ title }) => title.toLowerCase())
+  );
+
+  return template.sections.map(({ title }, position) => {
+    const byPosition = provided[position];
+    const match =
+      provided.find((section) => titleOf(section) === title.toLowerCase()) ||
+      // A section at this position is used only if it belongs to no other
+      (byPosition && !templateTitles.has(titleOf(byPosition))
+        ? byPosition
+        : null);
+
+    return {
+      title,
+      content: cleanBlock(match?.content, SUMMARY_LIMITS.MAX_SECTION_LENGTH),
+    };
+  });
+}
+
+/**
+ * @function normalizeActionItem
+ * @description Coerces a provider action item into {text, owner, due, time}
+ * @param {string|Object} item - Action item text or object
+ * @returns {Object} Action item; owner, due and time are null when unknown
+ */
+function normalizeActionItem(item) {
+  const entry = typeof item === "string" ? { text: item } : item || {};
+  const time = Number(entry.time);
+
+  return {
+    text: cleanText(entry.text || entry.task, SUMMARY_LIMITS.MAX_ITEM_LENGTH),
+    owner: cleanText(entry.owner || entry.assignee, 100) || null,
+    due: cleanText(entry.due, 100) || null,
+    time:
+      entry.time !== null && Number.isFinite(time) && time >= 0 ? time : null,
+  };
+}
+
+/**
+ * @function segmentAt
+ * @description Finds the segment an action item came from: the last one that
+ * started at or before its time
+ * @param {Object[]} segments - Transcript segments in order
+ * @param {number|null} time - Seconds into the recording
+ * @returns {number|null} Segment index, or null when it cannot be placed
+ */
+function segmentAt(segments, time) {
+  if (time === null) return null;
+
+  let found = null;
+  for (const segment of segments) {
+    if (segment.startTime > time) break;
+    found = segment.index;
+  }
+  return found;
+}
+
+// =============================================================================
+// ERROR CLASS
+// =============================================================================
+
+/**
+ * @class SummaryProviderError
+ * @description Error raised by summary providers
+ * @property {number|null} statusCode - Upstream HTTP status, if any
+ * @property {boolean} retryable - Whether the request may succeed on retry
+ */
+class SummaryProviderError extends Error {
+  constructor(message, { statusCode = null, retryable = false } = {}) {
+    super(message);
+    this.name = "SummaryProviderError";
+    this.statusCode = statusCode;
+    this.retryable = retryable;
+  }
+}
+
+// =============================================================================
+// BASE PROVIDER CLASS
+// =============================================================================
+
+/**
+ * @class SummaryProvider
+ * @description Abstract meeting summary provider
+ */
+class SummaryProvider {
+  /**
+   * @constructor
+   * @param {Object} options - Provider options
+   * @param {string} options.name - Provider name used in logs and results
+   */
+  constructor(options = {}) {
+    this.name = options.name || "unknown";
+  }
+
+  /**
+   * @method summarize
+   * @description Summarises a stored transcript
+   * @param {Object} transcript - Transcript with segments or content
+   * @param {Object} [options] - Per-request options
+   * @param {string} [options.jobId] - Job identifier for logging
+   * @param {AbortSignal} [options.signal] - Aborts the request
+   * @param {Object} [options.template] - Meeting template whose sections
+   *   the summary fills
+   * @returns {Promise<{overview: string, decisions: string[], actionItems: Object[], sections: Object[], template: Object|null, provider: string}>}
+   *   Summary; action items are {index, text, owner, due, time, segmentIndex}
+   *   with time in seconds into the recording and the segment it came from,
+   *   when known; sections are {title, content} in template order
+   * @throws {SummaryProviderError} If the transcript is empty or the
+   *   provider fails
+   */
+  async summarize(transcript, options = {}) {
+    const units = transcriptUnits(transcript);
+    if (units.length === 0) {
+      throw new SummaryProviderError("Transcript has no text to summarise");
+    }
+
+    const result = await this._summarize(transcript, units, options);
+
+    const decisions = [
+      ...new Set(
+        (Array.isArray(result.decisions) ? result.decisions : [])
+          .map((decision) =>
+            cleanText(decision, SUMMARY_LIMITS.MAX_ITEM_LENGTH)
+          )
+          .filter(Boolean)
+      ),
+    ].slice(0, SUMMARY_LIMITS.MAX_DECISIONS);
+
+    const actionItems = (
+      Array.isArray(result.actionItems) ? result.actionItems : []
+    )
+      .map(normalizeActionItem)
+      .filter((item) => item.text)
+      .slice(0, SUMMARY_LIMITS.MAX_ACTION_ITEMS)
+      .map((item, index) => ({
+        index,
+        ...item,
+        segmentIndex: segmentAt(transcript.segments || [], item.time),
+      }));
+
+    const { template } = options;
+
+    return {
+      overview: cleanText(result.overview, SUMMARY_LIMITS.MAX_OVERVIEW_LENGTH),
+      decisions,
+      actionItems,
+      sections: template ? normalizeSections(template, result.sections) : [],
+      template: template ? { id: template.id, name: template.name } : null,
+      provider: this.name,
+    };
+  }
+
+  /**
+   * @abstract
+   * @method _summarize
+   * @description Produces a summary in a single attempt
+   * @param {Object} transcript - Stored transcript
+   * @param {Object[]} units - Non-empty pieces from transcriptUnits()
+   * @param {Object} options - Per-request options
+   * @returns {Promise<{overview: string, decisions: *[], actionItems: *[], sections: *[]}>}
+   *   Raw result, normalised by summarize(); sections only matter when
+   *   options.template is set
+   */
+  async _summarize(transcript, units, options) {
+    throw new Error(`${this.name} provider does not implement _summarize()`);
+  }
+
+  /**
+   * @method describe
+   * @description Returns non-sensitive provider details for status endpoints
+   * @returns {Object} Provider description
+   */
+  describe() {
+    return { name: this.name };
+  }
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  SummaryProvider,
+  SummaryProviderError,
+  SUMMARY_LIMITS,
+  transcriptUnits,
+};
@@ -0,0 +1,359 @@
+/**
+ * @fileoverview HTTP LLM Summary Provider
+ * @description Summarises meetings with a large language model behind an
+ * OpenAI-compatible chat completions endpoint (OpenAI, Ollama, vLLM,
+ * llama.cpp server, LM Studio, ...). The model is asked for a JSON object,
+ * which is read back into {overview, decisions, actionItems}, plus the
+ * sections of the meeting template when one is given.
+ *
+ * The transcript is sent as one "[m:ss] Speaker: text" line per segment so
+ * the model can say when each action item came up.
+ *
+ * @author AI Assistant
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+// =============================================================================
+// IMPORTS
+// =============================================================================
+
+const http = require("http");
+const https = require("https");
+const { SummaryProvider, SummaryProviderError } = require("./baseProvider");
+const { isRetryableStatus } = require("../stt/httpClient");
+const { STT_LANGUAGES } = require("../stt/languages");
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const HTTP_SUMMARY_DEFAULTS = {
+  TIMEOUT: 120000, // 2 minutes
+  MAX_TRANSCRIPT_LENGTH: 100000, // Characters sent to the model
+  MAX_RESPONSE_SIZE: 1024 * 1024, // 1MB
+};
+
+const SYSTEM_PROMPT = [
+  "You summarise meeting transcripts.",
+  'Reply with a JSON object only: {"overview": string, "decisions": string[],',
+  '"actionItems": [{"text": string, "owner": string|null, "due": string|null,',
+  '"time": number|null}]}.',
+  "overview is a short paragraph on what the meeting covered. decisions lists",
+  "what was agreed. actionItems lists tasks someone committed to or was asked",
+  "to do; owner is the person responsible, due the deadline as said, time the",
+  "seconds into the meeting from the [m:ss] mark of the line it came up in.",
+  "Leave a list empty rather than inventing entries. Write in the language",
+  "the meeting was held in.",
+].join(" ");
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * @function sectionsPrompt
+ * @description Instructions for filling a meeting template
+ * @param {Object} template - Meeting template with sections [{title, prompt}]
+ * @returns {string} Extra system prompt text
+ */
+function sectionsPrompt(template) {
+  return [
+    `This is a ${template.name} meeting. Also include "sections": [{"title":`,
+    'string, "content": string}] with exactly these sections, in this order,',
+    "each written from the transcript (content may use short lines starting",
+    'with "- "; leave it empty if the meeting did not cover it):',
+    ...template.sections.map(({ title, prompt }) =>
+      prompt ? `- ${title}: ${prompt}` : `- ${title}`
+    ),
+  ].join("\n");
+}
+
+/**
+ * @function formatTime
+ * @param {number} seconds - Offset into the recording
+ * @returns {string} m:ss
+ */
+const formatTime = (seconds) => {
+  const total = Math.max(0, Math.floor(seconds));
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, "0")}`;
+};
+
+/**
+ * @function formatTranscript
+ * @description Renders transcript pieces as prompt lines, cut to the limit
+ * @param {Object[]} units - Transcript pieces with time and speaker
+ * @returns {string} Transcript text for the model
+ */
+function formatTranscript(units) {
+  const text = units
+    .map(({ text, time, speaker }) =>
+      [
+        time === null ? "" : `[${formatTime(time)}]`,
+        speaker && `${speaker}:`,
+        text,
+      ]
+        .filter(Boolean)
+        .join(" ")
+    )
+    .join("\n");
+
+  return text.length > HTTP_SUMMARY_DEFAULTS.MAX_TRANSCRIPT_LENGTH
+    ? `${text.slice(
+        0,
+        HTTP_SUMMARY_DEFAULTS.MAX_TRANSCRIPT_LENGTH
+      )}\n[transcript truncated]`
+    : text;
+}
+
+/**
+ * @function parseSummary
+ * @description Reads the model's JSON reply, tolerating a Markdown code fence
+ * @param {string} content - Assistant message content
+ * @returns {Object} Raw summary fields
+ * @throws {SummaryProviderError} If the reply is not a JSON object
+ */
+function parseSummary(content) {
+  const json = String(content || "")
+    .trim()
+    .replace(/^```(?:json)?\s*/i, "")
+    .replace(/\s*```$/, "");
+
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch (error) {
+    throw new SummaryProviderError(
+      `Model reply is not JSON: ${json.slice(0, 200)}`,
+      { retryable: true }
+    );
+  }
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    throw new SummaryProviderError("Model reply is not a JSON object");
+  }
+
+  return {
+    overview: parsed.overview ?? parsed.summary,
+    decisions: parsed.decisions,
+    actionItems: parsed.actionItems ?? parsed.action_items,
+    sections: parsed.sections,
+  };
+}
+
+/**
+ * @function postJSON
+ * @description Sends a JSON body and buffers the response
+ * @param {string} url - Absolute endpoint URL (http or https)
+ * @param {Object} body - Request body
+ * @param {Object} options - Request options
+ * @param {Object} [options.headers] - Extra request headers
+ * @param {number} options.timeout - Request timeout in milliseconds
+ * @param {AbortSignal} [options.signal] - Aborts the request
+ * @returns {Promise<{statusCode: number, body: string}>} Buffered response
+ * @throws {SummaryProviderError} On network errors, timeouts, aborts or
+ *   oversized responses
+ */
+function postJSON(url, body, { headers = {}, timeout, signal }) {
+  return new Promise((resolve, reject) => {
+    let target;
+    try {
+      target = new URL(url);
+    } catch (error) {
+      reject(new SummaryProviderError(`Invalid summary endpoint URL: ${url}`));
+      return;
+    }
+
+    const payload = Buffer.from(JSON.stringify(body));
+    const transport = target.protocol === "http:" ? http : https;
+    let settled = false;
+    const finish = (fn, value) => {
+      if (settled) return;
+      settled = true;
+      signal?.removeEventListener("abort", onAbort);
+      fn(value);
+    };
+
+    const request = transport.request(
+      target,
+      {
+        method: "POST",
+        timeout,
+        headers: {
+          "User-Agent": "Granola-Clone-Summary/1.0",
+          "Content-Type": "application/json",
+          "Content-Length": payload.length,
+          ...headers,
+        },
+      },
+      (response) => {
+        const chunks = [];
+        let size = 0;
+        response.on("data", (chunk) => {
+          size += chunk.length;
+          if (size > HTTP_SUMMARY_DEFAULTS.MAX_RESPONSE_SIZE) {
+            request.destroy();
+            finish(reject, new SummaryProviderError("Response too large"));
+            return;
+          }
+          chunks.push(chunk);
+        });
+        response.on("end", () =>
+          finish(resolve, {
+            statusCode: response.statusCode,
+            body: Buffer.concat(chunks).toString("utf8"),
+          })
+        );
+      }
+    );
+
+    const onAbort = () => {
+      request.destroy();
+      finish(reject, new SummaryProviderError("Summary request cancelled"));
+    };
+    if (signal?.aborted) return onAbort();
+    signal?.addEventListener("abort", onAbort);
+
+    request.on("timeout", () => {
+      request.destroy();
+      finish(
+        reject,
+        new SummaryProviderError("Summary request timed out", {
+          retryable: true,
+        })
+      );
+    });
+    request.on("error", (error) =>
+      finish(
+        reject,
+        new SummaryProviderError(`Network error: ${error.message}`, {
+          retryable: true,
+        })
+      )
+    );
+
+    request.end(payload);
+  });
+}
+
+// =============================================================================
+// HTTP PROVIDER CLASS
+// =============================================================================
+
+/**
+ * @class HttpProvider
+ * @extends SummaryProvider
+ * @description OpenAI-compatible chat completions summary provider
+ */
+class HttpProvider extends SummaryProvider {
+  /**
+   * @constructor
+   * @param {Object} options - Provider options
+   * @param {string} options.url - Chat completions endpoint URL
+   * @param {string} [options.apiKey] - Sent as a Bearer token when set
+   * @param {string} [options.model] - Model name; some servers require one
+   * @param {number} [options.timeout] - Request timeout in milliseconds
+   */
+  constructor(options) {
+    super({ name: "http" });
+    this.url = options.url;
+    this.apiKey = options.apiKey || "";
+    this.model = options.model || "";
+    this.timeout = options.timeout || HTTP_SUMMARY_DEFAULTS.TIMEOUT;
+  }
+
+  /**
+   * @method _summarize
+   * @description Asks the model for a summary of the transcript
+   * @param {Object} transcript - Stored transcript
+   * @param {Object[]} units - Transcript pieces with time and speaker
+   * @param {Object} options - Per-request options
+   * @param {string} [options.jobId] - Job identifier for logging
+   * @param {AbortSignal} [options.signal] - Aborts the request
+   * @param {Object} [options.template] - Meeting template to fill
+   * @returns {Promise<{overview: *, decisions: *, actionItems: *, sections: *}>}
+   *   Raw summary
+   */
+  async _summarize(
+    transcript,
+    units,
+    { jobId = "unknown", signal, template } = {}
+  ) {
+    const language = STT_LANGUAGES.find(
+      ({ code }) => code === transcript.language
+    );
+    const header = [
+      `Meeting: ${transcript.title}`,
+      language && `Language: ${language.name}`,
+    ]
+      .filter(Boolean)
+      .join("\n");
+    const prompt = `${header}\n\n${formatTranscript(units)}`;
+
+    console.log(
+      `🧠 [${jobId}] Requesting summary from ${this.url}: ${prompt.length} characters`
+    );
+
+    const response = await postJSON(
+      this.url,
+      {
+        ...(this.model && { model: this.model }),
+        temperature: 0,
+        response_format: { type: "json_object" },
+        messages: [
+          {
+            role: "system",
+            content: template
+              ? `${SYSTEM_PROMPT}\n\n${sectionsPrompt(template)}`
+              : SYSTEM_PROMPT,
+          },
+          { role: "user", content: prompt },
+        ],
+      },
+      {
+        timeout: this.timeout,
+        signal,
+        headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+      }
+    );
+
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+      throw new SummaryProviderError(
+        `API error ${response.statusCode}: ${response.body.substring(0, 200)}`,
+        {
+          statusCode: response.statusCode,
+          retryable: isRetryableStatus(response.statusCode),
+        }
+      );
+    }
+
+    let result;
+    try {
+      result = JSON.parse(response.body);
+    } catch (parseError) {
+      throw new SummaryProviderError(
+        `Response parsing failed: ${parseError.message}`
+      );
+    }
+
+    const content = result?.choices?.[0]?.message?.content;
+    if (typeof content !== "string") {
+      throw new SummaryProviderError("Response has no message content");
+    }
+    return parseSummary(content);
+  }
+
+  /**
+   * @method describe
+   * @description Returns non-sensitive provider details
+   * @returns {Object} Provider description
+   */
+  describe() {
+    return { ...super.describe(), url: this.url, model: this.model || null };
+  }
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = HttpProvider;
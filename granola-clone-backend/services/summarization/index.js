@@ -0,0 +1,201 @@
+/**
+ * @fileoverview Meeting Summaries
+ * @description Selects the summary provider from configuration and runs
+ * summaries as background jobs that store the result on the transcript.
+ *
+ * Providers (`summary.provider`):
+ * - http:  LLM behind an OpenAI-compatible chat completions endpoint
+ *          (`summary.http.*` settings)
+ * - local: Deterministic extractive summaries, no network needed
+ *          (`summary.local.*` settings)
+ * - auto:  http when an endpoint URL is configured, local otherwise
+ *
+ * A summary is {overview, decisions, actionItems, sections, template,
+ * provider, generatedAt} and is kept as `transcript.summary` until the
+ * transcript's text or segments change. Sections follow the transcript's meeting
+ * template; there are none without one (or once it is deleted). Action
+ * items are also tracked in the action item repository, where they keep
+ * their open/done status across summaries.
+ *
+ * With `summary.auto`, new and edited transcripts and finished
+ * (re-)transcriptions are summarised without being asked.
+ *
+ * @author AI Assistant
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+// =============================================================================
+// IMPORTS
+// =============================================================================
+
+const { SummaryProvider, SummaryProviderError } = require("./baseProvider");
+const HttpProvider = require("./httpProvider");
+const LocalProvider = require("./localProvider");
+const { TRANSCRIPTION_JOBS } = require("../transcription");
+const { JOB_STATUS } = require("../jobs");
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const SUMMARY_JOBS = {
+  SUMMARIZE: "summarize",
+};
+
+// =============================================================================
+// FACTORY
+// =============================================================================
+
+/**
+ * @function resolveProviderName
+ * @description Resolves "auto" to a concrete provider name
+ * @param {Object} config - Environment configuration instance
+ * @returns {string} Provider name
+ */
+function resolveProviderName(config) {
+  const provider = config.get("summary.provider") || "auto";
+
+  if (provider !== "auto") return provider;
+
+  return config.get("summary.http.url") ? "http" : "local";
+}
+
+/**
+ * @function createSummaryProvider
+ * @description Creates the configured summary provider
+ * @param {Object} config - Environment configuration instance
+ * @returns {SummaryProvider} Provider instance
+ * @throws {Error} If the configured provider is unknown
+ */
+function createSummaryProvider(config) {
+  const name = resolveProviderName(config);
+
+  switch (name) {
+    case "http":
+      return new HttpProvider(config.get("summary.http"));
+
+    case "local":
+      return new LocalProvider(config.get("summary.local"));
+
+    default:
+      throw new Error(`Unknown summary provider: ${name}`);
+  }
+}
+
+/**
+ * @function createSummarizationService
+ * @description Registers the summary job type on the queue
+ * @param {Object} config - Environment configuration instance
+ * @param {Object} storage - Storage from createStorage()
+ * @param {JobQueue} jobs - Job queue from createJobQueue()
+ * @param {Object} [options] - Overrides
+ * @param {SummaryProvider} [options.summaryProvider] - Custom provider
+ * @returns {Object} Summarization service
+ */
+function createSummarizationService(config, storage, jobs, options = {}) {
+  const summaryProvider =
+    options.summaryProvider || createSummaryProvider(config);
+
+  jobs.register(SUMMARY_JOBS.SUMMARIZE, async (job, { signal }) => {
+    const { transcriptId } = job.payload;
+    const transcript = storage.transcripts.get(transcriptId);
+    if (!transcript) {
+      throw Object.assign(new Error("Transcript no longer exists"), {
+        retryable: false,
+      });
+    }
+
+    const template = transcript.templateId
+      ? storage.templates.get(transcript.templateId)
+      : null;
+    const summary = await summaryProvider.summarize(transcript, {
+      jobId: job.id,
+      signal,
+      template,
+    });
+
+    // The transcript may have been edited while the provider was working
+    if (storage.transcripts.get(transcriptId)?.content !== transcript.content) {
+      throw Object.assign(
+        new Error("Transcript changed while it was being summarised"),
+        { retryable: false }
+      );
+    }
+    storage.engine.transaction(() => {
+      storage.transcripts.update(transcriptId, {
+        summary: { ...summary, generatedAt: new Date().toISOString() },
+      });
+      storage.actionItems.replaceForTranscript(
+        transcriptId,
+        summary.actionItems
+      );
+    });
+    console.log(
+      `📝 Summarised transcript ${transcriptId}: ${summary.decisions.length} decisions, ${summary.actionItems.length} action items`
+    );
+
+    return {
+      transcriptId,
+      decisionCount: summary.decisions.length,
+      actionItemCount: summary.actionItems.length,
+    };
+  });
+
+  /**
+   * Queues a summary of a transcript
+   * @param {number} transcriptId - Transcript id
+   * @returns {Object} Job view
+   */
+  const summarize = (transcriptId) =>
+    jobs.submit(SUMMARY_JOBS.SUMMARIZE, {
+      transcriptId: Number(transcriptId),
+    });
+
+  const auto = config.get("summary.auto");
+
+  /**
+   * Queues a summary when automatic summaries are on and there is text
+   * @param {number} transcriptId - Transcript id
+   * @returns {Object|null} Job view, or null when nothing was queued
+   */
+  const summarizeIfEnabled = (transcriptId) => {
+    if (!auto) return null;
+    const content = storage.transcripts.get(transcriptId)?.content || "";
+    return content.trim() ? summarize(transcriptId) : null;
+  };
+
+  // Uploads and re-transcriptions produce new text once their job succeeds
+  jobs.on("finished", (job) => {
+    if (
+      job.status === JOB_STATUS.SUCCEEDED &&
+      [TRANSCRIPTION_JOBS.UPLOAD, TRANSCRIPTION_JOBS.RETRANSCRIBE].includes(
+        job.type
+      )
+    ) {
+      summarizeIfEnabled(job.result.transcriptId);
+    }
+  });
+
+  return {
+    providerName: summaryProvider.name,
+    auto,
+    summarize,
+    summarizeIfEnabled,
+  };
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  createSummarizationService,
+  createSummaryProvider,
+  resolveProviderName,
+  SUMMARY_JOBS,
+  SummaryProvider,
+  SummaryProviderError,
+  HttpProvider,
+  LocalProvider,
+};
@@ -0,0 +1,365 @@
+/**
+ * @fileoverview Local Extractive Summary Provider
+ * @description Summarises meetings without a network call, for development,
+ * tests and deployments without an LLM. Output is deterministic: the same
+ * transcript always gives the same summary.
+ *
+ * - Overview: the highest-scoring sentences, in the order they were said.
+ *   A sentence scores by how frequent its content words are across the
+ *   meeting, so sentences about the recurring topics win
+ * - Decisions: sentences with decision phrases ("we decided", "agreed",
+ *   "तय", "फैसला", ...)
+ * - Action items: sentences with a commitment phrase and a task verb
+ *   ("I will send", "need to fix", "can you check", "करेंगे", ...) or that
+ *   open with an owner ("Ravi will ..."), with an owner and due date when
+ *   the sentence names them
+ * - Template sections: each sentence goes to the section whose title and
+ *   prompt share the most words with it, and each section keeps its best
+ *   sentences
+ *
+ * English, Hindi (Devanagari) and romanised Hinglish are recognised.
+ *
+ * @author AI Assistant
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+// =============================================================================
+// IMPORTS
+// =============================================================================
+
+const { SummaryProvider } = require("./baseProvider");
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const LOCAL_SUMMARY_DEFAULTS = {
+  SENTENCES: 3, // Sentences in the overview
+  MIN_WORDS: 4, // Shorter sentences are not used in the overview
+  STEM_LENGTH: 5, // Word prefix compared when matching template sections
+};
+
+// Words that say nothing about the topic of a meeting
+const STOPWORDS = new Set(
+  [
+    // English
+    "a an and are as at be been but by can could did do does for from had has have he her his how i if in into is it its just like me my no not of on or our she so that the their them then there these they this to too um uh was we were what when where which who will with would yeah yes you your okay ok also about all get got going know think really right well",
+    // Hindi
+    "है हैं था थे थी हो होगा का की के को में से पर और या तो भी ही यह ये वह वो इस उस इसे उसे कि एक लिए जो ने हम आप मैं तुम कर करना कुछ अब बहुत नहीं ना हाँ हां क्या तक साथ वाला वाले",
+    // Romanised Hindi
+    "hai hain tha the thi ho ka ki ke ko mein me se par aur ya toh bhi hi yeh ye woh wo is us ki ek liye jo ne hum aap main tum kar karna kuch ab bahut nahi na haan kya tak",
+  ]
+    .join(" ")
+    .split(" ")
+);
+
+// \b only knows ASCII word characters, so Devanagari phrases are matched as
+// plain substrings
+const DECISION_PATTERNS = [
+  /\b(decided|decision|agreed|agree to|approved|finali[sz]ed?|settled on|signed off|go(?:ing)? (?:ahead )?with|conclusion)\b/i,
+  /(तय|फ़ैसला|फैसला|निर्णय|मंज़ूर|मंजूर|सहमत|फाइनल)/,
+  /\b(tay (?:hua|kiya|hai)|faisla|final kiya)\b/i,
+];
+
+// Commitment phrases only count when a task verb follows, so "let's start
+// the planning" or "you will see" are not action items
+const ACTION_PATTERNS = [
+  new RegExp(
+    [
+      "\\b(?:i'll|i will|we'll|we will|you'll|you will|going to|needs? to|",
+      "have to|has to|must|should|let's|can you|could you|please)\\s+",
+      "(?:(?:also|then|just|first|quickly|still|definitely|please)\\s+)?",
+      "(?:send|share|email|call|ping|ask|tell|check|review|update|fix|write|",
+      "draft|prepare|schedule|reschedule|book|set up|follow up|look into|",
+      "reach out|finish|complete|create|add|remove|test|deploy|ship|release|",
+      "merge|file|submit|confirm|sync|circulate|investigate|organi[sz]e|",
+      "document|handle|own|plan|build|implement|make|put together|talk to|",
+      "sort out|figure out|clean up|coordinate|present|collect|arrange|",
+      "contact|upload|publish|fill|sign|escalate|migrate|run|reply|invite|",
+      "cancel)\\b",
+    ].join(""),
+    "i"
+  ),
+  /\b(action item|follow[- ]up|to-?do|take care of|responsible for)\b/i,
+  /(करेंगे|करूँगा|करूंगा|करूँगी|करूंगी|करेगा|करेगी|करना है|करना होगा|करनी है|करने हैं|भेजेंगे|भेज दूंगा|भेज दूँगा|देखेंगे|देख लूंगा|ज़िम्मेदारी|जिम्मेदारी)/,
+  /\b(karenge|karunga|karungi|karega|karegi|karna hai|karna hoga|bhej dunga|bhejenge|dekh lunga|dekhenge)\b/i,
+];
+
+// The speaker commits to the action themselves
+const FIRST_PERSON = /^(?:i|i'll|i'm|main)\b|^मैं/i;
+
+// "Ravi will ...", "Asha, can you ..."
+const NAMED_OWNER =
+  /^(?:ok(?:ay)?,?\s+|so,?\s+)?([A-Z][a-z]+)(?:,\s*(?:can|could|would) you\b|\s+(?:will|should|needs? to|is going to|has to)\b)/;
+
+const NOT_NAMES = new Set([
+  "We",
+  "You",
+  "They",
+  "It",
+  "This",
+  "That",
+  "He",
+  "She",
+  "Someone",
+  "Everyone",
+  "Somebody",
+  "Everybody",
+  "There",
+  "Then",
+]);
+
+const DUE_PATTERN = new RegExp(
+  [
+    "\\b(?:(?:by|before|until|on|due)\\s+)?",
+    "(today|tonight|tomorrow|next week|next month|",
+    "end of (?:the )?(?:day|week|month)|eod|eow|",
+    "(?:this |next )?(?:monday|tuesday|wednesday|thursday|friday|saturday|sunday)|",
+    "\\d{1,2}(?:st|nd|rd|th)? (?:of )?(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*|",
+    "(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]* \\d{1,2}(?:st|nd|rd|th)?)\\b",
+  ].join(""),
+  "i"
+);
+
+const HINDI_DUE_PATTERN =
+  /(आज|कल|परसों|अगले हफ़्ते|अगले हफ्ते|सोमवार|मंगलवार|बुधवार|गुरुवार|शुक्रवार|शनिवार|रविवार)/;
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * @function splitSentences
+ * @description Splits text at sentence punctuation, including the Devanagari
+ * danda (।)
+ * @param {string} text - Transcript text
+ * @returns {string[]} Non-empty sentences with their punctuation
+ */
+function splitSentences(text) {
+  return (text.match(/[^.!?।॥]+(?:[.!?।॥]+|$)/gu) || [])
+    .map((sentence) => sentence.trim())
+    .filter(Boolean);
+}
+
+/**
+ * @function contentWords
+ * @param {string} sentence - Sentence text
+ * @returns {string[]} Lower-cased words that are not stopwords
+ */
+function contentWords(sentence) {
+  return (sentence.toLowerCase().match(/[\p{L}\p{M}\p{N}']+/gu) || []).filter(
+    (word) => word.length > 1 && !STOPWORDS.has(word)
+  );
+}
+
+/**
+ * @function stem
+ * @description Crude stem so "finished" matches "finish" and "blocked"
+ * matches "blockers"
+ * @param {string} word - Lower-cased word
+ * @returns {string} Word prefix
+ */
+const stem = (word) => word.slice(0, LOCAL_SUMMARY_DEFAULTS.STEM_LENGTH);
+
+/**
+ * @function findOwner
+ * @description Who an action item belongs to, when the sentence says so
+ * @param {string} sentence - Action item sentence
+ * @param {string|null} speaker - Speaker of the sentence
+ * @returns {string|null} Owner name or speaker label
+ */
+function findOwner(sentence, speaker) {
+  if (FIRST_PERSON.test(sentence)) return speaker;
+  return namedOwner(sentence);
+}
+
+/**
+ * @function namedOwner
+ * @param {string} sentence - Sentence text
+ * @returns {string|null} Name the sentence opens with as the one to act
+ */
+function namedOwner(sentence) {
+  const named = sentence.match(NAMED_OWNER);
+  return named && !NOT_NAMES.has(named[1]) ? named[1] : null;
+}
+
+/**
+ * @function isActionItem
+ * @param {string} sentence - Sentence text
+ * @returns {boolean} Whether the sentence commits someone to a task
+ */
+function isActionItem(sentence) {
+  return (
+    ACTION_PATTERNS.some((pattern) => pattern.test(sentence)) ||
+    namedOwner(sentence) !== null
+  );
+}
+
+/**
+ * @function findDue
+ * @param {string} sentence - Action item sentence
+ * @returns {string|null} Deadline phrase such as "by Friday", or null
+ */
+function findDue(sentence) {
+  const match =
+    sentence.match(DUE_PATTERN) || sentence.match(HINDI_DUE_PATTERN);
+  return match ? match[0].trim() : null;
+}
+
+// =============================================================================
+// LOCAL PROVIDER CLASS
+// =============================================================================
+
+/**
+ * @class LocalProvider
+ * @extends SummaryProvider
+ * @description Deterministic extractive summariser
+ */
+class LocalProvider extends SummaryProvider {
+  /**
+   * @constructor
+   * @param {Object} [options] - Provider options
+   * @param {number} [options.sentences] - Sentences in the overview
+   */
+  constructor(options = {}) {
+    super({ name: "local" });
+    this.sentences = options.sentences || LOCAL_SUMMARY_DEFAULTS.SENTENCES;
+  }
+
+  /**
+   * @method _summarize
+   * @description Extracts the overview, decisions and action items
+   * @param {Object} transcript - Stored transcript
+   * @param {Object[]} units - Transcript pieces with time and speaker
+   * @param {Object} [options] - Per-request options
+   * @param {Object} [options.template] - Meeting template to fill
+   * @returns {Promise<{overview: string, decisions: string[], actionItems: Object[], sections: Object[]}>}
+   *   Summary
+   */
+  async _summarize(transcript, units, { template } = {}) {
+    const sentences = units.flatMap((unit) =>
+      splitSentences(unit.text).map((text) => ({
+        text,
+        time: unit.time,
+        speaker: unit.speaker,
+        words: contentWords(text),
+      }))
+    );
+
+    return {
+      overview: this._overview(sentences),
+      decisions: sentences
+        .filter(({ text }) =>
+          DECISION_PATTERNS.some((pattern) => pattern.test(text))
+        )
+        .map(({ text }) => text),
+      actionItems: sentences
+        .filter(({ text }) => isActionItem(text))
+        .map(({ text, time, speaker }) => ({
+          text,
+          owner: findOwner(text, speaker),
+          due: findDue(text),
+          time,
+        })),
+      sections: template ? this._sections(sentences, template) : [],
+    };
+  }
+
+  /**
+   * @private
+   * @method _sections
+   * @description Fills template sections with the sentences that match them
+   * @param {Object[]} sentences - Sentences with their content words
+   * @param {Object} template - Meeting template with sections [{title, prompt}]
+   * @returns {Object[]} Sections as {title, content}; content is empty when
+   *   nothing matched
+   */
+  _sections(sentences, template) {
+    const sectionStems = template.sections.map(
+      ({ title, prompt }) =>
+        new Set(contentWords(`${title} ${prompt}`).map(stem))
+    );
+    const picked = template.sections.map(() => []);
+
+    sentences.forEach((sentence, position) => {
+      const scores = sectionStems.map(
+        (stems) => sentence.words.filter((word) => stems.has(stem(word))).length
+      );
+      const best = Math.max(...scores);
+      // Ties go to the earlier section
+      if (best > 0) {
+        picked[scores.indexOf(best)].push({
+          ...sentence,
+          position,
+          score: best,
+        });
+      }
+    });
+
+    return template.sections.map(({ title }, index) => ({
+      title,
+      content: picked[index]
+        .sort((a, b) => b.score - a.score || a.position - b.position)
+        .slice(0, this.sentences)
+        .sort((a, b) => a.position - b.position)
+        .map(({ text }) => text)
+        .join(" "),
+    }));
+  }
+
+  /**
+   * @private
+   * @method _overview
+   * @description Picks the most representative sentences
+   * @param {Object[]} sentences - Sentences with their content words
+   * @returns {string} Selected sentences in spoken order
+   */
+  _overview(sentences) {
+    const frequency = new Map();
+    for (const { words } of sentences) {
+      for (const word of words) {
+        frequency.set(word, (frequency.get(word) || 0) + 1);
+      }
+    }
+    const maxFrequency = Math.max(1, ...frequency.values());
+
+    // Average word weight, so long sentences do not win on length alone
+    const scored = sentences.map((sentence, position) => ({
+      ...sentence,
+      position,
+      score:
+        sentence.words.reduce(
+          (sum, word) => sum + frequency.get(word) / maxFrequency,
+          0
+        ) / Math.sqrt(Math.max(1, sentence.words.length)),
+    }));
+    const candidates = scored.filter(
+      ({ text }) => text.split(/\s+/).length >= LOCAL_SUMMARY_DEFAULTS.MIN_WORDS
+    );
+    // Meetings of nothing but short remarks still get an overview
+    const pool = candidates.length > 0 ? candidates : scored;
+
+    return [...pool]
+      .sort((a, b) => b.score - a.score || a.position - b.position)
+      .slice(0, this.sentences)
+      .sort((a, b) => a.position - b.position)
+      .map(({ text }) => text)
+      .join(" ");
+  }
+
+  /**
+   * @method describe
+   * @description Returns provider details
+   * @returns {Object} Provider description
+   */
+  describe() {
+    return { ...super.describe(), sentences: this.sentences };
+  }
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = LocalProvider;
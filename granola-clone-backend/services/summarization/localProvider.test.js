@@ -0,0 +1,71 @@
+const LocalProvider = require("./localProvider");
+
+// A transcript with one segment per sentence, alternating speakers
+const transcript = (...sentences) => ({
+  id: "transcript-1",
+  segments: sentences.map((text, index) => ({
+    text,
+    startTime: index * 5,
+    speaker: index % 2 ? "Speaker 2" : "Speaker 1",
+  })),
+});
+
+const actionItems = async (...sentences) => {
+  const summary = await new LocalProvider().summarize(transcript(...sentences));
+  return summary.actionItems;
+};
+
+describe("LocalProvider action items", () => {
+  test("greetings and suggestions without a task are not action items", async () => {
+    expect(
+      await actionItems(
+        "Welcome everyone, let's start the planning.",
+        "Please take a seat.",
+        "The demo will be on the big screen.",
+        "You will see the numbers went up.",
+        "Everyone will be there."
+      )
+    ).toEqual([]);
+  });
+
+  test("a commitment phrase followed by a task verb is an action item", async () => {
+    const items = await actionItems(
+      "I will send the deck by Friday.",
+      "Can you review the budget?",
+      "We need to fix the login bug tomorrow.",
+      "Let's schedule the retro."
+    );
+
+    expect(items.map(({ text }) => text)).toEqual([
+      "I will send the deck by Friday.",
+      "Can you review the budget?",
+      "We need to fix the login bug tomorrow.",
+      "Let's schedule the retro.",
+    ]);
+    expect(items[0]).toMatchObject({
+      owner: "Speaker 1",
+      due: "by Friday",
+      time: 0,
+    });
+    expect(items[2].due).toBe("tomorrow");
+  });
+
+  test("a sentence opening with an owner is an action item", async () => {
+    const items = await actionItems(
+      "Ravi will own the migration.",
+      "Asha, can you handle the invites?"
+    );
+
+    expect(items.map(({ owner }) => owner)).toEqual(["Ravi", "Asha"]);
+  });
+
+  test("Hindi and Hinglish commitments are recognised", async () => {
+    const items = await actionItems(
+      "मैं रिपोर्ट कल भेज दूंगा।",
+      "Hum isse kal tak karenge."
+    );
+
+    expect(items).toHaveLength(2);
+    expect(items[0]).toMatchObject({ owner: "Speaker 1", due: "कल" });
+  });
+});
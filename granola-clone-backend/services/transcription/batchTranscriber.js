@@ -0,0 +1,287 @@
+/**
+ * @fileoverview Batch Transcriber
+ * @description Transcribes a complete recording (e.g. an uploaded file) into
+ * timed segments. Provider utterances become one segment each; without them
+ * the whole recording (or each chunk of a long one) is a single segment.
+ * Recordings longer than one chunk are split and stitched by ./chunking.
+ * Speakers are labelled through the same diarization sessions as live
+ * streaming.
+ *
+ * @author AI Assistant
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+// =============================================================================
+// IMPORTS
+// =============================================================================
+
+const { WAVValidator } = require("../../utils/wavValidator");
+const { CHUNKING_DEFAULTS, planChunks, stitchChunks } = require("./chunking");
+const { dominantLanguage } = require("../stt/languages");
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * @function slicePCM
+ * @description Cuts a time range out of interleaved PCM audio
+ * @param {Buffer} pcm - PCM audio
+ * @param {Object} format - {sampleRate, numChannels, bitsPerSample}
+ * @param {number} startTime - Start in seconds
+ * @param {number} endTime - End in seconds
+ * @returns {Buffer} PCM for the range
+ */
+function slicePCM(pcm, format, startTime, endTime) {
+  const frameBytes = format.numChannels * (format.bitsPerSample / 8);
+  const toOffset = (seconds) =>
+    Math.min(
+      pcm.length,
+      Math.max(0, Math.round(seconds * format.sampleRate) * frameBytes)
+    );
+  return pcm.subarray(toOffset(startTime), toOffset(endTime));
+}
+
+/**
+ * @function toPieces
+ * @description Places one chunk's provider result on the recording timeline
+ * @param {Object} result - Provider result for the chunk
+ * @param {Object} chunk - Chunk from planChunks()
+ * @returns {Object[]} Pieces for stitchChunks()
+ */
+function toPieces(result, chunk) {
+  const utterances = result.utterances.filter((utterance) => utterance.text);
+  if (utterances.length === 0) {
+    return result.transcript && result.transcript.trim()
+      ? [
+          {
+            text: result.transcript.trim(),
+            startTime: chunk.startTime,
+            endTime: chunk.endTime,
+            speaker: null,
+            timed: false,
+          },
+        ]
+      : [];
+  }
+
+  // Provider speaker labels restart with every request, so they cannot be
+  // matched across chunks; local diarization labels these instead
+  return utterances.map((utterance) => ({
+    ...utterance,
+    speaker: null,
+    startTime: chunk.startTime + utterance.startTime,
+    endTime: chunk.startTime + utterance.endTime,
+    timed: true,
+  }));
+}
+
+// =============================================================================
+// BATCH TRANSCRIBER CLASS
+// =============================================================================
+
+/**
+ * @class BatchTranscriber
+ * @description Turns one WAV recording into transcript segments
+ */
+class BatchTranscriber {
+  /**
+   * @constructor
+   * @param {Object} options - Transcriber options
+   * @param {Object} options.sttProvider - Provider with transcribe(buffer, options)
+   * @param {Object} options.diarizer - Diarizer from createDiarizer()
+   * @param {WAVValidator} [options.validator] - WAV validator
+   * @param {Object} [options.chunking] - Overrides for CHUNKING_DEFAULTS
+   */
+  constructor({ sttProvider, diarizer, validator, chunking = {} }) {
+    this.sttProvider = sttProvider;
+    this.diarizer = diarizer;
+    this.validator =
+      validator ||
+      new WAVValidator({ validationLevel: "standard", autoFix: true });
+    this.chunking = { ...CHUNKING_DEFAULTS, ...chunking };
+  }
+
+  /**
+   * @method recognize
+   * @description Transcribes an already validated PCM WAV recording. Audio
+   * longer than one chunk is split, transcribed chunk by chunk and stitched;
+   * silent recordings and chunks are skipped.
+   * @param {Buffer} wavBuffer - PCM WAV file contents
+   * @param {Object} [options] - Options
+   * @param {string} [options.jobId] - Identifier used in logs
+   * @param {AbortSignal} [options.signal] - Aborts the provider request and
+   *   stops before the next chunk
+   * @param {string} [options.language] - Language code, or "auto" to detect
+   * @param {string} [options.model] - Provider model
+   * @returns {Promise<{transcript: string, confidence: number|null, utterances: Object[], language: string|null, duration: number, speechRatio: number}>}
+   *   Provider-shaped result for the whole recording, with utterance times
+   *   relative to its start, the language most chunks were recognised in and
+   *   the share of the recording that is speech (0-1)
+   */
+  async recognize(
+    wavBuffer,
+    { jobId = "batch", signal, language, model } = {}
+  ) {
+    const format = WAVValidator.readFormat(wavBuffer);
+    const pcm = WAVValidator.extractPCM(wavBuffer);
+    const duration =
+      pcm.length /
+      (format.sampleRate * format.numChannels * (format.bitsPerSample / 8));
+
+    // Silence never reaches the STT provider
+    const { speechRatio, regions } = WAVValidator.detectVoiceActivity(
+      pcm,
+      format
+    );
+    if (speechRatio === 0) {
+      console.log(`🔇 [${jobId}] No speech detected, skipping transcription`);
+      return {
+        transcript: "",
+        confidence: null,
+        utterances: [],
+        language: null,
+        duration,
+        speechRatio,
+      };
+    }
+
+    if (duration <= this.chunking.chunkDuration) {
+      const result = await this.sttProvider.transcribe(wavBuffer, {
+        clientId: jobId,
+        signal,
+        language,
+        model,
+      });
+      return { ...result, duration, speechRatio };
+    }
+
+    const chunks = planChunks(pcm, format, this.chunking).filter((chunk) =>
+      regions.some(
+        (region) =>
+          region.startTime < chunk.endTime && region.endTime > chunk.startTime
+      )
+    );
+    console.log(
+      `✂️  [${jobId}] Transcribing ${Math.round(duration)}s in ${
+        chunks.length
+      } chunks with speech`
+    );
+
+    const results = [];
+    for (const [index, chunk] of chunks.entries()) {
+      if (signal?.aborted) throw new Error("Transcription cancelled");
+
+      const result = await this.sttProvider.transcribe(
+        WAVValidator.buildWAV(
+          slicePCM(pcm, format, chunk.startTime, chunk.endTime),
+          format
+        ),
+        { clientId: `${jobId}#${index + 1}`, signal, language, model }
+      );
+      results.push({ chunk, result, pieces: toPieces(result, chunk) });
+    }
+
+    const utterances = stitchChunks(results, this.chunking);
+    const confidences = results
+      .map(({ result }) => result.confidence)
+      .filter((confidence) => typeof confidence === "number");
+
+    return {
+      transcript: utterances.map((utterance) => utterance.text).join(" "),
+      confidence: confidences.length
+        ? confidences.reduce((sum, value) => sum + value, 0) /
+          confidences.length
+        : null,
+      utterances,
+      language: dominantLanguage(results.map(({ result }) => result.language)),
+      duration,
+      speechRatio,
+    };
+  }
+
+  /**
+   * @method transcribe
+   * @description Validates and transcribes a recording
+   * @param {Buffer} wavBuffer - WAV file contents
+   * @param {Object} [options] - Options
+   * @param {string} [options.jobId] - Identifier used in logs
+   * @param {AbortSignal} [options.signal] - Stops long recordings early
+   * @param {string} [options.language] - Language code, or "auto" to detect
+   * @param {string} [options.model] - Provider model
+   * @returns {Promise<{segments: Object[], language: string|null, duration: number, speechRatio: number}>}
+   *   Transcript segments in the stored segment shape, the recognised
+   *   language, the recording duration and the share of it that is speech
+   */
+  async transcribe(
+    wavBuffer,
+    { jobId = "batch", signal, language, model } = {}
+  ) {
+    let processedBuffer;
+    try {
+      ({ processedBuffer } = await this.validator.validateAndProcess(
+        wavBuffer,
+        jobId
+      ));
+    } catch (error) {
+      // Retrying cannot fix unreadable audio
+      error.retryable = false;
+      throw error;
+    }
+
+    const format = WAVValidator.readFormat(processedBuffer);
+    const pcm = WAVValidator.extractPCM(processedBuffer);
+    const result = await this.recognize(processedBuffer, {
+      jobId,
+      signal,
+      language,
+      model,
+    });
+    const { duration, speechRatio } = result;
+    const diarization = this.diarizer.createSession();
+
+    const pieces = result.utterances.some((utterance) => utterance.text)
+      ? result.utterances.filter((utterance) => utterance.text)
+      : [
+          {
+            text: result.transcript,
+            startTime: 0,
+            endTime: duration,
+            speaker: null,
+          },
+        ];
+
+    const segments = pieces
+      .filter((piece) => piece.text && piece.text.trim())
+      .map((piece) => {
+        const startTime = Math.min(piece.startTime || 0, duration);
+        const endTime = Math.max(
+          startTime,
+          Math.min(piece.endTime || duration, duration)
+        );
+        return {
+          startTime,
+          endTime,
+          text: piece.text.trim(),
+          confidence: result.confidence,
+          speaker: diarization.assignSpeaker({
+            utterances: [piece],
+            pcm: slicePCM(pcm, format, startTime, endTime),
+            format,
+          }),
+        };
+      });
+
+    return { segments, language: result.language, duration, speechRatio };
+  }
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  BatchTranscriber,
+  slicePCM,
+};
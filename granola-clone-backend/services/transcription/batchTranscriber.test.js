@@ -0,0 +1,182 @@
+const { BatchTranscriber } = require("./batchTranscriber");
+const { WAVValidator } = require("../../utils/wavValidator");
+
+const SAMPLE_RATE = 16000;
+const format = { sampleRate: SAMPLE_RATE, numChannels: 1, bitsPerSample: 16 };
+
+// A steady 180Hz tone reads as speech to voice activity detection
+const tone = (seconds) => {
+  const pcm = Buffer.alloc(Math.round(seconds * SAMPLE_RATE) * 2);
+  for (let i = 0; i < pcm.length / 2; i++) {
+    pcm.writeInt16LE(
+      Math.round(8000 * Math.sin((2 * Math.PI * 180 * i) / SAMPLE_RATE)),
+      i * 2
+    );
+  }
+  return pcm;
+};
+const silence = (seconds) =>
+  Buffer.alloc(Math.round(seconds * SAMPLE_RATE) * 2);
+const wav = (...parts) => WAVValidator.buildWAV(Buffer.concat(parts), format);
+
+const providerResult = (result) => ({
+  transcript: "",
+  confidence: null,
+  utterances: [],
+  language: null,
+  ...result,
+});
+
+let sttProvider;
+let transcriber;
+
+beforeEach(() => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "error").mockImplementation(() => {});
+  sttProvider = { transcribe: jest.fn() };
+  transcriber = new BatchTranscriber({
+    sttProvider,
+    diarizer: {
+      createSession: () => ({
+        assignSpeaker: ({ utterances: [piece] }) =>
+          piece.startTime < 1 ? "Speaker 1" : "Speaker 2",
+      }),
+    },
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test("silent recordings never reach the provider", async () => {
+  const result = await transcriber.transcribe(wav(silence(3)));
+
+  expect(sttProvider.transcribe).not.toHaveBeenCalled();
+  expect(result).toEqual({
+    segments: [],
+    language: null,
+    duration: 3,
+    speechRatio: 0,
+  });
+});
+
+test("provider utterances become segments with speakers", async () => {
+  const controller = new AbortController();
+  sttProvider.transcribe.mockResolvedValue(
+    providerResult({
+      transcript: "नमस्ते सबको. Let's begin.",
+      confidence: 0.9,
+      language: "hi-IN",
+      utterances: [
+        { text: "नमस्ते सबको.", startTime: 0, endTime: 1.5 },
+        { text: "Let's begin.", startTime: 1.5, endTime: 9 },
+        { text: "", startTime: 2, endTime: 2.5 },
+      ],
+    })
+  );
+
+  const result = await transcriber.transcribe(wav(tone(3)), {
+    jobId: "job-1",
+    signal: controller.signal,
+    language: "auto",
+    model: "saarika:v2.5",
+  });
+
+  expect(sttProvider.transcribe).toHaveBeenCalledWith(expect.any(Buffer), {
+    clientId: "job-1",
+    signal: controller.signal,
+    language: "auto",
+    model: "saarika:v2.5",
+  });
+  expect(result.language).toBe("hi-IN");
+  expect(result.duration).toBe(3);
+  expect(result.segments).toEqual([
+    {
+      startTime: 0,
+      endTime: 1.5,
+      text: "नमस्ते सबको.",
+      confidence: 0.9,
+      speaker: "Speaker 1",
+    },
+    // Clamped to the end of the recording
+    {
+      startTime: 1.5,
+      endTime: 3,
+      text: "Let's begin.",
+      confidence: 0.9,
+      speaker: "Speaker 2",
+    },
+  ]);
+});
+
+test("a transcript without utterances spans the whole recording", async () => {
+  sttProvider.transcribe.mockResolvedValue(
+    providerResult({ transcript: " Hello there " })
+  );
+
+  const { segments } = await transcriber.transcribe(wav(tone(2)));
+  expect(segments).toEqual([
+    expect.objectContaining({ startTime: 0, endTime: 2, text: "Hello there" }),
+  ]);
+});
+
+test("long recordings are transcribed in chunks and stitched once", async () => {
+  transcriber = new BatchTranscriber({
+    sttProvider,
+    diarizer: { createSession: () => ({ assignSpeaker: () => null }) },
+    chunking: { chunkDuration: 25, chunkOverlap: 2, silenceSearch: 5 },
+  });
+  // Both chunks hear "Next item" in the second of overlap after the pause
+  sttProvider.transcribe
+    .mockResolvedValueOnce(
+      providerResult({
+        language: "en-IN",
+        utterances: [
+          { text: "First part.", startTime: 0, endTime: 19 },
+          { text: "Next item", startTime: 20.9, endTime: 21.8 },
+        ],
+      })
+    )
+    .mockResolvedValueOnce(
+      providerResult({
+        language: "en-IN",
+        utterances: [
+          { text: "Next item", startTime: 1.1, endTime: 1.9 },
+          { text: "Closing.", startTime: 5, endTime: 18 },
+        ],
+      })
+    );
+
+  const result = await transcriber.transcribe(
+    wav(tone(20), silence(1), tone(19)),
+    { jobId: "job-1" }
+  );
+
+  expect(
+    sttProvider.transcribe.mock.calls.map(([, options]) => options)
+  ).toEqual([
+    expect.objectContaining({ clientId: "job-1#1" }),
+    expect.objectContaining({ clientId: "job-1#2" }),
+  ]);
+  expect(result.duration).toBe(40);
+  expect(result.language).toBe("en-IN");
+  expect(result.segments.map((segment) => segment.text)).toEqual([
+    "First part.",
+    "Next item",
+    "Closing.",
+  ]);
+  // Placed on the recording's timeline from where the second chunk starts
+  expect(result.segments[1].startTime).toBeGreaterThan(20);
+  expect(result.segments[1].startTime).toBeLessThan(22);
+});
+
+test("unreadable audio fails without a retry", async () => {
+  const error = await transcriber
+    .transcribe(Buffer.from("not a wav file at all, just text"))
+    .catch((caught) => caught);
+
+  expect(error).toBeInstanceOf(Error);
+  expect(error.retryable).toBe(false);
+  expect(sttProvider.transcribe).not.toHaveBeenCalled();
+});
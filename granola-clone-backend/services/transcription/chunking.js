@@ -0,0 +1,266 @@
+/**
+ * @fileoverview Long Recording Chunking
+ * @description Splits long recordings into overlapping chunks that each fit a
+ * single STT request, and stitches the chunk results back into one timeline.
+ *
+ * Chunk boundaries are moved to the quietest point shortly before the target
+ * length, so cuts fall between words. Neighbouring chunks then overlap by a
+ * couple of seconds around that cut; each chunk "owns" the time between its
+ * cuts. When stitching:
+ *
+ * - timed utterances are kept only by the chunk that owns their midpoint
+ * - untimed text (one piece per chunk) has the words repeated from the end of
+ *   the previous chunk removed from its start
+ *
+ * @author AI Assistant
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const CHUNKING_DEFAULTS = {
+  chunkDuration: 25, // Seconds of audio per STT request
+  chunkOverlap: 2, // Seconds shared by neighbouring chunks
+  silenceSearch: 5, // Seconds before the target cut searched for silence
+  frameDuration: 0.02, // Energy analysis frame in seconds
+  silenceWindow: 0.3, // Seconds of quiet a cut is centred in
+  minOverlapWords: 1, // Shortest repeat treated as overlap, not speech
+  maxOverlapWords: 12, // Longest repeat looked for at a chunk boundary
+};
+
+// =============================================================================
+// AUDIO ANALYSIS
+// =============================================================================
+
+/**
+ * @function readSample
+ * @description Reads one PCM sample as a -1..1 float
+ * @param {Buffer} pcm - PCM audio
+ * @param {number} offset - Byte offset of the sample
+ * @param {number} bitsPerSample - 8, 16, 24 or 32
+ * @returns {number} Sample value
+ */
+function readSample(pcm, offset, bitsPerSample) {
+  switch (bitsPerSample) {
+    case 8:
+      return (pcm.readUInt8(offset) - 128) / 128;
+    case 24:
+      return pcm.readIntLE(offset, 3) / 8388608;
+    case 32:
+      return pcm.readInt32LE(offset) / 2147483648;
+    default:
+      return pcm.readInt16LE(offset) / 32768;
+  }
+}
+
+/**
+ * @function frameEnergy
+ * @description Mean absolute amplitude of the first channel over a time range
+ * @param {Buffer} pcm - PCM audio
+ * @param {Object} format - {sampleRate, numChannels, bitsPerSample}
+ * @param {number} startTime - Start in seconds
+ * @param {number} endTime - End in seconds
+ * @returns {number} Energy (0 for an empty range)
+ */
+function frameEnergy(pcm, format, startTime, endTime) {
+  const sampleBytes = format.bitsPerSample / 8;
+  const frameBytes = format.numChannels * sampleBytes;
+  const first = Math.round(startTime * format.sampleRate);
+  const last = Math.min(
+    Math.round(endTime * format.sampleRate),
+    Math.floor(pcm.length / frameBytes)
+  );
+  if (last <= first) return 0;
+
+  let total = 0;
+  for (let frame = first; frame < last; frame++) {
+    total += Math.abs(
+      readSample(pcm, frame * frameBytes, format.bitsPerSample)
+    );
+  }
+  return total / (last - first);
+}
+
+/**
+ * @function findQuietestPoint
+ * @description Finds the centre of the quietest stretch in a range. Energy is
+ * averaged over `silenceWindow` seconds so a real pause wins over the short
+ * gaps between words; later points win ties so chunks stay close to full
+ * length.
+ * @param {Buffer} pcm - PCM audio
+ * @param {Object} format - {sampleRate, numChannels, bitsPerSample}
+ * @param {number} from - Search start in seconds
+ * @param {number} to - Search end in seconds
+ * @param {Object} options - {frameDuration, silenceWindow}
+ * @returns {number} Cut time in seconds
+ */
+function findQuietestPoint(pcm, format, from, to, options) {
+  const { frameDuration, silenceWindow } = options;
+  const frameCount = Math.floor((to - from) / frameDuration);
+  if (frameCount < 1) return to;
+
+  const energies = Array.from({ length: frameCount }, (_, index) => {
+    const start = from + index * frameDuration;
+    return frameEnergy(pcm, format, start, start + frameDuration);
+  });
+
+  const reach = Math.max(0, Math.floor(silenceWindow / frameDuration / 2));
+  let best = { time: to, energy: Infinity };
+  energies.forEach((_, index) => {
+    const window = energies.slice(
+      Math.max(0, index - reach),
+      Math.min(frameCount, index + reach + 1)
+    );
+    const energy =
+      window.reduce((sum, value) => sum + value, 0) / window.length;
+    if (energy <= best.energy) {
+      best = { time: from + (index + 0.5) * frameDuration, energy };
+    }
+  });
+
+  return best.time;
+}
+
+// =============================================================================
+// CHUNK PLANNING
+// =============================================================================
+
+/**
+ * @function planChunks
+ * @description Plans overlapping, silence-aligned chunks for a recording
+ * @param {Buffer} pcm - PCM audio
+ * @param {Object} format - {sampleRate, numChannels, bitsPerSample}
+ * @param {Object} [options] - Overrides for CHUNKING_DEFAULTS
+ * @returns {Array<{startTime: number, endTime: number, ownsFrom: number, ownsUntil: number}>}
+ *   Chunks in order; `startTime`/`endTime` is the audio to transcribe and
+ *   `ownsFrom`/`ownsUntil` the part of the timeline the chunk is trusted for
+ */
+function planChunks(pcm, format, options = {}) {
+  const settings = { ...CHUNKING_DEFAULTS, ...options };
+  const { chunkDuration, chunkOverlap, silenceSearch } = settings;
+  const duration =
+    pcm.length /
+    (format.sampleRate * format.numChannels * (format.bitsPerSample / 8));
+  const halfOverlap = chunkOverlap / 2;
+
+  // Cut points between the chunks, each at the quietest spot before its target
+  const cuts = [];
+  let previousCut = 0;
+  while (previousCut + chunkDuration - halfOverlap < duration) {
+    const target = previousCut + chunkDuration - chunkOverlap;
+    const from = Math.max(previousCut + chunkOverlap, target - silenceSearch);
+    const cut = findQuietestPoint(pcm, format, from, target, settings);
+    cuts.push(cut);
+    previousCut = cut;
+  }
+
+  const bounds = [0, ...cuts, duration];
+  return bounds.slice(0, -1).map((ownsFrom, index) => {
+    const ownsUntil = bounds[index + 1];
+    return {
+      startTime: Math.max(0, ownsFrom - halfOverlap),
+      endTime: Math.min(duration, ownsUntil + halfOverlap),
+      ownsFrom,
+      ownsUntil,
+    };
+  });
+}
+
+// =============================================================================
+// STITCHING
+// =============================================================================
+
+/**
+ * @function normalizeWord
+ * @description Normalizes a word for overlap comparison: NFC, lower case and
+ * letters, combining marks (e.g. Devanagari matras) and digits only
+ * @param {string} word - Word as transcribed
+ * @returns {string} Comparable form
+ */
+const normalizeWord = (word) =>
+  word
+    .normalize("NFC")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}]/gu, "");
+
+/**
+ * @function countRepeatedWords
+ * @description Length of the longest run of words that ends `previous` and
+ * starts `next`
+ * @param {string} previous - Text already stitched
+ * @param {string} next - Text of the following chunk
+ * @param {Object} limits - {minOverlapWords, maxOverlapWords}
+ * @returns {number} Number of leading words of `next` to drop
+ */
+function countRepeatedWords(previous, next, limits) {
+  const tail = previous.split(/\s+/).filter(Boolean).map(normalizeWord);
+  const head = next.split(/\s+/).filter(Boolean).map(normalizeWord);
+  const longest = Math.min(limits.maxOverlapWords, tail.length, head.length);
+
+  for (let count = longest; count >= limits.minOverlapWords; count--) {
+    const ending = tail.slice(tail.length - count);
+    if (ending.every((word, index) => word && word === head[index])) {
+      return count;
+    }
+  }
+  return 0;
+}
+
+/**
+ * @function stitchChunks
+ * @description Joins per-chunk recognition results into one timeline
+ * @param {Array<{chunk: Object, pieces: Object[]}>} results - Chunks in order,
+ *   each with pieces `{text, startTime, endTime, speaker, timed}` whose times
+ *   are already relative to the whole recording; `timed` is false for a
+ *   piece that only stands for the chunk's full text
+ * @param {Object} [options] - Overrides for CHUNKING_DEFAULTS
+ * @returns {Object[]} Pieces in order, without overlap duplicates
+ */
+function stitchChunks(results, options = {}) {
+  const limits = { ...CHUNKING_DEFAULTS, ...options };
+  const stitched = [];
+
+  results.forEach(({ chunk, pieces }) => {
+    pieces.forEach((piece) => {
+      if (piece.timed) {
+        const midpoint = (piece.startTime + piece.endTime) / 2;
+        if (midpoint < chunk.ownsFrom || midpoint >= chunk.ownsUntil) return;
+        stitched.push(piece);
+        return;
+      }
+
+      // Untimed text: drop the words the previous chunk already ended with
+      const previous = stitched[stitched.length - 1];
+      let text = piece.text;
+      if (previous) {
+        const repeated = countRepeatedWords(previous.text, text, limits);
+        text = text.split(/\s+/).filter(Boolean).slice(repeated).join(" ");
+      }
+      if (!text) return;
+
+      stitched.push({
+        ...piece,
+        text,
+        startTime: previous
+          ? Math.max(piece.startTime, previous.endTime)
+          : piece.startTime,
+      });
+    });
+  });
+
+  return stitched;
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  CHUNKING_DEFAULTS,
+  planChunks,
+  stitchChunks,
+  countRepeatedWords,
+};
@@ -0,0 +1,169 @@
+const { planChunks, stitchChunks, countRepeatedWords } = require("./chunking");
+
+const SAMPLE_RATE = 16000;
+const format = { sampleRate: SAMPLE_RATE, numChannels: 1, bitsPerSample: 16 };
+
+const tone = (seconds) => {
+  const pcm = Buffer.alloc(Math.round(seconds * SAMPLE_RATE) * 2);
+  for (let i = 0; i < pcm.length / 2; i++) {
+    pcm.writeInt16LE(
+      Math.round(8000 * Math.sin((2 * Math.PI * 180 * i) / SAMPLE_RATE)),
+      i * 2
+    );
+  }
+  return pcm;
+};
+const silence = (seconds) =>
+  Buffer.alloc(Math.round(seconds * SAMPLE_RATE) * 2);
+
+const settings = { chunkDuration: 25, chunkOverlap: 2, silenceSearch: 5 };
+
+describe("planChunks", () => {
+  test("cuts in the pauses and overlaps neighbouring chunks", () => {
+    // Pauses at 20-21s and 41-42s, both inside the silence search windows
+    const pcm = Buffer.concat([
+      tone(20),
+      silence(1),
+      tone(20),
+      silence(1),
+      tone(18),
+    ]);
+
+    const chunks = planChunks(pcm, format, settings);
+
+    expect(chunks).toHaveLength(3);
+    const cuts = chunks.slice(1).map((chunk) => chunk.ownsFrom);
+    expect(cuts[0]).toBeGreaterThan(20);
+    expect(cuts[0]).toBeLessThan(21);
+    expect(cuts[1]).toBeGreaterThan(41);
+    expect(cuts[1]).toBeLessThan(42);
+
+    chunks.forEach((chunk, index) => {
+      expect(chunk.endTime - chunk.startTime).toBeLessThanOrEqual(
+        settings.chunkDuration
+      );
+      if (index === 0) return;
+      // Owned ranges meet at the cut; the audio overlaps one second each side
+      expect(chunk.ownsFrom).toBe(chunks[index - 1].ownsUntil);
+      expect(chunk.startTime).toBeCloseTo(chunk.ownsFrom - 1);
+      expect(chunks[index - 1].endTime).toBeCloseTo(chunk.ownsFrom + 1);
+    });
+    expect(chunks[0]).toEqual(
+      expect.objectContaining({ startTime: 0, ownsFrom: 0 })
+    );
+    expect(chunks[2]).toEqual(
+      expect.objectContaining({ endTime: 60, ownsUntil: 60 })
+    );
+  });
+
+  test("without a pause the cut falls at the target length", () => {
+    const chunks = planChunks(tone(40), format, settings);
+
+    expect(chunks).toHaveLength(2);
+    expect(chunks[0].ownsUntil).toBeGreaterThan(18);
+    expect(chunks[0].ownsUntil).toBeLessThanOrEqual(23);
+  });
+
+  test("a recording that fits one request is a single chunk", () => {
+    expect(planChunks(tone(10), format, settings)).toEqual([
+      { startTime: 0, endTime: 10, ownsFrom: 0, ownsUntil: 10 },
+    ]);
+  });
+});
+
+describe("stitchChunks", () => {
+  const first = { startTime: 0, endTime: 21, ownsFrom: 0, ownsUntil: 20 };
+  const second = { startTime: 19, endTime: 40, ownsFrom: 20, ownsUntil: 40 };
+  const timed = (text, startTime, endTime) => ({
+    text,
+    startTime,
+    endTime,
+    speaker: null,
+    timed: true,
+  });
+
+  test("an utterance in the overlap is kept once, by the chunk owning its midpoint", () => {
+    const stitched = stitchChunks([
+      {
+        chunk: first,
+        pieces: [
+          timed("Let's review the roadmap.", 15, 19),
+          timed("Next item", 19.5, 21),
+        ],
+      },
+      {
+        chunk: second,
+        pieces: [
+          timed("Next item", 19.4, 21.1),
+          timed("is the launch date.", 21.2, 24),
+        ],
+      },
+    ]);
+
+    expect(stitched.map((piece) => [piece.text, piece.startTime])).toEqual([
+      ["Let's review the roadmap.", 15],
+      ["Next item", 19.4],
+      ["is the launch date.", 21.2],
+    ]);
+  });
+
+  test("words repeated at the start of untimed text are dropped", () => {
+    const untimed = (chunk, text) => ({
+      chunk,
+      pieces: [
+        {
+          text,
+          startTime: chunk.startTime,
+          endTime: chunk.endTime,
+          speaker: null,
+          timed: false,
+        },
+      ],
+    });
+
+    const stitched = stitchChunks([
+      untimed(first, "हम सोमवार को रिलीज़ करेंगे, after the review"),
+      untimed(second, "After the review. सबको धन्यवाद"),
+    ]);
+
+    expect(stitched).toEqual([
+      expect.objectContaining({
+        text: "हम सोमवार को रिलीज़ करेंगे, after the review",
+        startTime: 0,
+      }),
+      // Starts where the previous piece ends
+      expect.objectContaining({ text: "सबको धन्यवाद", startTime: 21 }),
+    ]);
+  });
+
+  test("untimed text that only repeats the overlap adds nothing", () => {
+    const stitched = stitchChunks([
+      {
+        chunk: first,
+        pieces: [{ text: "see you Monday", startTime: 0, endTime: 21 }],
+      },
+      {
+        chunk: second,
+        pieces: [{ text: "See you Monday.", startTime: 19, endTime: 40 }],
+      },
+    ]);
+
+    expect(stitched.map((piece) => piece.text)).toEqual(["see you Monday"]);
+  });
+});
+
+describe("countRepeatedWords", () => {
+  const limits = { minOverlapWords: 1, maxOverlapWords: 12 };
+
+  test("finds the longest run ending one text and starting the next", () => {
+    expect(
+      countRepeatedWords("the plan is ready", "is ready to ship", limits)
+    ).toBe(2);
+    expect(countRepeatedWords("the plan", "another topic", limits)).toBe(0);
+  });
+
+  test("ignores case and punctuation but not Devanagari matras", () => {
+    expect(countRepeatedWords("बात की।", "बात की, ठीक", limits)).toBe(2);
+    expect(countRepeatedWords("काम", "कम", limits)).toBe(0);
+  });
+});
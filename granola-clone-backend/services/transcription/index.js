@@ -0,0 +1,343 @@
+/**
+ * @fileoverview Transcription Service
+ * @description Registers the transcription job types on the job queue and
+ * exposes one entry point per kind of work:
+ *
+ * - transcribe-upload: an uploaded recording, saved as a new transcript
+ * - retranscribe:      an existing transcript's stored recording, replacing
+ *                      its segments
+ * - transcribe-audio:  a live WebSocket chunk, result returned to the
+ *                      socket. These jobs go ahead of queued uploads, run in
+ *                      slots of their own and retry quickly; after a restart
+ *                      nobody is left to receive them, so they are not
+ *                      recovered, and they are deleted once finished
+ *
+ * A cancelled job never writes its transcript: the STT request is aborted
+ * and the result checked again before anything is stored.
+ *
+ * Uploads arrive as files on disk and are queued without being read into
+ * memory; the job converts them to WAV (see AudioNormalizer) and keeps the
+ * converted recording in the audio store under "recordings/<transcriptId>"
+ * so it can be re-transcribed later. Every job carries the session's
+ * language ("auto" to detect it) and model, and saved transcripts record the
+ * language that was recognised.
+ *
+ * @author AI Assistant
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+// =============================================================================
+// IMPORTS
+// =============================================================================
+
+const { BatchTranscriber } = require("./batchTranscriber");
+const { WAVValidator } = require("../../utils/wavValidator");
+const { AudioNormalizer } = require("../../utils/audioNormalizer");
+const { createSTTProvider } = require("../stt");
+const {
+  AUTO_LANGUAGE,
+  STT_LANGUAGES,
+  isSupportedLanguage,
+} = require("../stt/languages");
+const { createDiarizer } = require("../diarization");
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const TRANSCRIPTION_JOBS = {
+  AUDIO: "transcribe-audio",
+  UPLOAD: "transcribe-upload",
+  RETRANSCRIBE: "retranscribe",
+};
+
+// A live chunk is stale within seconds, so it gets one quick retry
+const LIVE_JOB_OPTIONS = {
+  recoverable: false,
+  retainFinished: false,
+  priority: 1,
+  maxAttempts: 2,
+  retryDelay: 250,
+};
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+const recordingKey = (transcriptId) => `recordings/${transcriptId}`;
+
+// Speech ratios are stored to three decimals (0.1%)
+const roundRatio = (ratio) => Math.round(ratio * 1000) / 1000;
+
+/**
+ * @function resolveLanguage
+ * @description Language to store on a transcript: the recognised one, else
+ * the requested one unless it was "auto" (nothing was detected)
+ * @param {string|null} recognised - Language reported by the provider
+ * @param {string} [requested] - Language the session asked for
+ * @returns {string|undefined} Language code, or undefined if unknown
+ */
+const resolveLanguage = (recognised, requested) =>
+  [recognised, requested].find(isSupportedLanguage);
+
+/**
+ * @function permanentError
+ * @description Creates an error the job queue will not retry
+ * @param {string} message - Error message
+ * @returns {Error} Error flagged as not retryable
+ */
+const permanentError = (message) =>
+  Object.assign(new Error(message), { retryable: false });
+
+/**
+ * @function throwIfCancelled
+ * @description Stops a handler whose job was cancelled while it waited on
+ * the provider, before it writes anything
+ * @param {AbortSignal} signal - Job signal
+ * @throws {Error} If the job was cancelled
+ */
+const throwIfCancelled = (signal) => {
+  if (signal.aborted) throw permanentError("Transcription cancelled");
+};
+
+// =============================================================================
+// FACTORY
+// =============================================================================
+
+/**
+ * @function createTranscriptionService
+ * @description Registers transcription job handlers on the queue
+ * @param {Object} config - Environment configuration instance
+ * @param {Object} storage - Storage from createStorage()
+ * @param {JobQueue} jobs - Job queue from createJobQueue()
+ * @param {Object} [options] - Overrides
+ * @param {Object} [options.sttProvider] - Custom STT provider
+ * @param {BatchTranscriber} [options.transcriber] - Custom batch transcriber
+ * @returns {Object} Transcription service
+ */
+function createTranscriptionService(config, storage, jobs, options = {}) {
+  const sttProvider = options.sttProvider || createSTTProvider(config);
+  const maxFileSize = config.get("storage.maxFileSize");
+  const transcriber =
+    options.transcriber ||
+    new BatchTranscriber({
+      sttProvider,
+      diarizer: createDiarizer(config),
+      validator: new WAVValidator({
+        validationLevel: "standard",
+        autoFix: true,
+        maxFileSize,
+      }),
+      chunking: config.get("transcription"),
+    });
+  const audioNormalizer = new AudioNormalizer({
+    validationLevel: "standard",
+    autoFix: true,
+    maxFileSize,
+  });
+
+  jobs.register(
+    TRANSCRIPTION_JOBS.AUDIO,
+    (job, { audio, signal }) =>
+      transcriber.recognize(audio, {
+        jobId: job.payload.clientId,
+        signal,
+        language: job.payload.language,
+        model: job.payload.model,
+      }),
+    {
+      ...LIVE_JOB_OPTIONS,
+      concurrency: config.get("transcription.liveConcurrency"),
+    }
+  );
+
+  jobs.register(TRANSCRIPTION_JOBS.UPLOAD, async (job, { audio, signal }) => {
+    const { title, fileName, language, model, notes, templateId } = job.payload;
+
+    // Uploads are queued as received; audio that cannot be converted fails
+    // the job without a retry
+    let recording;
+    try {
+      ({ processedBuffer: recording } =
+        await audioNormalizer.validateAndProcess(audio, job.id));
+    } catch (error) {
+      throw permanentError(error.message);
+    }
+
+    const result = await transcriber.transcribe(recording, {
+      jobId: job.id,
+      signal,
+      language,
+      model,
+    });
+    throwIfCancelled(signal);
+    const { segments, duration, speechRatio } = result;
+
+    const transcript = storage.transcripts.create({
+      title,
+      content: "",
+      segments,
+      language: resolveLanguage(result.language, language),
+      recording: { fileName, duration },
+      metadata: { speechRatio: roundRatio(speechRatio) },
+      notes,
+      templateId,
+    });
+
+    try {
+      storage.audio.save(recordingKey(transcript.id), recording);
+    } catch (error) {
+      // The transcript is saved either way; it just cannot be re-transcribed
+      console.warn(
+        `⚠️  Could not keep recording for transcript ${transcript.id}:`,
+        error.message
+      );
+    }
+
+    return {
+      transcriptId: transcript.id,
+      duration,
+      segmentCount: segments.length,
+    };
+  });
+
+  jobs.register(TRANSCRIPTION_JOBS.RETRANSCRIBE, async (job, { signal }) => {
+    const { transcriptId } = job.payload;
+    const audio = storage.audio.read(recordingKey(transcriptId));
+    if (!audio) throw permanentError("Transcript recording is missing");
+
+    // The transcript's language is kept unless the job asks for another
+    const language =
+      job.payload.language || storage.transcripts.get(transcriptId)?.language;
+    const result = await transcriber.transcribe(audio, {
+      jobId: job.id,
+      signal,
+      language,
+      model: job.payload.model,
+    });
+    throwIfCancelled(signal);
+    const { segments, duration, speechRatio } = result;
+
+    const recognised = resolveLanguage(result.language, language);
+    const existing = storage.transcripts.get(transcriptId);
+    const transcript = storage.transcripts.update(transcriptId, {
+      segments,
+      ...(recognised && { language: recognised }),
+      metadata: {
+        ...existing?.metadata,
+        speechRatio: roundRatio(speechRatio),
+      },
+      ...(segments.length === 0 && { content: "" }),
+    });
+    if (!transcript) throw permanentError("Transcript no longer exists");
+
+    return { transcriptId, duration, segmentCount: segments.length };
+  });
+
+  const defaultLanguage = config.get("stt.language");
+
+  return {
+    jobs,
+    providerName: sttProvider.name,
+
+    /**
+     * Languages and models a session can choose from
+     * @returns {Object} {provider, languages, defaultLanguage, autoDetect,
+     *   models, defaultModel}
+     */
+    getSessionOptions: () => ({
+      provider: sttProvider.name,
+      languages: STT_LANGUAGES,
+      defaultLanguage,
+      autoDetect: AUTO_LANGUAGE,
+      models: sttProvider.models,
+      defaultModel: sttProvider.models[0] || null,
+    }),
+
+    /**
+     * Whether a session may pick a model
+     * @param {string} model - Model identifier
+     * @returns {boolean} True if the provider accepts it
+     */
+    supportsModel: (model) => sttProvider.supportsModel(model),
+
+    /**
+     * Transcribes a live chunk as a high-priority job and waits for it.
+     * Chunks are at most one WebSocket frame (websocket.maxMessageSize).
+     * @param {Buffer} audio - WAV chunk
+     * @param {Object} options - {clientId, language, model}
+     * @returns {Promise<Object>} Provider result
+     * @throws {JobError} If the job fails
+     */
+    transcribe: (audio, { clientId, language, model }) =>
+      jobs.run(
+        TRANSCRIPTION_JOBS.AUDIO,
+        { clientId, language, model },
+        { audio }
+      ),
+
+    /**
+     * Queues an uploaded recording
+     * @param {Object} upload - {audioFile, title, fileName, language, model,
+     *   notes, templateId}; audioFile is the upload on disk, in any format
+     *   AudioNormalizer accepts, and is moved into the job. Notes taken while
+     *   recording and the meeting template are stored on the transcript
+     * @returns {Object} Job view
+     */
+    submitUpload: ({
+      audioFile,
+      title,
+      fileName,
+      language,
+      model,
+      notes,
+      templateId,
+    }) =>
+      jobs.submit(
+        TRANSCRIPTION_JOBS.UPLOAD,
+        { title, fileName, language, model, notes, templateId },
+        { audioFile }
+      ),
+
+    /**
+     * Queues a re-transcription of a stored recording
+     * @param {number} transcriptId - Transcript id
+     * @param {Object} [options] - {language, model}; the transcript's own
+     *   language is used when none is given
+     * @returns {Object} Job view
+     */
+    retranscribe: (transcriptId, { language, model } = {}) =>
+      jobs.submit(TRANSCRIPTION_JOBS.RETRANSCRIBE, {
+        transcriptId: Number(transcriptId),
+        language,
+        model,
+      }),
+
+    /**
+     * Whether a transcript has a stored recording
+     * @param {number} transcriptId - Transcript id
+     * @returns {boolean} True if it can be re-transcribed
+     */
+    hasRecording: (transcriptId) =>
+      storage.audio.has(recordingKey(transcriptId)),
+
+    /**
+     * Deletes a transcript's stored recording
+     * @param {number} transcriptId - Transcript id
+     * @returns {boolean} True if a recording was deleted
+     */
+    removeRecording: (transcriptId) =>
+      storage.audio.remove(recordingKey(transcriptId)),
+  };
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  createTranscriptionService,
+  BatchTranscriber,
+  TRANSCRIPTION_JOBS,
+};
@@ -0,0 +1,262 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createStorage } = require("../storage");
+const { JobQueue, JOB_STATUS } = require("../jobs");
+const { createTranscriptionService, TRANSCRIPTION_JOBS } = require(".");
+const { WAVValidator } = require("../../utils/wavValidator");
+
+let dataPath;
+let storage;
+let jobs;
+let transcriber;
+let service;
+
+const settings = {
+  "transcription.liveConcurrency": 1,
+  "stt.language": "hi-IN",
+  "storage.maxFileSize": 1024 * 1024,
+};
+
+const sttProvider = {
+  name: "test",
+  models: [],
+  supportsModel: () => false,
+};
+
+const deferred = () => {
+  let resolve;
+  const promise = new Promise((done) => (resolve = done));
+  return { promise, resolve };
+};
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+// Writes an upload to disk the way the upload route receives it
+const uploadFile = (contents) => {
+  const filePath = path.join(dataPath, "upload");
+  fs.writeFileSync(filePath, contents);
+  return filePath;
+};
+
+// Two seconds of a steady tone as 16kHz mono WAV
+const wav = () => {
+  const pcm = Buffer.alloc(32000 * 2);
+  for (let i = 0; i < pcm.length / 2; i++) {
+    pcm.writeInt16LE(Math.round(8000 * Math.sin(i / 14)), i * 2);
+  }
+  return WAVValidator.buildWAV(pcm, {
+    sampleRate: 16000,
+    numChannels: 1,
+    bitsPerSample: 16,
+  });
+};
+
+const transcribed = {
+  segments: [{ startTime: 0, endTime: 2, text: "नमस्ते", speaker: null }],
+  language: "hi-IN",
+  duration: 2,
+  speechRatio: 0.5,
+};
+
+beforeEach(() => {
+  dataPath = fs.mkdtempSync(path.join(os.tmpdir(), "granola-transcription-"));
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+  jest.spyOn(console, "error").mockImplementation(() => {});
+  storage = createStorage({ get: () => dataPath });
+  jobs = new JobQueue({ repository: storage.jobs, audio: storage.audio });
+  transcriber = { recognize: jest.fn(), transcribe: jest.fn() };
+  service = createTranscriptionService(
+    { get: (key) => settings[key] },
+    storage,
+    jobs,
+    { sttProvider, transcriber }
+  );
+  jobs.start();
+});
+
+afterEach(() => {
+  jobs.stop();
+  storage.engine.close();
+  jest.restoreAllMocks();
+  fs.rmSync(dataPath, { recursive: true, force: true });
+});
+
+describe("live chunks", () => {
+  test("run as jobs in their own slots, ahead of queued uploads", async () => {
+    const chunks = [deferred(), deferred()];
+    transcriber.recognize
+      .mockReturnValueOnce(chunks[0].promise)
+      .mockReturnValueOnce(chunks[1].promise);
+    // Fill the queue's shared slots with uploads
+    transcriber.transcribe.mockReturnValue(new Promise(() => {}));
+    [1, 2, 3].forEach((n) =>
+      service.submitUpload({
+        audioFile: uploadFile(wav()),
+        title: `Upload ${n}`,
+        fileName: "upload.wav",
+      })
+    );
+
+    const first = service.transcribe(Buffer.from("a"), {
+      clientId: "c1",
+      language: "hi-IN",
+    });
+    const second = service.transcribe(Buffer.from("b"), { clientId: "c2" });
+    await tick();
+    expect(transcriber.recognize).toHaveBeenCalledTimes(1);
+    expect(transcriber.recognize).toHaveBeenCalledWith(Buffer.from("a"), {
+      jobId: "c1",
+      signal: expect.any(AbortSignal),
+      language: "hi-IN",
+      model: undefined,
+    });
+
+    chunks[0].resolve({ transcript: "one" });
+    await expect(first).resolves.toEqual({ transcript: "one" });
+    chunks[1].resolve({ transcript: "two" });
+    await expect(second).resolves.toEqual({ transcript: "two" });
+    expect(jobs.list({ type: TRANSCRIPTION_JOBS.AUDIO })).toEqual([]);
+  });
+
+  test("a failed chunk is retried once", async () => {
+    transcriber.recognize
+      .mockRejectedValueOnce(new Error("provider timeout"))
+      .mockResolvedValueOnce({ transcript: "retried" });
+
+    await expect(
+      service.transcribe(Buffer.from("a"), { clientId: "c1" })
+    ).resolves.toEqual({ transcript: "retried" });
+
+    transcriber.recognize
+      .mockRejectedValueOnce(new Error("provider timeout"))
+      .mockRejectedValueOnce(new Error("provider down"));
+    await expect(
+      service.transcribe(Buffer.from("b"), { clientId: "c1" })
+    ).rejects.toThrow("provider down");
+    expect(transcriber.recognize).toHaveBeenCalledTimes(4);
+  });
+});
+
+describe("cancellation", () => {
+  test("a cancelled upload does not save a transcript", async () => {
+    const provider = deferred();
+    const called = deferred();
+    transcriber.transcribe.mockImplementation(() => {
+      called.resolve();
+      return provider.promise;
+    });
+
+    const job = service.submitUpload({
+      audioFile: uploadFile(wav()),
+      title: "Standup",
+      fileName: "standup.wav",
+    });
+    await called.promise;
+    const { signal } = transcriber.transcribe.mock.calls[0][1];
+
+    jobs.cancel(job.id);
+    expect(signal.aborted).toBe(true);
+    // The provider ignored the signal and answered anyway
+    provider.resolve(transcribed);
+    await tick();
+
+    expect(storage.transcripts.all()).toEqual([]);
+    expect(jobs.get(job.id).status).toBe(JOB_STATUS.CANCELLED);
+  });
+
+  test("a cancelled re-transcription keeps the old segments", async () => {
+    const transcript = storage.transcripts.create({
+      title: "Standup",
+      content: "",
+      segments: [{ startTime: 0, endTime: 1, text: "old", speaker: null }],
+    });
+    storage.audio.save(`recordings/${transcript.id}`, Buffer.from("wav"));
+    const provider = deferred();
+    transcriber.transcribe.mockReturnValue(provider.promise);
+
+    const job = service.retranscribe(transcript.id);
+    await tick();
+    jobs.cancel(job.id);
+    provider.resolve(transcribed);
+    await tick();
+
+    expect(storage.transcripts.get(transcript.id).segments).toEqual([
+      expect.objectContaining({ text: "old" }),
+    ]);
+  });
+
+  test("an upload that is not cancelled is saved", async () => {
+    transcriber.transcribe.mockResolvedValue(transcribed);
+    const job = service.submitUpload({
+      audioFile: uploadFile(wav()),
+      title: "Standup",
+      fileName: "standup.wav",
+    });
+
+    const finished = await jobs.wait(job.id);
+    expect(finished.status).toBe(JOB_STATUS.SUCCEEDED);
+    expect(storage.transcripts.get(finished.result.transcriptId)).toEqual(
+      expect.objectContaining({ title: "Standup", language: "hi-IN" })
+    );
+  });
+});
+
+describe("uploads", () => {
+  test("the uploaded file is moved into the job and kept as the recording", async () => {
+    transcriber.transcribe.mockResolvedValue(transcribed);
+    const audioFile = uploadFile(wav());
+
+    const job = service.submitUpload({
+      audioFile,
+      title: "Standup",
+      fileName: "standup.wav",
+    });
+    expect(fs.existsSync(audioFile)).toBe(false);
+
+    const { result } = await jobs.wait(job.id);
+    expect(transcriber.transcribe).toHaveBeenCalledWith(wav(), {
+      jobId: job.id,
+      signal: expect.any(AbortSignal),
+      language: undefined,
+      model: undefined,
+    });
+    expect(storage.audio.read(`recordings/${result.transcriptId}`)).toEqual(
+      wav()
+    );
+    expect(storage.audio.has(`jobs/${job.id}`)).toBe(false);
+  });
+
+  test("content that is not audio fails the job without a retry", async () => {
+    const job = service.submitUpload({
+      audioFile: uploadFile(Buffer.alloc(4000, "text ")),
+      title: "Notes",
+      fileName: "notes.wav",
+    });
+
+    const finished = await jobs.wait(job.id);
+    expect(finished.status).toBe(JOB_STATUS.FAILED);
+    expect(finished.attempts).toBe(1);
+    expect(finished.error).toMatch(/Unsupported audio format/);
+    expect(transcriber.transcribe).not.toHaveBeenCalled();
+  });
+
+  test("recordings over storage.maxFileSize fail the job", async () => {
+    const job = service.submitUpload({
+      audioFile: uploadFile(
+        WAVValidator.buildWAV(Buffer.alloc(1024 * 1024), {
+          sampleRate: 16000,
+          numChannels: 1,
+          bitsPerSample: 16,
+        })
+      ),
+      title: "Long",
+      fileName: "long.wav",
+    });
+
+    const finished = await jobs.wait(job.id);
+    expect(finished.status).toBe(JOB_STATUS.FAILED);
+    expect(finished.error).toMatch(/too large/);
+  });
+});
@@ -0,0 +1,233 @@
+/**
+ * @fileoverview Format-agnostic Audio Normalisation
+ * @description Accepts recordings as WAV, Opus (in WebM or Ogg) or FLAC and
+ * hands the rest of the pipeline a validated 16kHz mono 16-bit WAV, which is
+ * what the STT providers, voice activity detection and chunking work on.
+ *
+ * Features:
+ * - Format detection from the file signature; the declared MIME type is
+ *   only a hint
+ * - Compressed audio converted with FFmpeg (see WAVValidator.transcode)
+ * - WAV input validated and corrected as before
+ * - Same validateAndProcess() interface as WAVValidator, so it can be used
+ *   wherever a validator is expected
+ *
+ * @author AI Assistant
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+// =============================================================================
+// IMPORTS
+// =============================================================================
+
+const fs = require("fs");
+const { WAVValidator, WAV_VALIDATION_CONFIG } = require("./wavValidator");
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+// Accepted formats with their file signatures, extensions and MIME types
+const AUDIO_FORMATS = {
+  wav: {
+    name: "WAV",
+    matches: (buffer) =>
+      buffer
+        .subarray(0, 4)
+        .equals(WAV_VALIDATION_CONFIG.HEADER.RIFF_SIGNATURE) &&
+      buffer
+        .subarray(8, 12)
+        .equals(WAV_VALIDATION_CONFIG.HEADER.WAVE_SIGNATURE),
+    extensions: ["wav", "wave"],
+    mimeTypes: ["audio/wav", "audio/wave", "audio/x-wav"],
+  },
+  webm: {
+    name: "WebM",
+    // EBML header, shared with Matroska
+    matches: (buffer) =>
+      buffer.subarray(0, 4).equals(Buffer.from([0x1a, 0x45, 0xdf, 0xa3])),
+    extensions: ["webm"],
+    // File pickers often label WebM audio as video
+    mimeTypes: ["audio/webm", "audio/webm;codecs=opus", "video/webm"],
+  },
+  ogg: {
+    name: "Ogg",
+    matches: (buffer) => buffer.subarray(0, 4).toString("ascii") === "OggS",
+    extensions: ["ogg", "oga", "opus"],
+    mimeTypes: ["audio/ogg", "audio/ogg;codecs=opus", "audio/opus"],
+  },
+  flac: {
+    name: "FLAC",
+    matches: (buffer) => buffer.subarray(0, 4).toString("ascii") === "fLaC",
+    extensions: ["flac"],
+    mimeTypes: ["audio/flac", "audio/x-flac"],
+  },
+};
+
+const SUPPORTED_MIME_TYPES = Object.values(AUDIO_FORMATS).flatMap(
+  (format) => format.mimeTypes
+);
+
+const SUPPORTED_EXTENSIONS = Object.values(AUDIO_FORMATS).flatMap(
+  (format) => format.extensions
+);
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * @function detectAudioFormat
+ * @description Identifies the container of an audio file from its first bytes
+ * @param {Buffer} buffer - Audio file contents
+ * @returns {string|null} Key of AUDIO_FORMATS, or null if unrecognised
+ */
+function detectAudioFormat(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+
+  const match = Object.entries(AUDIO_FORMATS).find(([, format]) =>
+    format.matches(buffer)
+  );
+  return match ? match[0] : null;
+}
+
+/**
+ * @function detectAudioFileFormat
+ * @description Identifies the container of an audio file on disk without
+ * reading more than its signature
+ * @param {string} filePath - Audio file path
+ * @returns {Promise<string|null>} Key of AUDIO_FORMATS, or null if
+ *   unrecognised
+ */
+async function detectAudioFileFormat(filePath) {
+  const file = await fs.promises.open(filePath, "r");
+  try {
+    const { buffer, bytesRead } = await file.read(Buffer.alloc(12), 0, 12, 0);
+    return detectAudioFormat(buffer.subarray(0, bytesRead));
+  } finally {
+    await file.close();
+  }
+}
+
+/**
+ * @function stripExtension
+ * @param {string} fileName - Uploaded file name
+ * @returns {string} The name without a supported audio extension
+ */
+function stripExtension(fileName) {
+  return fileName.replace(
+    new RegExp(`\\.(${SUPPORTED_EXTENSIONS.join("|")})$`, "i"),
+    ""
+  );
+}
+
+// =============================================================================
+// AUDIO NORMALIZER CLASS
+// =============================================================================
+
+/**
+ * @class AudioNormalizer
+ * @description Turns recordings in any supported format into provider-ready WAV
+ */
+class AudioNormalizer {
+  /**
+   * @constructor
+   * @param {Object} options - Options passed on to WAVValidator
+   * @param {string} options.validationLevel - Validation strictness level
+   * @param {boolean} options.autoFix - Automatically fix WAV format issues
+   * @param {string} options.tempDir - Temporary directory for processing
+   * @param {number} options.maxFileSize - Largest accepted file in bytes,
+   *   compressed or not
+   */
+  constructor(options = {}) {
+    this.wavValidator = new WAVValidator(options);
+  }
+
+  /**
+   * @method validateAndProcess
+   * @description Validates a recording, converting compressed audio to WAV
+   * first
+   * @param {Buffer} audioBuffer - Recording in a supported format
+   * @param {string} clientId - Client identifier for logging
+   * @returns {Promise<{isValid: boolean, processedBuffer: Buffer, metadata: Object}>}
+   *   As WAVValidator.validateAndProcess; metadata.sourceFormat names the
+   *   input format and metadata.originalSize is the size as received
+   * @throws {Error} If the format is unsupported or the audio is invalid
+   */
+  async validateAndProcess(audioBuffer, clientId = "unknown") {
+    const formatKey = detectAudioFormat(audioBuffer);
+    if (!formatKey) {
+      throw new Error(
+        `Unsupported audio format (supported: ${Object.values(AUDIO_FORMATS)
+          .map((format) => format.name)
+          .join(", ")})`
+      );
+    }
+
+    if (formatKey === "wav") {
+      const result = await this.wavValidator.validateAndProcess(
+        audioBuffer,
+        clientId
+      );
+      return {
+        ...result,
+        metadata: { ...result.metadata, sourceFormat: formatKey },
+      };
+    }
+
+    const format = AUDIO_FORMATS[formatKey];
+    const { MIN_FILE_SIZE } = WAV_VALIDATION_CONFIG.LIMITS;
+    const { maxFileSize } = this.wavValidator;
+    if (
+      audioBuffer.length < MIN_FILE_SIZE ||
+      audioBuffer.length > maxFileSize
+    ) {
+      throw new Error(
+        `${format.name} file size ${audioBuffer.length} bytes is outside ${MIN_FILE_SIZE}-${maxFileSize} bytes`
+      );
+    }
+    console.log(
+      `🗜️  [${clientId}] Converting ${format.name} audio: ${audioBuffer.length} bytes`
+    );
+
+    let wavBuffer;
+    try {
+      wavBuffer = await this.wavValidator.transcode(
+        audioBuffer,
+        clientId,
+        format.extensions[0]
+      );
+    } catch (error) {
+      throw new Error(`${format.name} decoding failed: ${error.message}`);
+    }
+
+    const result = await this.wavValidator.validateAndProcess(
+      wavBuffer,
+      clientId
+    );
+    return {
+      ...result,
+      metadata: {
+        ...result.metadata,
+        sourceFormat: formatKey,
+        wasProcessed: true,
+        originalSize: audioBuffer.length,
+      },
+    };
+  }
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  AudioNormalizer,
+  AUDIO_FORMATS,
+  SUPPORTED_MIME_TYPES,
+  SUPPORTED_EXTENSIONS,
+  detectAudioFormat,
+  detectAudioFileFormat,
+  stripExtension,
+};
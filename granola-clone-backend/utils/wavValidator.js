@@ -9,6 +9,7 @@
  * - SarvamAI API compatibility checking
  * - Comprehensive error handling and logging
  * - Memory-efficient processing for large files
+ * - Voice activity detection (speech ratio and utterance regions)
  *
  * @author AI Assistant
  * @version 1.0.0
@@ -24,6 +25,7 @@ const ffmpegStatic = require("ffmpeg-static");
 const fs = require("fs").promises;
 const path = require("path");
 const { Readable } = require("stream");
+const { VoiceActivityDetector } = require("./voiceActivity");
 
 // Set FFmpeg binary path
 ffmpeg.setFfmpegPath(ffmpegStatic);
@@ -55,9 +57,9 @@ const WAV_VALIDATION_CONFIG = {
 
   // Processing limits
   LIMITS: {
-    MAX_FILE_SIZE: 50 * 1024 * 1024, // 50MB
+    MAX_FILE_SIZE: 50 * 1024 * 1024, // 50MB unless the validator is given maxFileSize
     MIN_FILE_SIZE: 1000, // 1KB
-    MAX_DURATION: 600, // 10 minutes
+    MAX_DURATION: 4 * 60 * 60, // 4 hours; long audio is transcribed in chunks
     TEMP_DIR: "/tmp/wav-processing",
   },
 
@@ -84,6 +86,7 @@ class WAVValidator {
    * @param {string} options.validationLevel - Validation strictness level
    * @param {boolean} options.autoFix - Automatically fix format issues
    * @param {string} options.tempDir - Temporary directory for processing
+   * @param {number} options.maxFileSize - Largest accepted file in bytes
    */
   constructor(options = {}) {
     this.validationLevel =
@@ -91,6 +94,8 @@ class WAVValidator {
       WAV_VALIDATION_CONFIG.VALIDATION_LEVELS.STANDARD;
     this.autoFix = options.autoFix !== false; // Default to true
     this.tempDir = options.tempDir || WAV_VALIDATION_CONFIG.LIMITS.TEMP_DIR;
+    this.maxFileSize =
+      options.maxFileSize || WAV_VALIDATION_CONFIG.LIMITS.MAX_FILE_SIZE;
 
     // Ensure temp directory exists
     this._ensureTempDir();
@@ -187,9 +192,9 @@ class WAVValidator {
       );
     }
 
-    if (wavBuffer.length > WAV_VALIDATION_CONFIG.LIMITS.MAX_FILE_SIZE) {
+    if (wavBuffer.length > this.maxFileSize) {
       throw new Error(
-        `WAV file too large: ${wavBuffer.length} bytes (maximum: ${WAV_VALIDATION_CONFIG.LIMITS.MAX_FILE_SIZE})`
+        `WAV file too large: ${wavBuffer.length} bytes (maximum: ${this.maxFileSize})`
       );
     }
   }
@@ -386,9 +391,24 @@ class WAVValidator {
    * @throws {Error} If fixing fails
    */
   async _fixWAVFormat(inputBuffer, clientId) {
+    return this.transcode(inputBuffer, clientId);
+  }
+
+  /**
+   * @method transcode
+   * @description Converts audio in any format FFmpeg reads to WAV in the
+   * SarvamAI preferred format
+   * @param {Buffer} inputBuffer - Input audio buffer
+   * @param {string} clientId - Client identifier for logging
+   * @param {string} [inputExtension] - File extension of the input format,
+   *   which helps FFmpeg pick the demuxer (default: "wav")
+   * @returns {Promise<Buffer>} WAV buffer
+   * @throws {Error} If conversion fails
+   */
+  async transcode(inputBuffer, clientId, inputExtension = "wav") {
     const tempInputPath = path.join(
       this.tempDir,
-      `input_${clientId}_${Date.now()}.wav`
+      `input_${clientId}_${Date.now()}.${inputExtension}`
     );
     const tempOutputPath = path.join(
       this.tempDir,
@@ -434,7 +454,7 @@ class WAVValidator {
       // Read the converted file
       const convertedBuffer = await fs.readFile(tempOutputPath);
       console.log(
-        `📁 [${clientId}] WAV format fixed: ${inputBuffer.length} → ${convertedBuffer.length} bytes`
+        `📁 [${clientId}] Converted to WAV: ${inputBuffer.length} → ${convertedBuffer.length} bytes`
       );
 
       return convertedBuffer;
@@ -520,6 +540,146 @@ class WAVValidator {
       return false;
     }
   }
+
+  /**
+   * @static
+   * @method extractPCM
+   * @description Extracts the raw PCM payload from the data chunk of a WAV file
+   * @param {Buffer} wavBuffer - WAV file buffer
+   * @returns {Buffer} PCM sample data (without header)
+   * @throws {Error} If the buffer has no data chunk
+   */
+  static extractPCM(wavBuffer) {
+    let offset = WAV_VALIDATION_CONFIG.HEADER.FMT_OFFSET;
+
+    while (offset <= wavBuffer.length - 8) {
+      const chunkId = wavBuffer.subarray(offset, offset + 4);
+      const chunkSize = wavBuffer.readUInt32LE(offset + 4);
+
+      if (chunkId.equals(WAV_VALIDATION_CONFIG.HEADER.DATA_SIGNATURE)) {
+        const end = Math.min(offset + 8 + chunkSize, wavBuffer.length);
+        return wavBuffer.subarray(offset + 8, end);
+      }
+
+      // Chunks are word-aligned
+      offset += 8 + chunkSize + (chunkSize % 2);
+    }
+
+    throw new Error("data chunk not found");
+  }
+
+  /**
+   * @static
+   * @method detectVoiceActivity
+   * @description Runs voice activity detection over the first channel of PCM
+   * audio, one second at a time
+   * @param {Buffer} pcmBuffer - PCM sample data
+   * @param {Object} format - {sampleRate, numChannels, bitsPerSample}
+   * @returns {{duration: number, speechDuration: number, speechRatio: number, regions: Array<{startTime: number, endTime: number}>}}
+   *   Speech statistics; regions are times in seconds
+   */
+  static detectVoiceActivity(pcmBuffer, format) {
+    const bytesPerSample = format.bitsPerSample / 8;
+    const frameBytes = format.numChannels * bytesPerSample;
+    const totalFrames = Math.floor(pcmBuffer.length / frameBytes);
+    const detector = new VoiceActivityDetector({
+      sampleRate: format.sampleRate,
+    });
+    const block = new Float32Array(format.sampleRate);
+
+    for (let first = 0; first < totalFrames; first += block.length) {
+      const count = Math.min(block.length, totalFrames - first);
+      for (let i = 0; i < count; i++) {
+        const offset = (first + i) * frameBytes;
+        switch (format.bitsPerSample) {
+          case 8:
+            block[i] = (pcmBuffer.readUInt8(offset) - 128) / 128;
+            break;
+          case 24:
+            block[i] = pcmBuffer.readIntLE(offset, 3) / 8388608;
+            break;
+          case 32:
+            block[i] = pcmBuffer.readInt32LE(offset) / 2147483648;
+            break;
+          default:
+            block[i] = pcmBuffer.readInt16LE(offset) / 32768;
+        }
+      }
+      detector.process(block.subarray(0, count));
+    }
+
+    return detector.getStats();
+  }
+
+  /**
+   * @static
+   * @method readFormat
+   * @description Reads the sample format from the fmt chunk of a WAV file
+   * @param {Buffer} wavBuffer - WAV file buffer
+   * @returns {{sampleRate: number, numChannels: number, bitsPerSample: number}}
+   *   Sample format
+   * @throws {Error} If the buffer has no fmt chunk
+   */
+  static readFormat(wavBuffer) {
+    let offset = WAV_VALIDATION_CONFIG.HEADER.FMT_OFFSET;
+
+    while (offset <= wavBuffer.length - 24) {
+      const chunkId = wavBuffer.subarray(offset, offset + 4);
+      const chunkSize = wavBuffer.readUInt32LE(offset + 4);
+
+      if (chunkId.equals(WAV_VALIDATION_CONFIG.HEADER.FMT_SIGNATURE)) {
+        return {
+          numChannels: wavBuffer.readUInt16LE(offset + 10),
+          sampleRate: wavBuffer.readUInt32LE(offset + 12),
+          bitsPerSample: wavBuffer.readUInt16LE(offset + 22),
+        };
+      }
+
+      offset += 8 + chunkSize + (chunkSize % 2);
+    }
+
+    throw new Error("fmt chunk not found");
+  }
+
+  /**
+   * @static
+   * @method buildWAV
+   * @description Wraps raw PCM data in a canonical 44-byte WAV header
+   * @param {Buffer} pcmBuffer - PCM sample data
+   * @param {Object} format - Audio format of the PCM data
+   * @param {number} format.sampleRate - Sample rate in Hz
+   * @param {number} format.numChannels - Number of channels
+   * @param {number} format.bitsPerSample - Bits per sample
+   * @returns {Buffer} Complete WAV file buffer
+   */
+  static buildWAV(
+    pcmBuffer,
+    {
+      sampleRate = WAV_VALIDATION_CONFIG.SARVAM_PREFERRED.sampleRate,
+      numChannels = WAV_VALIDATION_CONFIG.SARVAM_PREFERRED.channels,
+      bitsPerSample = WAV_VALIDATION_CONFIG.SARVAM_PREFERRED.bitDepth,
+    } = {}
+  ) {
+    const headerSize = WAV_VALIDATION_CONFIG.HEADER.MIN_HEADER_SIZE;
+    const blockAlign = numChannels * (bitsPerSample / 8);
+    const header = Buffer.alloc(headerSize);
+
+    header.write("RIFF", 0, "ascii");
+    header.writeUInt32LE(headerSize - 8 + pcmBuffer.length, 4);
+    header.write("WAVE", 8, "ascii");
+    header.write("fmt ", 12, "ascii");
+    header.writeUInt32LE(16, 16); // fmt chunk size
+    header.writeUInt16LE(1, 20); // PCM
+    header.writeUInt16LE(numChannels, 22);
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate * blockAlign, 28);
+    header.writeUInt16LE(blockAlign, 32);
+    header.writeUInt16LE(bitsPerSample, 34);
+    header.write("data", 36, "ascii");
+    header.writeUInt32LE(pcmBuffer.length, 40);
+
+    return Buffer.concat([header, pcmBuffer]);
+  }
 }
 
 // =============================================================================
@@ -0,0 +1,194 @@
+/**
+ * @fileoverview Speech-to-Text WebSocket Protocol
+ * @description Message types, error codes and parsing for version 1 of the
+ * streaming transcription protocol. A connection speaks it by sending a
+ * hello message first; the message flow is documented in the backend README.
+ *
+ * Control messages are JSON text frames. Audio may also be sent as a binary
+ * frame: a fixed little-endian header followed by the WAV bytes, which
+ * avoids base64 encoding the audio inside JSON.
+ *
+ *   offset  size  field
+ *   0       1     frame type (1 = audio)
+ *   1       1     flags (reserved, 0)
+ *   2       2     header length in bytes (24; the WAV starts here)
+ *   4       4     sequence (uint32)
+ *   8       8     startTime in seconds (float64)
+ *   16      8     duration in seconds (float64)
+ *   24      ...   WAV chunk, empty for a silent chunk
+ *
+ * @author AI Assistant
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const PROTOCOL_VERSION = 1;
+
+const SUPPORTED_VERSIONS = [PROTOCOL_VERSION];
+
+// Messages sent by the client
+const CLIENT_MESSAGES = {
+  HELLO: "hello",
+  CONFIG: "config",
+  START: "start",
+  AUDIO: "audio",
+  PAUSE: "pause",
+  RESUME: "resume",
+  STOP: "stop",
+};
+
+// Messages sent by the server
+const SERVER_MESSAGES = {
+  HELLO: "hello",
+  ACK: "ack",
+  PARTIAL: "partial",
+  FINAL: "final",
+  ERROR: "error",
+};
+
+const ERROR_CODES = {
+  UNSUPPORTED_VERSION: "UNSUPPORTED_VERSION", // connection is closed
+  INVALID_MESSAGE: "INVALID_MESSAGE", // not JSON or fails its schema
+  UNKNOWN_MESSAGE_TYPE: "UNKNOWN_MESSAGE_TYPE",
+  HELLO_REQUIRED: "HELLO_REQUIRED", // anything sent before a valid hello
+  RESUME_FAILED: "RESUME_FAILED", // unknown/expired session; a new one starts
+  INVALID_STATE: "INVALID_STATE", // e.g. audio while paused
+  INVALID_CONFIG: "INVALID_CONFIG", // unknown language or model
+  AUDIO_TOO_LARGE: "AUDIO_TOO_LARGE",
+  AUDIO_INVALID: "AUDIO_INVALID", // not a decodable audio chunk
+  TRANSCRIPTION_FAILED: "TRANSCRIPTION_FAILED", // audio is kept and retried
+};
+
+const AUDIO_FRAME = {
+  TYPE: 1,
+  HEADER_LENGTH: 24,
+  MIME_TYPE: "audio/wav",
+};
+
+// =============================================================================
+// ERRORS
+// =============================================================================
+
+/**
+ * @class ProtocolError
+ * @extends Error
+ * @description Error reported to the client as an error message
+ */
+class ProtocolError extends Error {
+  /**
+   * @constructor
+   * @param {string} message - Message safe to show to the user
+   * @param {Object} [options] - {code, details}
+   */
+  constructor(message, { code = ERROR_CODES.INVALID_MESSAGE, details } = {}) {
+    super(message);
+    this.name = "ProtocolError";
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * @function parseMessage
+ * @description Parses a raw WebSocket message as a typed JSON message
+ * @param {Buffer|string} message - Raw WebSocket message
+ * @returns {Object} Parsed message with a string type
+ * @throws {ProtocolError} If the message is not a typed JSON object
+ */
+function parseMessage(message) {
+  const messageStr = Buffer.isBuffer(message)
+    ? message.toString("utf8")
+    : String(message);
+
+  let data;
+  try {
+    data = JSON.parse(messageStr);
+  } catch (error) {
+    throw new ProtocolError("Message is not valid JSON");
+  }
+
+  if (!data || typeof data !== "object" || typeof data.type !== "string") {
+    throw new ProtocolError("Message must be an object with a type");
+  }
+  return data;
+}
+
+/**
+ * @function isHelloMessage
+ * @description Checks whether a raw message opens a versioned session
+ * @param {Buffer|string} message - Raw WebSocket message
+ * @returns {boolean} True for a JSON hello message
+ */
+function isHelloMessage(message) {
+  try {
+    return parseMessage(message).type === CLIENT_MESSAGES.HELLO;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * @function parseAudioFrame
+ * @description Parses a binary audio frame into an audio message whose audio
+ * is the WAV payload itself
+ * @param {Buffer} frame - Binary WebSocket message
+ * @returns {Object} {type, sequence, startTime, duration, mimeType, audio}
+ * @throws {ProtocolError} If the frame header is malformed
+ */
+function parseAudioFrame(frame) {
+  if (frame.length < AUDIO_FRAME.HEADER_LENGTH) {
+    throw new ProtocolError(
+      `Binary frame is shorter than its ${AUDIO_FRAME.HEADER_LENGTH}-byte header`
+    );
+  }
+
+  const frameType = frame.readUInt8(0);
+  if (frameType !== AUDIO_FRAME.TYPE) {
+    throw new ProtocolError(`Unknown binary frame type: ${frameType}`, {
+      code: ERROR_CODES.UNKNOWN_MESSAGE_TYPE,
+    });
+  }
+
+  // Later header versions may grow; the payload starts after the header
+  const headerLength = frame.readUInt16LE(2);
+  if (headerLength < AUDIO_FRAME.HEADER_LENGTH || headerLength > frame.length) {
+    throw new ProtocolError(
+      `Invalid binary frame header length: ${headerLength}`
+    );
+  }
+
+  const audio = frame.subarray(headerLength);
+  return {
+    type: CLIENT_MESSAGES.AUDIO,
+    sequence: frame.readUInt32LE(4),
+    startTime: frame.readDoubleLE(8),
+    duration: frame.readDoubleLE(16),
+    mimeType: AUDIO_FRAME.MIME_TYPE,
+    ...(audio.length > 0 && { audio }),
+  };
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  PROTOCOL_VERSION,
+  SUPPORTED_VERSIONS,
+  CLIENT_MESSAGES,
+  SERVER_MESSAGES,
+  ERROR_CODES,
+  AUDIO_FRAME,
+  ProtocolError,
+  parseMessage,
+  parseAudioFrame,
+  isHelloMessage,
+};
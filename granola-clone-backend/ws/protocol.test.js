@@ -0,0 +1,117 @@
+const {
+  AUDIO_FRAME,
+  CLIENT_MESSAGES,
+  ERROR_CODES,
+  ProtocolError,
+  isHelloMessage,
+  parseAudioFrame,
+  parseMessage,
+} = require("./protocol");
+
+// Builds a binary audio frame as the client does
+const audioFrame = (
+  audio,
+  { type = AUDIO_FRAME.TYPE, headerLength = AUDIO_FRAME.HEADER_LENGTH } = {}
+) => {
+  const header = Buffer.alloc(headerLength);
+  header.writeUInt8(type, 0);
+  header.writeUInt16LE(headerLength, 2);
+  header.writeUInt32LE(7, 4);
+  header.writeDoubleLE(12.5, 8);
+  header.writeDoubleLE(4.25, 16);
+  return Buffer.concat([header, audio]);
+};
+
+const parseError = (parse) => {
+  try {
+    parse();
+  } catch (error) {
+    return error;
+  }
+  throw new Error("Expected a ProtocolError");
+};
+
+describe("parseAudioFrame", () => {
+  test("reads the header and keeps the WAV bytes as the audio", () => {
+    const wav = Buffer.from("RIFF....WAVEfmt ");
+
+    expect(parseAudioFrame(audioFrame(wav))).toEqual({
+      type: CLIENT_MESSAGES.AUDIO,
+      sequence: 7,
+      startTime: 12.5,
+      duration: 4.25,
+      mimeType: "audio/wav",
+      audio: wav,
+    });
+  });
+
+  test("a frame without payload is a silent chunk", () => {
+    const message = parseAudioFrame(audioFrame(Buffer.alloc(0)));
+
+    expect(message).not.toHaveProperty("audio");
+    expect(message.sequence).toBe(7);
+  });
+
+  test("the payload starts after a longer header from a later version", () => {
+    const wav = Buffer.from("RIFF");
+
+    expect(
+      parseAudioFrame(audioFrame(wav, { headerLength: 32 })).audio
+    ).toEqual(wav);
+  });
+
+  test("a frame shorter than the header is rejected", () => {
+    const error = parseError(() => parseAudioFrame(Buffer.alloc(10)));
+
+    expect(error).toBeInstanceOf(ProtocolError);
+    expect(error.code).toBe(ERROR_CODES.INVALID_MESSAGE);
+  });
+
+  test("an unknown frame type is rejected", () => {
+    const error = parseError(() =>
+      parseAudioFrame(audioFrame(Buffer.from("RIFF"), { type: 2 }))
+    );
+
+    expect(error.code).toBe(ERROR_CODES.UNKNOWN_MESSAGE_TYPE);
+    expect(error.message).toBe("Unknown binary frame type: 2");
+  });
+
+  test("a header length outside the frame is rejected", () => {
+    const frame = audioFrame(Buffer.from("RIFF"));
+    frame.writeUInt16LE(200, 2);
+
+    expect(() => parseAudioFrame(frame)).toThrow(
+      "Invalid binary frame header length: 200"
+    );
+    frame.writeUInt16LE(8, 2);
+    expect(() => parseAudioFrame(frame)).toThrow(
+      "Invalid binary frame header length: 8"
+    );
+  });
+});
+
+describe("parseMessage", () => {
+  test("parses text and buffer messages", () => {
+    expect(parseMessage('{"type":"start"}')).toEqual({ type: "start" });
+    expect(parseMessage(Buffer.from('{"type":"stop"}'))).toEqual({
+      type: "stop",
+    });
+  });
+
+  test("rejects invalid JSON and untyped messages", () => {
+    expect(() => parseMessage("{nope")).toThrow("Message is not valid JSON");
+    ["null", "[]", '{"type":1}', '"hello"'].forEach((message) =>
+      expect(() => parseMessage(message)).toThrow(
+        "Message must be an object with a type"
+      )
+    );
+  });
+});
+
+describe("isHelloMessage", () => {
+  test("only a JSON hello opens a versioned session", () => {
+    expect(isHelloMessage('{"type":"hello","version":1}')).toBe(true);
+    expect(isHelloMessage('{"type":"config"}')).toBe(false);
+    expect(isHelloMessage("not json")).toBe(false);
+  });
+});
@@ -0,0 +1,601 @@
+/**
+ * @fileoverview Versioned Protocol Session
+ * @description Per-connection state machine for protocol v1. Every client
+ * message is validated against its Joi webSocket schema and checked against
+ * the session state; problems are answered with typed error messages.
+ *
+ *   connected --hello--> ready --start--> recording <--pause/resume--> paused
+ *   recording/paused --stop--> stopping --(segments flushed)--> ready
+ *
+ * Sessions outlive their connection: hello returns a resume token, and a
+ * later connection whose hello carries it takes the session over. The reply
+ * tells the client the last audio sequence received and the segments
+ * finalised so far, so it can replay what was lost and catch up.
+ *
+ * Audio arrives as JSON audio messages or as binary audio frames, which are
+ * validated against the same schema once their header has been parsed.
+ * Audio is transcribed by a StreamingSession created for every recording,
+ * whose interim and final segments are sent as partial and final messages.
+ *
+ * @author AI Assistant
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+// =============================================================================
+// IMPORTS
+// =============================================================================
+
+const crypto = require("crypto");
+const { StreamingSession } = require("./streamingSession");
+const {
+  PROTOCOL_VERSION,
+  SUPPORTED_VERSIONS,
+  CLIENT_MESSAGES,
+  SERVER_MESSAGES,
+  ERROR_CODES,
+  ProtocolError,
+  parseMessage,
+  parseAudioFrame,
+} = require("./protocol");
+const {
+  ValidationMiddleware,
+  ValidationSchemas,
+} = require("../middleware/validation");
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const SESSION_STATES = {
+  CONNECTED: "connected",
+  READY: "ready",
+  RECORDING: "recording",
+  PAUSED: "paused",
+  STOPPING: "stopping",
+};
+
+// States in which each message type is accepted
+const ALLOWED_STATES = {
+  [CLIENT_MESSAGES.HELLO]: [SESSION_STATES.CONNECTED],
+  [CLIENT_MESSAGES.CONFIG]: [SESSION_STATES.READY, SESSION_STATES.PAUSED],
+  [CLIENT_MESSAGES.START]: [SESSION_STATES.READY],
+  [CLIENT_MESSAGES.AUDIO]: [SESSION_STATES.RECORDING],
+  [CLIENT_MESSAGES.PAUSE]: [SESSION_STATES.RECORDING],
+  [CLIENT_MESSAGES.RESUME]: [SESSION_STATES.PAUSED],
+  [CLIENT_MESSAGES.STOP]: [SESSION_STATES.RECORDING, SESSION_STATES.PAUSED],
+};
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * @function messageSchema
+ * @param {string} type - Client message type
+ * @returns {Joi.Schema} Joi schema the message must match
+ */
+const messageSchema = (type) =>
+  type === CLIENT_MESSAGES.CONFIG
+    ? ValidationSchemas.webSocket.sessionConfig
+    : ValidationSchemas.webSocket[type];
+
+/**
+ * @function checkSessionConfig
+ * @description Validates a config message, including whether the provider
+ * offers the requested model
+ * @param {Object} message - Parsed config message
+ * @param {Object} transcription - Transcription service
+ * @returns {Object} {isValid, data, details}
+ */
+function checkSessionConfig(message, transcription) {
+  const result = ValidationMiddleware.validateWebSocketMessage(
+    message,
+    ValidationSchemas.webSocket.sessionConfig
+  );
+  if (
+    result.isValid &&
+    result.data.model &&
+    !transcription.supportsModel(result.data.model)
+  ) {
+    return {
+      isValid: false,
+      details: [
+        { field: "model", message: `Unknown model: ${result.data.model}` },
+      ],
+    };
+  }
+  return result;
+}
+
+/**
+ * @function decodedSize
+ * @param {string} base64 - Base64 payload
+ * @returns {number} Size of the decoded payload in bytes
+ */
+const decodedSize = (base64) => Math.floor((base64.length * 3) / 4);
+
+// =============================================================================
+// PROTOCOL SESSION CLASS
+// =============================================================================
+
+/**
+ * @class ProtocolSession
+ * @description Handles the messages of a protocol v1 session. A connection
+ * that resumes another session hands its messages to that session.
+ */
+class ProtocolSession {
+  /**
+   * @constructor
+   * @param {Object} options - Session options
+   * @param {string} options.clientId - Client identifier for logging
+   * @param {Object} options.transcription - Transcription service
+   * @param {AudioNormalizer} options.validator - Audio normaliser for the
+   *   client
+   * @param {Object} options.diarizer - Diarizer from createDiarizer()
+   * @param {Object} options.connection - {send(message), close(code, reason)}
+   * @param {SessionRegistry} options.registry - Resumable sessions
+   * @param {string} options.language - Default language ("auto" to detect)
+   * @param {number} options.maxAudioSize - Largest accepted audio chunk (bytes)
+   * @param {Function} [options.describeError] - Maps transcription errors to
+   *   user-facing text
+   */
+  constructor(options) {
+    this.clientId = options.clientId;
+    this.transcription = options.transcription;
+    this.validator = options.validator;
+    this.diarizer = options.diarizer;
+    this.connection = options.connection;
+    this.registry = options.registry;
+    this.maxAudioSize = options.maxAudioSize;
+    this.describeError = options.describeError || ((error) => error.message);
+
+    this.sessionId = crypto.randomUUID();
+    this.state = SESSION_STATES.CONNECTED;
+    this.config = { language: options.language, model: undefined };
+    this.streaming = null; // StreamingSession of the current recording
+    this.lastSequence = null; // highest audio sequence received
+    this.finalSegments = []; // final segments of the current recording
+    this.delegate = null; // session this connection resumed
+  }
+
+  /**
+   * @method handle
+   * @description Handles one raw client message
+   * @param {Buffer|string} message - Raw WebSocket message
+   * @param {boolean} [isBinary] - Whether it arrived as a binary frame
+   */
+  handle(message, isBinary = false) {
+    if (this.delegate) {
+      this.delegate.handle(message, isBinary);
+      return;
+    }
+
+    let data;
+    try {
+      // A binary frame's WAV payload is not part of the schema
+      let frameAudio = null;
+      if (isBinary) {
+        ({ audio: frameAudio, ...data } = parseAudioFrame(message));
+      } else {
+        data = parseMessage(message);
+      }
+      this._checkState(data.type);
+
+      const {
+        isValid,
+        data: value,
+        details,
+      } = ValidationMiddleware.validateWebSocketMessage(
+        data,
+        messageSchema(data.type)
+      );
+      if (!isValid) {
+        throw new ProtocolError(`Invalid ${data.type} message`, { details });
+      }
+
+      this._dispatch(frameAudio ? { ...value, audio: frameAudio } : value);
+    } catch (error) {
+      if (!(error instanceof ProtocolError)) throw error;
+      this._sendError(error, data);
+    }
+  }
+
+  /**
+   * @method attach
+   * @description Moves the session to a new connection; an older connection
+   * that is still open is closed
+   * @param {Object} connection - {send, close}
+   */
+  attach(connection) {
+    if (this.connection && this.connection !== connection) {
+      this.connection.close(4001, "Session resumed on another connection");
+    }
+    this.connection = connection;
+  }
+
+  /**
+   * @method detach
+   * @description Called when a connection closes. The session keeps
+   * transcribing queued audio and waits to be resumed.
+   * @param {Object} connection - Connection that closed
+   */
+  detach(connection) {
+    if (this.delegate) {
+      this.delegate.detach(connection);
+      return;
+    }
+    if (this.connection !== connection) return;
+
+    this.connection = null;
+    if (this.state === SESSION_STATES.CONNECTED) {
+      this.dispose();
+    } else {
+      console.log(`⏳ [${this.clientId}] Session ${this.sessionId} detached`);
+      this.registry.release(this);
+    }
+  }
+
+  /**
+   * @method dispose
+   * @description Stops reporting results (session over)
+   */
+  dispose() {
+    if (this.streaming) this.streaming.close();
+  }
+
+  /**
+   * @private
+   * @method _checkState
+   * @description Rejects message types that are unknown or not accepted in
+   * the current state
+   * @param {string} type - Client message type
+   * @throws {ProtocolError} If the message cannot be handled now
+   */
+  _checkState(type) {
+    const allowed = ALLOWED_STATES[type];
+    if (!allowed) {
+      throw new ProtocolError(`Unknown message type: ${type}`, {
+        code: ERROR_CODES.UNKNOWN_MESSAGE_TYPE,
+      });
+    }
+    if (
+      this.state === SESSION_STATES.CONNECTED &&
+      !allowed.includes(this.state)
+    ) {
+      throw new ProtocolError("Send a hello message first", {
+        code: ERROR_CODES.HELLO_REQUIRED,
+      });
+    }
+    if (!allowed.includes(this.state)) {
+      throw new ProtocolError(`Cannot handle ${type} while ${this.state}`, {
+        code: ERROR_CODES.INVALID_STATE,
+      });
+    }
+  }
+
+  /**
+   * @private
+   * @method _dispatch
+   * @param {Object} message - Validated client message
+   */
+  _dispatch(message) {
+    switch (message.type) {
+      case CLIENT_MESSAGES.HELLO:
+        return this._hello(message);
+      case CLIENT_MESSAGES.CONFIG:
+        return this._configure(message);
+      case CLIENT_MESSAGES.START:
+        return this._start();
+      case CLIENT_MESSAGES.AUDIO:
+        return this._audio(message);
+      case CLIENT_MESSAGES.PAUSE:
+        return this._pause();
+      case CLIENT_MESSAGES.RESUME:
+        return this._resume();
+      case CLIENT_MESSAGES.STOP:
+        return this._stop();
+    }
+  }
+
+  /**
+   * @private
+   * @method _hello
+   * @description Agrees on the protocol version, and resumes an earlier
+   * session if asked to; an unsupported version ends the connection
+   * @param {Object} message - {version, client, resume}
+   */
+  _hello({ version, client, resume }) {
+    if (!SUPPORTED_VERSIONS.includes(version)) {
+      console.log(
+        `❌ [${this.clientId}] Unsupported protocol version ${version}`
+      );
+      this._sendError(
+        new ProtocolError(
+          `Protocol version ${version} is not supported (use ${PROTOCOL_VERSION})`,
+          {
+            code: ERROR_CODES.UNSUPPORTED_VERSION,
+            details: { supportedVersions: SUPPORTED_VERSIONS },
+          }
+        ),
+        { type: CLIENT_MESSAGES.HELLO }
+      );
+      this.connection.close(1002, "Unsupported protocol version");
+      return;
+    }
+
+    if (resume) {
+      const claimed = this.registry.take(resume.sessionId, resume.token);
+      if (claimed) {
+        console.log(
+          `🔁 [${this.clientId}] Resumed session ${claimed.session.sessionId}`
+        );
+        this.delegate = claimed.session;
+        this.delegate.attach(this.connection);
+        this.delegate._welcome(version, claimed.token, true);
+        return;
+      }
+
+      // The recording cannot continue, but the connection can start anew
+      this._sendError(
+        new ProtocolError("Session expired or unknown, starting a new one", {
+          code: ERROR_CODES.RESUME_FAILED,
+        }),
+        { type: CLIENT_MESSAGES.HELLO }
+      );
+    }
+
+    this.state = SESSION_STATES.READY;
+    console.log(
+      `🤝 [${this.clientId}] Protocol v${version} session ${this.sessionId}${
+        client ? ` (${client})` : ""
+      }`
+    );
+    this._welcome(version, this.registry.register(this), false);
+  }
+
+  /**
+   * @private
+   * @method _welcome
+   * @description Sends the hello reply. A resumed session also reports where
+   * it stands: its state, the last audio sequence it received and the
+   * segments finalised so far in the current recording.
+   * @param {number} version - Agreed protocol version
+   * @param {string} resumeToken - Token for resuming after a disconnect
+   * @param {boolean} resumed - Whether an earlier session was resumed
+   */
+  _welcome(version, resumeToken, resumed) {
+    this._send({
+      type: SERVER_MESSAGES.HELLO,
+      version,
+      sessionId: this.sessionId,
+      resumeToken,
+      resumed,
+      ...(resumed && {
+        state: this.state,
+        lastSequence: this.lastSequence,
+        segments: this.finalSegments,
+      }),
+      ...this._describeConfig(),
+      maxAudioSize: this.maxAudioSize,
+      binaryAudio: true,
+    });
+  }
+
+  /**
+   * @private
+   * @method _configure
+   * @description Applies a language/model choice to later audio
+   * @param {Object} message - Config message
+   */
+  _configure(message) {
+    const { isValid, data, details } = checkSessionConfig(
+      message,
+      this.transcription
+    );
+    if (!isValid) {
+      throw new ProtocolError("Invalid session config", {
+        code: ERROR_CODES.INVALID_CONFIG,
+        details,
+      });
+    }
+
+    this.config = {
+      language: data.language || this.config.language,
+      model: data.model || this.config.model,
+    };
+    console.log(
+      `⚙️  [${this.clientId}] Session config: ${this.config.language}, ${
+        this._describeConfig().model || "default model"
+      }`
+    );
+    this._ack(CLIENT_MESSAGES.CONFIG, this._describeConfig());
+  }
+
+  /**
+   * @private
+   * @method _start
+   * @description Begins a recording; segment timestamps restart at zero
+   */
+  _start() {
+    this.lastSequence = null;
+    this.finalSegments = [];
+    this.streaming = new StreamingSession({
+      clientId: this.clientId,
+      validator: this.validator,
+      transcribe: (audioBuffer) =>
+        this.transcription.transcribe(audioBuffer, {
+          clientId: this.clientId,
+          ...this.config,
+        }),
+      diarization: this.diarizer.createSession(),
+      onSegment: (segment, { final, sequence }) => {
+        if (final) this.finalSegments[segment.index] = segment;
+        this._send({
+          type: final ? SERVER_MESSAGES.FINAL : SERVER_MESSAGES.PARTIAL,
+          sequence,
+          segment,
+          timestamp: new Date().toISOString(),
+        });
+      },
+      onError: (error, { sequence, stage }) => {
+        const invalidAudio = stage === "decode";
+        this._sendError(
+          new ProtocolError(
+            invalidAudio
+              ? "Audio chunk could not be decoded"
+              : this.describeError(error),
+            {
+              code: invalidAudio
+                ? ERROR_CODES.AUDIO_INVALID
+                : ERROR_CODES.TRANSCRIPTION_FAILED,
+            }
+          ),
+          { type: CLIENT_MESSAGES.AUDIO, sequence }
+        );
+      },
+    });
+
+    this.state = SESSION_STATES.RECORDING;
+    console.log(`⏺️  [${this.clientId}] Recording started`);
+    this._ack(CLIENT_MESSAGES.START, this._describeConfig());
+  }
+
+  /**
+   * @private
+   * @method _audio
+   * @description Queues a chunk and acknowledges it once it was handled
+   * @param {Object} message - Audio message; audio is base64 or, from a
+   *   binary frame, a Buffer
+   */
+  _audio({ sequence, audio, duration }) {
+    const size = Buffer.isBuffer(audio)
+      ? audio.length
+      : decodedSize(audio || "");
+    if (size > this.maxAudioSize) {
+      throw new ProtocolError(
+        `Audio chunk too large (max ${this.maxAudioSize} bytes)`,
+        { code: ERROR_CODES.AUDIO_TOO_LARGE }
+      );
+    }
+
+    // Chunks replayed after a reconnect may already have arrived
+    if (this.lastSequence !== null && sequence <= this.lastSequence) {
+      console.log(`♻️  [${this.clientId}] Audio #${sequence} already received`);
+      this._ack(CLIENT_MESSAGES.AUDIO, { sequence, duplicate: true });
+      return;
+    }
+    this.lastSequence = sequence;
+
+    console.log(`🧩 [${this.clientId}] Audio #${sequence}`);
+    const streaming = this.streaming;
+    streaming.enqueue({ audio, chunk: { sequence, duration } }).then(() => {
+      if (!streaming.closed) this._ack(CLIENT_MESSAGES.AUDIO, { sequence });
+    });
+  }
+
+  /**
+   * @private
+   * @method _pause
+   * @description Stops accepting audio and closes the open segment
+   */
+  _pause() {
+    this.state = SESSION_STATES.PAUSED;
+    console.log(`⏸️  [${this.clientId}] Recording paused`);
+    this.streaming.pause().then(() => this._ack(CLIENT_MESSAGES.PAUSE));
+  }
+
+  /**
+   * @private
+   * @method _resume
+   */
+  _resume() {
+    this.state = SESSION_STATES.RECORDING;
+    console.log(`▶️  [${this.clientId}] Recording resumed`);
+    // Acknowledged after the pause, whose ack waits for queued chunks
+    this.streaming.whenIdle().then(() => this._ack(CLIENT_MESSAGES.RESUME));
+  }
+
+  /**
+   * @private
+   * @method _stop
+   * @description Ends the recording once every chunk has been transcribed;
+   * the ack carries the recording summary
+   */
+  _stop() {
+    this.state = SESSION_STATES.STOPPING;
+    this.streaming.finish().then((summary) => {
+      console.log(
+        `🏁 [${this.clientId}] Recording stopped: ${summary.segments} segment(s)`
+      );
+      this.streaming = null;
+      this.state = SESSION_STATES.READY;
+      this._ack(CLIENT_MESSAGES.STOP, summary);
+    });
+  }
+
+  /**
+   * @private
+   * @method _describeConfig
+   * @returns {Object} {language, model, provider} with the model resolved
+   */
+  _describeConfig() {
+    const { defaultModel, provider } = this.transcription.getSessionOptions();
+    return {
+      language: this.config.language,
+      model: this.config.model || defaultModel,
+      provider,
+    };
+  }
+
+  /**
+   * @private
+   * @method _send
+   * @description Sends a message to the current connection; while detached,
+   * messages are dropped and the client catches up when it resumes
+   * @param {Object} message - JSON-serialisable message
+   */
+  _send(message) {
+    if (this.connection) this.connection.send(message);
+  }
+
+  /**
+   * @private
+   * @method _ack
+   * @param {string} of - Type of the acknowledged message
+   * @param {Object} [fields] - Additional fields
+   */
+  _ack(of, fields = {}) {
+    this._send({ type: SERVER_MESSAGES.ACK, of, ...fields });
+  }
+
+  /**
+   * @private
+   * @method _sendError
+   * @param {ProtocolError} error - Error to report
+   * @param {Object} [message] - Message that caused it ({type, sequence})
+   */
+  _sendError(error, message) {
+    console.log(`❌ [${this.clientId}] ${error.code}: ${error.message}`);
+    this._send({
+      type: SERVER_MESSAGES.ERROR,
+      code: error.code,
+      message: error.message,
+      ...(message && typeof message.type === "string" && { of: message.type }),
+      ...(message &&
+        Number.isInteger(message.sequence) && { sequence: message.sequence }),
+      ...(error.details && { details: error.details }),
+      timestamp: new Date().toISOString(),
+    });
+  }
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  ProtocolSession,
+  SESSION_STATES,
+  checkSessionConfig,
+};
@@ -0,0 +1,151 @@
+/**
+ * @fileoverview Protocol Session Registry
+ * @description Keeps protocol sessions alive across WebSocket reconnects. A
+ * session is registered with a secret resume token when it says hello; when
+ * its connection drops it waits for a hello carrying that token, and is
+ * disposed once the resume timeout passes. Tokens are replaced on every
+ * resume, so each one can be used once.
+ *
+ * @author AI Assistant
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+// =============================================================================
+// IMPORTS
+// =============================================================================
+
+const crypto = require("crypto");
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const REGISTRY_DEFAULTS = {
+  resumeTimeout: 120000, // ms a detached session waits to be resumed
+  tokenBytes: 24,
+};
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * @function tokensMatch
+ * @description Compares resume tokens in constant time
+ * @param {string} expected - Token issued by the registry
+ * @param {string} actual - Token presented by the client
+ * @returns {boolean} True if they are equal
+ */
+function tokensMatch(expected, actual) {
+  const a = Buffer.from(expected);
+  const b = Buffer.from(String(actual));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// =============================================================================
+// SESSION REGISTRY CLASS
+// =============================================================================
+
+/**
+ * @class SessionRegistry
+ * @description Resumable protocol sessions by session id
+ */
+class SessionRegistry {
+  /**
+   * @constructor
+   * @param {Object} [options] - {resumeTimeout, tokenBytes}
+   */
+  constructor(options = {}) {
+    this.options = { ...REGISTRY_DEFAULTS, ...options };
+    this.sessions = new Map(); // sessionId -> {session, token, expiry}
+  }
+
+  /**
+   * @method register
+   * @param {ProtocolSession} session - Session that said hello
+   * @returns {string} Resume token for the session
+   */
+  register(session) {
+    const token = this._newToken();
+    this.sessions.set(session.sessionId, { session, token, expiry: null });
+    return token;
+  }
+
+  /**
+   * @method take
+   * @description Claims a session for a new connection
+   * @param {string} sessionId - Session id from the previous hello
+   * @param {string} token - Resume token from the previous hello
+   * @returns {{session: ProtocolSession, token: string}|null} The session and
+   *   its new resume token, or null if it is unknown, expired or the token
+   *   does not match
+   */
+  take(sessionId, token) {
+    const entry = this.sessions.get(sessionId);
+    if (!entry || !tokensMatch(entry.token, token)) return null;
+
+    clearTimeout(entry.expiry);
+    entry.expiry = null;
+    entry.token = this._newToken();
+    return { session: entry.session, token: entry.token };
+  }
+
+  /**
+   * @method release
+   * @description Starts the resume timeout of a session whose connection
+   * dropped; the session is disposed if nobody resumes it in time
+   * @param {ProtocolSession} session - Detached session
+   */
+  release(session) {
+    const entry = this.sessions.get(session.sessionId);
+    if (!entry) return;
+
+    clearTimeout(entry.expiry);
+    entry.expiry = setTimeout(() => {
+      console.log(`⌛ Session ${session.sessionId} was not resumed, closing`);
+      this.remove(session);
+    }, this.options.resumeTimeout);
+    entry.expiry.unref();
+  }
+
+  /**
+   * @method remove
+   * @description Forgets a session and disposes it
+   * @param {ProtocolSession} session - Session to remove
+   */
+  remove(session) {
+    const entry = this.sessions.get(session.sessionId);
+    if (entry) {
+      clearTimeout(entry.expiry);
+      this.sessions.delete(session.sessionId);
+    }
+    session.dispose();
+  }
+
+  /**
+   * @method size
+   * @returns {number} Number of live sessions, attached or not
+   */
+  size() {
+    return this.sessions.size;
+  }
+
+  /**
+   * @private
+   * @method _newToken
+   * @returns {string} Random URL-safe token
+   */
+  _newToken() {
+    return crypto.randomBytes(this.options.tokenBytes).toString("base64url");
+  }
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  SessionRegistry,
+  REGISTRY_DEFAULTS,
+};
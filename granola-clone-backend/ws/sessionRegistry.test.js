@@ -0,0 +1,81 @@
+const { SessionRegistry } = require("./sessionRegistry");
+
+const session = (sessionId = "session-1") => ({
+  sessionId,
+  dispose: jest.fn(),
+});
+
+let registry;
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  registry = new SessionRegistry({ resumeTimeout: 1000 });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe("SessionRegistry", () => {
+  test("a dropped session is resumed with its token", () => {
+    const original = session();
+    const token = registry.register(original);
+    registry.release(original);
+
+    const resumed = registry.take("session-1", token);
+
+    expect(resumed.session).toBe(original);
+    expect(resumed.token).not.toBe(token);
+    jest.advanceTimersByTime(5000);
+    expect(original.dispose).not.toHaveBeenCalled();
+    expect(registry.size()).toBe(1);
+  });
+
+  test("each resume token can be used once", () => {
+    const token = registry.register(session());
+
+    const { token: next } = registry.take("session-1", token);
+
+    expect(registry.take("session-1", token)).toBeNull();
+    expect(registry.take("session-1", next)).not.toBeNull();
+  });
+
+  test("a wrong token or unknown session cannot resume", () => {
+    const token = registry.register(session());
+
+    expect(registry.take("session-1", `${token}x`)).toBeNull();
+    expect(registry.take("session-1", undefined)).toBeNull();
+    expect(registry.take("session-2", token)).toBeNull();
+  });
+
+  test("a session not resumed in time is disposed", () => {
+    const dropped = session();
+    const token = registry.register(dropped);
+    registry.release(dropped);
+
+    jest.advanceTimersByTime(999);
+    expect(dropped.dispose).not.toHaveBeenCalled();
+    jest.advanceTimersByTime(1);
+
+    expect(dropped.dispose).toHaveBeenCalledTimes(1);
+    expect(registry.size()).toBe(0);
+    expect(registry.take("session-1", token)).toBeNull();
+  });
+
+  test("dropping again after a resume restarts the timeout", () => {
+    const dropped = session();
+    const token = registry.register(dropped);
+    registry.release(dropped);
+    jest.advanceTimersByTime(800);
+
+    registry.take("session-1", token);
+    registry.release(dropped);
+    jest.advanceTimersByTime(800);
+    expect(dropped.dispose).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(200);
+    expect(dropped.dispose).toHaveBeenCalledTimes(1);
+  });
+});
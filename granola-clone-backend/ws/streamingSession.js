@@ -0,0 +1,442 @@
+/**
+ * @fileoverview Streaming Transcription Session
+ * @description Assembles rolling audio chunks sent during a recording into
+ * transcript segments, emitting interim results while a segment grows and a
+ * final result once it is closed. Results are reported through callbacks so
+ * each WebSocket protocol version can word its own messages.
+ *
+ * Features:
+ * - Ordered, lossless chunk processing (one chunk at a time, nothing dropped)
+ * - Interim transcripts re-computed over the whole open segment
+ * - Segment finalisation on duration limit, natural pause or end of recording
+ * - Silent chunks skipped (voice activity detection) without shifting time
+ * - Segment timestamps relative to the start of the recording
+ * - Speaker labels on finalised segments (provider or local diarization)
+ * - Recognised language per segment and for the whole session
+ * - Pausing closes the open segment; finishing returns a session summary
+ *
+ * @author AI Assistant
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+// =============================================================================
+// IMPORTS
+// =============================================================================
+
+const { WAVValidator } = require("../utils/wavValidator");
+const { dominantLanguage } = require("../services/stt/languages");
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const STREAMING_CONFIG = {
+  MAX_SEGMENT_DURATION: 15, // seconds of audio before a segment is finalised
+  MIN_CHUNK_SIZE: 1000, // chunks smaller than this carry no usable audio
+};
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * @function declaredPause
+ * @description Seconds of silence the client skipped sending; recorders with
+ * voice activity detection send silent chunks as metadata only
+ * @param {Object} chunk - Chunk metadata ({duration})
+ * @returns {number} Pause length in seconds (0 if not declared)
+ */
+const declaredPause = (chunk) =>
+  Number.isFinite(chunk.duration) && chunk.duration > 0 ? chunk.duration : 0;
+
+// =============================================================================
+// STREAMING SESSION CLASS
+// =============================================================================
+
+/**
+ * @class StreamingSession
+ * @description Per-connection state machine for rolling-chunk transcription
+ */
+class StreamingSession {
+  /**
+   * @constructor
+   * @param {Object} options - Session options
+   * @param {string} options.clientId - Client identifier for logging
+   * @param {Function} options.transcribe - async (wavBuffer, context) =>
+   *   {transcript, confidence, language}
+   * @param {Function} options.onSegment - (segment, {final, sequence}) for
+   *   every interim or final segment result
+   * @param {Function} [options.onError] - (error, {sequence, stage}) when a
+   *   chunk fails; stage is "decode" (invalid audio) or "transcribe"
+   * @param {Function} [options.onComplete] - (summary) after a chunk marked
+   *   isFinal has been handled
+   * @param {AudioNormalizer|WAVValidator} [options.validator] - Validates
+   *   chunks; an AudioNormalizer also accepts compressed chunks
+   * @param {DiarizationSession} [options.diarization] - Assigns speaker labels
+   * @param {number} [options.maxSegmentDuration] - Segment length limit in seconds
+   */
+  constructor(options) {
+    this.clientId = options.clientId;
+    this.transcribe = options.transcribe;
+    this.onSegment = options.onSegment;
+    this.onError = options.onError || (() => {});
+    this.onComplete = options.onComplete || (() => {});
+    this.validator =
+      options.validator || new WAVValidator({ validationLevel: "standard" });
+    this.diarization = options.diarization || null;
+    this.maxSegmentDuration =
+      options.maxSegmentDuration || STREAMING_CONFIG.MAX_SEGMENT_DURATION;
+
+    this.queue = Promise.resolve();
+    this.closed = false;
+    this.format = null; // PCM format of the first chunk
+    this.segmentIndex = 0;
+    this.offset = 0; // seconds of audio already finalised
+    this.languages = []; // recognised language of each finalised segment
+    this._resetSegment();
+  }
+
+  /**
+   * @method enqueue
+   * @description Queues a chunk message for in-order processing
+   * @param {Object} message - Parsed chunk message
+   * @param {string|Buffer} [message.audio] - WAV chunk, base64 or raw
+   * @param {Object} message.chunk - Chunk metadata ({sequence, isFinal})
+   * @returns {Promise<void>} Resolves once the chunk has been handled
+   */
+  enqueue(message) {
+    return this._enqueueTask(() => this._processChunk(message)).catch(
+      (error) => {
+        console.error(
+          `❌ [${this.clientId}] Streaming chunk failed:`,
+          error.message
+        );
+      }
+    );
+  }
+
+  /**
+   * @method pause
+   * @description Finalises the open segment once queued chunks are handled,
+   * so no segment spans a pause in the recording
+   * @param {number} [sequence] - Sequence number reported with the result
+   * @returns {Promise<void>} Resolves once the segment has been closed
+   */
+  pause(sequence) {
+    return this._enqueueTask(() => this._finishSegment(sequence));
+  }
+
+  /**
+   * @method finish
+   * @description Finalises the open segment once queued chunks are handled
+   * and summarises the session
+   * @param {number} [sequence] - Sequence number reported with the result
+   * @returns {Promise<Object>} {segments, duration, language}
+   */
+  finish(sequence) {
+    return this._enqueueTask(() => {
+      this._finishSegment(sequence);
+      return this.getSummary();
+    });
+  }
+
+  /**
+   * @method whenIdle
+   * @returns {Promise<void>} Resolves once every queued chunk was handled
+   */
+  whenIdle() {
+    return this._enqueueTask(() => {});
+  }
+
+  /**
+   * @method getSummary
+   * @returns {Object} {segments, duration, language} of the finalised audio
+   */
+  getSummary() {
+    return {
+      segments: this.segmentIndex,
+      duration: this.offset,
+      language: dominantLanguage(this.languages),
+    };
+  }
+
+  /**
+   * @method close
+   * @description Stops reporting results (connection closed)
+   */
+  close() {
+    this.closed = true;
+  }
+
+  /**
+   * @private
+   * @method _processChunk
+   * @description Appends a chunk to the open segment and emits a result
+   * @param {Object} message - Parsed chunk message
+   */
+  async _processChunk({ audio, chunk }) {
+    if (this.closed) return;
+
+    const sequence = chunk.sequence;
+    const isFinal = Boolean(chunk.isFinal);
+    let stage = "decode";
+
+    try {
+      const pcm = audio ? await this._decodeAudio(audio) : null;
+      stage = "transcribe";
+      const hasSpeech = pcm ? this._hasSpeech(pcm) : false;
+
+      if (hasSpeech) {
+        this.segmentPCM = Buffer.concat([this.segmentPCM, pcm]);
+        const result = await this.transcribe(this._buildSegmentWAV(), {
+          segmentIndex: this.segmentIndex,
+          sequence,
+        });
+        this.segmentText = (result.transcript || "").trim();
+        this.segmentConfidence =
+          result.confidence !== undefined ? result.confidence : null;
+        this.segmentUtterances = result.utterances || [];
+        this.segmentLanguage = result.language || null;
+
+        const closeSegment =
+          isFinal || this._segmentDuration() >= this.maxSegmentDuration;
+
+        if (closeSegment) {
+          this._finishSegment(sequence);
+        } else {
+          this._emitSegment(false, sequence);
+        }
+      } else {
+        // Silence never reaches the STT provider. A pause ends the open
+        // segment, and its length keeps later timestamps in place.
+        const pause = pcm ? this._pcmDuration(pcm) : declaredPause(chunk);
+        if (pcm) {
+          console.log(
+            `🔇 [${this.clientId}] Chunk #${sequence} is silent, skipped`
+          );
+        }
+
+        if (isFinal || pause > 0) this._finishSegment(sequence);
+        this.offset += pause;
+      }
+    } catch (error) {
+      console.error(
+        `❌ [${this.clientId}] Segment ${this.segmentIndex} transcription error:`,
+        error.message
+      );
+      if (!this.closed) this.onError(error, { sequence, stage });
+
+      // Audio stays in the open segment so the next chunk retries it;
+      // on the last chunk we close with whatever text we already have.
+      if (isFinal) this._finishSegment(sequence);
+    }
+
+    if (isFinal && !this.closed) {
+      console.log(
+        `🏁 [${this.clientId}] Streaming complete: ${this.segmentIndex} segment(s)`
+      );
+      this.onComplete(this.getSummary());
+    }
+  }
+
+  /**
+   * @private
+   * @method _enqueueTask
+   * @description Runs a task after every queued chunk has been handled
+   * @param {Function} task - Sync or async task
+   * @returns {Promise<*>} Task result
+   */
+  _enqueueTask(task) {
+    const result = this.queue.then(task);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * @private
+   * @method _finishSegment
+   * @description Labels, reports and closes the open segment, if it has audio
+   * @param {number} [sequence] - Sequence number of the triggering message
+   */
+  _finishSegment(sequence) {
+    if (this.segmentPCM.length === 0) return;
+    this._assignSpeaker();
+    this._emitSegment(true, sequence);
+    this._closeSegment();
+  }
+
+  /**
+   * @private
+   * @method _decodeAudio
+   * @description Validates a WAV chunk and returns its PCM
+   * @param {string|Buffer} audio - WAV chunk, base64 encoded or raw
+   * @returns {Promise<Buffer|null>} PCM audio, or null if the chunk is empty
+   */
+  async _decodeAudio(audio) {
+    const wavBuffer = Buffer.isBuffer(audio)
+      ? audio
+      : Buffer.from(audio, "base64");
+
+    if (wavBuffer.length < STREAMING_CONFIG.MIN_CHUNK_SIZE) {
+      return null;
+    }
+
+    const { processedBuffer, metadata } =
+      await this.validator.validateAndProcess(wavBuffer, this.clientId);
+
+    if (!this.format) {
+      this.format = {
+        sampleRate: metadata.sampleRate,
+        numChannels: metadata.numChannels,
+        bitsPerSample: metadata.bitsPerSample,
+      };
+    }
+
+    const pcm = WAVValidator.extractPCM(processedBuffer);
+    return pcm.length > 0 ? pcm : null;
+  }
+
+  /**
+   * @private
+   * @method _hasSpeech
+   * @description Checks a chunk for speech with voice activity detection
+   * @param {Buffer} pcm - PCM audio of the chunk
+   * @returns {boolean} True if any speech was detected
+   */
+  _hasSpeech(pcm) {
+    return WAVValidator.detectVoiceActivity(pcm, this.format).speechRatio > 0;
+  }
+
+  /**
+   * @private
+   * @method _emitSegment
+   * @description Reports the open segment as an interim or final result
+   * @param {boolean} final - Whether the segment is being closed
+   * @param {number} [sequence] - Sequence number of the triggering message
+   */
+  _emitSegment(final, sequence) {
+    if (this.closed) return;
+    this.onSegment(
+      {
+        index: this.segmentIndex,
+        text: this.segmentText,
+        startTime: this.offset,
+        endTime: this.offset + this._segmentDuration(),
+        confidence: this.segmentConfidence,
+        speaker: this.segmentSpeaker,
+        language: this.segmentLanguage,
+      },
+      { final, sequence }
+    );
+  }
+
+  /**
+   * @private
+   * @method _assignSpeaker
+   * @description Labels the open segment's speaker before it is finalised
+   */
+  _assignSpeaker() {
+    if (!this.diarization) return;
+    try {
+      this.segmentSpeaker = this.diarization.assignSpeaker({
+        utterances: this.segmentUtterances,
+        pcm: this.segmentPCM,
+        format: this.format,
+      });
+    } catch (error) {
+      console.warn(
+        `⚠️  [${this.clientId}] Diarization failed for segment ${this.segmentIndex}:`,
+        error.message
+      );
+    }
+  }
+
+  /**
+   * @private
+   * @method _closeSegment
+   * @description Finalises the open segment and starts a new one
+   */
+  _closeSegment() {
+    this.languages.push(this.segmentLanguage);
+    this.offset += this._segmentDuration();
+    this.segmentIndex++;
+    this._resetSegment();
+  }
+
+  /**
+   * @private
+   * @method _resetSegment
+   * @description Clears the open segment buffers
+   */
+  _resetSegment() {
+    this.segmentPCM = Buffer.alloc(0);
+    this.segmentText = "";
+    this.segmentConfidence = null;
+    this.segmentUtterances = [];
+    this.segmentSpeaker = null;
+    this.segmentLanguage = null;
+  }
+
+  /**
+   * @private
+   * @method _segmentDuration
+   * @description Duration of the open segment in seconds
+   * @returns {number} Duration in seconds
+   */
+  _segmentDuration() {
+    return this._pcmDuration(this.segmentPCM);
+  }
+
+  /**
+   * @private
+   * @method _pcmDuration
+   * @description Duration of PCM audio in the session format
+   * @param {Buffer} pcm - PCM audio
+   * @returns {number} Duration in seconds
+   */
+  _pcmDuration(pcm) {
+    if (!this.format) return 0;
+    const bytesPerSecond =
+      this.format.sampleRate *
+      this.format.numChannels *
+      (this.format.bitsPerSample / 8);
+    return pcm.length / bytesPerSecond;
+  }
+
+  /**
+   * @private
+   * @method _buildSegmentWAV
+   * @description Wraps the open segment PCM in a WAV header
+   * @returns {Buffer} WAV file buffer
+   */
+  _buildSegmentWAV() {
+    return WAVValidator.buildWAV(this.segmentPCM, this.format);
+  }
+
+  /**
+   * @static
+   * @method isChunkMessage
+   * @description Checks whether a parsed message is a streaming chunk
+   * @param {*} data - Parsed message
+   * @returns {boolean} True if the message carries chunk metadata
+   */
+  static isChunkMessage(data) {
+    return Boolean(
+      data &&
+        typeof data === "object" &&
+        data.chunk &&
+        typeof data.chunk === "object" &&
+        Number.isInteger(data.chunk.sequence)
+    );
+  }
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  StreamingSession,
+  STREAMING_CONFIG,
+};
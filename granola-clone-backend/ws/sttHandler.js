@@ -1,14 +1,25 @@
 /**
  * @fileoverview Speech-to-Text WebSocket Handler
  * @description Handles WebSocket connections for real-time Hindi speech-to-text
- * transcription using SarvamAI API. Optimized for WAV files from Web Audio API.
+ * transcription through a configurable STT provider (SarvamAI, generic HTTP or
+ * mock). Optimized for WAV files from Web Audio API.
+ *
+ * Clients that open with a hello message speak the versioned protocol
+ * (ws/protocol.js), with audio as JSON or binary frames. Connections that do
+ * not are handled by the original unversioned message format, kept for older
+ * clients: config messages, {audio, chunk} streaming chunks and single-shot
+ * recordings.
  *
  * Features:
- * - Direct WAV file processing (no conversion needed)
- * - SarvamAI API integration with comprehensive error handling
- * - Mock mode for development/testing
+ * - Versioned protocol with control messages and typed error codes
+ * - Sessions resumable after a reconnect, nothing received is lost
+ * - Per-session language (or auto-detection) and model via a config message
+ * - Direct WAV file processing; Opus (WebM/Ogg) and FLAC converted to WAV
+ * - Streaming chunks with interim and final segment transcripts
+ * - Pluggable STT providers selected through configuration
+ * - Mock provider for development/testing
  * - React StrictMode compatibility
- * - Rate limiting and queue management
+ * - All audio transcribed through the persistent job queue (nothing dropped)
  * - Automatic cleanup and resource management
  *
  * @author AI Assistant
@@ -21,41 +32,132 @@
 // =============================================================================
 
 const WebSocket = require("ws");
-const https = require("https");
-const FormData = require("form-data");
-const fs = require("fs");
-const path = require("path");
-const { WAVValidator } = require("../utils/wavValidator");
+const { AudioNormalizer } = require("../utils/audioNormalizer");
+const { StreamingSession } = require("./streamingSession");
+const { ProtocolSession, checkSessionConfig } = require("./protocolSession");
+const { isHelloMessage } = require("./protocol");
+const { SessionRegistry } = require("./sessionRegistry");
+const { createDiarizer } = require("../services/diarization");
 
 // =============================================================================
 // CONSTANTS
 // =============================================================================
 
 const CONFIG = {
-  SARVAM_API: {
-    HOSTNAME: "api.sarvam.ai",
-    PORT: 443,
-    PATH: "/speech-to-text",
-    MODEL: "saarika:v2.5",
-    LANGUAGE: "hi-IN",
-    TIMEOUT: 120000, // 2 minutes
-  },
   PROCESSING: {
     MIN_FILE_SIZE: 1000, // 1KB minimum
-    MAX_FILE_SIZE: 50 * 1024 * 1024, // 50MB maximum
-    MIN_INTERVAL: 1000, // 1 second between requests
-    QUEUE_SIZE: 1, // Keep only latest request
-    MAX_ERRORS: 5, // Max consecutive errors before cooldown
-    COOLDOWN_TIME: 30000, // 30 second cooldown
   },
-  MOCK_TRANSCRIPTS: [
-    "नमस्ते, आज का मीटिंग शुरू हो रहा है।",
-    "आज हमें प्रोजेक्ट के बारे में बात करनी है।",
-    "क्या सभी तैयार हैं?",
-    "धन्यवाद, मीटिंग समाप्त।",
-  ],
 };
 
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * @function describeTranscriptionError
+ * @description Maps internal transcription errors to user-friendly messages
+ * @param {Error} error - Error raised during transcription
+ * @returns {string} Message safe to show to the user
+ */
+function describeTranscriptionError(error) {
+  if (error.message.includes("timeout")) {
+    return "Processing took too long, please try again";
+  }
+  if (
+    error.message.includes("network") ||
+    error.message.includes("connection")
+  ) {
+    return "Network error, please check your connection";
+  }
+  if (error.message.includes("API key")) {
+    return "Service authentication error";
+  }
+  if (error.message.includes("rate limit")) {
+    return "Service busy, please try again in a moment";
+  }
+  if (
+    error.message.includes("audio format") ||
+    error.message.includes("corrupted")
+  ) {
+    return "Audio format not supported, please try again";
+  }
+  if (error.message.includes("too large")) {
+    return "Audio file too large";
+  }
+  return "Transcription failed";
+}
+
+/**
+ * @function parseChunkMessage
+ * @description Parses a raw WebSocket message as a streaming chunk
+ * @param {Buffer|string} message - Raw WebSocket message
+ * @returns {Object|null} Parsed chunk message, or null for other formats
+ */
+function parseChunkMessage(message) {
+  const messageStr = Buffer.isBuffer(message)
+    ? message.toString("utf8")
+    : message;
+
+  if (!messageStr.startsWith("{")) return null;
+
+  try {
+    const data = JSON.parse(messageStr);
+    return StreamingSession.isChunkMessage(data) ? data : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * @function parseConfigMessage
+ * @description Parses a raw WebSocket message as a session config message
+ * ({type: "config", language, model})
+ * @param {Buffer|string} message - Raw WebSocket message
+ * @returns {Object|null} Parsed config message, or null for other formats
+ */
+function parseConfigMessage(message) {
+  const messageStr = Buffer.isBuffer(message)
+    ? message.toString("utf8")
+    : message;
+
+  if (!messageStr.startsWith("{")) return null;
+
+  try {
+    const data = JSON.parse(messageStr);
+    return data && data.type === "config" ? data : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// =============================================================================
+// MAIN WEBSOCKET HANDLER
+// =============================================================================
+
+/**
+ * @function parseAudioMessage
+ * @description Extracts audio from a single-shot message, sent either as
+ * JSON ({audio, mimeType}) or as a bare base64 string
+ * @param {Buffer|string} message - Raw WebSocket message
+ * @returns {Buffer} Decoded audio
+ */
+function parseAudioMessage(message) {
+  // Node.js ws library wraps text frames in a Buffer
+  const messageStr = Buffer.isBuffer(message)
+    ? message.toString("utf8")
+    : message;
+
+  try {
+    const audioData = JSON.parse(messageStr);
+    if (audioData.audio && audioData.mimeType) {
+      return Buffer.from(audioData.audio, "base64");
+    }
+  } catch (jsonError) {
+    // Not JSON - fall through to bare base64
+  }
+  return Buffer.from(messageStr, "base64");
+}
+
 // =============================================================================
 // MAIN WEBSOCKET HANDLER
 // =============================================================================
@@ -64,18 +166,32 @@ const CONFIG = {
  * @function sttHandler
  * @description Initializes WebSocket server for speech-to-text processing
  * @param {http.Server} server - HTTP server instance
+ * @param {Object} config - Environment configuration instance
+ * @param {Object} services - Shared services
+ * @param {Object} services.transcription - Transcription service; all audio
+ *   is transcribed through its job queue
  */
-module.exports = (server) => {
-  const API_KEY = process.env.SARVAM_API_KEY;
+module.exports = (server, config, { transcription }) => {
+  const diarizer = createDiarizer(config);
+  const sessions = new SessionRegistry({
+    resumeTimeout: config.get("websocket.resumeTimeout"),
+  });
+
+  // Frames carry one streaming chunk at most; the socket is closed (1009)
+  // on anything larger
+  const maxMessageSize = config.get("websocket.maxMessageSize");
 
   // Initialize WebSocket server
   const wss = new WebSocket.Server({
     server,
-    path: "/ws/stt",
+    path: config.get("websocket.path"),
+    maxPayload: maxMessageSize,
     perMessageDeflate: false, // Disable compression for better performance
   });
 
-  console.log("🎤 Speech-to-Text WebSocket server initialized"); // ==========================================================================
+  console.log(
+    `🎤 Speech-to-Text WebSocket server initialized [Provider: ${transcription.providerName}]`
+  ); // ==========================================================================
   // CONNECTION HANDLER
   // ==========================================================================
 
@@ -83,58 +199,41 @@ module.exports = (server) => {
     const clientId = Math.random().toString(36).substring(2, 9);
     const clientIP = request.socket.remoteAddress;
 
-    console.log(`✅ STT client connected [ID: ${clientId}] [IP: ${clientIP}]`); // Client state management
-    let isProcessing = false;
-    let processingQueue = [];
-    let lastProcessTime = 0;
-    let consecutiveErrors = 0;
+    console.log(`✅ STT client connected [ID: ${clientId}] [IP: ${clientIP}]`);
 
-    // Initialize WAV validator for this client
-    const wavValidator = new WAVValidator({
+    // Single-shot replies are sent in arrival order, whichever job finishes first
+    let replyChain = Promise.resolve();
+
+    // Language ("auto" to detect) and model used for this connection's audio;
+    // an unset model means the provider default
+    let sessionConfig = {
+      language: config.get("stt.language"),
+      model: undefined,
+    };
+
+    // Initialize the audio normaliser (WAV validation and conversion of
+    // compressed audio) for this client
+    const audioNormalizer = new AudioNormalizer({
       validationLevel: "standard",
       autoFix: true,
       tempDir: `/tmp/wav-processing-${clientId}`,
     });
 
-    // ==========================================================================
-    // API KEY VALIDATION & MOCK MODE
-    // ==========================================================================
-
-    if (!API_KEY || API_KEY === "YOUR_API_KEY_HERE" || API_KEY.trim() === "") {
-      console.log(
-        `⚠️  [${clientId}] SARVAM_API_KEY not set - enabling MOCK mode`
-      );
-
-      let mockIndex = 0;
-
-      client.on("message", (message) => {
-        console.log(
-          `📨 [${clientId}] Received audio in mock mode (${message.length} bytes)`
-        );
-
-        // Simulate processing delay
-        setTimeout(() => {
-          if (client.readyState === WebSocket.OPEN) {
-            const transcript =
-              CONFIG.MOCK_TRANSCRIPTS[
-                mockIndex % CONFIG.MOCK_TRANSCRIPTS.length
-              ];
-            client.send(JSON.stringify({ transcript }));
-            mockIndex++;
-            console.log(`📝 [${clientId}] Sent mock transcript: ${transcript}`);
-          }
-        }, 1500);
-      });
-
-      // Simple close handler for mock mode
-      client.on("close", (code, reason) => {
-        console.log(
-          `🔌 [${clientId}] Mock client disconnected [Code: ${code}]`
-        );
-      });
+    /**
+     * @function sendJSON
+     * @param {Object} payload - Message to send if the socket is still open
+     */
+    const sendJSON = (payload) => {
+      if (client.readyState === WebSocket.OPEN) {
+        client.send(JSON.stringify(payload));
+      }
+    };
 
-      return;
-    }
+    // Where a protocol session sends; it moves here when a session resumes
+    const connection = {
+      send: sendJSON,
+      close: (code, reason) => client.close(code, reason),
+    };
 
     // ==========================================================================
     // TRANSCRIPTION FUNCTIONS
@@ -142,406 +241,215 @@ module.exports = (server) => {
 
     /**
      * @function transcribeWAVFile
-     * @description Transcribes WAV audio file using SarvamAI API
-     * @param {Buffer} audioBuffer - WAV file buffer
-     * @returns {Promise<string>} Transcribed text
+     * @description Validates a recording (WAV, or compressed audio which is
+     * converted to WAV) and transcribes it through the job queue
+     * @param {Buffer} audioBuffer - Audio file buffer
+     * @returns {Promise<Object>} Provider result ({transcript, language})
      */
     async function transcribeWAVFile(audioBuffer) {
-      return new Promise((resolve, reject) => {
-        const requestTimeout = setTimeout(() => {
-          reject(
-            new Error("API request timeout - server taking too long to respond")
-          );
-        }, CONFIG.SARVAM_API.TIMEOUT);
-
-        try {
-          // Validate input
-          if (
-            !audioBuffer ||
-            audioBuffer.length < CONFIG.PROCESSING.MIN_FILE_SIZE
-          ) {
-            clearTimeout(requestTimeout);
-            reject(new Error("Audio buffer too small or empty"));
-            return;
-          }
+      console.log(`🔍 [${clientId}] Validating audio format...`);
+      const { processedBuffer, metadata } =
+        await audioNormalizer.validateAndProcess(audioBuffer, clientId);
 
-          if (audioBuffer.length > CONFIG.PROCESSING.MAX_FILE_SIZE) {
-            clearTimeout(requestTimeout);
-            reject(new Error("Audio file too large (max 50MB)"));
-            return;
-          }
+      if (metadata.wasProcessed) {
+        console.log(
+          `🔧 [${clientId}] Audio converted for ${transcription.providerName} compatibility`
+        );
+      }
 
-          console.log(
-            `📤 [${clientId}] Uploading WAV file: ${(
-              audioBuffer.length / 1024
-            ).toFixed(1)}KB`
-          );
-
-          // Create form data
-          const form = new FormData();
-          form.append("file", audioBuffer, {
-            filename: "audio.wav",
-            contentType: "audio/wav",
-          });
-          form.append("model", CONFIG.SARVAM_API.MODEL);
-          form.append("language_code", CONFIG.SARVAM_API.LANGUAGE);
-
-          // API request options
-          const options = {
-            hostname: CONFIG.SARVAM_API.HOSTNAME,
-            port: CONFIG.SARVAM_API.PORT,
-            path: CONFIG.SARVAM_API.PATH,
-            method: "POST",
-            timeout: CONFIG.SARVAM_API.TIMEOUT,
-            headers: {
-              "api-subscription-key": API_KEY,
-              "User-Agent": "Granola-Clone-STT/2.0",
-              ...form.getHeaders(),
-            },
-          };
-
-          const request = https.request(options, (response) => {
-            let responseData = "";
-            let dataSize = 0;
-            const maxResponseSize = 10 * 1024 * 1024; // 10MB max response
-
-            response.on("data", (chunk) => {
-              dataSize += chunk.length;
-              if (dataSize > maxResponseSize) {
-                clearTimeout(requestTimeout);
-                request.destroy();
-                reject(new Error("Response too large - possible API error"));
-                return;
-              }
-              responseData += chunk;
-            });
+      return transcription.transcribe(processedBuffer, {
+        clientId,
+        ...sessionConfig,
+      });
+    }
 
-            response.on("end", () => {
-              clearTimeout(requestTimeout);
-
-              try {
-                if (response.statusCode === 200) {
-                  const result = JSON.parse(responseData);
-
-                  if (result && typeof result.transcript === "string") {
-                    const transcript = result.transcript.trim();
-                    console.log(
-                      `✅ [${clientId}] Transcription successful: ${transcript.length} chars, ` +
-                        `\"${transcript.substring(0, 50)}${
-                          transcript.length > 50 ? "..." : ""
-                        }\"`
-                    );
-                    resolve(transcript);
-                  } else {
-                    console.log(
-                      `⚠️  [${clientId}] Empty or invalid transcript response`
-                    );
-                    resolve(""); // Empty transcript is acceptable
-                  }
-                } else {
-                  // Handle specific HTTP error codes
-                  const errorMessages = {
-                    400: "Invalid audio format or corrupted file",
-                    401: "Invalid API key - check SARVAM_API_KEY",
-                    403: "API access forbidden - check subscription status",
-                    413: "Audio file too large for API",
-                    429: "Rate limit exceeded - please try again in a moment",
-                    500: "SarvamAI server error - please try again later",
-                    503: "SarvamAI service temporarily unavailable",
-                  };
-
-                  const errorMessage =
-                    errorMessages[response.statusCode] ||
-                    `API error ${response.statusCode}: ${responseData.substring(
-                      0,
-                      200
-                    )}`;
-
-                  console.error(
-                    `❌ [${clientId}] API Error ${response.statusCode}:`,
-                    responseData.substring(0, 200)
-                  );
-                  reject(new Error(errorMessage));
-                }
-              } catch (parseError) {
-                reject(
-                  new Error(`Response parsing failed: ${parseError.message}`)
-                );
-              }
-            });
+    /**
+     * @function applySessionConfig
+     * @description Validates a config message and applies it to the session
+     * @param {Object} message - Parsed config message
+     */
+    function applySessionConfig(message) {
+      const { isValid, data, details } = checkSessionConfig(
+        message,
+        transcription
+      );
 
-            response.on("timeout", () => {
-              clearTimeout(requestTimeout);
-              request.destroy();
-              reject(new Error("Response timeout"));
-            });
-          });
-
-          // Handle request errors
-          request.on("error", (error) => {
-            clearTimeout(requestTimeout);
-
-            const errorMessages = {
-              ECONNRESET: "Connection reset - API server issue",
-              ENOTFOUND:
-                "Cannot reach SarvamAI API - check internet connection",
-              ETIMEDOUT: "Connection timeout - check network connectivity",
-              ECONNREFUSED: "Connection refused - API server may be down",
-              CERT_HAS_EXPIRED: "SSL certificate error - API issue",
-            };
-
-            const errorMessage =
-              errorMessages[error.code] || `Network error: ${error.message}`;
-            reject(new Error(errorMessage));
-          });
-
-          request.on("timeout", () => {
-            clearTimeout(requestTimeout);
-            request.destroy();
-            reject(new Error("Socket timeout"));
-          });
-
-          request.setTimeout(CONFIG.SARVAM_API.TIMEOUT);
-
-          // Handle form streaming errors
-          form.on("error", (error) => {
-            clearTimeout(requestTimeout);
-            reject(new Error(`Form data error: ${error.message}`));
-          });
-
-          // Send the form data
-          form.pipe(request);
-        } catch (error) {
-          clearTimeout(requestTimeout);
-          reject(new Error(`Request preparation failed: ${error.message}`));
-        }
+      if (!isValid) {
+        console.log(`❌ [${clientId}] Invalid session config`);
+        sendJSON({
+          type: "error",
+          error: "Invalid session config",
+          details,
+        });
+        return;
+      }
+
+      sessionConfig = {
+        language: data.language || sessionConfig.language,
+        model: data.model || sessionConfig.model,
+      };
+      const { defaultModel, provider } = transcription.getSessionOptions();
+      console.log(
+        `⚙️  [${clientId}] Session config: ${sessionConfig.language}, ${
+          sessionConfig.model || defaultModel || "default model"
+        }`
+      );
+      sendJSON({
+        type: "config",
+        language: sessionConfig.language,
+        model: sessionConfig.model || defaultModel,
+        provider,
       });
     }
 
+    // ==========================================================================
+    // STREAMING SESSION
+    // ==========================================================================
+
+    // Rolling chunks are processed strictly in order and never dropped
+    const streamingSession = new StreamingSession({
+      clientId,
+      validator: audioNormalizer,
+      transcribe: (audioBuffer) =>
+        transcription.transcribe(audioBuffer, { clientId, ...sessionConfig }),
+      diarization: diarizer.createSession(),
+      onSegment: (segment, { final, sequence }) =>
+        sendJSON({
+          type: final ? "final" : "interim",
+          sequence,
+          segment,
+          timestamp: new Date().toISOString(),
+        }),
+      onError: (error, { sequence }) =>
+        sendJSON({
+          type: "error",
+          sequence,
+          error: describeTranscriptionError(error),
+          technical: error.message.substring(0, 200),
+        }),
+      onComplete: (summary) =>
+        sendJSON({
+          type: "complete",
+          ...summary,
+          timestamp: new Date().toISOString(),
+        }),
+    });
+
+    // Versioned session, created when the first message is a hello
+    let protocolSession = null;
+    let messageCount = 0;
+
     // ==========================================================================
     // MESSAGE HANDLER
     // ==========================================================================
 
-    client.on("message", async (message) => {
-      try {
-        const currentTime = Date.now();
+    client.on("message", (message, isBinary) => {
+      const receivedAt = Date.now();
 
-        // Basic validation
-        if (!message || message.length === 0) {
-          console.log(`⚠️  [${clientId}] Received empty message`);
-          return;
-        }
+      // Basic validation
+      if (!message || message.length === 0) {
+        console.log(`⚠️  [${clientId}] Received empty message`);
+        return;
+      }
 
-        console.log(
-          `📨 [${clientId}] Received message: ${message.length} bytes`
-        );
+      console.log(`📨 [${clientId}] Received message: ${message.length} bytes`);
+
+      messageCount++;
+      if (messageCount === 1 && !isBinary && isHelloMessage(message)) {
+        protocolSession = new ProtocolSession({
+          clientId,
+          transcription,
+          validator: audioNormalizer,
+          diarizer,
+          connection,
+          registry: sessions,
+          language: sessionConfig.language,
+          maxAudioSize: maxMessageSize,
+          describeError: describeTranscriptionError,
+        });
+      }
+      if (protocolSession) {
+        protocolSession.handle(message, isBinary);
+        return;
+      }
 
-        // Rate limiting
-        if (currentTime - lastProcessTime < CONFIG.PROCESSING.MIN_INTERVAL) {
-          console.log(`⏭️  [${clientId}] Rate limited - skipping request`);
-          return;
-        }
-
-        // Memory protection
-        if (message.length > CONFIG.PROCESSING.MAX_FILE_SIZE) {
-          console.log(
-            `❌ [${clientId}] File too large: ${message.length} bytes`
-          );
-          client.send(
-            JSON.stringify({
-              error: "Audio file too large (max 50MB)",
-            })
-          );
-          return;
-        }
-
-        // Skip if too small
-        if (message.length < CONFIG.PROCESSING.MIN_FILE_SIZE) {
-          console.log(
-            `⏭️  [${clientId}] File too small: ${message.length} bytes`
-          );
-          return;
-        }
-
-        // Queue management
-        if (isProcessing) {
-          console.log(`⏭️  [${clientId}] Already processing - queuing request`);
-          processingQueue = [message]; // Keep only latest
-          return;
-        }
-
-        // Consecutive error protection
-        if (consecutiveErrors >= CONFIG.PROCESSING.MAX_ERRORS) {
-          console.log(
-            `❌ [${clientId}] Too many consecutive errors - cooling down`
-          );
-          client.send(
-            JSON.stringify({
-              error: "Service temporarily unavailable due to errors",
-            })
-          );
-
-          // Reset after cooldown
-          setTimeout(() => {
-            consecutiveErrors = 0;
-            console.log(`🔄 [${clientId}] Error cooldown completed`);
-          }, CONFIG.PROCESSING.COOLDOWN_TIME);
-          return;
-        }
-
-        // Start processing
-        isProcessing = true;
-        lastProcessTime = currentTime;
-
-        try {
-          console.log(`🔄 [${clientId}] Starting transcription process`);
-
-          // Parse message - handle Node.js ws library Buffer behavior
-          let audioBuffer;
-          let mimeType = "audio/wav";
-
-          // Convert Buffer to string if needed (Node.js ws library wraps text in Buffer)
-          const messageStr = Buffer.isBuffer(message)
-            ? message.toString("utf8")
-            : message;
-
-          try {
-            // Try to parse as JSON (expected format from frontend)
-            const audioData = JSON.parse(messageStr);
-            if (audioData.audio && audioData.mimeType) {
-              audioBuffer = Buffer.from(audioData.audio, "base64");
-              mimeType = audioData.mimeType;
-              console.log(
-                `📦 [${clientId}] Parsed JSON audio data: ${mimeType}, ${audioBuffer.length} bytes`
-              );
-            } else {
-              throw new Error(
-                "Invalid JSON format - missing audio or mimeType"
-              );
-            }
-          } catch (jsonError) {
-            // Fallback: treat as direct base64 string
-            try {
-              audioBuffer = Buffer.from(messageStr, "base64");
-              console.log(
-                `📦 [${clientId}] Parsed as direct base64: ${audioBuffer.length} bytes`
-              );
-            } catch (base64Error) {
-              throw new Error(
-                `Message parsing failed: ${jsonError.message} (JSON), ${base64Error.message} (base64)`
-              );
-            }
-          }
+      if (isBinary) {
+        console.log(`❌ [${clientId}] Binary frame without a protocol session`);
+        sendJSON({
+          error:
+            "Binary audio frames need the versioned protocol (send hello first)",
+        });
+        return;
+      }
 
-          // Validate and process WAV format
-          console.log(`🔍 [${clientId}] Validating WAV format...`);
-          const validationResult = await wavValidator.validateAndProcess(
-            audioBuffer,
-            clientId
-          );
+      // Unversioned messages
 
-          if (validationResult.wasProcessed) {
-            console.log(
-              `🔧 [${clientId}] WAV format corrected for SarvamAI compatibility`
-            );
-          }
+      // Session config - used by every transcription started after it
+      const configMessage = parseConfigMessage(message);
+      if (configMessage) {
+        applySessionConfig(configMessage);
+        return;
+      }
+
+      // Streaming chunk - hand over to the segment assembler
+      const chunkMessage = parseChunkMessage(message);
+      if (chunkMessage) {
+        console.log(
+          `🧩 [${clientId}] Streaming chunk #${chunkMessage.chunk.sequence}${
+            chunkMessage.chunk.isFinal ? " (final)" : ""
+          }`
+        );
+        streamingSession.enqueue(chunkMessage);
+        return;
+      }
 
-          // Process the audio
-          const processingTimeout = setTimeout(() => {
-            console.log(`⏰ [${clientId}] Processing timeout reached`);
-            isProcessing = false;
-          }, 180000); // 3 minute timeout
+      // Skip if too small
+      if (message.length < CONFIG.PROCESSING.MIN_FILE_SIZE) {
+        console.log(
+          `⏭️  [${clientId}] File too small: ${message.length} bytes`
+        );
+        return;
+      }
 
-          const transcript = await transcribeWAVFile(
-            validationResult.processedBuffer
-          );
-          clearTimeout(processingTimeout);
+      // Every recording becomes a job right away; replies wait their turn
+      console.log(`🔄 [${clientId}] Queuing transcription`);
+      const pending = Promise.resolve()
+        .then(() => transcribeWAVFile(parseAudioMessage(message)))
+        .then(
+          ({ transcript, language }) => ({ transcript, language }),
+          (error) => ({ error })
+        );
 
-          if (transcript && transcript.trim()) {
+      replyChain = replyChain
+        .then(() => pending)
+        .then(({ transcript, language, error }) => {
+          if (error) {
+            console.error(
+              `❌ [${clientId}] Transcription error:`,
+              error.message
+            );
+            sendJSON({
+              error: describeTranscriptionError(error),
+              technical: error.message.substring(0, 200),
+            });
+          } else if (transcript && transcript.trim()) {
             console.log(
               `📝 [${clientId}] Sending transcript: ${transcript.length} chars`
             );
-
-            client.send(
-              JSON.stringify({
-                transcript: transcript.trim(),
-                timestamp: new Date().toISOString(),
-                processingTime: Date.now() - currentTime,
-              })
-            );
-
-            consecutiveErrors = 0; // Reset error count on success
+            sendJSON({
+              transcript: transcript.trim(),
+              language,
+              timestamp: new Date().toISOString(),
+              processingTime: Date.now() - receivedAt,
+            });
           } else {
             console.log(`⚠️  [${clientId}] Empty transcript received`);
-            client.send(
-              JSON.stringify({
-                transcript: "",
-                message: "No speech detected in audio",
-              })
-            );
-          }
-        } catch (error) {
-          console.error(`❌ [${clientId}] Transcription error:`, error.message);
-          consecutiveErrors++;
-
-          // Send user-friendly error message
-          let userMessage = "Transcription failed";
-
-          if (error.message.includes("timeout")) {
-            userMessage = "Processing took too long, please try again";
-          } else if (
-            error.message.includes("network") ||
-            error.message.includes("connection")
-          ) {
-            userMessage = "Network error, please check your connection";
-          } else if (error.message.includes("API key")) {
-            userMessage = "Service authentication error";
-          } else if (error.message.includes("rate limit")) {
-            userMessage = "Service busy, please try again in a moment";
-          } else if (
-            error.message.includes("audio format") ||
-            error.message.includes("corrupted")
-          ) {
-            userMessage = "Audio format not supported, please try again";
-          } else if (error.message.includes("too large")) {
-            userMessage = "Audio file too large";
+            sendJSON({
+              transcript: "",
+              message: "No speech detected in audio",
+            });
           }
-
-          client.send(
-            JSON.stringify({
-              error: userMessage,
-              technical: error.message.substring(0, 200),
-            })
-          );
-        }
-
-        isProcessing = false;
-
-        // Process queued messages
-        if (processingQueue.length > 0) {
-          const queuedMessage = processingQueue.pop();
-          processingQueue = [];
-
-          setTimeout(() => {
-            if (client.readyState === WebSocket.OPEN) {
-              client.emit("message", queuedMessage);
-            }
-          }, 500);
-        }
-      } catch (error) {
-        console.error(
-          `❌ [${clientId}] Critical error in message handler:`,
-          error
-        );
-        isProcessing = false;
-        consecutiveErrors++;
-
-        client.send(
-          JSON.stringify({
-            error: "Internal server error",
-          })
-        );
-      }
+        });
     });
 
     // ==========================================================================
@@ -566,14 +474,13 @@ module.exports = (server) => {
       }
 
       // Cleanup
-      isProcessing = false;
-      processingQueue = [];
+      streamingSession.close();
+      // A protocol session waits to be resumed by another connection
+      if (protocolSession) protocolSession.detach(connection);
     });
 
     client.on("error", (error) => {
       console.error(`❌ [${clientId}] WebSocket error:`, error.message);
-      isProcessing = false;
-      processingQueue = [];
     });
 
     // Send periodic ping to keep connection alive
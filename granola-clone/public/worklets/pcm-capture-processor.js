@@ -0,0 +1,84 @@
+/**
+ * @fileoverview PCM capture AudioWorklet processor
+ * @description Runs on the audio rendering thread for WebAudioRecorder
+ * (src/utils/wavEncoder.js). While recording, it converts the first input
+ * channel to 16-bit PCM and posts it to the recorder in batches, handing the
+ * buffer over instead of copying it. When recording stops, the unfinished
+ * batch is posted with the `flush` id the recorder sent, so the recorder
+ * knows it has every sample captured before the pause or stop. Served from
+ * public/ because worklet modules are loaded by URL, outside the app bundle.
+ *
+ * Messages to the processor: {recording: boolean, flush?: number}
+ * Messages from the processor: {samples: Int16Array, flushed?: number}
+ *
+ * @author AI Assistant
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+const DEFAULT_BATCH_SIZE = 1024; // Samples per message (64 ms at 16 kHz)
+
+/**
+ * @class PcmCaptureProcessor
+ * @description Streams the input as Int16 PCM batches over the node's port
+ */
+class PcmCaptureProcessor extends AudioWorkletProcessor {
+  /**
+   * @constructor
+   * @param {Object} options - Node options; processorOptions.batchSize sets
+   *   the samples per message
+   */
+  constructor(options) {
+    super();
+    this.batchSize =
+      (options.processorOptions && options.processorOptions.batchSize) ||
+      DEFAULT_BATCH_SIZE;
+    this.batch = new Int16Array(this.batchSize);
+    this.fill = 0;
+    this.recording = false;
+
+    this.port.onmessage = ({ data }) => {
+      if (typeof data.recording === "boolean") {
+        this.recording = data.recording;
+        if (!this.recording) this.flush(data.flush);
+      }
+    };
+  }
+
+  /**
+   * @method flush
+   * @description Posts the samples of the unfinished batch, possibly none
+   * @param {number} [id] - Flush id to echo back to the recorder
+   */
+  flush(id) {
+    const samples = this.batch.slice(0, this.fill);
+    this.port.postMessage({ samples, flushed: id }, [samples.buffer]);
+    this.fill = 0;
+  }
+
+  /**
+   * @method process
+   * @param {Float32Array[][]} inputs - Input channels per input
+   * @returns {boolean} True to keep the processor alive
+   */
+  process(inputs) {
+    const channel = inputs[0] && inputs[0][0];
+    if (!this.recording || !channel) return true;
+
+    for (let i = 0; i < channel.length; i++) {
+      // Same conversion as WAVEncoder on the main thread
+      const sample = Math.max(-1, Math.min(1, channel[i]));
+      this.batch[this.fill++] = sample < 0 ? sample * 0x8000 : sample * 0x7fff;
+
+      if (this.fill === this.batchSize) {
+        const samples = this.batch;
+        this.port.postMessage({ samples }, [samples.buffer]);
+        this.batch = new Int16Array(this.batchSize);
+        this.fill = 0;
+      }
+    }
+    return true;
+  }
+}
+
+registerProcessor("pcm-capture-processor", PcmCaptureProcessor);
@@ -6,6 +6,8 @@
  * Features:
  * - React Router for navigation
  * - Global transcript state management
+ * - Background upload of recordings made offline
+ * - Meeting templates shared by the live meeting and transcript pages
  * - Clean component hierarchy
  * - Error boundary ready structure
  *
@@ -23,6 +25,8 @@ import { BrowserRouter as Router, Routes, Route } from "react-router-dom";
 
 // Global Context Providers
 import { TranscriptProvider } from "./context/TranscriptContext";
+import { PendingUploadsProvider } from "./context/PendingUploadsContext";
+import { TemplateProvider } from "./context/TemplateContext";
 
 // Layout Components
 import Navbar from "./components/Navbar";
@@ -31,6 +35,9 @@ import Navbar from "./components/Navbar";
 import Home from "./pages/Home";
 import LiveMeeting from "./pages/LiveMeeting";
 import Transcript from "./pages/Transcript";
+import Upload from "./pages/Upload";
+import ActionItems from "./pages/ActionItems";
+import Templates from "./pages/Templates";
 
 // =============================================================================
 // MAIN APPLICATION COMPONENT
@@ -44,18 +51,25 @@ import Transcript from "./pages/Transcript";
 function App() {
   return (
     <TranscriptProvider>
-      <Router>
-        <div className="app">
-          <Navbar />
-          <main className="main-content">
-            <Routes>
-              <Route path="/" element={<Home />} />
-              <Route path="/live" element={<LiveMeeting />} />
-              <Route path="/transcript/:id" element={<Transcript />} />
-            </Routes>
-          </main>
-        </div>
-      </Router>
+      <PendingUploadsProvider>
+        <TemplateProvider>
+          <Router>
+            <div className="app">
+              <Navbar />
+              <main className="main-content">
+                <Routes>
+                  <Route path="/" element={<Home />} />
+                  <Route path="/live" element={<LiveMeeting />} />
+                  <Route path="/upload" element={<Upload />} />
+                  <Route path="/transcript/:id" element={<Transcript />} />
+                  <Route path="/action-items" element={<ActionItems />} />
+                  <Route path="/templates" element={<Templates />} />
+                </Routes>
+              </main>
+            </div>
+          </Router>
+        </TemplateProvider>
+      </PendingUploadsProvider>
     </TranscriptProvider>
   );
 }
@@ -0,0 +1,45 @@
+/**
+ * @fileoverview Download menu component for transcript exports
+ * @description Dropdown listing the file formats a transcript can be saved as
+ */
+
+import React from "react";
+
+/**
+ * @constant EXPORT_FORMATS
+ * @description Formats offered by the export endpoint, in menu order
+ */
+const EXPORT_FORMATS = [
+  { format: "pdf", label: "PDF document (.pdf)" },
+  { format: "docx", label: "Word document (.docx)" },
+  { format: "md", label: "Markdown (.md)" },
+  { format: "txt", label: "Plain text (.txt)" },
+  { format: "srt", label: "Subtitles (.srt)" },
+  { format: "vtt", label: "Web subtitles (.vtt)" },
+];
+
+/**
+ * @component DownloadMenu
+ * @description Disclosure menu with one download link per export format
+ * @param {Object} props - Component props
+ * @param {Function} props.getUrl - (format) => export URL for the transcript
+ * @returns {JSX.Element} Rendered download menu
+ */
+const DownloadMenu = ({ getUrl }) => {
+  return (
+    <details className="download-menu">
+      <summary className="start-btn">Download</summary>
+      <ul>
+        {EXPORT_FORMATS.map(({ format, label }) => (
+          <li key={format}>
+            <a href={getUrl(format)} download>
+              {label}
+            </a>
+          </li>
+        ))}
+      </ul>
+    </details>
+  );
+};
+
+export default DownloadMenu;
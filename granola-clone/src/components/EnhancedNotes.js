@@ -0,0 +1,52 @@
+/**
+ * @fileoverview Enhanced notes component
+ * @description Shows each meeting note together with the transcript passages
+ * that were spoken around the time it was written
+ */
+
+import React from "react";
+import { formatTimestamp } from "./TranscriptViewer";
+
+/**
+ * @component EnhancedNotes
+ * @description Notes filled out with what was said around them
+ * @param {Object} props - Component props
+ * @param {Object[]} props.notes - Enhanced notes ({index, time, text,
+ *   passages: [{startTime, speaker, text}]})
+ * @returns {JSX.Element} Rendered enhanced notes
+ */
+const EnhancedNotes = ({ notes }) => (
+  <ol className="enhanced-notes">
+    {notes.map((note) => (
+      <li key={note.index}>
+        <p>
+          <span className="transcript-timestamp">
+            {note.time === null ? "–" : formatTimestamp(note.time)}
+          </span>
+          <strong>{note.text}</strong>
+        </p>
+        {note.passages.length > 0 ? (
+          note.passages.map((passage) => (
+            <blockquote key={passage.startTime}>
+              <span className="transcript-timestamp">
+                {formatTimestamp(passage.startTime)}
+              </span>
+              {passage.speaker && (
+                <span className="transcript-speaker">{passage.speaker}:</span>
+              )}
+              {passage.text}
+            </blockquote>
+          ))
+        ) : (
+          <p className="transcript-placeholder">
+            {note.time === null
+              ? "Written before recording started"
+              : "Nothing was said around this note"}
+          </p>
+        )}
+      </li>
+    ))}
+  </ol>
+);
+
+export default EnhancedNotes;
@@ -0,0 +1,99 @@
+/**
+ * @fileoverview Language and model picker for transcription sessions
+ * @description Selects the spoken language (or auto-detection) and, when the
+ * STT provider offers several, the model. Choices come from the server and
+ * fall back to the built-in language list when it cannot be reached.
+ */
+
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import { AUTO_LANGUAGE, LANGUAGES } from "../utils/languages";
+
+/**
+ * @constant OPTIONS_CONFIG
+ * @description Endpoint listing the languages and models of the provider
+ */
+const OPTIONS_CONFIG = {
+  URL: "http://localhost:5000/api/transcriptions/options",
+  TIMEOUT: 10000,
+};
+
+const FALLBACK_OPTIONS = {
+  languages: LANGUAGES,
+  defaultLanguage: "hi-IN",
+  models: [],
+  defaultModel: null,
+};
+
+/**
+ * @component LanguagePicker
+ * @description Language and model selects; unset values show the server
+ * defaults, which the server also applies when nothing is sent
+ * @param {Object} props - Component props
+ * @param {{language: ?string, model: ?string}} props.value - Current choice
+ * @param {Function} props.onChange - Called with the updated choice
+ * @param {boolean} [props.disabled] - Locks the selects (e.g. while recording)
+ * @returns {JSX.Element} Rendered picker
+ */
+const LanguagePicker = ({ value, onChange, disabled = false }) => {
+  const [options, setOptions] = useState(FALLBACK_OPTIONS);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    axios
+      .get(OPTIONS_CONFIG.URL, { timeout: OPTIONS_CONFIG.TIMEOUT })
+      .then((response) => {
+        if (!cancelled) setOptions(response.data);
+      })
+      .catch((optionsError) => {
+        console.warn("⚠️ Using built-in language list:", optionsError.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return (
+    <div className="session-options">
+      <label>
+        <span>Language</span>
+        <select
+          value={value.language || options.defaultLanguage}
+          onChange={(event) =>
+            onChange({ ...value, language: event.target.value })
+          }
+          disabled={disabled}
+        >
+          <option value={AUTO_LANGUAGE}>Auto-detect</option>
+          {options.languages.map(({ code, name }) => (
+            <option key={code} value={code}>
+              {name}
+            </option>
+          ))}
+        </select>
+      </label>
+      {options.models.length > 1 && (
+        <label>
+          <span>Model</span>
+          <select
+            value={value.model || options.defaultModel}
+            onChange={(event) =>
+              onChange({ ...value, model: event.target.value })
+            }
+            disabled={disabled}
+          >
+            {options.models.map((model) => (
+              <option key={model} value={model}>
+                {model}
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+    </div>
+  );
+};
+
+export default LanguagePicker;
@@ -0,0 +1,72 @@
+/**
+ * @fileoverview Meeting summary component
+ * @description Shows the overview, key decisions and action items generated
+ * for a transcript
+ */
+
+import React from "react";
+import { formatTimestamp } from "./TranscriptViewer";
+
+/**
+ * @component MeetingSummary
+ * @description Summary of a meeting with its decisions and action items
+ * @param {Object} props - Component props
+ * @param {Object} props.summary - Summary ({overview, decisions, actionItems:
+ *   [{index, text, owner, due, time}], sections: [{title, content}],
+ *   template, provider, generatedAt})
+ * @returns {JSX.Element} Rendered summary
+ */
+const MeetingSummary = ({ summary }) => (
+  <div className="meeting-summary">
+    {summary.overview && <p>{summary.overview}</p>}
+    {/* Sections of the meeting template, in template order */}
+    {(summary.sections || []).map((section) => (
+      <React.Fragment key={section.title}>
+        <h4>{section.title}</h4>
+        {section.content ? (
+          <p className="summary-section">{section.content}</p>
+        ) : (
+          <p className="transcript-placeholder">Not covered</p>
+        )}
+      </React.Fragment>
+    ))}
+    <h4>Key decisions</h4>
+    {summary.decisions.length > 0 ? (
+      <ul>
+        {summary.decisions.map((decision) => (
+          <li key={decision}>{decision}</li>
+        ))}
+      </ul>
+    ) : (
+      <p className="transcript-placeholder">No decisions recorded</p>
+    )}
+    <h4>Action items</h4>
+    {summary.actionItems.length > 0 ? (
+      <ul>
+        {summary.actionItems.map((item) => (
+          <li key={item.index}>
+            {item.time !== null && (
+              <span className="transcript-timestamp">
+                {formatTimestamp(item.time)}
+              </span>
+            )}
+            {item.owner && (
+              <span className="transcript-speaker">{item.owner}:</span>
+            )}
+            {item.text}
+            {item.due && <em> (due {item.due})</em>}
+          </li>
+        ))}
+      </ul>
+    ) : (
+      <p className="transcript-placeholder">No action items</p>
+    )}
+    <p className="summary-meta">
+      Generated {new Date(summary.generatedAt).toLocaleString()} by the{" "}
+      {summary.provider} provider
+      {summary.template && ` with the ${summary.template.name} template`}
+    </p>
+  </div>
+);
+
+export default MeetingSummary;
@@ -17,6 +17,9 @@ const Navbar = () => {
       <h1>Granola Clone</h1>
       <div>
         <Link to="/">Home</Link>
+        <Link to="/upload">Upload</Link>
+        <Link to="/action-items">Action items</Link>
+        <Link to="/templates">Templates</Link>
       </div>
     </nav>
   );
@@ -0,0 +1,94 @@
+/**
+ * @fileoverview Notes editor component for jotting down meeting notes
+ * @description Rough notes taken during a meeting, each stamped with the
+ * moment in the recording it was written at
+ */
+
+import React, { useRef, useState } from "react";
+import { formatTimestamp } from "./TranscriptViewer";
+
+/**
+ * @component NotesEditor
+ * @description Editable list of notes with a field for adding the next one
+ * @param {Object} props - Component props
+ * @param {Object[]} props.notes - Notes as {time, text}; time is seconds into
+ *   the recording or null
+ * @param {Function} props.onChange - (notes) => void with the edited list
+ * @param {Function} [props.getTime] - () => seconds into the recording, or
+ *   null; new notes are untimed without it
+ * @param {string} [props.placeholder] - Hint shown in the new note field
+ * @returns {JSX.Element} Rendered notes editor
+ */
+const NotesEditor = ({ notes, onChange, getTime, placeholder = "" }) => {
+  const [draft, setDraft] = useState("");
+  // A note belongs to the moment typing started, not when it was finished
+  const draftTimeRef = useRef(null);
+
+  const handleDraftChange = (event) => {
+    if (!draft && event.target.value) {
+      draftTimeRef.current = getTime ? getTime() : null;
+    }
+    setDraft(event.target.value);
+  };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    const text = draft.trim();
+    if (!text) return;
+
+    onChange([...notes, { time: draftTimeRef.current, text }]);
+    setDraft("");
+    draftTimeRef.current = null;
+  };
+
+  const editNote = (position, text) =>
+    onChange(
+      notes.map((note, index) =>
+        index === position ? { ...note, text } : note
+      )
+    );
+
+  const removeNote = (position) =>
+    onChange(notes.filter((note, index) => index !== position));
+
+  return (
+    <form className="notes-editor" onSubmit={handleSubmit}>
+      {notes.length > 0 && (
+        <ul>
+          {notes.map((note, index) => (
+            <li key={index}>
+              <span className="transcript-timestamp">
+                {note.time === null ? "–" : formatTimestamp(note.time)}
+              </span>
+              <input
+                type="text"
+                value={note.text}
+                maxLength={2000}
+                aria-label="Note"
+                onChange={(event) => editNote(index, event.target.value)}
+                onBlur={() => !note.text.trim() && removeNote(index)}
+              />
+              <button
+                type="button"
+                className="link-btn"
+                onClick={() => removeNote(index)}
+              >
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <input
+        type="text"
+        value={draft}
+        maxLength={2000}
+        placeholder={placeholder}
+        aria-label="New note"
+        onChange={handleDraftChange}
+      />
+    </form>
+  );
+};
+
+export default NotesEditor;
@@ -0,0 +1,82 @@
+/**
+ * @fileoverview Pending uploads list
+ * @description Shows recordings kept on this device until the server can
+ * transcribe them, with upload progress and job status
+ */
+
+import React, { useContext } from "react";
+import { PendingUploadsContext } from "../context/PendingUploadsContext";
+import { RECORDING_STATUS } from "../utils/recordingStore";
+
+const STATUS_LABELS = {
+  [RECORDING_STATUS.PENDING]: "Waiting for the server...",
+  [RECORDING_STATUS.UPLOADING]: "Uploading...",
+  [RECORDING_STATUS.TRANSCRIBING]: "Transcribing...",
+  [RECORDING_STATUS.FAILED]: "Failed",
+};
+
+/**
+ * @function formatDuration
+ * @param {number} seconds - Recording length
+ * @returns {string} Duration as m:ss
+ */
+const formatDuration = (seconds) => {
+  const whole = Math.round(seconds);
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, "0")}`;
+};
+
+/**
+ * @component PendingUploads
+ * @description Card listing the recordings that still need to be uploaded;
+ * renders nothing when there are none
+ * @returns {JSX.Element|null} Rendered list
+ */
+const PendingUploads = () => {
+  const { uploads, retryUpload, discardUpload } = useContext(
+    PendingUploadsContext
+  );
+
+  if (uploads.length === 0) return null;
+
+  return (
+    <div className="card pending-uploads">
+      <h3>Pending uploads</h3>
+      <ul>
+        {uploads.map((upload) => (
+          <li key={upload.id}>
+            <span>
+              <b>{upload.title}</b> ({formatDuration(upload.duration)}) -{" "}
+              {STATUS_LABELS[upload.status]}
+            </span>
+            {upload.status === RECORDING_STATUS.UPLOADING && (
+              <progress value={upload.progress ?? 0} max={1} />
+            )}
+            {upload.status === RECORDING_STATUS.FAILED && (
+              <>
+                <span className="error-text">{upload.error}</span>
+                <button
+                  className="link-btn"
+                  onClick={() => retryUpload(upload.id)}
+                >
+                  Retry
+                </button>
+              </>
+            )}
+            {[RECORDING_STATUS.PENDING, RECORDING_STATUS.FAILED].includes(
+              upload.status
+            ) && (
+              <button
+                className="link-btn"
+                onClick={() => discardUpload(upload.id)}
+              >
+                Discard
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default PendingUploads;
@@ -0,0 +1,128 @@
+/**
+ * @fileoverview Search results component
+ * @description Ranked meetings matching a full-text search, each with the
+ * highlighted passages it matched in and links to where they were said
+ */
+
+import React from "react";
+import { Link } from "react-router-dom";
+import { formatTimestamp } from "./TranscriptViewer";
+
+/**
+ * @component Highlighted
+ * @description Text with its matched words marked
+ * @param {Object} props - Component props
+ * @param {string} props.text - Snippet text
+ * @param {Array<number[]>} props.highlights - Sorted [start, end] offsets
+ * @returns {JSX.Element} Rendered snippet
+ */
+const Highlighted = ({ text, highlights }) => {
+  const parts = [];
+  let cursor = 0;
+  highlights.forEach(([start, end]) => {
+    if (start < cursor) return;
+    parts.push(text.slice(cursor, start));
+    parts.push(<mark key={start}>{text.slice(start, end)}</mark>);
+    cursor = end;
+  });
+  parts.push(text.slice(cursor));
+  return <>{parts}</>;
+};
+
+/**
+ * @component SearchMatch
+ * @description One matched passage: a segment links to the moment it was
+ * said, a note shows when it was written
+ * @param {Object} props - Component props
+ * @param {number|string} props.transcriptId - Transcript the match is in
+ * @param {Object} props.match - {field, text, highlights, index, startTime,
+ *   speaker, time}
+ * @returns {JSX.Element} Rendered match
+ */
+const SearchMatch = ({ transcriptId, match }) => {
+  const snippet = (
+    <Highlighted text={match.text} highlights={match.highlights} />
+  );
+
+  if (match.field === "segment") {
+    return (
+      <li>
+        <Link
+          to={`/transcript/${transcriptId}#segment-${match.index}`}
+          className="transcript-timestamp"
+        >
+          {formatTimestamp(match.startTime)}
+        </Link>
+        {match.speaker && (
+          <span className="transcript-speaker">{match.speaker}:</span>
+        )}
+        {snippet}
+      </li>
+    );
+  }
+
+  if (match.field === "note") {
+    return (
+      <li>
+        <span className="transcript-timestamp">
+          Note{match.time !== null && ` · ${formatTimestamp(match.time)}`}
+        </span>
+        {snippet}
+      </li>
+    );
+  }
+
+  return <li>{snippet}</li>;
+};
+
+/**
+ * @component SearchResults
+ * @description Search hits in rank order
+ * @param {Object} props - Component props
+ * @param {Object[]} props.hits - Hits from searchTranscripts
+ * @returns {JSX.Element} Rendered results
+ */
+const SearchResults = ({ hits }) => (
+  <div className="search-results">
+    {hits.map(({ transcript, matches, matchCount }) => {
+      const titleMatch = matches.find((match) => match.field === "title");
+      const passages = matches.filter((match) => match.field !== "title");
+
+      return (
+        <div key={transcript.id} className="card">
+          <h3>
+            <Link to={`/transcript/${transcript.id}`}>
+              {titleMatch ? (
+                <Highlighted
+                  text={titleMatch.text}
+                  highlights={titleMatch.highlights}
+                />
+              ) : (
+                transcript.title
+              )}
+            </Link>
+          </h3>
+          <p>{transcript.date}</p>
+          {passages.length > 0 && (
+            <ul>
+              {passages.map((match) => (
+                <SearchMatch
+                  key={`${match.field}-${match.index ?? 0}`}
+                  transcriptId={transcript.id}
+                  match={match}
+                />
+              ))}
+            </ul>
+          )}
+          {matchCount > matches.length && (
+            <p className="summary-meta">
+              {matchCount - matches.length} more matching passages
+            </p>
+          )}
+        </div>
+      );
+    })}
+  </div>
+);
+
+export default SearchResults;
@@ -0,0 +1,73 @@
+/**
+ * @fileoverview Speaker editor component for naming diarized speakers
+ * @description Lets users replace labels like "Speaker 1" with real names
+ */
+
+import React, { useEffect, useState } from "react";
+
+/**
+ * @component SpeakerEditor
+ * @description Form with one name field per speaker in a transcript
+ * @param {Object} props - Component props
+ * @param {string[]} props.speakers - Current speaker labels in order of appearance
+ * @param {Function} props.onRename - async (renames) => void, renames maps old to new label
+ * @returns {JSX.Element|null} Rendered editor, or nothing without speakers
+ */
+const SpeakerEditor = ({ speakers, onRename }) => {
+  const [names, setNames] = useState({});
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Start each field from the current label whenever the labels change
+  useEffect(() => {
+    setNames(Object.fromEntries(speakers.map((speaker) => [speaker, speaker])));
+  }, [speakers]);
+
+  if (speakers.length === 0) return null;
+
+  const renames = Object.fromEntries(
+    Object.entries(names)
+      .map(([speaker, name]) => [speaker, name.trim()])
+      .filter(([speaker, name]) => name && name !== speaker)
+  );
+  const hasChanges = Object.keys(renames).length > 0;
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (!hasChanges) return;
+
+    setIsSaving(true);
+    try {
+      await onRename(renames);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form className="speaker-editor card" onSubmit={handleSubmit}>
+      <h3>Speakers</h3>
+      {speakers.map((speaker) => (
+        <label key={speaker}>
+          <span>{speaker}</span>
+          <input
+            type="text"
+            value={names[speaker] ?? speaker}
+            maxLength={100}
+            onChange={(event) =>
+              setNames((prev) => ({ ...prev, [speaker]: event.target.value }))
+            }
+          />
+        </label>
+      ))}
+      <button
+        type="submit"
+        className="start-btn"
+        disabled={!hasChanges || isSaving}
+      >
+        {isSaving ? "Saving..." : "Save names"}
+      </button>
+    </form>
+  );
+};
+
+export default SpeakerEditor;
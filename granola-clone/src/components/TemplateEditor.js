@@ -0,0 +1,134 @@
+/**
+ * @fileoverview Meeting template editor
+ * @description Form for a template's name, description and the sections a
+ * summary is written in, each with a prompt saying what belongs there
+ */
+
+import React, { useState } from "react";
+
+const EMPTY_SECTION = { title: "", prompt: "" };
+
+/**
+ * @component TemplateEditor
+ * @description Editable template form
+ * @param {Object} props - Component props
+ * @param {Object} [props.template] - Template to edit; a new one when unset
+ * @param {Function} props.onSave - async (template) => saved template or
+ *   null; the form stays open when saving fails
+ * @param {Function} props.onCancel - Closes the form without saving
+ * @returns {JSX.Element} Rendered editor
+ */
+const TemplateEditor = ({ template, onSave, onCancel }) => {
+  const [name, setName] = useState(template?.name || "");
+  const [description, setDescription] = useState(template?.description || "");
+  const [sections, setSections] = useState(
+    template?.sections?.length ? template.sections : [EMPTY_SECTION]
+  );
+  const [isSaving, setIsSaving] = useState(false);
+
+  const editSection = (position, changes) =>
+    setSections((prev) =>
+      prev.map((section, index) =>
+        index === position ? { ...section, ...changes } : section
+      )
+    );
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setIsSaving(true);
+    await onSave({
+      id: template?.id,
+      name: name.trim(),
+      description: description.trim(),
+      // Rows left blank are dropped rather than rejected
+      sections: sections
+        .map(({ title, prompt }) => ({
+          title: title.trim(),
+          prompt: prompt.trim(),
+        }))
+        .filter(({ title }) => title),
+    });
+    setIsSaving(false);
+  };
+
+  return (
+    <form className="card template-editor" onSubmit={handleSubmit}>
+      <label>
+        <span>Name</span>
+        <input
+          type="text"
+          value={name}
+          maxLength={100}
+          required
+          onChange={(event) => setName(event.target.value)}
+        />
+      </label>
+      <label>
+        <span>Description</span>
+        <input
+          type="text"
+          value={description}
+          maxLength={500}
+          onChange={(event) => setDescription(event.target.value)}
+        />
+      </label>
+      <h4>Sections</h4>
+      <ol>
+        {sections.map((section, index) => (
+          <li key={index}>
+            <input
+              type="text"
+              value={section.title}
+              maxLength={100}
+              placeholder="Section title"
+              aria-label="Section title"
+              onChange={(event) =>
+                editSection(index, { title: event.target.value })
+              }
+            />
+            <input
+              type="text"
+              value={section.prompt}
+              maxLength={1000}
+              placeholder="What belongs in this section"
+              aria-label="Section prompt"
+              onChange={(event) =>
+                editSection(index, { prompt: event.target.value })
+              }
+            />
+            {sections.length > 1 && (
+              <button
+                type="button"
+                className="link-btn"
+                onClick={() =>
+                  setSections((prev) => prev.filter((s, i) => i !== index))
+                }
+              >
+                Remove
+              </button>
+            )}
+          </li>
+        ))}
+      </ol>
+      {sections.length < 20 && (
+        <button
+          type="button"
+          className="link-btn"
+          onClick={() => setSections((prev) => [...prev, EMPTY_SECTION])}
+        >
+          + Add section
+        </button>
+      )}
+      <div>
+        <button type="submit" className="start-btn" disabled={isSaving}>
+          {isSaving ? "Saving..." : "Save template"}
+        </button>{" "}
+        <button type="button" className="link-btn" onClick={onCancel}>
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default TemplateEditor;
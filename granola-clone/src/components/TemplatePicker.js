@@ -0,0 +1,45 @@
+/**
+ * @fileoverview Meeting template picker
+ * @description Selects the template ("recipe") a meeting's summary is
+ * written in
+ */
+
+import React, { useContext } from "react";
+import { Link } from "react-router-dom";
+import { TemplateContext } from "../context/TemplateContext";
+
+/**
+ * @component TemplatePicker
+ * @description Template select with a "No template" choice
+ * @param {Object} props - Component props
+ * @param {?string} props.value - Selected template ID, or null for none
+ * @param {Function} props.onChange - Called with the new template ID or null
+ * @param {boolean} [props.disabled] - Locks the select
+ * @returns {JSX.Element} Rendered picker
+ */
+const TemplatePicker = ({ value, onChange, disabled = false }) => {
+  const { templates } = useContext(TemplateContext);
+
+  return (
+    <div className="session-options">
+      <label>
+        <span>Template</span>
+        <select
+          value={value || ""}
+          onChange={(event) => onChange(event.target.value || null)}
+          disabled={disabled}
+        >
+          <option value="">No template</option>
+          {templates.map((template) => (
+            <option key={template.id} value={template.id}>
+              {template.name}
+            </option>
+          ))}
+        </select>
+      </label>
+      <Link to="/templates">Manage templates</Link>
+    </div>
+  );
+};
+
+export default TemplatePicker;
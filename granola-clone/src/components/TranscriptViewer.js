@@ -1,5 +1,3 @@
-import React from "react";
-
 /**
  * @fileoverview Transcript viewer component for displaying real-time transcriptions
  * @description Handles display of live transcription text with proper formatting
@@ -7,17 +5,81 @@ import React from "react";
 
 import React from "react";
 
+/**
+ * @function formatTimestamp
+ * @description Formats seconds as m:ss for segment timestamps
+ * @param {number} seconds - Offset from the start of the recording
+ * @returns {string} Formatted timestamp
+ */
+export const formatTimestamp = (seconds) => {
+  const total = Math.max(0, Math.floor(seconds || 0));
+  const minutes = Math.floor(total / 60);
+  const secs = String(total % 60).padStart(2, "0");
+  return `${minutes}:${secs}`;
+};
+
 /**
  * @component TranscriptViewer
  * @description Component for displaying real-time transcript text
  * @param {Object} props - Component props
- * @param {string} props.transcript - Current transcript text to display
+ * @param {string} [props.transcript] - Plain transcript text to display
+ * @param {Object[]} [props.segments] - Finalised segments ({index, text, startTime, speaker})
+ * @param {Object} [props.interimSegment] - Segment still being transcribed
+ * @param {string} [props.placeholder] - Text shown when there is nothing yet
+ * @param {number} [props.highlightIndex] - Index of a segment to highlight
  * @returns {JSX.Element} Rendered transcript viewer
  */
-const TranscriptViewer = ({ transcript }) => {
+const TranscriptViewer = ({
+  transcript,
+  segments = [],
+  interimSegment = null,
+  placeholder = "",
+  highlightIndex = null,
+}) => {
+  const hasSegments =
+    segments.length > 0 || (interimSegment && interimSegment.text);
+
+  if (!hasSegments) {
+    return (
+      <div className="transcript-viewer">
+        <p className={transcript ? "" : "transcript-placeholder"}>
+          {transcript || placeholder}
+        </p>
+      </div>
+    );
+  }
+
   return (
     <div className="transcript-viewer">
-      <p>{content}</p>
+      {segments.map((segment, position) => (
+        <p
+          key={segment.index}
+          id={`segment-${segment.index}`}
+          className={
+            segment.index === highlightIndex
+              ? "transcript-segment highlighted"
+              : "transcript-segment"
+          }
+        >
+          <span className="transcript-timestamp">
+            {formatTimestamp(segment.startTime)}
+          </span>
+          {/* Label only where the speaker changes */}
+          {segment.speaker &&
+            segment.speaker !== segments[position - 1]?.speaker && (
+              <span className="transcript-speaker">{segment.speaker}</span>
+            )}
+          {segment.text}
+        </p>
+      ))}
+      {interimSegment && interimSegment.text && (
+        <p className="transcript-segment interim">
+          <span className="transcript-timestamp">
+            {formatTimestamp(interimSegment.startTime)}
+          </span>
+          {interimSegment.text}
+        </p>
+      )}
     </div>
   );
 };
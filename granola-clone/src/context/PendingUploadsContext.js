@@ -0,0 +1,467 @@
+/**
+ * @fileoverview Pending Uploads Context - Offline Recording Sync
+ * @description Uploads recordings that were kept on this device because the
+ * server could not be reached, and follows their transcription jobs.
+ *
+ * Features:
+ * - Recordings from the local store are uploaded as soon as the server is
+ *   reachable (on a timer and when the browser comes back online)
+ * - Upload progress and job status for the pending uploads list
+ * - Recordings interrupted by a closed tab are uploaded too, once no tab has
+ *   touched them for a while (another tab may still be capturing them)
+ * - A recording that cannot be read or uploaded is marked failed without
+ *   holding up the others
+ * - Failed uploads can be retried or discarded
+ *
+ * @author AI Assistant
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+// =============================================================================
+// IMPORTS
+// =============================================================================
+
+import React, {
+  createContext,
+  useCallback,
+  useContext,
+  useEffect,
+  useMemo,
+  useRef,
+  useState,
+} from "react";
+import axios from "axios";
+import { TranscriptContext } from "./TranscriptContext";
+import {
+  RECORDING_STATUS,
+  buildRecordingFlac,
+  deleteRecording,
+  isRecordingStale,
+  isRecordingStoreSupported,
+  listRecordings,
+  updateRecording,
+} from "../utils/recordingStore";
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const UPLOAD_CONFIG = {
+  URL: "http://localhost:5000/api/transcriptions",
+  SYNC_INTERVAL: 15000, // How often waiting recordings look for the server
+  POLL_INTERVAL: 2000,
+  TIMEOUT: 10000,
+  UPLOAD_TIMEOUT: 10 * 60 * 1000, // Long recordings are large files
+};
+
+const ACTIVE_JOB_STATUSES = ["queued", "running"];
+
+/**
+ * @function isUnreachable
+ * @description Whether a request failed because the server could not take
+ * it right now, so it is worth trying again later
+ * @param {Error} requestError - Axios error
+ * @returns {boolean} True for network errors and rate limiting
+ */
+const isUnreachable = (requestError) =>
+  !requestError.response || requestError.response.status === 429;
+
+/**
+ * @function rejectsTemplate
+ * @description Whether an upload was refused because its meeting template
+ * no longer exists
+ * @param {Error} requestError - Axios error
+ * @returns {boolean} True for a 400 naming templateId
+ */
+const rejectsTemplate = (requestError) =>
+  requestError.response?.status === 400 &&
+  Boolean(
+    requestError.response.data?.details?.some(
+      (detail) => detail.field === "templateId"
+    )
+  );
+
+/**
+ * @function wait
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// =============================================================================
+// CONTEXT CREATION
+// =============================================================================
+
+/**
+ * @context PendingUploadsContext
+ * @description Recordings waiting to be transcribed by the server
+ */
+export const PendingUploadsContext = createContext({
+  uploads: [],
+  queueRecording: () => {},
+  retryUpload: () => {},
+  discardUpload: () => {},
+});
+
+// =============================================================================
+// PROVIDER COMPONENT
+// =============================================================================
+
+/**
+ * @component PendingUploadsProvider
+ * @description Keeps local recordings in sync with the server
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Child components
+ * @returns {JSX.Element} Provider component
+ */
+export const PendingUploadsProvider = ({ children }) => {
+  const { refreshTranscripts } = useContext(TranscriptContext);
+
+  const [recordings, setRecordings] = useState([]);
+  const [progress, setProgress] = useState({}); // recording id -> 0..1
+  const isSyncingRef = useRef(false);
+
+  // ==========================================================================
+  // STORE ACCESS
+  // ==========================================================================
+
+  /**
+   * @function loadRecordings
+   * @description Reads the recordings that are no longer being captured
+   */
+  const loadRecordings = useCallback(async () => {
+    const stored = await listRecordings();
+    setRecordings(
+      stored.filter(
+        (recording) => recording.status !== RECORDING_STATUS.RECORDING
+      )
+    );
+  }, []);
+
+  /**
+   * @function updateStored
+   * @description Updates a stored recording and the list
+   * @param {string} id - Recording ID
+   * @param {Object} changes - Fields to change
+   */
+  const updateStored = useCallback(
+    async (id, changes) => {
+      await updateRecording(id, changes);
+      await loadRecordings();
+    },
+    [loadRecordings]
+  );
+
+  // ==========================================================================
+  // SYNC
+  // ==========================================================================
+
+  /**
+   * @function uploadRecording
+   * @description Uploads one recording as a transcription job
+   * @param {Object} recording - Stored recording
+   * @returns {Promise<boolean>} False if the server could not be reached
+   */
+  const uploadRecording = useCallback(
+    async (recording) => {
+      const audio = await buildRecordingFlac(recording.id);
+      if (!audio) {
+        console.log(`🔇 Local recording "${recording.title}" has no speech`);
+        await deleteRecording(recording.id);
+        return true;
+      }
+
+      const form = new FormData();
+      form.append("file", audio, `${recording.id}.flac`);
+      form.append("title", recording.title);
+      if (recording.language) form.append("language", recording.language);
+      if (recording.model) form.append("model", recording.model);
+      if (recording.notes?.length > 0) {
+        form.append("notes", JSON.stringify(recording.notes));
+      }
+      if (recording.templateId) form.append("templateId", recording.templateId);
+
+      await updateStored(recording.id, {
+        status: RECORDING_STATUS.UPLOADING,
+        error: null,
+      });
+
+      const post = () =>
+        axios.post(UPLOAD_CONFIG.URL, form, {
+          timeout: UPLOAD_CONFIG.UPLOAD_TIMEOUT,
+          onUploadProgress: ({ loaded, total }) => {
+            if (total) {
+              setProgress((prev) => ({
+                ...prev,
+                [recording.id]: loaded / total,
+              }));
+            }
+          },
+        });
+
+      try {
+        let job;
+        try {
+          ({ data: job } = await post());
+        } catch (postError) {
+          if (!rejectsTemplate(postError)) throw postError;
+
+          // The template was deleted while the recording waited; the audio
+          // matters more, so it is transcribed without one
+          console.warn(
+            `⚠️ Template of local recording "${recording.title}" no longer exists, uploading without it`
+          );
+          form.delete("templateId");
+          await updateStored(recording.id, { templateId: null });
+          ({ data: job } = await post());
+        }
+        console.log(`📤 Local recording uploaded, job: ${job.id}`);
+        await updateStored(recording.id, {
+          status: RECORDING_STATUS.TRANSCRIBING,
+          jobId: job.id,
+        });
+        return true;
+      } catch (uploadError) {
+        if (isUnreachable(uploadError)) {
+          await updateStored(recording.id, {
+            status: RECORDING_STATUS.PENDING,
+          });
+          return false;
+        }
+
+        console.error("❌ Local recording upload failed:", uploadError);
+        await updateStored(recording.id, {
+          status: RECORDING_STATUS.FAILED,
+          error:
+            uploadError.response.data?.details
+              ?.map((detail) => detail.message)
+              .join(". ") || "Upload failed",
+        });
+        return true;
+      } finally {
+        setProgress(({ [recording.id]: done, ...rest }) => rest);
+      }
+    },
+    [updateStored]
+  );
+
+  /**
+   * @function followJob
+   * @description Waits for an uploaded recording's transcription job; the
+   * local copy is deleted once the transcript is saved
+   * @param {Object} recording - Stored recording with a jobId
+   * @returns {Promise<boolean>} False if the server could not be reached
+   */
+  const followJob = useCallback(
+    async (recording) => {
+      let job;
+      try {
+        ({ data: job } = await axios.get(
+          `${UPLOAD_CONFIG.URL}/${recording.jobId}`,
+          { timeout: UPLOAD_CONFIG.TIMEOUT }
+        ));
+        while (ACTIVE_JOB_STATUSES.includes(job.status)) {
+          await wait(UPLOAD_CONFIG.POLL_INTERVAL);
+          ({ data: job } = await axios.get(
+            `${UPLOAD_CONFIG.URL}/${recording.jobId}`,
+            { timeout: UPLOAD_CONFIG.TIMEOUT }
+          ));
+        }
+      } catch (pollError) {
+        if (isUnreachable(pollError)) return false;
+
+        // The server no longer knows the job; upload the recording again
+        console.warn("⚠️ Lost track of transcription job:", recording.jobId);
+        await updateStored(recording.id, {
+          status: RECORDING_STATUS.PENDING,
+          jobId: null,
+        });
+        return true;
+      }
+
+      if (job.status === "succeeded") {
+        console.log(`✅ Local recording "${recording.title}" transcribed`);
+        await deleteRecording(recording.id);
+        await loadRecordings();
+        refreshTranscripts();
+      } else {
+        await updateStored(recording.id, {
+          status: RECORDING_STATUS.FAILED,
+          jobId: null,
+          error: job.error || `Transcription ${job.status}`,
+        });
+      }
+      return true;
+    },
+    [updateStored, loadRecordings, refreshTranscripts]
+  );
+
+  /**
+   * @function syncRecording
+   * @description Runs one sync step for a recording; an error that is not
+   * about reaching the server (e.g. its audio cannot be read) marks only
+   * that recording failed
+   * @param {Object} recording - Stored recording
+   * @param {Function} step - uploadRecording or followJob
+   * @returns {Promise<boolean>} False if the server could not be reached
+   */
+  const syncRecording = useCallback(
+    async (recording, step) => {
+      try {
+        return await step(recording);
+      } catch (recordingError) {
+        console.error(
+          `❌ Could not sync local recording "${recording.title}":`,
+          recordingError
+        );
+        await updateStored(recording.id, {
+          status: RECORDING_STATUS.FAILED,
+          error: "This recording could not be read on this device",
+        });
+        return true;
+      }
+    },
+    [updateStored]
+  );
+
+  /**
+   * @function syncUploads
+   * @description Queues recordings whose tab was closed mid-capture, uploads
+   * every waiting recording, oldest first, then follows their jobs; stops
+   * early while the server is unreachable
+   */
+  const syncUploads = useCallback(async () => {
+    if (isSyncingRef.current) return;
+    isSyncingRef.current = true;
+
+    try {
+      for (const recording of await listRecordings()) {
+        if (isRecordingStale(recording)) {
+          console.log(
+            `💾 Recovered interrupted recording "${recording.title}"`
+          );
+          await updateStored(recording.id, {
+            status: RECORDING_STATUS.PENDING,
+          });
+        }
+      }
+
+      let reachable = true;
+      for (const recording of await listRecordings()) {
+        if (!reachable) break;
+        if (
+          recording.status === RECORDING_STATUS.PENDING ||
+          recording.status === RECORDING_STATUS.UPLOADING
+        ) {
+          reachable = await syncRecording(recording, uploadRecording);
+        }
+      }
+
+      for (const recording of await listRecordings()) {
+        if (!reachable) break;
+        if (recording.status === RECORDING_STATUS.TRANSCRIBING) {
+          reachable = await syncRecording(recording, followJob);
+        }
+      }
+    } catch (syncError) {
+      console.error("❌ Failed to sync local recordings:", syncError);
+    } finally {
+      isSyncingRef.current = false;
+    }
+  }, [updateStored, syncRecording, uploadRecording, followJob]);
+
+  // ==========================================================================
+  // ACTIONS
+  // ==========================================================================
+
+  /**
+   * @function queueRecording
+   * @description Hands a finished local recording over for upload
+   * @param {string} id - Recording ID
+   * @param {Object} [details] - Fields to keep with it, e.g. {notes,
+   *   templateId}
+   */
+  const queueRecording = useCallback(
+    async (id, details = {}) => {
+      await updateStored(id, { ...details, status: RECORDING_STATUS.PENDING });
+      syncUploads();
+    },
+    [updateStored, syncUploads]
+  );
+
+  /**
+   * @function retryUpload
+   * @description Uploads a failed recording again
+   * @param {string} id - Recording ID
+   */
+  const retryUpload = useCallback(
+    async (id) => {
+      await updateStored(id, { status: RECORDING_STATUS.PENDING, error: null });
+      syncUploads();
+    },
+    [updateStored, syncUploads]
+  );
+
+  /**
+   * @function discardUpload
+   * @description Deletes a recording without transcribing it
+   * @param {string} id - Recording ID
+   */
+  const discardUpload = useCallback(
+    async (id) => {
+      await deleteRecording(id);
+      await loadRecordings();
+    },
+    [loadRecordings]
+  );
+
+  // ==========================================================================
+  // EFFECTS
+  // ==========================================================================
+
+  /**
+   * @effect Sync Loop
+   * @description Waiting recordings are synced now, periodically and
+   * whenever the browser comes back online
+   */
+  useEffect(() => {
+    if (!isRecordingStoreSupported()) return undefined;
+
+    loadRecordings()
+      .then(syncUploads)
+      .catch((loadError) => {
+        console.error("❌ Failed to read local recordings:", loadError);
+      });
+
+    const timer = setInterval(syncUploads, UPLOAD_CONFIG.SYNC_INTERVAL);
+    window.addEventListener("online", syncUploads);
+    return () => {
+      clearInterval(timer);
+      window.removeEventListener("online", syncUploads);
+    };
+  }, [loadRecordings, syncUploads]);
+
+  // ==========================================================================
+  // CONTEXT VALUE
+  // ==========================================================================
+
+  const contextValue = useMemo(
+    () => ({
+      uploads: recordings.map((recording) => ({
+        ...recording,
+        progress: progress[recording.id] ?? null,
+      })),
+      queueRecording,
+      retryUpload,
+      discardUpload,
+    }),
+    [recordings, progress, queueRecording, retryUpload, discardUpload]
+  );
+
+  return (
+    <PendingUploadsContext.Provider value={contextValue}>
+      {children}
+    </PendingUploadsContext.Provider>
+  );
+};
@@ -0,0 +1,194 @@
+/**
+ * @fileoverview Template Context - Meeting Templates
+ * @description Loads the meeting templates ("recipes") that summaries are
+ * written in, and saves or deletes them.
+ *
+ * Features:
+ * - Templates loaded once when the provider mounts
+ * - Create, update and delete through /api/templates
+ * - Error state for the templates page
+ *
+ * @author AI Assistant
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+// =============================================================================
+// IMPORTS
+// =============================================================================
+
+import React, {
+  createContext,
+  useCallback,
+  useEffect,
+  useMemo,
+  useState,
+} from "react";
+import axios from "axios";
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const TEMPLATES_CONFIG = {
+  URL: "http://localhost:5000/api/templates",
+  TIMEOUT: 10000,
+};
+
+/**
+ * @function describeError
+ * @param {Error} requestError - Axios error
+ * @param {string} fallback - Message when the server gave none
+ * @returns {string} Message for the user
+ */
+const describeError = (requestError, fallback) =>
+  requestError.response?.data?.details?.[0]?.message ||
+  requestError.response?.data?.message ||
+  fallback;
+
+// =============================================================================
+// CONTEXT CREATION
+// =============================================================================
+
+/**
+ * @context TemplateContext
+ * @description Context for meeting templates
+ */
+export const TemplateContext = createContext({
+  templates: [],
+  isLoading: false,
+  error: null,
+  saveTemplate: () => {},
+  deleteTemplate: () => {},
+  refreshTemplates: () => {},
+  clearError: () => {},
+});
+
+// =============================================================================
+// PROVIDER COMPONENT
+// =============================================================================
+
+/**
+ * @component TemplateProvider
+ * @description Provides meeting templates to child components
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Child components
+ * @returns {JSX.Element} Provider component
+ */
+export const TemplateProvider = ({ children }) => {
+  const [templates, setTemplates] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  /**
+   * @function fetchTemplates
+   * @description Loads every template, sorted by name
+   * @returns {Promise<void>}
+   */
+  const fetchTemplates = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const response = await axios.get(TEMPLATES_CONFIG.URL, {
+        timeout: TEMPLATES_CONFIG.TIMEOUT,
+      });
+      setTemplates(response.data || []);
+      setError(null);
+    } catch (fetchError) {
+      console.error("❌ Failed to fetch templates:", fetchError);
+      setError(describeError(fetchError, "Failed to load templates"));
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  /**
+   * @function saveTemplate
+   * @description Creates a template, or replaces it when it has an id
+   * @param {Object} template - {id?, name, description, sections: [{title,
+   *   prompt}]}
+   * @returns {Promise<Object|null>} Saved template or null if failed
+   */
+  const saveTemplate = useCallback(async (template) => {
+    const { id, name, description, sections } = template;
+    try {
+      const response = id
+        ? await axios.put(
+            `${TEMPLATES_CONFIG.URL}/${id}`,
+            { name, description, sections },
+            { timeout: TEMPLATES_CONFIG.TIMEOUT }
+          )
+        : await axios.post(
+            TEMPLATES_CONFIG.URL,
+            { name, description, sections },
+            { timeout: TEMPLATES_CONFIG.TIMEOUT }
+          );
+
+      const saved = response.data;
+      setTemplates((prev) =>
+        [...prev.filter((t) => t.id !== saved.id), saved].sort((a, b) =>
+          a.name.localeCompare(b.name)
+        )
+      );
+      setError(null);
+      console.log("📋 Template saved:", saved.name);
+      return saved;
+    } catch (saveError) {
+      console.error("❌ Failed to save template:", saveError);
+      setError(describeError(saveError, "Failed to save template"));
+      return null;
+    }
+  }, []);
+
+  /**
+   * @function deleteTemplate
+   * @param {string} id - Template ID
+   * @returns {Promise<boolean>} True if deleted
+   */
+  const deleteTemplate = useCallback(async (id) => {
+    try {
+      await axios.delete(`${TEMPLATES_CONFIG.URL}/${id}`, {
+        timeout: TEMPLATES_CONFIG.TIMEOUT,
+      });
+      setTemplates((prev) => prev.filter((t) => t.id !== id));
+      setError(null);
+      return true;
+    } catch (deleteError) {
+      console.error("❌ Failed to delete template:", deleteError);
+      setError(describeError(deleteError, "Failed to delete template"));
+      return false;
+    }
+  }, []);
+
+  const clearError = useCallback(() => setError(null), []);
+
+  useEffect(() => {
+    fetchTemplates();
+  }, [fetchTemplates]);
+
+  const contextValue = useMemo(
+    () => ({
+      templates,
+      isLoading,
+      error,
+      saveTemplate,
+      deleteTemplate,
+      refreshTemplates: fetchTemplates,
+      clearError,
+    }),
+    [
+      templates,
+      isLoading,
+      error,
+      saveTemplate,
+      deleteTemplate,
+      fetchTemplates,
+      clearError,
+    ]
+  );
+
+  return (
+    <TemplateContext.Provider value={contextValue}>
+      {children}
+    </TemplateContext.Provider>
+  );
+};
@@ -34,9 +34,37 @@ import axios from "axios";
 
 const API_CONFIG = {
   BASE_URL: "http://localhost:5000/api/transcripts",
+  JOBS_URL: "http://localhost:5000/api/transcriptions",
+  ACTION_ITEMS_URL: "http://localhost:5000/api/action-items",
+  JOB_POLL_INTERVAL: 2000,
   TIMEOUT: 10000,
   RETRY_ATTEMPTS: 3,
   RETRY_DELAY: 1000,
+  PAGE_SIZE: 100, // Maximum page size accepted by the list endpoint
+};
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * @function waitForJob
+ * @description Polls a background job until it stops running
+ * @param {Object} job - Job view as returned when it was queued
+ * @returns {Promise<Object>} Finished job
+ */
+const waitForJob = async (job) => {
+  let current = job;
+  while (["queued", "running"].includes(current.status)) {
+    await new Promise((resolve) =>
+      setTimeout(resolve, API_CONFIG.JOB_POLL_INTERVAL)
+    );
+    ({ data: current } = await axios.get(
+      `${API_CONFIG.JOBS_URL}/${current.id}`,
+      { timeout: API_CONFIG.TIMEOUT }
+    ));
+  }
+  return current;
 };
 
 // =============================================================================
@@ -52,6 +80,15 @@ export const TranscriptContext = createContext({
   isLoading: false,
   error: null,
   addTranscript: () => {},
+  renameSpeakers: () => {},
+  updateNotes: () => {},
+  enhanceNotes: () => {},
+  retranscribe: () => {},
+  summarize: () => {},
+  searchTranscripts: () => {},
+  fetchActionItems: () => {},
+  updateActionItem: () => {},
+  getExportUrl: () => "",
   refreshTranscripts: () => {},
   clearError: () => {},
 });
@@ -99,12 +136,23 @@ export const TranscriptProvider = ({ children }) => {
           })`
         );
 
-        const response = await axios.get(API_CONFIG.BASE_URL, {
-          timeout: API_CONFIG.TIMEOUT,
-        });
+        // The list endpoint is paginated; keep reading pages until the
+        // X-Total-Count header says everything has been loaded
+        const loaded = [];
+        let total = Infinity;
+        for (let page = 1; loaded.length < total; page++) {
+          const response = await axios.get(API_CONFIG.BASE_URL, {
+            timeout: API_CONFIG.TIMEOUT,
+            params: { page, limit: API_CONFIG.PAGE_SIZE },
+          });
+          const items = response.data || [];
+          loaded.push(...items);
+          total = Number(response.headers["x-total-count"] ?? loaded.length);
+          if (items.length === 0) break;
+        }
 
-        setTranscripts(response.data || []);
-        console.log(`✅ Loaded ${response.data?.length || 0} transcripts`);
+        setTranscripts(loaded);
+        console.log(`✅ Loaded ${loaded.length} transcripts`);
 
         setIsLoading(false);
         return;
@@ -146,6 +194,11 @@ export const TranscriptProvider = ({ children }) => {
    * @param {string} newTranscript.date - Transcript date
    * @param {string} newTranscript.content - Transcript content
    * @param {string} [newTranscript.duration] - Recording duration
+   * @param {string} [newTranscript.language] - Spoken language, e.g. "ta-IN"
+   * @param {Object} [newTranscript.metadata] - Recording analysis, e.g.
+   *   {speechRatio}
+   * @param {string} [newTranscript.templateId] - Meeting template the
+   *   summary is written in
    * @returns {Promise<Object|null>} Added transcript or null if failed
    */
   const addTranscript = useCallback(async (newTranscript) => {
@@ -160,7 +213,14 @@ export const TranscriptProvider = ({ children }) => {
       title: newTranscript.title || "Untitled Meeting",
       date: newTranscript.date || new Date().toISOString().split("T")[0],
       content: newTranscript.content.trim(),
+      segments: newTranscript.segments || [],
       duration: newTranscript.duration || "Unknown",
+      ...(newTranscript.language && { language: newTranscript.language }),
+      ...(newTranscript.metadata && { metadata: newTranscript.metadata }),
+      ...(newTranscript.notes?.length > 0 && { notes: newTranscript.notes }),
+      ...(newTranscript.templateId && {
+        templateId: newTranscript.templateId,
+      }),
     };
 
     // Optimistic update - add to UI immediately
@@ -200,6 +260,266 @@ export const TranscriptProvider = ({ children }) => {
     }
   }, []);
 
+  /**
+   * @function renameSpeakers
+   * @description Renames speaker labels across a whole transcript
+   * @param {number|string} id - Transcript ID
+   * @param {Object<string, string>} renames - Current label to new name
+   * @returns {Promise<Object|null>} Updated transcript or null if failed
+   */
+  const renameSpeakers = useCallback(async (id, renames) => {
+    try {
+      const response = await axios.patch(
+        `${API_CONFIG.BASE_URL}/${id}/speakers`,
+        { renames },
+        { timeout: API_CONFIG.TIMEOUT }
+      );
+
+      setTranscripts((prev) =>
+        prev.map((t) => (t.id === response.data.id ? response.data : t))
+      );
+
+      console.log("✅ Speakers renamed:", Object.keys(renames).join(", "));
+      return response.data;
+    } catch (renameError) {
+      console.error("❌ Failed to rename speakers:", renameError);
+      setError(
+        renameError.response?.status === 404
+          ? "Transcript no longer exists"
+          : "Failed to rename speakers"
+      );
+      return null;
+    }
+  }, []);
+
+  /**
+   * @function updateNotes
+   * @description Replaces the meeting notes of a transcript; any enhanced
+   * notes are dropped by the server
+   * @param {number|string} id - Transcript ID
+   * @param {Object[]} notes - Notes as {time, text}
+   * @returns {Promise<Object|null>} Updated transcript or null if failed
+   */
+  const updateNotes = useCallback(async (id, notes) => {
+    try {
+      const response = await axios.patch(
+        `${API_CONFIG.BASE_URL}/${id}`,
+        { notes: notes.map(({ time, text }) => ({ time, text })) },
+        { timeout: API_CONFIG.TIMEOUT }
+      );
+
+      setTranscripts((prev) =>
+        prev.map((t) => (t.id === response.data.id ? response.data : t))
+      );
+
+      console.log("✅ Notes saved:", notes.length);
+      return response.data;
+    } catch (notesError) {
+      console.error("❌ Failed to save notes:", notesError);
+      setError(
+        notesError.response?.status === 404
+          ? "Transcript no longer exists"
+          : "Failed to save notes"
+      );
+      return null;
+    }
+  }, []);
+
+  /**
+   * @function enhanceNotes
+   * @description Merges the transcript's notes with what was said around
+   * each one; the result is stored as the transcript's enhancedNotes
+   * @param {number|string} id - Transcript ID
+   * @returns {Promise<Object|null>} Updated transcript or null if failed
+   */
+  const enhanceNotes = useCallback(async (id) => {
+    try {
+      const response = await axios.post(
+        `${API_CONFIG.BASE_URL}/${id}/notes/enhance`,
+        null,
+        { timeout: API_CONFIG.TIMEOUT }
+      );
+
+      setTranscripts((prev) =>
+        prev.map((t) => (t.id === response.data.id ? response.data : t))
+      );
+
+      console.log("✨ Notes enhanced:", response.data.title);
+      return response.data;
+    } catch (enhanceError) {
+      console.error("❌ Failed to enhance notes:", enhanceError);
+      setError(
+        enhanceError.response?.data?.message || "Failed to enhance notes"
+      );
+      return null;
+    }
+  }, []);
+
+  /**
+   * @function retranscribe
+   * @description Queues a re-transcription of the transcript's stored
+   * recording and waits for the job, refreshing transcripts once it succeeds
+   * @param {number|string} id - Transcript ID
+   * @param {Object} [options] - {language, model}; the transcript's own
+   *   language and the default model are used when unset
+   * @returns {Promise<Object|null>} Finished job or null if it could not start
+   */
+  const retranscribe = useCallback(
+    async (id, { language, model } = {}) => {
+      try {
+        const { data: queued } = await axios.post(
+          `${API_CONFIG.BASE_URL}/${id}/retranscribe`,
+          { ...(language && { language }), ...(model && { model }) },
+          { timeout: API_CONFIG.TIMEOUT }
+        );
+        console.log("🔁 Re-transcription queued, job:", queued.id);
+
+        const job = await waitForJob(queued);
+        if (job.status === "succeeded") await fetchTranscripts();
+        return job;
+      } catch (retranscribeError) {
+        console.error("❌ Failed to re-transcribe:", retranscribeError);
+        setError(
+          retranscribeError.response?.data?.message ||
+            "Failed to re-transcribe recording"
+        );
+        return null;
+      }
+    },
+    [fetchTranscripts]
+  );
+
+  /**
+   * @function summarize
+   * @description Queues a summary of the transcript (overview, decisions,
+   * action items and the sections of its meeting template) and waits for the
+   * job, refreshing transcripts once it succeeds
+   * @param {number|string} id - Transcript ID
+   * @param {Object} [options] - {templateId} to switch the transcript's
+   *   template first; null summarises without one
+   * @returns {Promise<Object|null>} Finished job or null if it could not start
+   */
+  const summarize = useCallback(
+    async (id, { templateId } = {}) => {
+      try {
+        const { data: queued } = await axios.post(
+          `${API_CONFIG.BASE_URL}/${id}/summarize`,
+          templateId === undefined ? null : { templateId },
+          { timeout: API_CONFIG.TIMEOUT }
+        );
+        console.log("📝 Summary queued, job:", queued.id);
+
+        const job = await waitForJob(queued);
+        if (job.status === "succeeded") await fetchTranscripts();
+        return job;
+      } catch (summarizeError) {
+        console.error("❌ Failed to summarise:", summarizeError);
+        setError(
+          summarizeError.response?.data?.message ||
+            "Failed to summarise transcript"
+        );
+        return null;
+      }
+    },
+    [fetchTranscripts]
+  );
+
+  /**
+   * @function searchTranscripts
+   * @description Full-text search across titles, transcripts and notes.
+   * Devanagari, Hinglish and variant spellings of a word match each other.
+   * @param {string} query - Search text
+   * @param {Object} [options] - {page, limit}
+   * @returns {Promise<{total: number, hits: Object[]}|null>} Ranked hits
+   *   ({transcript, score, matchCount, matches: [{field, text, highlights,
+   *   ...}]}) or null on failure
+   */
+  const searchTranscripts = useCallback(async (query, options = {}) => {
+    try {
+      const response = await axios.get(`${API_CONFIG.BASE_URL}/search`, {
+        params: { q: query, ...options },
+        timeout: API_CONFIG.TIMEOUT,
+      });
+      return {
+        total: Number(response.headers["x-total-count"] ?? 0),
+        hits: response.data,
+      };
+    } catch (searchError) {
+      console.error("❌ Failed to search transcripts:", searchError);
+      setError(
+        searchError.response?.data?.details?.[0]?.message ||
+          searchError.response?.data?.message ||
+          "Failed to search meetings"
+      );
+      return null;
+    }
+  }, []);
+
+  /**
+   * @function fetchActionItems
+   * @description Loads action items across all meetings
+   * @param {Object} [filter] - {status: "open"|"done", owner, transcriptId}
+   * @returns {Promise<Object[]|null>} Action items, each with its
+   *   transcript's {id, title, date}, or null on failure
+   */
+  const fetchActionItems = useCallback(async (filter = {}) => {
+    try {
+      const response = await axios.get(API_CONFIG.ACTION_ITEMS_URL, {
+        params: filter,
+        timeout: API_CONFIG.TIMEOUT,
+      });
+      return response.data;
+    } catch (fetchError) {
+      console.error("❌ Failed to fetch action items:", fetchError);
+      setError(
+        fetchError.response?.data?.message || "Failed to load action items"
+      );
+      return null;
+    }
+  }, []);
+
+  /**
+   * @function updateActionItem
+   * @description Marks an action item open or done
+   * @param {string} id - Action item ID
+   * @param {string} status - "open" or "done"
+   * @returns {Promise<Object|null>} Updated action item or null on failure
+   */
+  const updateActionItem = useCallback(async (id, status) => {
+    try {
+      const response = await axios.patch(
+        `${API_CONFIG.ACTION_ITEMS_URL}/${id}`,
+        { status },
+        { timeout: API_CONFIG.TIMEOUT }
+      );
+
+      console.log(`☑️ Action item ${status}:`, response.data.text);
+      return response.data;
+    } catch (updateError) {
+      console.error("❌ Failed to update action item:", updateError);
+      setError(
+        updateError.response?.data?.message || "Failed to update action item"
+      );
+      return null;
+    }
+  }, []);
+
+  /**
+   * @function getExportUrl
+   * @description Builds the download URL for a transcript export. The server
+   * responds with an attachment, so navigating to it downloads the file.
+   * @param {number|string} id - Transcript ID
+   * @param {string} format - srt, vtt, md, txt, docx or pdf
+   * @returns {string} Export URL
+   */
+  const getExportUrl = useCallback(
+    (id, format) =>
+      `${API_CONFIG.BASE_URL}/${id}/export?format=${encodeURIComponent(
+        format
+      )}`,
+    []
+  );
+
   /**
    * @function refreshTranscripts
    * @description Manually refreshes transcript data
@@ -248,6 +568,15 @@ export const TranscriptProvider = ({ children }) => {
 
       // Actions
       addTranscript,
+      renameSpeakers,
+      updateNotes,
+      enhanceNotes,
+      retranscribe,
+      summarize,
+      searchTranscripts,
+      fetchActionItems,
+      updateActionItem,
+      getExportUrl,
       refreshTranscripts,
       clearError,
 
@@ -260,6 +589,15 @@ export const TranscriptProvider = ({ children }) => {
       isLoading,
       error,
       addTranscript,
+      renameSpeakers,
+      updateNotes,
+      enhanceNotes,
+      retranscribe,
+      summarize,
+      searchTranscripts,
+      fetchActionItems,
+      updateActionItem,
+      getExportUrl,
       refreshTranscripts,
       clearError,
     ]
@@ -0,0 +1,140 @@
+/**
+ * @fileoverview Action items page listing tasks from every meeting
+ * @description Open (or all) action items grouped by the meeting they came
+ * up in, each linking back to the moment it was said
+ */
+
+import React, { useContext, useEffect, useMemo, useState } from "react";
+import { Link } from "react-router-dom";
+import { TranscriptContext } from "../context/TranscriptContext";
+import { formatTimestamp } from "../components/TranscriptViewer";
+
+/**
+ * @function sourceLink
+ * @description Transcript page URL, scrolled to the item's segment when known
+ * @param {Object} item - Action item
+ * @returns {string} Route path
+ */
+const sourceLink = (item) =>
+  item.segmentIndex === null
+    ? `/transcript/${item.transcriptId}`
+    : `/transcript/${item.transcriptId}#segment-${item.segmentIndex}`;
+
+/**
+ * @component ActionItems
+ * @description Action items across all meetings, with a done checkbox each
+ * @returns {JSX.Element} Rendered action items page
+ */
+const ActionItems = () => {
+  const { fetchActionItems, updateActionItem } = useContext(TranscriptContext);
+  const [items, setItems] = useState(null); // null while loading
+  const [showDone, setShowDone] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    setItems(null);
+    fetchActionItems(showDone ? {} : { status: "open" }).then((loaded) => {
+      if (!cancelled) setItems(loaded || []);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [fetchActionItems, showDone]);
+
+  // One group per meeting, in the order the server listed them
+  const groups = useMemo(() => {
+    const byTranscript = new Map();
+    (items || []).forEach((item) => {
+      if (!byTranscript.has(item.transcriptId)) {
+        byTranscript.set(item.transcriptId, {
+          transcript: item.transcript,
+          items: [],
+        });
+      }
+      byTranscript.get(item.transcriptId).items.push(item);
+    });
+    return [...byTranscript.values()];
+  }, [items]);
+
+  // Ticked items stay listed until the page is reloaded, so a mis-click can
+  // be undone
+  const toggle = async (item) => {
+    const updated = await updateActionItem(
+      item.id,
+      item.status === "done" ? "open" : "done"
+    );
+    if (!updated) return;
+    setItems((prev) =>
+      prev.map((existing) => (existing.id === updated.id ? updated : existing))
+    );
+  };
+
+  const renderList = () => {
+    if (items === null) {
+      return <p className="transcript-placeholder">Loading action items...</p>;
+    }
+
+    if (groups.length === 0) {
+      return (
+        <p className="transcript-placeholder">
+          {showDone
+            ? "No action items yet. They are picked up when a meeting is summarised."
+            : "No open action items."}
+        </p>
+      );
+    }
+
+    return groups.map(({ transcript, items: meetingItems }) => (
+      <div key={meetingItems[0].transcriptId} className="card">
+        <h3>
+          <Link to={`/transcript/${meetingItems[0].transcriptId}`}>
+            {transcript?.title || "Deleted meeting"}
+          </Link>
+        </h3>
+        {transcript?.date && <p>{transcript.date}</p>}
+        <ul className="action-items">
+          {meetingItems.map((item) => (
+            <li
+              key={item.id}
+              className={item.status === "done" ? "done" : undefined}
+            >
+              <input
+                type="checkbox"
+                checked={item.status === "done"}
+                onChange={() => toggle(item)}
+                aria-label={`Mark "${item.text}" as done`}
+              />
+              <span className="action-item-text">
+                {item.owner && (
+                  <span className="transcript-speaker">{item.owner}:</span>
+                )}
+                {item.text}
+                {item.due && <em> (due {item.due})</em>}
+              </span>
+              <Link to={sourceLink(item)} className="transcript-timestamp">
+                {item.time === null ? "View" : formatTimestamp(item.time)}
+              </Link>
+            </li>
+          ))}
+        </ul>
+      </div>
+    ));
+  };
+
+  return (
+    <div className="container">
+      <h2>{showDone ? "All action items" : "Open action items"}</h2>
+      <label className="action-items-filter">
+        <input
+          type="checkbox"
+          checked={showDone}
+          onChange={(event) => setShowDone(event.target.checked)}
+        />{" "}
+        Show completed
+      </label>
+      {renderList()}
+    </div>
+  );
+};
+
+export default ActionItems;
@@ -1,27 +1,206 @@
 /**
  * @fileoverview Home page component displaying meeting list
- * @description Main dashboard showing available meetings and transcripts
+ * @description Main dashboard showing saved meetings and transcripts, with
+ * full-text search across every meeting
  */
 
-import React from "react";
+import React, { useContext, useEffect, useMemo, useState } from "react";
 import { useNavigate } from "react-router-dom";
-import { transcripts } from "../__mocks__/mockData";
+import { TranscriptContext } from "../context/TranscriptContext";
 import MeetingCard from "../components/MeetingCard";
+import PendingUploads from "../components/PendingUploads";
+import SearchResults from "../components/SearchResults";
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const SEARCH_DEBOUNCE = 300; // ms after the last keystroke
+const SEARCH_LIMIT = 20;
+
+/**
+ * @constant SORT_OPTIONS
+ * @description Available list orderings, keyed by select value
+ */
+const SORT_OPTIONS = {
+  newest: {
+    label: "Newest first",
+    compare: (a, b) =>
+      (b.date || "").localeCompare(a.date || "") || Number(b.id) - Number(a.id),
+  },
+  oldest: {
+    label: "Oldest first",
+    compare: (a, b) =>
+      (a.date || "").localeCompare(b.date || "") || Number(a.id) - Number(b.id),
+  },
+  titleAsc: {
+    label: "Title A–Z",
+    compare: (a, b) => (a.title || "").localeCompare(b.title || ""),
+  },
+  titleDesc: {
+    label: "Title Z–A",
+    compare: (a, b) => (b.title || "").localeCompare(a.title || ""),
+  },
+};
 
 /**
  * @component Home
- * @description Homepage displaying list of available meetings
+ * @description Homepage listing saved meetings with search and sorting
  * @returns {JSX.Element} Rendered home page with meeting cards
  */
 const Home = () => {
   const navigate = useNavigate();
+  const {
+    transcripts,
+    isLoading,
+    error,
+    refreshTranscripts,
+    hasTranscripts,
+    searchTranscripts,
+    clearError,
+  } = useContext(TranscriptContext);
+
+  const [search, setSearch] = useState("");
+  const [sortBy, setSortBy] = useState("newest");
+  // Hits of the latest finished search, kept while the next one runs so
+  // refreshed meetings do not blank the list
+  const [results, setResults] = useState(null);
+  const [failedQuery, setFailedQuery] = useState(null);
+  const [searchAttempt, setSearchAttempt] = useState(0);
+
+  const query = search.trim();
+
+  useEffect(() => {
+    if (!query) return undefined;
+
+    let isCurrent = true;
+    const timer = setTimeout(async () => {
+      const found = await searchTranscripts(query, { limit: SEARCH_LIMIT });
+      if (!isCurrent) return;
+      if (found) {
+        setResults({ query, ...found });
+        setFailedQuery(null);
+      } else {
+        setFailedQuery(query);
+      }
+    }, SEARCH_DEBOUNCE);
+
+    return () => {
+      isCurrent = false;
+      clearTimeout(timer);
+    };
+    // Saved or deleted meetings change the hits too
+  }, [query, transcripts, searchTranscripts, searchAttempt]);
+
+  const retrySearch = () => {
+    clearError();
+    setFailedQuery(null);
+    setSearchAttempt((attempt) => attempt + 1);
+  };
+
+  const searchFailed = Boolean(query) && failedQuery === query;
+
+  const sortedTranscripts = useMemo(
+    () => [...transcripts].sort(SORT_OPTIONS[sortBy].compare),
+    [transcripts, sortBy]
+  );
+
+  /**
+   * @function renderList
+   * @description Renders the loading, error, empty or populated list state
+   * @returns {JSX.Element} List content
+   */
+  const renderList = () => {
+    if (isLoading && !hasTranscripts) {
+      return <p className="transcript-placeholder">Loading meetings...</p>;
+    }
+
+    if (error && !hasTranscripts) {
+      return (
+        <div className="card error-card">
+          <p>⚠️ {error}</p>
+          <button onClick={refreshTranscripts} className="start-btn">
+            Retry
+          </button>
+        </div>
+      );
+    }
+
+    if (!hasTranscripts) {
+      return (
+        <p className="transcript-placeholder">
+          No meetings yet. Start a meeting to record your first transcript.
+        </p>
+      );
+    }
+
+    if (query) {
+      if (searchFailed) {
+        return (
+          <div className="card error-card">
+            <p>⚠️ {error || "Failed to search meetings"}</p>
+            <button onClick={retrySearch} className="start-btn">
+              Retry
+            </button>
+          </div>
+        );
+      }
+      if (results?.query !== query) {
+        return <p className="transcript-placeholder">Searching...</p>;
+      }
+      if (results.hits.length === 0) {
+        return (
+          <p className="transcript-placeholder">No meetings match "{query}".</p>
+        );
+      }
+      return <SearchResults hits={results.hits} />;
+    }
+
+    return sortedTranscripts.map((t) => <MeetingCard key={t.id} meeting={t} />);
+  };
 
   return (
     <div className="container">
       <h2>Saved Meetings</h2>
-      {transcripts.map((t) => (
-        <MeetingCard key={t.id} meeting={t} />
-      ))}
+
+      <PendingUploads />
+
+      {hasTranscripts && (
+        <div className="meeting-toolbar">
+          <input
+            type="search"
+            placeholder="Search titles, transcripts and notes..."
+            value={search}
+            onChange={(event) => setSearch(event.target.value)}
+            aria-label="Search meetings"
+          />
+          <select
+            value={sortBy}
+            onChange={(event) => setSortBy(event.target.value)}
+            aria-label="Sort meetings"
+            disabled={Boolean(query)} // Search hits are ranked by relevance
+          >
+            {Object.entries(SORT_OPTIONS).map(([value, option]) => (
+              <option key={value} value={value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {/* A failed search shows its error in place of the results */}
+      {error && hasTranscripts && !searchFailed && (
+        <p className="error-text">
+          ⚠️ {error}{" "}
+          <button onClick={refreshTranscripts} className="link-btn">
+            Retry
+          </button>
+        </p>
+      )}
+
+      {renderList()}
+
       <button onClick={() => navigate("/live")} className="start-btn">
         Start Meeting
       </button>
@@ -1,12 +1,21 @@
 /**
- * @fileoverview LiveMeeting Component - Hindi Speech-to-Text Recording Interface
- * @description A professional React component for recording Hindi speech and converting
+ * @fileoverview LiveMeeting Component - Speech-to-Text Recording Interface
+ * @description A professional React component for recording meeting speech and converting
  * it to text using Web Audio API and SarvamAI transcription service.
  *
  * Features:
+ * - Per-session language (or auto-detection) and model selection
  * - High-quality Web Audio API recording (no MediaRecorder dependency)
  * - Real-time recording status and feedback
- * - WebSocket communication with backend
+ * - Pause and resume during a recording
+ * - Live interim and final transcript segments while recording
+ * - Meeting notes beside the transcript, timed against the recording and
+ *   saved with it
+ * - WebSocket communication with backend (versioned streaming protocol)
+ * - Audio streamed as binary frames when the server supports them
+ * - Sessions resumed after a dropped connection; unacknowledged audio is replayed
+ * - Offline recording: audio is kept in IndexedDB and uploaded once the
+ *   server is reachable
  * - Automatic transcript saving and navigation
  * - Comprehensive error handling and recovery
  * - React StrictModeI Assistant
@@ -30,9 +39,26 @@ import { encode } from "base64-arraybuffer";
 
 // Custom hooks and context
 import { TranscriptContext } from "../context/TranscriptContext";
+import { PendingUploadsContext } from "../context/PendingUploadsContext";
+
+// Components
+import TranscriptViewer from "../components/TranscriptViewer";
+import LanguagePicker from "../components/LanguagePicker";
+import TemplatePicker from "../components/TemplatePicker";
+import NotesEditor from "../components/NotesEditor";
 
 // Audio utilities
 import { WebAudioRecorder } from "../utils/wavEncoder";
+import { encodeAudioFrame } from "../utils/audioFrame";
+import { AUTO_LANGUAGE, languageName } from "../utils/languages";
+import {
+  RECORDING_HEARTBEAT,
+  createRecording,
+  deleteRecording,
+  isRecordingStoreSupported,
+  saveChunk,
+  updateRecording,
+} from "../utils/recordingStore";
 
 // =============================================================================
 // CONSTANTS
@@ -45,6 +71,18 @@ const WEBSOCKET_CONFIG = {
   RECONNECT_DELAY_BASE: 2000,
 };
 
+// Streaming protocol spoken with the backend (see the backend README)
+const PROTOCOL_CONFIG = {
+  VERSION: 1,
+  CLIENT: "granola-clone",
+};
+
+const STREAMING_CONFIG = {
+  CHUNK_DURATION: 4, // Seconds of audio per streamed chunk
+  MIN_DURATION: 1, // Seconds a recording needs to be kept
+  COMPLETION_TIMEOUT: 60000, // Max wait for the last segment after Stop
+};
+
 const AUDIO_CONSTRAINTS = [
   {
     sampleRate: 16000,
@@ -76,8 +114,6 @@ const ERROR_MESSAGES = {
     "Cannot connect to server. Please make sure the backend is running.",
   RECORDING_TOO_SHORT:
     "Recording too short - please record for at least 1 second",
-  RECORDING_TOO_LARGE:
-    "Recording too large (max 50MB) - please record shorter audio",
   CONNECTION_LOST: "Connection lost - please try recording again",
 };
 
@@ -87,7 +123,7 @@ const ERROR_MESSAGES = {
 
 /**
  * @component LiveMeeting
- * @description Main component for live Hindi speech recording and transcription
+ * @description Main component for live speech recording and transcription
  * @returns {JSX.Element} The LiveMeeting component
  */
 function LiveMeeting() {
@@ -97,10 +133,15 @@ function LiveMeeting() {
 
   // Recording state
   const [isRecording, setIsRecording] = useState(false);
-  const [transcript, setTranscript] = useState("");
+  const [segments, setSegments] = useState([]);
+  const [interimSegment, setInterimSegment] = useState(null);
   const [status, setStatus] = useState("Ready to start recording");
   const [error, setError] = useState("");
   const [isConnecting, setIsConnecting] = useState(false);
+  const [isPaused, setIsPaused] = useState(false);
+  const [session, setSession] = useState({ language: null, model: null });
+  const [notes, setNotes] = useState([]);
+  const [templateId, setTemplateId] = useState(null);
 
   // Refs for persistent objects
   const wsRef = useRef(null);
@@ -109,9 +150,36 @@ function LiveMeeting() {
   const reconnectAttempts = useRef(0);
   const componentMountedRef = useRef(true);
   const isStrictModeRef = useRef(false);
+  const segmentsRef = useRef([]);
+  const chunkSendChainRef = useRef(Promise.resolve());
+  const completionTimeoutRef = useRef(null);
+  const isFinalizingRef = useRef(false);
+  const speechStatsRef = useRef(null);
+  const sessionLanguageRef = useRef(null); // language the server confirmed
+  const detectedLanguageRef = useRef(null); // language it recognised
+  const binaryAudioRef = useRef(false); // server accepts binary audio frames
+  const sessionActiveRef = useRef(false); // a recording session is under way
+  const sessionReadyRef = useRef(false); // this connection's hello was answered
+  const resumeRef = useRef(null); // {sessionId, token} for reconnecting
+  const resumingRef = useRef(false); // the last hello asked to resume
+  const pendingChunksRef = useRef([]); // chunks the server has not acked
+  const stopRequestedRef = useRef(false);
+  const isPausedRef = useRef(false);
+  const localRecordingRef = useRef(null); // IndexedDB copy of the recording
+  const callbacksRef = useRef({}); // latest session callbacks, see below
+  const isOfflineRef = useRef(false); // recording without a server session
+  const notesRef = useRef([]); // notes as of the last edit, for finalizing
+  const templateIdRef = useRef(null); // chosen template, for finalizing
+
+  // Plain transcript text derived from finalised segments
+  const transcript = segments
+    .map((segment) => segment.text)
+    .filter(Boolean)
+    .join(" ");
 
   // Hooks
   const { addTranscript } = useContext(TranscriptContext);
+  const { queueRecording } = useContext(PendingUploadsContext);
   const navigate = useNavigate();
 
   // ==========================================================================
@@ -145,6 +213,22 @@ function LiveMeeting() {
     validateBrowserSupport();
   }, []);
 
+  /**
+   * @effect Local Recording Heartbeat
+   * @description Touches the device copy of the recording while this tab
+   * holds it, also while paused, so other tabs do not take it for an
+   * interrupted recording and upload it
+   */
+  useEffect(() => {
+    const timer = setInterval(() => {
+      if (!localRecordingRef.current) return;
+      updateRecording(localRecordingRef.current).catch((touchError) => {
+        console.warn("⚠️ Could not touch local recording:", touchError);
+      });
+    }, RECORDING_HEARTBEAT.INTERVAL);
+    return () => clearInterval(timer);
+  }, []);
+
   /**
    * @effect Cleanup on Unmount
    * @description Ensures proper cleanup when component unmounts
@@ -267,44 +351,46 @@ function LiveMeeting() {
       // Connection closed
       ws.onclose = (event) => {
         clearTimeout(connectionTimeout);
-        handleWebSocketClose(event);
+        callbacksRef.current.handleWebSocketClose(event);
       };
 
       // Message received
       ws.onmessage = (event) => {
-        handleWebSocketMessage(event);
+        callbacksRef.current.handleWebSocketMessage(event);
       };
     });
   }, []);
 
   /**
    * @function handleWebSocketClose
-   * @description Handles WebSocket connection closure with reconnection logic
+   * @description Handles WebSocket connection closure; a recording session
+   * is resumed on a new connection
    * @param {CloseEvent} event - WebSocket close event
    */
-  const handleWebSocketClose = useCallback(
-    (event) => {
-      // Don't treat React StrictMode disconnections as errors
-      if (
-        event.code === 1001 &&
-        (!event.reason || event.reason === "Component unmounting")
-      ) {
-        console.log(
-          "🔌 WebSocket closed due to React StrictMode component lifecycle"
-        );
-        return;
-      }
-
+  const handleWebSocketClose = useCallback((event) => {
+    // Don't treat React StrictMode disconnections as errors
+    if (
+      event.code === 1001 &&
+      (!event.reason || event.reason === "Component unmounting")
+    ) {
       console.log(
-        `🔌 WebSocket closed - Code: ${event.code}, Reason: ${
-          event.reason || "No reason"
-        }`
+        "🔌 WebSocket closed due to React StrictMode component lifecycle"
       );
+      return;
+    }
 
-      // Attempt reconnection if recording and not intentional close
+    console.log(
+      `🔌 WebSocket closed - Code: ${event.code}, Reason: ${
+        event.reason || "No reason"
+      }`
+    );
+    sessionReadyRef.current = false;
+
+    // Attempt reconnection if recording and not intentional close. Refs are
+    // read here because this handler is bound once, when the socket opens
+    if (sessionActiveRef.current && event.code !== 1000) {
       if (
-        isRecording &&
-        event.code !== 1000 &&
+        resumeRef.current &&
         reconnectAttempts.current < WEBSOCKET_CONFIG.MAX_RECONNECT_ATTEMPTS
       ) {
         reconnectAttempts.current++;
@@ -312,72 +398,554 @@ function LiveMeeting() {
           `Connection lost. Retry ${reconnectAttempts.current}/${WEBSOCKET_CONFIG.MAX_RECONNECT_ATTEMPTS}...`
         );
 
-        setTimeout(() => {
-          if (isRecording && componentMountedRef.current) {
-            startRecording();
-          }
-        }, WEBSOCKET_CONFIG.RECONNECT_DELAY_BASE * reconnectAttempts.current);
-      } else if (event.code !== 1000) {
-        setStatus("Disconnected from server");
+        setTimeout(
+          callbacksRef.current.resumeSession,
+          WEBSOCKET_CONFIG.RECONNECT_DELAY_BASE * reconnectAttempts.current
+        );
+      } else {
+        callbacksRef.current.abandonSession();
       }
-    },
-    [isRecording]
-  );
+    } else if (event.code !== 1000) {
+      setStatus("Disconnected from server");
+    }
+  }, []);
+
+  /**
+   * @function resumeSession
+   * @description Reconnects and asks the server to resume the recording
+   * session; the chunks it has not acknowledged are replayed once it agrees
+   */
+  const resumeSession = useCallback(async () => {
+    if (!sessionActiveRef.current || !componentMountedRef.current) return;
+
+    try {
+      const ws = await connectWebSocket();
+      wsRef.current = ws;
+      resumingRef.current = true;
+      ws.send(
+        JSON.stringify({
+          type: "hello",
+          version: PROTOCOL_CONFIG.VERSION,
+          client: PROTOCOL_CONFIG.CLIENT,
+          resume: resumeRef.current,
+        })
+      );
+      setStatus("🔁 Reconnected - resuming session...");
+    } catch (resumeError) {
+      // The socket's close event schedules the next attempt
+      console.warn("⚠️ Reconnect failed:", resumeError.message);
+    }
+  }, [connectWebSocket]);
 
   /**
    * @function handleWebSocketMessage
    * @description Processes messages received from WebSocket
    * @param {MessageEvent} event - WebSocket message event
    */
-  const handleWebSocketMessage = useCallback(
-    (event) => {
-      try {
-        const data = JSON.parse(event.data);
-        console.log("📨 Received from backend:", data);
-
-        if (data.error) {
-          console.error("❌ Backend error:", data.error);
-          setError(data.error);
-          setStatus(`Error: ${data.error}`);
-          return;
+  const handleWebSocketMessage = useCallback((event) => {
+    try {
+      const data = JSON.parse(event.data);
+      console.log("📨 Received from backend:", data);
+
+      if (data.type === "error") {
+        console.error(`❌ Backend error [${data.code}]:`, data.message);
+        setError(data.message);
+        setStatus(`Error: ${data.message}`);
+        return;
+      }
+
+      if (data.type === "hello") {
+        console.log(
+          `🤝 Protocol v${data.version} session ${data.sessionId} (${data.provider})`
+        );
+        binaryAudioRef.current = Boolean(data.binaryAudio);
+        resumeRef.current = {
+          sessionId: data.sessionId,
+          token: data.resumeToken,
+        };
+        sessionReadyRef.current = true;
+
+        const resumeRequested = resumingRef.current;
+        resumingRef.current = false;
+
+        const { abandonSession, replayPendingChunks, resumeRecordingSession } =
+          callbacksRef.current;
+        if (data.resumed) {
+          resumeRecordingSession(data);
+        } else if (resumeRequested) {
+          // The server no longer has the session; keep what was transcribed
+          abandonSession();
+        } else {
+          replayPendingChunks();
         }
+        return;
+      }
 
-        if (data.transcript) {
-          const completeTranscript = data.transcript.trim();
+      if (data.type === "ack") {
+        // Acknowledged audio no longer needs to be kept for a replay
+        if (data.of === "audio") {
+          pendingChunksRef.current = pendingChunksRef.current.filter(
+            (pending) => pending.sequence > data.sequence
+          );
+        }
+
+        // Session settings confirmed by the server
+        if (data.of === "config" || data.of === "start") {
           console.log(
-            `📝 Received transcript: ${completeTranscript.length} characters`
+            `⚙️ Transcribing in ${languageName(data.language)}${
+              data.model ? ` with ${data.model}` : ""
+            }`
           );
+          sessionLanguageRef.current = data.language;
+        }
+
+        // Every chunk has been transcribed and every segment is final
+        if (data.of === "stop") {
+          console.log(`🏁 Streaming complete: ${data.segments} segment(s)`);
+          detectedLanguageRef.current = data.language || null;
+          callbacksRef.current.finalizeRecording();
+        }
+        return;
+      }
+
+      // Streaming segment updates
+      if (data.type === "partial" && data.segment) {
+        setInterimSegment(data.segment);
+        return;
+      }
+
+      if (data.type === "final" && data.segment) {
+        const finalSegment = data.segment;
+        const nextSegments = [
+          ...segmentsRef.current.filter(
+            (segment) => segment.index !== finalSegment.index
+          ),
+          finalSegment,
+        ].sort((a, b) => a.index - b.index);
+
+        segmentsRef.current = nextSegments;
+        setSegments(nextSegments);
+        setInterimSegment((current) =>
+          current && current.index === finalSegment.index ? null : current
+        );
+      }
+    } catch (parseError) {
+      console.error("❌ Failed to parse WebSocket message:", parseError);
+      setError("Invalid response from server");
+    }
+  }, []);
+
+  /**
+   * @function cleanupAfterRecording
+   * @description Cleans up resources after recording completion
+   */
+  const cleanupAfterRecording = useCallback(() => {
+    console.log("🧹 Cleaning up after recording completion");
+
+    sessionActiveRef.current = false;
+    clearTimeout(completionTimeoutRef.current);
+
+    // Close WebSocket
+    if (wsRef.current) {
+      try {
+        wsRef.current.close(1000, "Recording completed");
+      } catch (error) {
+        console.warn("Error closing WebSocket:", error);
+      }
+      wsRef.current = null;
+    }
+
+    // Clean up Web Audio recorder
+    if (webAudioRecorderRef.current) {
+      try {
+        webAudioRecorderRef.current.cleanup();
+      } catch (error) {
+        console.warn("Error cleaning up recorder:", error);
+      }
+      webAudioRecorderRef.current = null;
+    }
+  }, []);
+
+  /**
+   * @function discardLocalRecording
+   * @description Deletes the device copy of the recording once it is no
+   * longer needed
+   */
+  const discardLocalRecording = useCallback(() => {
+    const recordingId = localRecordingRef.current;
+    localRecordingRef.current = null;
+    if (!recordingId) return;
+
+    deleteRecording(recordingId).catch((deleteError) => {
+      console.warn("⚠️ Could not delete local recording:", deleteError);
+    });
+  }, []);
+
+  /**
+   * @function finalizeRecording
+   * @description Saves the streamed segments as a transcript and leaves the
+   * page. A recording made offline is queued for upload instead; the server
+   * transcribes it once it is reachable
+   */
+  const finalizeRecording = useCallback(() => {
+    if (isFinalizingRef.current) return;
+    isFinalizingRef.current = true;
+
+    clearTimeout(completionTimeoutRef.current);
+    const writtenNotes = notesRef.current.filter((note) => note.text.trim());
+    const chosenTemplateId = templateIdRef.current;
+
+    if (isOfflineRef.current) {
+      const recordingId = localRecordingRef.current;
+      localRecordingRef.current = null;
+      if (recordingId) {
+        queueRecording(recordingId, {
+          notes: writtenNotes,
+          templateId: chosenTemplateId,
+        });
+      }
+
+      console.log("💾 Recording kept on this device for upload");
+      setStatus(
+        "💾 Saved on this device - it will be transcribed once the server is reachable"
+      );
+      setInterimSegment(null);
+      cleanupAfterRecording();
+      setTimeout(() => navigate("/"), 2000);
+      return;
+    }
+
+    // Persist the timed segments; the server derives content from them
+    const spokenSegments = segmentsRef.current
+      .filter((segment) => segment.text)
+      .map(({ startTime, endTime, text, confidence, speaker }) => ({
+        startTime,
+        endTime,
+        text,
+        confidence: confidence ?? null,
+        speaker: speaker ?? null,
+      }));
+    const content = spokenSegments
+      .map((segment) => segment.text)
+      .join(" ")
+      .trim();
+
+    // The recognised language, else the chosen one unless it was auto-detect
+    const chosenLanguage = sessionLanguageRef.current;
+    const language =
+      detectedLanguageRef.current ||
+      (chosenLanguage !== AUTO_LANGUAGE ? chosenLanguage : null);
+
+    if (content) {
+      const speechStats = speechStatsRef.current;
+      addTranscript({
+        title: `Meeting - ${new Date().toLocaleDateString()}`,
+        date: new Date().toISOString().split("T")[0],
+        content,
+        segments: spokenSegments,
+        duration: "Unknown",
+        ...(language && { language }),
+        ...(speechStats && {
+          metadata: {
+            speechRatio: Math.round(speechStats.speechRatio * 1000) / 1000,
+          },
+        }),
+        notes: writtenNotes,
+        templateId: chosenTemplateId,
+      });
+      console.log("💾 Transcript saved to history");
+      setStatus("✅ Transcription completed!");
+    } else {
+      setStatus("No speech detected in recording");
+    }
+    discardLocalRecording();
+
+    setInterimSegment(null);
+    cleanupAfterRecording();
+
+    if (content) {
+      setTimeout(() => navigate("/"), 2000);
+    }
+  }, [
+    addTranscript,
+    navigate,
+    queueRecording,
+    discardLocalRecording,
+    cleanupAfterRecording,
+  ]);
+
+  /**
+   * @function abandonSession
+   * @description Handles a session that could not be resumed. A recording
+   * kept on this device continues offline and is uploaded later; otherwise
+   * it ends with the segments transcribed before the connection was lost
+   */
+  const abandonSession = useCallback(() => {
+    if (!sessionActiveRef.current) return;
+    console.warn("⚠️ Recording session lost");
+
+    if (localRecordingRef.current) {
+      sessionActiveRef.current = false;
+      isOfflineRef.current = true;
+      pendingChunksRef.current = [];
+      wsRef.current = null;
+
+      // Everything recorded so far is stored, so nothing is lost
+      if (stopRequestedRef.current) {
+        finalizeRecording();
+      } else {
+        setStatus("🎤 Recording offline - saved on this device");
+      }
+      return;
+    }
+
+    const recorder = webAudioRecorderRef.current;
+    if (recorder?.isRecording) {
+      recorder.stop().catch((stopError) => {
+        console.warn("Error stopping recorder:", stopError);
+      });
+    }
+    if (streamRef.current) {
+      streamRef.current.getTracks().forEach((track) => track.stop());
+      streamRef.current = null;
+    }
+
+    setIsRecording(false);
+    setIsPaused(false);
+    finalizeRecording();
+    setError(ERROR_MESSAGES.CONNECTION_LOST);
+  }, [finalizeRecording]);
+
+  /**
+   * @function transmitChunk
+   * @description Sends a buffered chunk if the session is ready to take it
+   * @param {Object} pending - {sequence, startTime, duration, wav, isSilent}
+   * @returns {boolean} Whether the chunk was sent
+   */
+  const transmitChunk = useCallback((pending) => {
+    const ws = wsRef.current;
+    if (!sessionReadyRef.current || ws?.readyState !== WebSocket.OPEN) {
+      return false;
+    }
+
+    // Binary frames skip base64, which inflates the audio by a third;
+    // servers that do not offer them get JSON audio messages
+    if (binaryAudioRef.current) {
+      ws.send(encodeAudioFrame(pending, pending.wav));
+    } else {
+      ws.send(
+        JSON.stringify({
+          type: "audio",
+          sequence: pending.sequence,
+          mimeType: "audio/wav",
+          startTime: pending.startTime,
+          duration: pending.duration,
+          ...(pending.wav && { audio: encode(pending.wav) }),
+        })
+      );
+    }
+    console.log(
+      `📤 Sent chunk #${pending.sequence} (${pending.duration.toFixed(1)}s)${
+        pending.isSilent ? " [silent]" : ""
+      }${binaryAudioRef.current ? " [binary]" : ""}`
+    );
+    return true;
+  }, []);
+
+  /**
+   * @function sendControl
+   * @description Sends a control message if the session is ready to take it
+   * @param {string} type - Message type, e.g. "pause"
+   */
+  const sendControl = useCallback((type) => {
+    const ws = wsRef.current;
+    if (!sessionReadyRef.current || ws?.readyState !== WebSocket.OPEN) {
+      // Caught up when the session is resumed
+      console.warn(`⚠️ Holding ${type} message: not connected`);
+      return;
+    }
+    ws.send(JSON.stringify({ type }));
+    console.log(`📤 Sent ${type}`);
+  }, []);
 
-          setTranscript(completeTranscript);
-          setStatus("✅ Transcription completed!");
-
-          // Save transcript to context
-          if (completeTranscript) {
-            addTranscript({
-              title: `Hindi Meeting - ${new Date().toLocaleDateString()}`,
-              date: new Date().toISOString().split("T")[0],
-              content: completeTranscript,
-              duration: "Unknown",
-            });
-            console.log("💾 Transcript saved to history");
+  /**
+   * @function sendChunk
+   * @description Sends a rolling audio chunk over the WebSocket, preserving
+   * order; the final chunk is followed by a stop message. Chunks are kept
+   * until the server acknowledges them, so a reconnect can replay them
+   * @param {Object} chunk - Chunk emitted by WebAudioRecorder
+   */
+  const sendChunk = useCallback(
+    (chunk) => {
+      chunkSendChainRef.current = chunkSendChainRef.current
+        .then(async () => {
+          // Stopping while paused leaves an empty final chunk; only stop is sent
+          if (chunk.duration > 0) {
+            const pending = {
+              sequence: chunk.sequence,
+              startTime: chunk.startTime,
+              duration: chunk.duration,
+              isSilent: chunk.isSilent,
+              // Silent chunks carry no audio; their duration keeps the timeline
+              wav: chunk.blob ? await chunk.blob.arrayBuffer() : null,
+            };
+
+            if (!isOfflineRef.current) {
+              pendingChunksRef.current.push(pending);
+
+              if (!transmitChunk(pending)) {
+                console.warn(
+                  `⏳ Chunk #${chunk.sequence} held until reconnected`
+                );
+              }
+            }
+
+            // The device copy outlives a connection that cannot be resumed
+            if (localRecordingRef.current) {
+              await saveChunk(localRecordingRef.current, pending).catch(
+                (saveError) => {
+                  console.warn("⚠️ Could not store audio chunk:", saveError);
+                }
+              );
+            }
           }
 
-          // Cleanup and navigate
-          cleanupAfterRecording();
-          setTimeout(() => navigate("/"), 2000);
-        }
+          // The server acknowledges stop once every segment is final; an
+          // offline recording is complete once its last chunk is stored
+          if (chunk.isFinal) {
+            stopRequestedRef.current = true;
+            if (isOfflineRef.current) {
+              finalizeRecording();
+            } else {
+              sendControl("stop");
+            }
+          }
+        })
+        .catch((sendError) => {
+          console.error("❌ Failed to send audio chunk:", sendError);
+        });
+    },
+    [transmitChunk, sendControl, finalizeRecording]
+  );
 
-        if (data.message) {
-          setStatus(data.message);
-        }
-      } catch (parseError) {
-        console.error("❌ Failed to parse WebSocket message:", parseError);
-        setError("Invalid response from server");
+  /**
+   * @function sendControlMessage
+   * @description Sends a control message after the chunks queued before it
+   * @param {string} type - Message type, e.g. "pause"
+   */
+  const sendControlMessage = useCallback(
+    (type) => {
+      chunkSendChainRef.current = chunkSendChainRef.current.then(() =>
+        sendControl(type)
+      );
+    },
+    [sendControl]
+  );
+
+  /**
+   * @function replayPendingChunks
+   * @description Sends the buffered chunks the server has not received
+   * @param {number|null} [lastSequence] - Highest sequence the server has
+   */
+  const replayPendingChunks = useCallback(
+    (lastSequence = null) => {
+      const unreceived = pendingChunksRef.current.filter(
+        (pending) => lastSequence === null || pending.sequence > lastSequence
+      );
+      pendingChunksRef.current = unreceived;
+
+      const sent = unreceived.filter(transmitChunk).length;
+      if (sent > 0) {
+        console.log(`🔁 Replayed ${sent} buffered chunk(s)`);
+      }
+    },
+    [transmitChunk]
+  );
+
+  /**
+   * @function resumeRecordingSession
+   * @description Catches up with a session the server resumed: restores the
+   * segments finalised while disconnected, replays unreceived audio and
+   * re-sends the pause, resume or stop the server missed
+   * @param {Object} hello - Hello reply with {state, lastSequence, segments}
+   */
+  const resumeRecordingSession = useCallback(
+    (hello) => {
+      console.log(`🔁 Session resumed after chunk #${hello.lastSequence}`);
+
+      const recovered = (hello.segments || []).filter(Boolean);
+      if (recovered.length > 0) {
+        const recoveredIndexes = new Set(recovered.map(({ index }) => index));
+        const nextSegments = [
+          ...segmentsRef.current.filter(
+            (segment) => !recoveredIndexes.has(segment.index)
+          ),
+          ...recovered,
+        ].sort((a, b) => a.index - b.index);
+
+        segmentsRef.current = nextSegments;
+        setSegments(nextSegments);
+      }
+
+      // The server finished the stop, only its acknowledgement was lost
+      if (hello.state === "ready" && stopRequestedRef.current) {
+        finalizeRecording();
+        return;
+      }
+      if (hello.state !== "recording" && hello.state !== "paused") return;
+
+      // Audio is only accepted while recording
+      const unreceived = pendingChunksRef.current.some(
+        (pending) =>
+          hello.lastSequence === null || pending.sequence > hello.lastSequence
+      );
+      let serverPaused = hello.state === "paused";
+      if (serverPaused && (unreceived || !isPausedRef.current)) {
+        sendControl("resume");
+        serverPaused = false;
+      }
+
+      replayPendingChunks(hello.lastSequence);
+
+      if (stopRequestedRef.current) {
+        sendControl("stop");
+        setStatus("Finalizing transcript...");
+      } else if (isPausedRef.current) {
+        if (!serverPaused) sendControl("pause");
+        setStatus("⏸ Paused - click Resume to continue");
+      } else {
+        setStatus("🎤 Recording... Click Stop when finished");
       }
     },
-    [addTranscript, navigate]
+    [finalizeRecording, replayPendingChunks, sendControl]
   );
 
+  /**
+   * @effect Session Callbacks
+   * @description The socket's handlers are bound once, when it opens, and
+   * are declared before the callbacks they call; they read the latest ones
+   * from callbacksRef, as they read state from refs
+   */
+  useEffect(() => {
+    callbacksRef.current = {
+      handleWebSocketClose,
+      handleWebSocketMessage,
+      resumeSession,
+      abandonSession,
+      finalizeRecording,
+      replayPendingChunks,
+      resumeRecordingSession,
+    };
+  }, [
+    handleWebSocketClose,
+    handleWebSocketMessage,
+    resumeSession,
+    abandonSession,
+    finalizeRecording,
+    replayPendingChunks,
+    resumeRecordingSession,
+  ]);
+
   // ==========================================================================
   // AUDIO RECORDING MANAGEMENT
   // ==========================================================================
@@ -420,14 +988,77 @@ function LiveMeeting() {
   const startRecording = useCallback(async () => {
     try {
       setError("");
+      segmentsRef.current = [];
+      setSegments([]);
+      setInterimSegment(null);
+      isFinalizingRef.current = false;
+      speechStatsRef.current = null;
+      setIsPaused(false);
+      sessionLanguageRef.current = null;
+      binaryAudioRef.current = false;
+      detectedLanguageRef.current = null;
+      chunkSendChainRef.current = Promise.resolve();
+      sessionReadyRef.current = false;
+      resumeRef.current = null;
+      resumingRef.current = false;
+      pendingChunksRef.current = [];
+      stopRequestedRef.current = false;
+      isPausedRef.current = false;
+      isOfflineRef.current = false;
 
       // Validate browser support
       if (!validateBrowserSupport()) {
         return;
       }
 
-      // Connect to WebSocket
-      wsRef.current = await connectWebSocket();
+      // Keep a copy of the audio on this device while recording
+      localRecordingRef.current = null;
+      if (isRecordingStoreSupported()) {
+        try {
+          const recording = await createRecording({
+            title: `Meeting - ${new Date().toLocaleDateString()}`,
+            language: session.language,
+            model: session.model,
+          });
+          localRecordingRef.current = recording.id;
+        } catch (storeError) {
+          console.warn("⚠️ Recording will not be kept offline:", storeError);
+        }
+      }
+
+      // Connect to WebSocket; without a server the recording is made offline
+      // and uploaded when the server is reachable again
+      try {
+        wsRef.current = await connectWebSocket();
+      } catch (connectError) {
+        if (!localRecordingRef.current) throw connectError;
+        console.warn("⚠️ Server unreachable, recording offline:", connectError);
+        isOfflineRef.current = true;
+        setIsConnecting(false);
+      }
+
+      // Agree on the protocol, then choose the language and model before
+      // any audio; unset values keep the server defaults, which it confirms
+      // when acknowledging the start of the recording
+      if (!isOfflineRef.current) {
+        const openingMessages = [
+          {
+            type: "hello",
+            version: PROTOCOL_CONFIG.VERSION,
+            client: PROTOCOL_CONFIG.CLIENT,
+          },
+          {
+            type: "config",
+            ...(session.language && { language: session.language }),
+            ...(session.model && { model: session.model }),
+          },
+          { type: "start" },
+        ];
+        openingMessages.forEach((message) =>
+          wsRef.current.send(JSON.stringify(message))
+        );
+        sessionActiveRef.current = true;
+      }
 
       setStatus("Requesting microphone access...");
 
@@ -442,9 +1073,15 @@ function LiveMeeting() {
         sampleRate: 16000,
         numChannels: 1,
         bufferSize: 4096,
+        chunkDuration: STREAMING_CONFIG.CHUNK_DURATION,
+        onChunk: sendChunk,
         onDataAvailable: (data) => {
           if (data.duration > 0) {
-            setStatus(`🎤 Recording: ${data.duration.toFixed(1)}s`);
+            setStatus(
+              `🎤 Recording${
+                isOfflineRef.current ? " offline" : ""
+              }: ${data.duration.toFixed(1)}s`
+            );
           }
         },
       });
@@ -456,7 +1093,11 @@ function LiveMeeting() {
       // Start recording
       webAudioRecorderRef.current.start();
       setIsRecording(true);
-      setStatus("🎤 Recording... Click Stop when finished");
+      setStatus(
+        isOfflineRef.current
+          ? "🎤 Recording offline - saved on this device until the server is reachable"
+          : "🎤 Recording... Click Stop when finished"
+      );
 
       console.log("🎤 Recording started successfully");
     } catch (error) {
@@ -475,20 +1116,31 @@ function LiveMeeting() {
       else if (error.message.includes("timeout"))
         errorMessage = ERROR_MESSAGES.NETWORK_TIMEOUT;
 
+      sessionActiveRef.current = false;
+      discardLocalRecording();
       setError(errorMessage);
       setStatus("Failed to start recording");
       setIsRecording(false);
       setIsConnecting(false);
     }
-  }, [validateBrowserSupport, connectWebSocket, requestMicrophoneAccess]);
+  }, [
+    validateBrowserSupport,
+    connectWebSocket,
+    requestMicrophoneAccess,
+    sendChunk,
+    discardLocalRecording,
+    session,
+  ]);
 
   /**
    * @function stopRecording
-   * @description Stops recording and processes audio for transcription
+   * @description Stops recording and waits for the last streamed segment
    */
   const stopRecording = useCallback(async () => {
     console.log("🛑 Stop recording requested");
     setIsRecording(false);
+    setIsPaused(false);
+    isPausedRef.current = false;
     setStatus("Processing recorded audio...");
 
     if (!webAudioRecorderRef.current) {
@@ -497,47 +1149,34 @@ function LiveMeeting() {
     }
 
     try {
-      // Generate WAV file from recording
-      console.log("📁 Generating WAV file from recording");
-      const wavBlob = webAudioRecorderRef.current.stop();
-
-      console.log(
-        `🎵 Generated WAV file: ${wavBlob.size} bytes, type: ${wavBlob.type}`
-      );
-
-      // Validate audio size
-      if (wavBlob.size < 1000) {
+      // Stopping flushes the remaining audio as the final streaming chunk
+      console.log("📁 Flushing final audio chunk");
+      const recorder = webAudioRecorderRef.current;
+      await recorder.stop();
+      speechStatsRef.current = recorder.getSpeechStats();
+
+      // Validate audio length
+      if (recorder.getDuration() < STREAMING_CONFIG.MIN_DURATION) {
         setError(ERROR_MESSAGES.RECORDING_TOO_SHORT);
+        isFinalizingRef.current = true;
+        discardLocalRecording();
         cleanupAfterRecording();
         return;
       }
 
-      if (wavBlob.size > 50 * 1024 * 1024) {
-        setError(ERROR_MESSAGES.RECORDING_TOO_LARGE);
-        cleanupAfterRecording();
-        return;
-      }
-
-      // Send for transcription
-      if (wsRef.current?.readyState === WebSocket.OPEN) {
-        setStatus("Sending audio for transcription...");
-
-        const buffer = await wavBlob.arrayBuffer();
-        const base64 = encode(buffer);
-
-        const audioData = {
-          audio: base64,
-          mimeType: "audio/wav",
-        };
-        console.log(`📤 Sending WAV audio data: ${base64.length} characters`);
-        wsRef.current.send(JSON.stringify(audioData));
+      // While reconnecting, stop is sent once the session is resumed; an
+      // offline recording is queued for upload once its last chunk is stored
+      setStatus(
+        isOfflineRef.current
+          ? "Saving recording on this device..."
+          : "Finalizing transcript..."
+      );
 
-        setStatus("Processing transcription...");
-        console.log("📤 Audio sent for transcription");
-      } else {
-        setError(ERROR_MESSAGES.CONNECTION_LOST);
-        cleanupAfterRecording();
-      }
+      // Save whatever arrived if the server never confirms completion
+      completionTimeoutRef.current = setTimeout(() => {
+        console.warn("⏰ Streaming completion timed out");
+        finalizeRecording();
+      }, STREAMING_CONFIG.COMPLETION_TIMEOUT);
     } catch (error) {
       console.error("❌ Error processing recording:", error);
       setError(`Audio processing error: ${error.message}`);
@@ -549,40 +1188,12 @@ function LiveMeeting() {
       streamRef.current.getTracks().forEach((track) => track.stop());
       streamRef.current = null;
     }
-  }, []);
+  }, [finalizeRecording, discardLocalRecording, cleanupAfterRecording]);
 
   // ==========================================================================
   // CLEANUP FUNCTIONS
   // ==========================================================================
 
-  /**
-   * @function cleanupAfterRecording
-   * @description Cleans up resources after recording completion
-   */
-  const cleanupAfterRecording = useCallback(() => {
-    console.log("🧹 Cleaning up after recording completion");
-
-    // Close WebSocket
-    if (wsRef.current) {
-      try {
-        wsRef.current.close(1000, "Recording completed");
-      } catch (error) {
-        console.warn("Error closing WebSocket:", error);
-      }
-      wsRef.current = null;
-    }
-
-    // Clean up Web Audio recorder
-    if (webAudioRecorderRef.current) {
-      try {
-        webAudioRecorderRef.current.cleanup();
-      } catch (error) {
-        console.warn("Error cleaning up recorder:", error);
-      }
-      webAudioRecorderRef.current = null;
-    }
-  }, []);
-
   /**
    * @function cleanupAllResources
    * @description Comprehensive cleanup of all component resources
@@ -591,6 +1202,7 @@ function LiveMeeting() {
     console.log("🧹 Comprehensive resource cleanup initiated");
 
     // Stop recording if active
+    sessionActiveRef.current = false;
     if (isRecording) {
       setIsRecording(false);
     }
@@ -640,23 +1252,89 @@ function LiveMeeting() {
     }
   }, [isRecording, startRecording, stopRecording]);
 
+  /**
+   * @function handlePauseToggle
+   * @description Pauses or resumes the recording; the audio captured before
+   * a pause is sent first, so its segment is finalised
+   */
+  const handlePauseToggle = useCallback(() => {
+    const recorder = webAudioRecorderRef.current;
+    if (!recorder) return;
+
+    if (isPaused) {
+      sendControlMessage("resume");
+      recorder.resume();
+      setIsPaused(false);
+      isPausedRef.current = false;
+      setStatus("🎤 Recording... Click Stop when finished");
+    } else {
+      // The pause follows the chunk with the audio captured before it
+      recorder.pause().then(() => sendControlMessage("pause"));
+      setIsPaused(true);
+      isPausedRef.current = true;
+      setStatus("⏸ Paused - click Resume to continue");
+    }
+  }, [isPaused, sendControlMessage]);
+
   /**
    * @function handleClearTranscript
    * @description Clears the current transcript
    */
   const handleClearTranscript = useCallback(() => {
-    setTranscript("");
+    segmentsRef.current = [];
+    setSegments([]);
+    setInterimSegment(null);
     setError("");
     setStatus("Ready to start recording");
   }, []);
 
+  /**
+   * @function handleTemplateChange
+   * @description Keeps the chosen template for display and for saving
+   * @param {?string} nextTemplateId - Template ID, or null for none
+   */
+  const handleTemplateChange = useCallback((nextTemplateId) => {
+    templateIdRef.current = nextTemplateId;
+    setTemplateId(nextTemplateId);
+  }, []);
+
+  /**
+   * @function handleNotesChange
+   * @description Keeps the edited notes for display and for saving
+   * @param {Object[]} nextNotes - Notes as {time, text}
+   */
+  const handleNotesChange = useCallback((nextNotes) => {
+    notesRef.current = nextNotes;
+    setNotes(nextNotes);
+  }, []);
+
+  /**
+   * @function getNoteTime
+   * @description Times a new note against the recording, so it lines up
+   * with the transcript segments; paused time is not counted
+   * @returns {number|null} Seconds recorded so far, or null when not recording
+   */
+  const getNoteTime = useCallback(() => {
+    const recorder = webAudioRecorderRef.current;
+    if (!recorder?.isRecording) return null;
+    return Math.round(recorder.getDuration() * 100) / 100;
+  }, []);
+
   // ==========================================================================
   // RENDER
   // ==========================================================================
 
   return (
     <div className="container">
-      <h2>Live Meeting (Hindi Speech-to-Text)</h2>
+      <h2>Live Meeting</h2>
+
+      {/* Session Settings */}
+      <LanguagePicker
+        value={session}
+        onChange={setSession}
+        disabled={isRecording || isConnecting}
+      />
+      <TemplatePicker value={templateId} onChange={handleTemplateChange} />
 
       {/* Status Display */}
       <div
@@ -689,30 +1367,61 @@ function LiveMeeting() {
         )}
       </div>
 
-      {/* Transcript Display */}
-      <div
-        style={{
-          margin: "20px 0",
-          padding: "20px",
-          minHeight: "200px",
-          backgroundColor: "#fafafa",
-          border: "2px solid #ddd",
-          borderRadius: "8px",
-          fontSize: "16px",
-          lineHeight: "1.6",
-          fontFamily: "Georgia, serif",
-        }}
-      >
+      <div className="meeting-columns">
+        {/* Transcript Display */}
         <div
-          style={{ fontWeight: "bold", marginBottom: "15px", color: "#333" }}
+          style={{
+            margin: "20px 0",
+            padding: "20px",
+            minHeight: "200px",
+            backgroundColor: "#fafafa",
+            border: "2px solid #ddd",
+            borderRadius: "8px",
+            fontSize: "16px",
+            lineHeight: "1.6",
+            fontFamily: "Georgia, serif",
+          }}
         >
-          Transcript:
+          <div
+            style={{ fontWeight: "bold", marginBottom: "15px", color: "#333" }}
+          >
+            Transcript:
+          </div>
+          <TranscriptViewer
+            segments={segments}
+            interimSegment={interimSegment}
+            placeholder={
+              isRecording
+                ? "🎤 Recording in progress... Transcript will appear as you speak."
+                : "Click Start Recording to begin capturing your meeting"
+            }
+          />
         </div>
-        <div style={{ color: transcript ? "#000" : "#666" }}>
-          {transcript ||
-            (isRecording
-              ? "🎤 Recording in progress... Transcript will appear when you stop recording."
-              : "Click Start Recording to begin capturing your Hindi speech")}
+
+        {/* Meeting Notes */}
+        <div
+          style={{
+            margin: "20px 0",
+            padding: "20px",
+            minHeight: "200px",
+            backgroundColor: "#fffde7",
+            border: "2px solid #ddd",
+            borderRadius: "8px",
+            fontSize: "16px",
+            lineHeight: "1.6",
+          }}
+        >
+          <div
+            style={{ fontWeight: "bold", marginBottom: "15px", color: "#333" }}
+          >
+            Notes:
+          </div>
+          <NotesEditor
+            notes={notes}
+            onChange={handleNotesChange}
+            getTime={getNoteTime}
+            placeholder="Jot down a note and press Enter"
+          />
         </div>
       </div>
 
@@ -742,6 +1451,26 @@ function LiveMeeting() {
             : "🎤 Start Recording"}
         </button>
 
+        {isRecording && (
+          <button
+            onClick={handlePauseToggle}
+            style={{
+              padding: "15px 30px",
+              fontSize: "18px",
+              fontWeight: "bold",
+              backgroundColor: isPaused ? "#4caf50" : "#607d8b",
+              color: "white",
+              border: "none",
+              borderRadius: "25px",
+              cursor: "pointer",
+              marginRight: "10px",
+              transition: "all 0.3s ease",
+            }}
+          >
+            {isPaused ? "▶ Resume" : "⏸ Pause"}
+          </button>
+        )}
+
         {transcript && (
           <button
             onClick={handleClearTranscript}
@@ -779,10 +1508,18 @@ function LiveMeeting() {
           💡 Recording Tips:
         </div>
         <ul style={{ margin: 0, paddingLeft: "20px" }}>
-          <li>Speak clearly in Hindi for best transcription results</li>
+          <li>
+            Pick the meeting language for best results, or Auto-detect if you
+            are unsure
+          </li>
           <li>Record complete conversations - no time limits</li>
+          <li>Pause during breaks; paused time is not recorded</li>
           <li>Ensure your microphone is working and not used by other apps</li>
-          <li>Transcript will appear after you stop recording</li>
+          <li>Transcript appears live while you speak</li>
+          <li>
+            Keep notes short; after the meeting, enhance them with what was said
+            around each one
+          </li>
           <li>Your recordings are automatically saved to history</li>
           {error && (
             <li style={{ color: "#f44336", fontWeight: "bold" }}>
@@ -0,0 +1,88 @@
+/**
+ * @fileoverview Templates page for managing meeting templates
+ * @description Lists the templates ("recipes") summaries can be written in
+ * and lets users add, edit and delete them
+ */
+
+import React, { useContext, useState } from "react";
+import { TemplateContext } from "../context/TemplateContext";
+import TemplateEditor from "../components/TemplateEditor";
+
+/**
+ * @component Templates
+ * @description Template list with an editor for new and existing templates
+ * @returns {JSX.Element} Rendered templates page
+ */
+const Templates = () => {
+  const { templates, isLoading, error, saveTemplate, deleteTemplate } =
+    useContext(TemplateContext);
+  // Template being edited: null when closed, {} for a new one
+  const [editing, setEditing] = useState(null);
+
+  const handleSave = async (template) => {
+    const saved = await saveTemplate(template);
+    if (saved) setEditing(null);
+  };
+
+  const handleDelete = (template) => {
+    if (
+      window.confirm(
+        `Delete the "${template.name}" template? Meetings using it will be summarised without one.`
+      )
+    ) {
+      deleteTemplate(template.id);
+    }
+  };
+
+  return (
+    <div className="container">
+      <h2>Meeting templates</h2>
+      <p>
+        A template lists the sections a meeting summary is written in. Pick one
+        when starting a meeting or on a transcript.
+      </p>
+
+      {error && <p className="error-text">⚠️ {error}</p>}
+
+      {editing ? (
+        <TemplateEditor
+          key={editing.id || "new"}
+          template={editing.id ? editing : null}
+          onSave={handleSave}
+          onCancel={() => setEditing(null)}
+        />
+      ) : (
+        <button className="start-btn" onClick={() => setEditing({})}>
+          New template
+        </button>
+      )}
+
+      {isLoading && templates.length === 0 ? (
+        <p className="transcript-placeholder">Loading templates...</p>
+      ) : (
+        templates.map((template) => (
+          <div key={template.id} className="card">
+            <h3>{template.name}</h3>
+            {template.description && <p>{template.description}</p>}
+            <ul>
+              {template.sections.map((section) => (
+                <li key={section.title}>
+                  <b>{section.title}</b>
+                  {section.prompt && ` — ${section.prompt}`}
+                </li>
+              ))}
+            </ul>
+            <button className="link-btn" onClick={() => setEditing(template)}>
+              Edit
+            </button>{" "}
+            <button className="link-btn" onClick={() => handleDelete(template)}>
+              Delete
+            </button>
+          </div>
+        ))
+      )}
+    </div>
+  );
+};
+
+export default Templates;
@@ -3,9 +3,18 @@
  * @description Displays detailed transcript content for specific meetings
  */
 
-import React, { useContext } from "react";
-import { useParams } from "react-router-dom";
+import React, { useContext, useEffect, useMemo, useState } from "react";
+import { useLocation, useParams } from "react-router-dom";
 import { TranscriptContext } from "../context/TranscriptContext";
+import TranscriptViewer from "../components/TranscriptViewer";
+import SpeakerEditor from "../components/SpeakerEditor";
+import DownloadMenu from "../components/DownloadMenu";
+import LanguagePicker from "../components/LanguagePicker";
+import NotesEditor from "../components/NotesEditor";
+import EnhancedNotes from "../components/EnhancedNotes";
+import MeetingSummary from "../components/MeetingSummary";
+import TemplatePicker from "../components/TemplatePicker";
+import { languageName } from "../utils/languages";
 
 /**
  * @component Transcript
@@ -14,19 +23,199 @@ import { TranscriptContext } from "../context/TranscriptContext";
  */
 function Transcript() {
   const { id } = useParams();
-  const { transcripts } = useContext(TranscriptContext);
+  const { hash } = useLocation();
+  const {
+    transcripts,
+    renameSpeakers,
+    updateNotes,
+    enhanceNotes,
+    retranscribe,
+    summarize,
+    getExportUrl,
+  } = useContext(TranscriptContext);
+  const [retranscribeStatus, setRetranscribeStatus] = useState(null);
+  const [retranscribeOptions, setRetranscribeOptions] = useState({
+    language: null,
+    model: null,
+  });
+  const [editedNotes, setEditedNotes] = useState(null); // null until edited
+  const [notesStatus, setNotesStatus] = useState(null);
+  const [summaryStatus, setSummaryStatus] = useState(null);
+  // Template picked for the next summary; undefined keeps the transcript's
+  const [templateChoice, setTemplateChoice] = useState(undefined);
 
   const transcript = transcripts.find((t) => t.id.toString() === id);
+  const segments = useMemo(() => transcript?.segments || [], [transcript]);
+
+  // Distinct speaker labels in order of first appearance
+  const speakers = useMemo(
+    () => [
+      ...new Set(segments.map((segment) => segment.speaker).filter(Boolean)),
+    ],
+    [segments]
+  );
+
+  // Action items link to the segment they came from as #segment-<index>
+  const highlightIndex = useMemo(() => {
+    const match = hash.match(/^#segment-(\d+)$/);
+    return match ? Number(match[1]) : null;
+  }, [hash]);
+
+  useEffect(() => {
+    if (highlightIndex === null) return;
+    document
+      .getElementById(`segment-${highlightIndex}`)
+      ?.scrollIntoView({ behavior: "smooth", block: "center" });
+  }, [highlightIndex, segments]);
 
   if (!transcript) return <p>Transcript not found</p>;
 
+  const handleRetranscribe = async () => {
+    setRetranscribeStatus("running");
+    const job = await retranscribe(transcript.id, retranscribeOptions);
+    setRetranscribeStatus(job?.status === "succeeded" ? null : "failed");
+  };
+
+  const handleSummarize = async () => {
+    setSummaryStatus("running");
+    const job = await summarize(transcript.id, { templateId: templateChoice });
+    const succeeded = job?.status === "succeeded";
+    setSummaryStatus(succeeded ? null : "failed");
+    // The refreshed transcript now carries the chosen template
+    if (succeeded) setTemplateChoice(undefined);
+  };
+
+  const notes = editedNotes ?? transcript.notes ?? [];
+
+  // Saves edited notes first, since enhancing works on the stored ones
+  const handleNotes = async (enhance) => {
+    setNotesStatus(enhance ? "enhancing" : "saving");
+    try {
+      if (editedNotes) {
+        const saved = await updateNotes(
+          transcript.id,
+          editedNotes.filter((note) => note.text.trim())
+        );
+        if (!saved) return;
+        setEditedNotes(null);
+      }
+      if (enhance) await enhanceNotes(transcript.id);
+    } finally {
+      setNotesStatus(null);
+    }
+  };
+
   return (
     <div className="container">
       <h2>{transcript.title}</h2>
       <p>
         <b>Date:</b> {transcript.date}
       </p>
-      <p>{transcript.content}</p>
+      {transcript.language && (
+        <p>
+          <b>Language:</b> {languageName(transcript.language)}
+        </p>
+      )}
+      {typeof transcript.metadata?.speechRatio === "number" && (
+        <p>
+          <b>Speech:</b> {Math.round(transcript.metadata.speechRatio * 100)}% of
+          the recording
+        </p>
+      )}
+      <DownloadMenu getUrl={(format) => getExportUrl(transcript.id, format)} />
+      {transcript.recording && (
+        <div className="card">
+          <LanguagePicker
+            value={{
+              ...retranscribeOptions,
+              language: retranscribeOptions.language || transcript.language,
+            }}
+            onChange={setRetranscribeOptions}
+            disabled={retranscribeStatus === "running"}
+          />
+          <button
+            className="link-btn"
+            onClick={handleRetranscribe}
+            disabled={retranscribeStatus === "running"}
+          >
+            {retranscribeStatus === "running"
+              ? "Re-transcribing..."
+              : "Re-transcribe recording"}
+          </button>
+        </div>
+      )}
+      {retranscribeStatus === "failed" && (
+        <p className="error-text">⚠️ Re-transcription failed</p>
+      )}
+      {transcript.content?.trim() && (
+        <div className="card">
+          <h3>Summary</h3>
+          <TemplatePicker
+            value={
+              templateChoice === undefined
+                ? transcript.templateId
+                : templateChoice
+            }
+            onChange={setTemplateChoice}
+            disabled={summaryStatus === "running"}
+          />
+          {transcript.summary && (
+            <MeetingSummary summary={transcript.summary} />
+          )}
+          <button
+            className="mic-btn"
+            onClick={handleSummarize}
+            disabled={summaryStatus === "running"}
+          >
+            {summaryStatus === "running"
+              ? "Summarising..."
+              : transcript.summary
+              ? "Summarise again"
+              : "📝 Summarise"}
+          </button>
+          {summaryStatus === "failed" && (
+            <p className="error-text">⚠️ Summary failed</p>
+          )}
+        </div>
+      )}
+      <div className="card">
+        <h3>Notes</h3>
+        <NotesEditor
+          notes={notes}
+          onChange={setEditedNotes}
+          placeholder="Add a note and press Enter"
+        />
+        {editedNotes && (
+          <button
+            className="start-btn"
+            onClick={() => handleNotes(false)}
+            disabled={notesStatus !== null}
+          >
+            {notesStatus === "saving" ? "Saving..." : "Save notes"}
+          </button>
+        )}{" "}
+        {notes.length > 0 && segments.length > 0 && (
+          <button
+            className="mic-btn"
+            onClick={() => handleNotes(true)}
+            disabled={notesStatus !== null}
+          >
+            {notesStatus === "enhancing" ? "Enhancing..." : "✨ Enhance notes"}
+          </button>
+        )}
+        {transcript.enhancedNotes && !editedNotes && (
+          <EnhancedNotes notes={transcript.enhancedNotes.notes} />
+        )}
+      </div>
+      <SpeakerEditor
+        speakers={speakers}
+        onRename={(renames) => renameSpeakers(transcript.id, renames)}
+      />
+      <TranscriptViewer
+        transcript={transcript.content}
+        segments={segments}
+        highlightIndex={highlightIndex}
+      />
     </div>
   );
 }
@@ -0,0 +1,230 @@
+/**
+ * @fileoverview Upload page for batch transcription of recorded meetings
+ * @description Sends a recording (WAV, FLAC or Opus) to the transcription
+ * queue and follows the job until the transcript is saved.
+ *
+ * @author AI Assistant
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+// =============================================================================
+// IMPORTS
+// =============================================================================
+
+import React, { useContext, useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import axios from "axios";
+import { TranscriptContext } from "../context/TranscriptContext";
+import LanguagePicker from "../components/LanguagePicker";
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const UPLOAD_CONFIG = {
+  URL: "http://localhost:5000/api/transcriptions",
+  MAX_FILE_SIZE: 512 * 1024 * 1024, // Matches the server's upload limit
+  ACCEPT:
+    ".wav,.wave,.flac,.ogg,.oga,.opus,.webm,audio/wav,audio/flac,audio/ogg,audio/webm",
+  POLL_INTERVAL: 2000,
+  TIMEOUT: 60000,
+  UPLOAD_TIMEOUT: 10 * 60 * 1000, // Long recordings are large files
+};
+
+const STATUS_LABELS = {
+  queued: "Waiting in queue...",
+  running: "Transcribing...",
+  succeeded: "Transcript ready",
+  failed: "Transcription failed",
+  cancelled: "Cancelled",
+};
+
+/**
+ * @function describeUploadError
+ * @description Maps an upload failure to a user-facing message
+ * @param {Error} uploadError - Axios error
+ * @returns {string} Message to display
+ */
+const describeUploadError = (uploadError) => {
+  const { response } = uploadError;
+  if (!response) return "Cannot connect to server";
+  if (response.status === 413) return "File is too large (max 512MB)";
+  if (response.status === 429) return "Too many uploads, try again later";
+  return (
+    response.data?.details?.map((detail) => detail.message).join(". ") ||
+    "Upload failed"
+  );
+};
+
+// =============================================================================
+// UPLOAD COMPONENT
+// =============================================================================
+
+/**
+ * @component Upload
+ * @description Form for uploading a recording, with job progress
+ * @returns {JSX.Element} Rendered upload page
+ */
+const Upload = () => {
+  const { refreshTranscripts } = useContext(TranscriptContext);
+
+  const [file, setFile] = useState(null);
+  const [title, setTitle] = useState("");
+  const [session, setSession] = useState({ language: null, model: null });
+  const [job, setJob] = useState(null);
+  const [error, setError] = useState(null);
+  const [isUploading, setIsUploading] = useState(false);
+
+  const isActive = job && ["queued", "running"].includes(job.status);
+  const isTooLarge = file && file.size > UPLOAD_CONFIG.MAX_FILE_SIZE;
+
+  // Poll the job until it finishes
+  useEffect(() => {
+    if (!isActive) return undefined;
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await axios.get(`${UPLOAD_CONFIG.URL}/${job.id}`, {
+          timeout: UPLOAD_CONFIG.TIMEOUT,
+        });
+        setJob(response.data);
+        if (response.data.status === "succeeded") refreshTranscripts();
+      } catch (pollError) {
+        console.error("❌ Failed to check transcription job:", pollError);
+        setError("Lost track of the transcription job");
+        setJob(null);
+      }
+    }, UPLOAD_CONFIG.POLL_INTERVAL);
+
+    return () => clearTimeout(timer);
+  }, [job, isActive, refreshTranscripts]);
+
+  /**
+   * @function handleCancel
+   * @description Cancels the active job; a job that finished in the meantime
+   * is shown as it ended
+   */
+  const handleCancel = async () => {
+    try {
+      const response = await axios.delete(`${UPLOAD_CONFIG.URL}/${job.id}`, {
+        timeout: UPLOAD_CONFIG.TIMEOUT,
+      });
+      setJob(response.data);
+    } catch (cancelError) {
+      if (cancelError.response?.status === 409) {
+        setJob(cancelError.response.data.job);
+      } else {
+        console.error("❌ Failed to cancel transcription job:", cancelError);
+        setError("Could not cancel the transcription job");
+      }
+    }
+  };
+
+  /**
+   * @function handleFileChange
+   * @param {Event} event - File input change event
+   */
+  const handleFileChange = (event) => {
+    setFile(event.target.files[0] || null);
+    setError(null);
+    setJob(null);
+  };
+
+  /**
+   * @function handleSubmit
+   * @param {Event} event - Form submit event
+   */
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (!file) return;
+
+    const form = new FormData();
+    form.append("file", file);
+    if (title.trim()) form.append("title", title.trim());
+    if (session.language) form.append("language", session.language);
+    if (session.model) form.append("model", session.model);
+
+    setIsUploading(true);
+    setError(null);
+    try {
+      const response = await axios.post(UPLOAD_CONFIG.URL, form, {
+        timeout: UPLOAD_CONFIG.UPLOAD_TIMEOUT,
+      });
+      console.log("📤 Recording uploaded, job:", response.data.id);
+      setJob(response.data);
+    } catch (uploadError) {
+      console.error("❌ Upload failed:", uploadError);
+      setError(describeUploadError(uploadError));
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  return (
+    <div className="container">
+      <h2>Upload Recording</h2>
+
+      <form className="card upload-form" onSubmit={handleSubmit}>
+        <label>
+          <span>Audio file (WAV, FLAC or Opus)</span>
+          <input
+            type="file"
+            accept={UPLOAD_CONFIG.ACCEPT}
+            onChange={handleFileChange}
+            disabled={isUploading || isActive}
+          />
+        </label>
+        <label>
+          <span>Title</span>
+          <input
+            type="text"
+            placeholder={file ? file.name.replace(/\.[^.]+$/, "") : ""}
+            value={title}
+            maxLength={200}
+            onChange={(event) => setTitle(event.target.value)}
+            disabled={isUploading || isActive}
+          />
+        </label>
+        <LanguagePicker
+          value={session}
+          onChange={setSession}
+          disabled={isUploading || isActive}
+        />
+        <button
+          type="submit"
+          className="start-btn"
+          disabled={!file || isTooLarge || isUploading || isActive}
+        >
+          {isUploading ? "Uploading..." : "Transcribe"}
+        </button>
+      </form>
+
+      {isTooLarge && (
+        <p className="error-text">⚠️ File is too large (max 512MB)</p>
+      )}
+      {error && <p className="error-text">⚠️ {error}</p>}
+
+      {job && (
+        <div className="card">
+          <p>
+            <b>{job.payload.fileName}:</b> {STATUS_LABELS[job.status]}
+          </p>
+          {isActive && (
+            <button className="link-btn" onClick={handleCancel}>
+              Cancel
+            </button>
+          )}
+          {job.status === "failed" && <p className="error-text">{job.error}</p>}
+          {job.status === "succeeded" && (
+            <Link to={`/transcript/${job.result.transcriptId}`}>
+              View Transcript
+            </Link>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Upload;
@@ -0,0 +1,49 @@
+/**
+ * @fileoverview Binary audio frames
+ * @description Packs a streaming chunk into a binary WebSocket frame: a
+ * little-endian header followed by the WAV bytes, so audio is not base64
+ * encoded inside JSON. Mirrors the frame layout documented in
+ * granola-clone-backend/ws/protocol.js.
+ *
+ * @author AI Assistant
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+export const AUDIO_FRAME = {
+  TYPE: 1,
+  HEADER_LENGTH: 24,
+};
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * @function encodeAudioFrame
+ * @description Builds the binary frame for one chunk
+ * @param {Object} chunk - {sequence, startTime, duration} in seconds
+ * @param {ArrayBuffer} [wav] - WAV bytes; omitted for a silent chunk
+ * @returns {ArrayBuffer} Frame ready for WebSocket#send
+ */
+export const encodeAudioFrame = ({ sequence, startTime, duration }, wav) => {
+  const payloadLength = wav ? wav.byteLength : 0;
+  const frame = new ArrayBuffer(AUDIO_FRAME.HEADER_LENGTH + payloadLength);
+  const view = new DataView(frame);
+
+  view.setUint8(0, AUDIO_FRAME.TYPE);
+  view.setUint8(1, 0); // flags, reserved
+  view.setUint16(2, AUDIO_FRAME.HEADER_LENGTH, true);
+  view.setUint32(4, sequence, true);
+  view.setFloat64(8, startTime, true);
+  view.setFloat64(16, duration, true);
+
+  if (wav) {
+    new Uint8Array(frame, AUDIO_FRAME.HEADER_LENGTH).set(new Uint8Array(wav));
+  }
+  return frame;
+};
@@ -0,0 +1,578 @@
+/**
+ * @fileoverview FLAC Encoding
+ * @description Lossless compression of recorded 16-bit mono PCM into FLAC
+ * files, so long recordings upload in roughly half the size of WAV without
+ * losing anything the speech recognition could use. Runs in plain
+ * JavaScript; no MediaRecorder or WebCodecs support is needed.
+ *
+ * Each block of samples is stored in the cheapest of:
+ * - a constant (digital silence)
+ * - a fixed linear predictor (order 0-4) with Rice-coded residuals,
+ *   partitioned so quiet and loud stretches get their own Rice parameter
+ * - the samples verbatim
+ *
+ * A recording can also be encoded piece by piece through createStream(), so
+ * it never has to be held in memory as one PCM buffer.
+ *
+ * @author AI Assistant
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+export const FLAC_CONFIG = {
+  BLOCK_SIZE: 4096, // Samples per frame
+  BITS_PER_SAMPLE: 16,
+  MAX_FIXED_ORDER: 4,
+  MAX_PARTITION_ORDER: 6,
+  MAX_RICE_PARAMETER: 14, // 15 marks an escaped partition
+  MIME_TYPE: "audio/flac",
+};
+
+const SUBFRAME_TYPES = {
+  CONSTANT: 0x00,
+  VERBATIM: 0x02,
+  FIXED: 0x10, // Predictor order in bits 1-3
+};
+
+/**
+ * @function buildCRCTable
+ * @param {number} width - CRC width in bits (8 or 16)
+ * @param {number} polynomial - Generator polynomial
+ * @returns {Uint16Array} Lookup table for one byte at a time
+ */
+const buildCRCTable = (width, polynomial) => {
+  const topBit = 1 << (width - 1);
+  const mask = (1 << width) - 1;
+  const table = new Uint16Array(256);
+
+  for (let byte = 0; byte < 256; byte++) {
+    let crc = byte << (width - 8);
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & topBit ? (crc << 1) ^ polynomial : crc << 1;
+    }
+    table[byte] = crc & mask;
+  }
+  return table;
+};
+
+const CRC8_TABLE = buildCRCTable(8, 0x07);
+const CRC16_TABLE = buildCRCTable(16, 0x8005);
+
+// =============================================================================
+// BIT WRITER
+// =============================================================================
+
+/**
+ * @class BitWriter
+ * @description Big-endian bit stream over a growing byte array
+ */
+class BitWriter {
+  /**
+   * @constructor
+   * @param {number} capacity - Initial size in bytes
+   */
+  constructor(capacity) {
+    this.bytes = new Uint8Array(Math.max(capacity, 64));
+    this.length = 0; // Complete bytes
+    this.current = 0; // Byte being filled
+    this.used = 0; // Bits of current already written
+  }
+
+  /**
+   * @method write
+   * @param {number} value - Value whose low `count` bits are written
+   * @param {number} count - Number of bits, at most 32
+   */
+  write(value, count) {
+    while (count > 0) {
+      const take = Math.min(count, 8 - this.used);
+      const bits = (value / 2 ** (count - take)) & ((1 << take) - 1);
+      this.current |= bits << (8 - this.used - take);
+      this.used += take;
+      count -= take;
+      if (this.used === 8) this._pushCurrent();
+    }
+  }
+
+  /**
+   * @method writeZeros
+   * @param {number} count - Number of zero bits
+   */
+  writeZeros(count) {
+    while (count > 0) {
+      const take = Math.min(count, 8 - this.used);
+      this.used += take;
+      count -= take;
+      if (this.used === 8) this._pushCurrent();
+    }
+  }
+
+  /**
+   * @method alignToByte
+   * @description Pads with zero bits up to the next byte boundary
+   */
+  alignToByte() {
+    if (this.used > 0) this.writeZeros(8 - this.used);
+  }
+
+  /**
+   * @method crc
+   * @description CRC of complete bytes written since `start`
+   * @param {Uint16Array} table - CRC8_TABLE or CRC16_TABLE
+   * @param {number} width - CRC width in bits
+   * @param {number} start - Byte offset to start at
+   * @returns {number} CRC value
+   */
+  crc(table, width, start) {
+    const mask = (1 << width) - 1;
+    let crc = 0;
+    for (let i = start; i < this.length; i++) {
+      crc =
+        width === 8
+          ? table[crc ^ this.bytes[i]]
+          : ((crc << 8) ^ table[(crc >> 8) ^ this.bytes[i]]) & mask;
+    }
+    return crc;
+  }
+
+  /**
+   * @method toUint8Array
+   * @returns {Uint8Array} The written bytes (call after alignToByte)
+   */
+  toUint8Array() {
+    return this.bytes.subarray(0, this.length);
+  }
+
+  /**
+   * @private
+   * @method _pushCurrent
+   */
+  _pushCurrent() {
+    if (this.length === this.bytes.length) {
+      const grown = new Uint8Array(this.bytes.length * 2);
+      grown.set(this.bytes);
+      this.bytes = grown;
+    }
+    this.bytes[this.length++] = this.current;
+    this.current = 0;
+    this.used = 0;
+  }
+}
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * @function fixedResiduals
+ * @description Prediction errors of FLAC's fixed polynomial predictor
+ * @param {Int16Array} block - Samples of one frame
+ * @param {number} order - Predictor order, 0-4
+ * @returns {Int32Array} Residuals for samples order..n-1
+ */
+const fixedResiduals = (block, order) => {
+  const s = block;
+  const residuals = new Int32Array(s.length - order);
+  for (let i = order; i < s.length; i++) {
+    let prediction = 0;
+    switch (order) {
+      case 1:
+        prediction = s[i - 1];
+        break;
+      case 2:
+        prediction = 2 * s[i - 1] - s[i - 2];
+        break;
+      case 3:
+        prediction = 3 * s[i - 1] - 3 * s[i - 2] + s[i - 3];
+        break;
+      case 4:
+        prediction = 4 * s[i - 1] - 6 * s[i - 2] + 4 * s[i - 3] - s[i - 4];
+        break;
+      default:
+        prediction = 0;
+    }
+    residuals[i - order] = s[i] - prediction;
+  }
+  return residuals;
+};
+
+/**
+ * @function zigzag
+ * @param {number} value - Signed residual
+ * @returns {number} Value folded to non-negative, as Rice coding expects
+ */
+const zigzag = (value) => (value >= 0 ? value * 2 : -value * 2 - 1);
+
+/**
+ * @function riceParameter
+ * @description Estimates the cheapest Rice parameter for a partition
+ * @param {number} sum - Sum of the zigzagged residuals
+ * @param {number} count - Number of residuals
+ * @returns {{parameter: number, bits: number}} Parameter and estimated size
+ */
+const riceParameter = (sum, count) => {
+  let parameter = 0;
+  while (
+    parameter < FLAC_CONFIG.MAX_RICE_PARAMETER &&
+    count * 2 ** (parameter + 1) < sum
+  ) {
+    parameter++;
+  }
+  return {
+    parameter,
+    bits: count * (parameter + 1) + Math.floor(sum / 2 ** parameter),
+  };
+};
+
+/**
+ * @function planPartitions
+ * @description Picks the partition order and Rice parameters that code the
+ * residuals in the fewest bits
+ * @param {Int32Array} residuals - Residuals of one subframe
+ * @param {number} blockSize - Samples in the frame
+ * @param {number} order - Predictor order (the first partition is shorter)
+ * @returns {{partitionOrder: number, parameters: number[], bits: number}}
+ *   Best plan with its estimated size in bits
+ */
+const planPartitions = (residuals, blockSize, order) => {
+  let best = null;
+
+  for (
+    let partitionOrder = 0;
+    partitionOrder <= FLAC_CONFIG.MAX_PARTITION_ORDER;
+    partitionOrder++
+  ) {
+    const partitions = 2 ** partitionOrder;
+    const partitionSize = blockSize / partitions;
+    if (!Number.isInteger(partitionSize) || partitionSize <= order) break;
+
+    const parameters = [];
+    let bits = 6; // Coding method and partition order
+    let index = 0;
+    for (let partition = 0; partition < partitions; partition++) {
+      const count = partition === 0 ? partitionSize - order : partitionSize;
+      let sum = 0;
+      for (let i = 0; i < count; i++) sum += zigzag(residuals[index++]);
+
+      const rice = riceParameter(sum, count);
+      parameters.push(rice.parameter);
+      bits += 4 + rice.bits;
+    }
+
+    if (!best || bits < best.bits) best = { partitionOrder, parameters, bits };
+  }
+  return best;
+};
+
+// =============================================================================
+// FLAC STREAM CLASS
+// =============================================================================
+
+/**
+ * @class FLACStream
+ * @description Encodes samples as they are written and keeps only the
+ * compressed frames; samples short of a whole frame wait for the next write.
+ * STREAMINFO is written last, once the total length is known.
+ */
+class FLACStream {
+  /**
+   * @constructor
+   * @param {FLACEncoder} encoder - Encoder with the stream's settings
+   */
+  constructor(encoder) {
+    this.encoder = encoder;
+    this.pending = new Int16Array(encoder.blockSize); // Next frame's samples
+    this.pendingLength = 0;
+    this.frames = []; // Encoded frames, as byte arrays
+    this.frameNumber = 0;
+    this.totalSamples = 0;
+  }
+
+  /**
+   * @method write
+   * @description Encodes every frame the samples complete
+   * @param {Int16Array} samples - Mono 16-bit PCM following the previous
+   *   write
+   */
+  write(samples) {
+    const { blockSize } = this.encoder;
+    // Speech usually compresses to well under 3/4 of its PCM size
+    const writer = new BitWriter(Math.ceil(samples.length * 1.5));
+
+    let offset = 0;
+    while (offset < samples.length) {
+      const take = Math.min(
+        blockSize - this.pendingLength,
+        samples.length - offset
+      );
+      this.pending.set(
+        samples.subarray(offset, offset + take),
+        this.pendingLength
+      );
+      this.pendingLength += take;
+      offset += take;
+
+      if (this.pendingLength === blockSize) {
+        this.encoder._writeFrame(writer, this.pending, this.frameNumber++);
+        this.pendingLength = 0;
+      }
+    }
+
+    this.totalSamples += samples.length;
+    if (writer.length > 0) this.frames.push(writer.toUint8Array().slice());
+  }
+
+  /**
+   * @method finish
+   * @description Encodes the last, possibly short, frame and builds the file
+   * @returns {Blob} FLAC file
+   * @throws {Error} If no samples were written
+   */
+  finish() {
+    if (this.totalSamples === 0) {
+      throw new Error("No 16-bit audio samples provided for FLAC encoding");
+    }
+
+    if (this.pendingLength > 0) {
+      const writer = new BitWriter(this.pendingLength * 3);
+      this.encoder._writeFrame(
+        writer,
+        this.pending.subarray(0, this.pendingLength),
+        this.frameNumber++
+      );
+      this.frames.push(writer.toUint8Array());
+      this.pendingLength = 0;
+    }
+
+    const header = new BitWriter(42);
+    this.encoder._writeStreamHeader(header, this.totalSamples);
+    const parts = [header.toUint8Array(), ...this.frames];
+
+    const size = parts.reduce((total, part) => total + part.length, 0);
+    console.log(
+      `🗜️ FLAC encoding successful: ${(size / 1024).toFixed(1)}KB, ` +
+        `${((size / (this.totalSamples * 2)) * 100).toFixed(0)}% of PCM`
+    );
+    return new Blob(parts, { type: FLAC_CONFIG.MIME_TYPE });
+  }
+}
+
+// =============================================================================
+// FLAC ENCODER CLASS
+// =============================================================================
+
+/**
+ * @class FLACEncoder
+ * @description Creates FLAC files from 16-bit mono PCM
+ */
+export class FLACEncoder {
+  /**
+   * @constructor
+   * @param {Object} options - Configuration options
+   * @param {number} options.sampleRate - Audio sample rate in Hz
+   * @param {number} options.blockSize - Samples per frame (default: 4096)
+   */
+  constructor(options = {}) {
+    this.sampleRate = options.sampleRate;
+    this.blockSize = options.blockSize || FLAC_CONFIG.BLOCK_SIZE;
+
+    if (
+      !Number.isInteger(this.sampleRate) ||
+      this.sampleRate <= 0 ||
+      this.sampleRate >= 2 ** 20
+    ) {
+      throw new Error(`Invalid sample rate: ${this.sampleRate}`);
+    }
+    if (this.blockSize < 16 || this.blockSize > 65535) {
+      throw new Error(
+        `Invalid block size: ${this.blockSize}. Must be 16 to 65535`
+      );
+    }
+  }
+
+  /**
+   * @method encodeFLAC
+   * @description Compresses a recording into a FLAC file
+   * @param {Int16Array} samples - Mono 16-bit PCM
+   * @returns {Blob} FLAC file
+   * @throws {Error} If there are no samples
+   */
+  encodeFLAC(samples) {
+    if (!(samples instanceof Int16Array) || samples.length === 0) {
+      throw new Error("No 16-bit audio samples provided for FLAC encoding");
+    }
+
+    const stream = this.createStream();
+    stream.write(samples);
+    return stream.finish();
+  }
+
+  /**
+   * @method createStream
+   * @description Starts a recording that is encoded as it is written
+   * @returns {FLACStream} Stream; write() samples, then finish()
+   */
+  createStream() {
+    return new FLACStream(this);
+  }
+
+  /**
+   * @private
+   * @method _writeStreamHeader
+   * @description Writes the "fLaC" marker and the STREAMINFO block
+   * @param {BitWriter} writer - Output
+   * @param {number} totalSamples - Samples in the recording
+   */
+  _writeStreamHeader(writer, totalSamples) {
+    for (const char of "fLaC") writer.write(char.charCodeAt(0), 8);
+
+    writer.write(1, 1); // Last metadata block
+    writer.write(0, 7); // STREAMINFO
+    writer.write(34, 24); // Block length in bytes
+    writer.write(this.blockSize, 16); // Minimum block size
+    writer.write(this.blockSize, 16); // Maximum block size
+    writer.write(0, 24); // Minimum frame size, unknown
+    writer.write(0, 24); // Maximum frame size, unknown
+    writer.write(this.sampleRate, 20);
+    writer.write(0, 3); // Channels - 1
+    writer.write(FLAC_CONFIG.BITS_PER_SAMPLE - 1, 5);
+    writer.write(Math.floor(totalSamples / 2 ** 32), 4);
+    writer.write(totalSamples >>> 0, 32);
+    writer.writeZeros(128); // MD5 signature, not computed
+  }
+
+  /**
+   * @private
+   * @method _writeFrame
+   * @description Writes one frame: header, mono subframe and CRCs
+   * @param {BitWriter} writer - Output
+   * @param {Int16Array} block - Samples of the frame
+   * @param {number} frameNumber - Index of the frame
+   */
+  _writeFrame(writer, block, frameNumber) {
+    const start = writer.length;
+
+    writer.write(0xfff8, 16); // Sync code, fixed block size
+    writer.write(0x7, 4); // Block size as 16-bit value at the header end
+    writer.write(0x0, 4); // Sample rate from STREAMINFO
+    writer.write(0x0, 4); // Mono
+    writer.write(0x4, 3); // 16 bits per sample
+    writer.write(0, 1);
+    this._writeUTF8Number(writer, frameNumber);
+    writer.write(block.length - 1, 16);
+    writer.write(writer.crc(CRC8_TABLE, 8, start), 8);
+
+    this._writeSubframe(writer, block);
+
+    writer.alignToByte();
+    writer.write(writer.crc(CRC16_TABLE, 16, start), 16);
+  }
+
+  /**
+   * @private
+   * @method _writeUTF8Number
+   * @description Writes a frame number in FLAC's UTF-8-like variable length
+   * coding
+   * @param {BitWriter} writer - Output
+   * @param {number} value - Frame number
+   */
+  _writeUTF8Number(writer, value) {
+    if (value < 0x80) {
+      writer.write(value, 8);
+      return;
+    }
+
+    let continuationBytes = 1;
+    while (value >= 2 ** (6 * continuationBytes + 6 - continuationBytes)) {
+      continuationBytes++;
+    }
+    const leadingOnes = continuationBytes + 1;
+    const firstBits = 7 - leadingOnes;
+
+    writer.write(2 ** leadingOnes - 1, leadingOnes);
+    writer.write(0, 1);
+    writer.write(Math.floor(value / 2 ** (6 * continuationBytes)), firstBits);
+    for (let i = continuationBytes - 1; i >= 0; i--) {
+      writer.write(0x2, 2);
+      writer.write(Math.floor(value / 2 ** (6 * i)) & 0x3f, 6);
+    }
+  }
+
+  /**
+   * @private
+   * @method _writeSubframe
+   * @description Writes the block as a constant, fixed-predictor or verbatim
+   * subframe, whichever is smallest
+   * @param {BitWriter} writer - Output
+   * @param {Int16Array} block - Samples of the frame
+   */
+  _writeSubframe(writer, block) {
+    const bitsPerSample = FLAC_CONFIG.BITS_PER_SAMPLE;
+
+    if (block.every((sample) => sample === block[0])) {
+      writer.write(SUBFRAME_TYPES.CONSTANT, 8);
+      writer.write(block[0] & 0xffff, bitsPerSample);
+      return;
+    }
+
+    let best = null;
+    const maxOrder = Math.min(FLAC_CONFIG.MAX_FIXED_ORDER, block.length - 1);
+    for (let order = 0; order <= maxOrder; order++) {
+      const residuals = fixedResiduals(block, order);
+      const plan = planPartitions(residuals, block.length, order);
+      if (!plan) continue;
+
+      const bits = order * bitsPerSample + plan.bits;
+      if (!best || bits < best.bits) best = { order, residuals, plan, bits };
+    }
+
+    if (!best || best.bits >= block.length * bitsPerSample) {
+      writer.write(SUBFRAME_TYPES.VERBATIM, 8);
+      for (let i = 0; i < block.length; i++) {
+        writer.write(block[i] & 0xffff, bitsPerSample);
+      }
+      return;
+    }
+
+    const { order, residuals, plan } = best;
+    writer.write(SUBFRAME_TYPES.FIXED | (order << 1), 8);
+    for (let i = 0; i < order; i++) {
+      writer.write(block[i] & 0xffff, bitsPerSample); // Warm-up samples
+    }
+
+    writer.write(0, 2); // Rice coding with 4-bit parameters
+    writer.write(plan.partitionOrder, 4);
+
+    const partitionSize = block.length / 2 ** plan.partitionOrder;
+    let index = 0;
+    plan.parameters.forEach((parameter, partition) => {
+      writer.write(parameter, 4);
+      const count = partition === 0 ? partitionSize - order : partitionSize;
+      for (let i = 0; i < count; i++) {
+        const value = zigzag(residuals[index++]);
+        writer.writeZeros(Math.floor(value / 2 ** parameter));
+        writer.write(1, 1);
+        writer.write(value, parameter);
+      }
+    });
+  }
+
+  /**
+   * @static
+   * @method createFLAC
+   * @description Static convenience method for quick FLAC creation
+   * @param {Int16Array} samples - Mono 16-bit PCM
+   * @param {number} sampleRate - Sample rate in Hz
+   * @returns {Blob} FLAC file blob
+   */
+  static createFLAC(samples, sampleRate) {
+    const encoder = new FLACEncoder({ sampleRate });
+    return encoder.encodeFLAC(samples);
+  }
+}
+
+export default FLACEncoder;
@@ -0,0 +1,270 @@
+import { FLACEncoder } from "./flacEncoder";
+
+// =============================================================================
+// A minimal FLAC decoder for what the encoder writes: 16-bit mono with
+// constant, verbatim and fixed-predictor subframes
+// =============================================================================
+
+class BitReader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.position = 0; // In bits
+  }
+
+  read(count) {
+    let value = 0;
+    for (let i = 0; i < count; i++) {
+      const byte = this.bytes[this.position >> 3];
+      value = value * 2 + ((byte >> (7 - (this.position & 7))) & 1);
+      this.position++;
+    }
+    return value;
+  }
+
+  readSigned(count) {
+    const value = this.read(count);
+    return value >= 2 ** (count - 1) ? value - 2 ** count : value;
+  }
+
+  readUnary() {
+    let zeros = 0;
+    while (this.read(1) === 0) zeros++;
+    return zeros;
+  }
+
+  alignToByte() {
+    this.position = Math.ceil(this.position / 8) * 8;
+  }
+}
+
+const crc = (bytes, width, polynomial) => {
+  const topBit = 1 << (width - 1);
+  const mask = (1 << width) - 1;
+  let value = 0;
+  for (const byte of bytes) {
+    value ^= byte << (width - 8);
+    for (let bit = 0; bit < 8; bit++) {
+      value = value & topBit ? (value << 1) ^ polynomial : value << 1;
+    }
+    value &= mask;
+  }
+  return value;
+};
+
+// Fixed predictor coefficients per order, newest sample first
+const FIXED_COEFFICIENTS = [[], [1], [2, -1], [3, -3, 1], [4, -6, 4, -1]];
+
+const decodeSubframe = (reader, blockSize) => {
+  reader.read(1); // Padding
+  const type = reader.read(6);
+  reader.read(1); // Wasted bits flag
+
+  if (type === 0) {
+    return new Array(blockSize).fill(reader.readSigned(16));
+  }
+  if (type === 1) {
+    return Array.from({ length: blockSize }, () => reader.readSigned(16));
+  }
+
+  const order = type - 8;
+  const samples = Array.from({ length: order }, () => reader.readSigned(16));
+  expect(reader.read(2)).toBe(0); // Rice coding, 4-bit parameters
+  const partitionOrder = reader.read(4);
+  const partitionSize = blockSize / 2 ** partitionOrder;
+
+  for (let partition = 0; partition < 2 ** partitionOrder; partition++) {
+    const parameter = reader.read(4);
+    const count = partition === 0 ? partitionSize - order : partitionSize;
+    for (let i = 0; i < count; i++) {
+      const folded =
+        reader.readUnary() * 2 ** parameter + reader.read(parameter);
+      const residual = folded % 2 ? -(folded + 1) / 2 : folded / 2;
+      const n = samples.length;
+      const prediction = FIXED_COEFFICIENTS[order].reduce(
+        (sum, coefficient, k) => sum + coefficient * samples[n - 1 - k],
+        0
+      );
+      samples.push(prediction + residual);
+    }
+  }
+  return samples;
+};
+
+const decodeFLAC = (bytes) => {
+  const reader = new BitReader(bytes);
+  expect(String.fromCharCode(...bytes.subarray(0, 4))).toBe("fLaC");
+  reader.position = 32;
+
+  expect(reader.read(1)).toBe(1); // Last metadata block
+  expect(reader.read(7)).toBe(0); // STREAMINFO
+  reader.read(24 + 16 + 16 + 24 + 24);
+  const info = {
+    sampleRate: reader.read(20),
+    channels: reader.read(3) + 1,
+    bitsPerSample: reader.read(5) + 1,
+    totalSamples: reader.read(4) * 2 ** 32 + reader.read(32),
+  };
+  reader.read(128); // MD5
+
+  const samples = [];
+  const frameNumbers = [];
+  while (reader.position < bytes.length * 8) {
+    const start = reader.position / 8;
+    expect(reader.read(16)).toBe(0xfff8);
+    reader.read(4 + 4 + 4 + 3 + 1);
+
+    // UTF-8 coded frame number
+    const first = reader.read(8);
+    let continuationBytes = 0;
+    while (first >= 0x80 && first & (0x40 >> continuationBytes)) {
+      continuationBytes++;
+    }
+    let frameNumber =
+      first < 0x80 ? first : first & (0x3f >> continuationBytes);
+    for (let i = 0; i < continuationBytes; i++) {
+      frameNumber = frameNumber * 64 + (reader.read(8) & 0x3f);
+    }
+    frameNumbers.push(frameNumber);
+
+    const blockSize = reader.read(16) + 1;
+    const headerEnd = reader.position / 8;
+    expect(reader.read(8)).toBe(crc(bytes.subarray(start, headerEnd), 8, 0x07));
+
+    samples.push(...decodeSubframe(reader, blockSize));
+    reader.alignToByte();
+    const frameEnd = reader.position / 8;
+    expect(reader.read(16)).toBe(
+      crc(bytes.subarray(start, frameEnd), 16, 0x8005)
+    );
+  }
+
+  return { info, samples: Int16Array.from(samples), frameNumbers };
+};
+
+// =============================================================================
+// TESTS
+// =============================================================================
+
+const readBlob = (blob) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(new Uint8Array(reader.result));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(blob);
+  });
+
+// Deterministic pseudo-random noise, -1..1
+const noise = (seed) => () => {
+  seed = (seed * 1103515245 + 12345) % 2 ** 31;
+  return seed / 2 ** 30 - 1;
+};
+
+// A tone with some noise, roughly like speech for the predictor
+const speechLike = (length) => {
+  const random = noise(7);
+  return Int16Array.from(
+    { length },
+    (_, i) => 6000 * Math.sin(i / 9) + 2000 * Math.sin(i / 3.1) + 300 * random()
+  );
+};
+
+beforeEach(() => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("FLACEncoder", () => {
+  test("round-trips a recording losslessly and smaller than PCM", async () => {
+    // Not a whole number of frames, so the last frame is short
+    const samples = speechLike(3 * 4096 + 1000);
+
+    const blob = FLACEncoder.createFLAC(samples, 16000);
+    const bytes = await readBlob(blob);
+    const decoded = decodeFLAC(bytes);
+
+    expect(blob.type).toBe("audio/flac");
+    expect(decoded.info).toEqual({
+      sampleRate: 16000,
+      channels: 1,
+      bitsPerSample: 16,
+      totalSamples: samples.length,
+    });
+    expect(decoded.samples).toEqual(samples);
+    expect(bytes.length).toBeLessThan(samples.length * 2 * 0.75);
+  });
+
+  test("silence is stored as constant frames", async () => {
+    const samples = new Int16Array(4 * 4096);
+
+    const bytes = await readBlob(FLACEncoder.createFLAC(samples, 16000));
+
+    expect(decodeFLAC(bytes).samples).toEqual(samples);
+    // Marker, STREAMINFO and four small frames
+    expect(bytes.length).toBeLessThan(100);
+  });
+
+  test("full-scale noise falls back to verbatim frames", async () => {
+    const random = noise(42);
+    const samples = Int16Array.from({ length: 4096 }, () =>
+      Math.round(random() * 32767)
+    );
+    samples[0] = -32768;
+    samples[1] = 32767;
+
+    const bytes = await readBlob(FLACEncoder.createFLAC(samples, 16000));
+
+    expect(decodeFLAC(bytes).samples).toEqual(samples);
+  });
+
+  test("frame numbers past 127 use the multi-byte coding", async () => {
+    const encoder = new FLACEncoder({ sampleRate: 16000, blockSize: 16 });
+    const samples = speechLike(300 * 16);
+
+    const decoded = decodeFLAC(await readBlob(encoder.encodeFLAC(samples)));
+
+    expect(decoded.frameNumbers).toEqual(
+      Array.from({ length: 300 }, (_, i) => i)
+    );
+    expect(decoded.samples).toEqual(samples);
+  });
+
+  test("a stream written in pieces matches encoding it at once", async () => {
+    const samples = speechLike(5 * 4096 + 123);
+    const stream = new FLACEncoder({ sampleRate: 16000 }).createStream();
+
+    // Pieces smaller and larger than a frame, not aligned to frames
+    [0, 1000, 1001, 9000, 20000, samples.length].reduce((start, end) => {
+      stream.write(samples.subarray(start, end));
+      return end;
+    });
+
+    expect(await readBlob(stream.finish())).toEqual(
+      await readBlob(FLACEncoder.createFLAC(samples, 16000))
+    );
+  });
+
+  test("a stream with nothing written cannot finish", () => {
+    const stream = new FLACEncoder({ sampleRate: 16000 }).createStream();
+    stream.write(new Int16Array(0));
+
+    expect(() => stream.finish()).toThrow("No 16-bit audio samples");
+  });
+
+  test("rejects invalid options and empty input", () => {
+    expect(() => new FLACEncoder({ sampleRate: 0 })).toThrow(
+      "Invalid sample rate"
+    );
+    expect(() => new FLACEncoder({ sampleRate: 16000, blockSize: 8 })).toThrow(
+      "Invalid block size"
+    );
+    expect(() => FLACEncoder.createFLAC(new Int16Array(0), 16000)).toThrow(
+      "No 16-bit audio samples"
+    );
+    expect(() => FLACEncoder.createFLAC(new Float32Array(10), 16000)).toThrow(
+      "No 16-bit audio samples"
+    );
+  });
+});
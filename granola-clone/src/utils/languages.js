@@ -0,0 +1,45 @@
+/**
+ * @fileoverview Transcription languages
+ * @description Languages the backend can transcribe, used to label saved
+ * transcripts and as the picker's list when the server cannot be reached.
+ * Mirrors granola-clone-backend/services/stt/languages.js.
+ *
+ * @author AI Assistant
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+// Asks the provider to detect the spoken language
+export const AUTO_LANGUAGE = "auto";
+
+export const LANGUAGES = [
+  { code: "hi-IN", name: "Hindi / Hinglish" },
+  { code: "en-IN", name: "English (India)" },
+  { code: "ta-IN", name: "Tamil" },
+  { code: "bn-IN", name: "Bengali" },
+  { code: "te-IN", name: "Telugu" },
+  { code: "mr-IN", name: "Marathi" },
+  { code: "gu-IN", name: "Gujarati" },
+  { code: "kn-IN", name: "Kannada" },
+  { code: "ml-IN", name: "Malayalam" },
+  { code: "pa-IN", name: "Punjabi" },
+  { code: "od-IN", name: "Odia" },
+];
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * @function languageName
+ * @param {string} code - Language code such as "ta-IN"
+ * @returns {string} Display name, or the code itself if unknown
+ */
+export const languageName = (code) =>
+  code === AUTO_LANGUAGE
+    ? "Auto-detect"
+    : LANGUAGES.find((language) => language.code === code)?.name || code;
@@ -0,0 +1,309 @@
+/**
+ * @fileoverview Local recording store
+ * @description Persists recordings in IndexedDB chunk by chunk while they are
+ * captured, so a meeting recorded without a server connection (or cut short
+ * by a closed tab) survives until it can be uploaded. A recording is a
+ * metadata record plus its streaming chunks; the chunks are joined back into
+ * one file for upload, FLAC-compressed to keep long meetings small.
+ *
+ * @author AI Assistant
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+// =============================================================================
+// IMPORTS
+// =============================================================================
+
+import { FLACEncoder } from "./flacEncoder";
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const DB_CONFIG = {
+  NAME: "granola-clone",
+  VERSION: 1,
+  RECORDINGS: "recordings",
+  CHUNKS: "chunks",
+};
+
+// Chunks are 16-bit mono WAV, as written by WAVEncoder
+const WAV_HEADER = {
+  SIZE: 44,
+  SAMPLE_RATE_OFFSET: 24,
+};
+
+// A tab that is capturing a recording touches it at least this often; one
+// left untouched for longer was cut short by a closed or crashed tab
+export const RECORDING_HEARTBEAT = {
+  INTERVAL: 10000,
+  STALE_AFTER: 60000,
+};
+
+export const RECORDING_STATUS = {
+  RECORDING: "recording", // still being captured
+  PENDING: "pending", // waiting for the server
+  UPLOADING: "uploading",
+  TRANSCRIBING: "transcribing", // uploaded, the server job is running
+  FAILED: "failed",
+};
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+let databasePromise = null;
+
+/**
+ * @function requestToPromise
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<*>} The request's result
+ */
+const requestToPromise = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+/**
+ * @function transactionDone
+ * @param {IDBTransaction} transaction - IndexedDB transaction
+ * @returns {Promise<void>} Resolves once the transaction commits
+ */
+const transactionDone = (transaction) =>
+  new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+
+/**
+ * @function openDatabase
+ * @description Opens (and on first use creates) the database; the
+ * connection is shared by every caller
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+const openDatabase = () => {
+  if (!databasePromise) {
+    const request = window.indexedDB.open(DB_CONFIG.NAME, DB_CONFIG.VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      db.createObjectStore(DB_CONFIG.RECORDINGS, { keyPath: "id" });
+      db.createObjectStore(DB_CONFIG.CHUNKS, {
+        keyPath: ["recordingId", "sequence"],
+      });
+    };
+    databasePromise = requestToPromise(request).catch((openError) => {
+      databasePromise = null;
+      throw openError;
+    });
+  }
+  return databasePromise;
+};
+
+/**
+ * @function chunkRange
+ * @param {string} recordingId - Recording ID
+ * @returns {IDBKeyRange} Keys of every chunk of the recording
+ */
+const chunkRange = (recordingId) =>
+  IDBKeyRange.bound([recordingId, 0], [recordingId, Infinity]);
+
+// =============================================================================
+// STORE API
+// =============================================================================
+
+/**
+ * @function isRecordingStale
+ * @description Whether a recording is still marked as being captured but
+ * no tab has touched it for a while
+ * @param {Object} recording - Stored recording
+ * @param {number} [now] - Current time in ms
+ * @returns {boolean} True if its capture was interrupted
+ */
+export const isRecordingStale = (recording, now = Date.now()) =>
+  recording.status === RECORDING_STATUS.RECORDING &&
+  now - Date.parse(recording.updatedAt || recording.createdAt) >
+    RECORDING_HEARTBEAT.STALE_AFTER;
+
+/**
+ * @function isRecordingStoreSupported
+ * @returns {boolean} Whether recordings can be kept on this device
+ */
+export const isRecordingStoreSupported = () => Boolean(window.indexedDB);
+
+/**
+ * @function createRecording
+ * @description Starts a new local recording
+ * @param {Object} details - {title, language, model}
+ * @returns {Promise<Object>} The stored recording
+ */
+export const createRecording = async ({ title, language, model }) => {
+  const recording = {
+    id: window.crypto?.randomUUID?.() || `${Date.now()}-${Math.random()}`,
+    title,
+    language: language || null,
+    model: model || null,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+    duration: 0,
+    status: RECORDING_STATUS.RECORDING,
+    jobId: null,
+    error: null,
+  };
+
+  const db = await openDatabase();
+  const transaction = db.transaction(DB_CONFIG.RECORDINGS, "readwrite");
+  transaction.objectStore(DB_CONFIG.RECORDINGS).add(recording);
+  await transactionDone(transaction);
+  return recording;
+};
+
+/**
+ * @function saveChunk
+ * @description Stores one streaming chunk and extends the recording's
+ * duration
+ * @param {string} recordingId - Recording ID
+ * @param {Object} chunk - {sequence, startTime, duration, wav}; wav is an
+ *   ArrayBuffer, or null for a silent chunk
+ * @returns {Promise<void>}
+ */
+export const saveChunk = async (
+  recordingId,
+  { sequence, startTime, duration, wav }
+) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(
+    [DB_CONFIG.RECORDINGS, DB_CONFIG.CHUNKS],
+    "readwrite"
+  );
+  transaction
+    .objectStore(DB_CONFIG.CHUNKS)
+    .put({ recordingId, sequence, startTime, duration, wav: wav || null });
+
+  const recordings = transaction.objectStore(DB_CONFIG.RECORDINGS);
+  const recording = await requestToPromise(recordings.get(recordingId));
+  if (recording) {
+    recordings.put({
+      ...recording,
+      duration: startTime + duration,
+      updatedAt: new Date().toISOString(),
+    });
+  }
+  await transactionDone(transaction);
+};
+
+/**
+ * @function updateRecording
+ * @description Changes a recording and refreshes its updatedAt; called
+ * without changes it is the capturing tab's heartbeat
+ * @param {string} recordingId - Recording ID
+ * @param {Object} [changes] - Fields to change, e.g. {status}
+ * @returns {Promise<Object|null>} Updated recording, or null if it is gone
+ */
+export const updateRecording = async (recordingId, changes = {}) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(DB_CONFIG.RECORDINGS, "readwrite");
+  const recordings = transaction.objectStore(DB_CONFIG.RECORDINGS);
+
+  const recording = await requestToPromise(recordings.get(recordingId));
+  const updated = recording
+    ? { ...recording, ...changes, updatedAt: new Date().toISOString() }
+    : null;
+  if (updated) recordings.put(updated);
+  await transactionDone(transaction);
+  return updated;
+};
+
+/**
+ * @function listRecordings
+ * @returns {Promise<Object[]>} Every local recording, oldest first
+ */
+export const listRecordings = async () => {
+  const db = await openDatabase();
+  const transaction = db.transaction(DB_CONFIG.RECORDINGS, "readonly");
+  const recordings = await requestToPromise(
+    transaction.objectStore(DB_CONFIG.RECORDINGS).getAll()
+  );
+  return recordings.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+};
+
+/**
+ * @function deleteRecording
+ * @description Removes a recording and its audio
+ * @param {string} recordingId - Recording ID
+ * @returns {Promise<void>}
+ */
+export const deleteRecording = async (recordingId) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(
+    [DB_CONFIG.RECORDINGS, DB_CONFIG.CHUNKS],
+    "readwrite"
+  );
+  transaction.objectStore(DB_CONFIG.RECORDINGS).delete(recordingId);
+  transaction.objectStore(DB_CONFIG.CHUNKS).delete(chunkRange(recordingId));
+  await transactionDone(transaction);
+};
+
+/**
+ * @function nextTask
+ * @returns {Promise<void>} Resolves after the browser had a chance to
+ *   handle input and paint
+ */
+const nextTask = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+/**
+ * @function buildRecordingFlac
+ * @description Joins a recording's chunks into one FLAC file, about half the
+ * size of the WAV. Silent chunks were stored without audio and are filled
+ * with silence, so timestamps match the live recording. Chunks are read and
+ * encoded one at a time, yielding in between, so a long recording neither
+ * has to fit in memory as PCM nor freezes the page while it is encoded.
+ * @param {string} recordingId - Recording ID
+ * @returns {Promise<Blob|null>} FLAC file, or null if no chunk holds speech
+ */
+export const buildRecordingFlac = async (recordingId) => {
+  const db = await openDatabase();
+  const readChunks = () =>
+    db.transaction(DB_CONFIG.CHUNKS, "readonly").objectStore(DB_CONFIG.CHUNKS);
+
+  // Keys come back in key order, i.e. by sequence
+  const keys = await requestToPromise(
+    readChunks().getAllKeys(chunkRange(recordingId))
+  );
+
+  let stream = null;
+  let sampleRate = null;
+  const leadingSilence = []; // Durations of silent chunks before any audio
+
+  for (const key of keys) {
+    const chunk = await requestToPromise(readChunks().get(key));
+    if (!chunk) continue;
+
+    // The first chunk with audio gives the sample rate
+    if (!stream) {
+      if (!chunk.wav) {
+        leadingSilence.push(chunk.duration);
+        continue;
+      }
+      sampleRate = new DataView(chunk.wav).getUint32(
+        WAV_HEADER.SAMPLE_RATE_OFFSET,
+        true
+      );
+      stream = new FLACEncoder({ sampleRate }).createStream();
+      for (const duration of leadingSilence) {
+        stream.write(new Int16Array(Math.round(duration * sampleRate)));
+      }
+    }
+
+    stream.write(
+      chunk.wav
+        ? new Int16Array(chunk.wav, WAV_HEADER.SIZE)
+        : new Int16Array(Math.round(chunk.duration * sampleRate))
+    );
+    await nextTask();
+  }
+
+  return stream ? stream.finish() : null;
+};
@@ -0,0 +1,230 @@
+/**
+ * @fileoverview Streaming Resampler
+ * @description Converts captured audio to the recording sample rate when the
+ * browser ignores the rate requested for its AudioContext (44.1 or 48 kHz are
+ * common). Uses band-limited interpolation:
+ *
+ * - every output sample is a windowed-sinc (Blackman) weighted sum of the
+ *   input samples around its position
+ * - the sinc cutoff sits just below the lower of the two Nyquist frequencies,
+ *   so downsampling filters out what would otherwise alias into speech
+ * - filter weights are precomputed per fractional position (phase); exact
+ *   for rational rate ratios such as 48000:16000 or 44100:16000
+ *
+ * Feed samples in any block size; state carries over between blocks.
+ *
+ * @author AI Assistant
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+export const RESAMPLER_CONFIG = {
+  ZERO_CROSSINGS: 16, // Sinc lobes on each side of the filter centre
+  ROLLOFF: 0.9, // Cutoff as a fraction of the lower Nyquist frequency
+  MAX_PHASES: 1024, // Phases kept when the rate ratio needs more
+};
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * @function gcd
+ * @returns {number} Greatest common divisor of two positive integers
+ */
+const gcd = (a, b) => (b ? gcd(b, a % b) : a);
+
+/**
+ * @function sinc
+ * @param {number} x - Argument
+ * @returns {number} Normalised sinc, sin(πx) / πx
+ */
+const sinc = (x) => (x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x));
+
+/**
+ * @function blackman
+ * @param {number} x - Position in the window, -1..1
+ * @returns {number} Blackman window value
+ */
+const blackman = (x) =>
+  0.42 + 0.5 * Math.cos(Math.PI * x) + 0.08 * Math.cos(2 * Math.PI * x);
+
+/**
+ * @function toInt16
+ * @param {number} value - Sample on the 16-bit scale
+ * @returns {number} Rounded sample clamped to the Int16 range
+ */
+const toInt16 = (value) =>
+  Math.max(-0x8000, Math.min(0x7fff, Math.round(value)));
+
+// =============================================================================
+// RESAMPLER CLASS
+// =============================================================================
+
+/**
+ * @class Resampler
+ * @description Streaming band-limited sample rate converter for mono audio
+ */
+export class Resampler {
+  /**
+   * @constructor
+   * @param {Object} options - Resampler options
+   * @param {number} options.inputRate - Sample rate of the input in Hz
+   * @param {number} options.outputRate - Sample rate to produce in Hz
+   */
+  constructor({ inputRate, outputRate } = {}) {
+    if (!Number.isInteger(inputRate) || !Number.isInteger(outputRate)) {
+      throw new Error("Resampler needs integer inputRate and outputRate");
+    }
+    if (inputRate <= 0 || outputRate <= 0) {
+      throw new Error("Resampler sample rates must be positive");
+    }
+
+    this.inputRate = inputRate;
+    this.outputRate = outputRate;
+
+    // Output n sits at input position n * step / den
+    const divisor = gcd(inputRate, outputRate);
+    this.step = inputRate / divisor;
+    this.den = outputRate / divisor;
+    this.phases = Math.min(this.den, RESAMPLER_CONFIG.MAX_PHASES);
+
+    const cutoff =
+      Math.min(1, outputRate / inputRate) * RESAMPLER_CONFIG.ROLLOFF;
+    this.halfWidth = Math.ceil(RESAMPLER_CONFIG.ZERO_CROSSINGS / cutoff);
+    this.filters = this._buildFilters(cutoff);
+
+    this.reset();
+  }
+
+  /**
+   * @private
+   * @method _buildFilters
+   * @description Precomputes the weights of every phase, each normalised to
+   * unity gain. Tap i of phase p weighs input sample base - halfWidth + 1 + i
+   * for an output at base + p / phases.
+   * @param {number} cutoff - Cutoff as a fraction of the input Nyquist
+   * @returns {Float32Array[]} Weights per phase
+   */
+  _buildFilters(cutoff) {
+    const taps = 2 * this.halfWidth;
+    const filters = [];
+
+    for (let phase = 0; phase < this.phases; phase++) {
+      const offset = phase / this.phases;
+      const weights = new Float32Array(taps);
+      let sum = 0;
+
+      for (let i = 0; i < taps; i++) {
+        const distance = offset - (i - this.halfWidth + 1);
+        weights[i] =
+          cutoff *
+          sinc(cutoff * distance) *
+          blackman(distance / this.halfWidth);
+        sum += weights[i];
+      }
+      for (let i = 0; i < taps; i++) weights[i] /= sum;
+
+      filters.push(weights);
+    }
+    return filters;
+  }
+
+  /**
+   * @method reset
+   * @description Forgets buffered input, e.g. before a new recording
+   */
+  reset() {
+    // The filter reaches halfWidth - 1 samples back; silence stands in for
+    // the audio before the first sample
+    this.buffer = new Float32Array(this.halfWidth - 1);
+    this.position = (this.halfWidth - 1) * this.den; // In 1/den input samples
+    this.inputCount = 0;
+    this.outputCount = 0;
+  }
+
+  /**
+   * @method process
+   * @description Resamples a block; output samples whose filter needs input
+   * that has not arrived yet are produced by a later call or by flush()
+   * @param {Int16Array|Float32Array} samples - Input block
+   * @returns {Int16Array|Float32Array} Resampled audio of the same type
+   */
+  process(samples) {
+    this.inputCount += samples.length;
+    return this._run(samples, Infinity, samples.constructor);
+  }
+
+  /**
+   * @method flush
+   * @description Produces the remaining output for the input so far and
+   * resets the resampler
+   * @param {Function} [ArrayType] - Output array type (default: Int16Array)
+   * @returns {Int16Array|Float32Array} The last output samples
+   */
+  flush(ArrayType = Int16Array) {
+    const expected = Math.ceil((this.inputCount * this.den) / this.step);
+    const output = this._run(
+      new Float32Array(this.halfWidth),
+      expected - this.outputCount,
+      ArrayType
+    );
+    this.reset();
+    return output;
+  }
+
+  /**
+   * @private
+   * @method _run
+   * @description Appends samples and computes every output they complete
+   * @param {ArrayLike<number>} samples - New input samples
+   * @param {number} limit - Maximum number of outputs to produce
+   * @param {Function} ArrayType - Output array type
+   * @returns {Int16Array|Float32Array} Output samples
+   */
+  _run(samples, limit, ArrayType) {
+    const buffer = new Float32Array(this.buffer.length + samples.length);
+    buffer.set(this.buffer);
+    buffer.set(samples, this.buffer.length);
+
+    const values = [];
+    const taps = 2 * this.halfWidth;
+
+    while (values.length < limit) {
+      let base = Math.floor(this.position / this.den);
+      let phase = Math.round(
+        ((this.position % this.den) * this.phases) / this.den
+      );
+      if (phase === this.phases) {
+        base++;
+        phase = 0;
+      }
+      if (base + this.halfWidth >= buffer.length) break;
+
+      const weights = this.filters[phase];
+      const start = base - this.halfWidth + 1;
+      let value = 0;
+      for (let i = 0; i < taps; i++) value += weights[i] * buffer[start + i];
+
+      values.push(value);
+      this.position += this.step;
+    }
+
+    // Keep only the input the next outputs still reach
+    const keepFrom = Math.max(
+      0,
+      Math.floor(this.position / this.den) - this.halfWidth + 1
+    );
+    this.buffer = buffer.slice(keepFrom);
+    this.position -= keepFrom * this.den;
+    this.outputCount += values.length;
+
+    return ArrayType === Int16Array
+      ? Int16Array.from(values, toInt16)
+      : ArrayType.from(values);
+  }
+}
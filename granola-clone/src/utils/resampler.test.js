@@ -0,0 +1,116 @@
+import { Resampler } from "./resampler";
+
+// Seconds of a sine tone at the given rate, on the 16-bit scale
+const sine = (frequency, rate, seconds, amplitude = 10000) =>
+  Int16Array.from(
+    { length: Math.round(rate * seconds) },
+    (_, i) => amplitude * Math.sin((2 * Math.PI * frequency * i) / rate)
+  );
+
+// Resamples a whole signal fed in blocks of the given size
+const resample = (resampler, samples, blockSize = samples.length) => {
+  const parts = [];
+  for (let offset = 0; offset < samples.length; offset += blockSize) {
+    parts.push(resampler.process(samples.subarray(offset, offset + blockSize)));
+  }
+  parts.push(resampler.flush());
+
+  const output = new Int16Array(
+    parts.reduce((sum, part) => sum + part.length, 0)
+  );
+  parts.reduce((offset, part) => {
+    output.set(part, offset);
+    return offset + part.length;
+  }, 0);
+  return output;
+};
+
+const rms = (samples) =>
+  Math.sqrt(
+    samples.reduce((sum, value) => sum + value * value, 0) / samples.length
+  );
+
+describe("Resampler", () => {
+  test.each([
+    [48000, 16000],
+    [44100, 16000],
+    [8000, 16000],
+  ])(
+    "converts %iHz to %iHz with the expected length",
+    (inputRate, outputRate) => {
+      const resampler = new Resampler({ inputRate, outputRate });
+
+      const output = resample(resampler, sine(440, inputRate, 1), 4096);
+
+      expect(output).toHaveLength(outputRate);
+    }
+  );
+
+  test("keeps a speech-band tone in place", () => {
+    const resampler = new Resampler({ inputRate: 48000, outputRate: 16000 });
+
+    const output = resample(resampler, sine(440, 48000, 1), 1024);
+    const expected = sine(440, 16000, 1);
+
+    // Edges are filtered against the silence before and after the signal
+    let worst = 0;
+    for (let i = 200; i < output.length - 200; i++) {
+      worst = Math.max(worst, Math.abs(output[i] - expected[i]));
+    }
+    expect(worst).toBeLessThan(100); // 1% of the amplitude
+  });
+
+  test("filters out tones above the output Nyquist frequency", () => {
+    const resampler = new Resampler({ inputRate: 48000, outputRate: 16000 });
+
+    // 12kHz would alias to 4kHz without the low-pass filter
+    const output = resample(resampler, sine(12000, 48000, 1));
+
+    expect(rms(output.subarray(200, -200))).toBeLessThan(10000 * 0.01);
+  });
+
+  test("the result does not depend on the block size", () => {
+    const input = sine(300, 44100, 0.5);
+
+    const whole = resample(
+      new Resampler({ inputRate: 44100, outputRate: 16000 }),
+      input
+    );
+    const blocks = resample(
+      new Resampler({ inputRate: 44100, outputRate: 16000 }),
+      input,
+      333
+    );
+
+    expect(blocks).toEqual(whole);
+  });
+
+  test("returns the array type it is given", () => {
+    const resampler = new Resampler({ inputRate: 48000, outputRate: 16000 });
+
+    expect(resampler.process(new Float32Array(4800))).toBeInstanceOf(
+      Float32Array
+    );
+    expect(resampler.process(new Int16Array(4800))).toBeInstanceOf(Int16Array);
+    expect(resampler.flush(Float32Array)).toBeInstanceOf(Float32Array);
+  });
+
+  test("flush resets for the next recording", () => {
+    const resampler = new Resampler({ inputRate: 48000, outputRate: 16000 });
+    const input = sine(440, 48000, 0.25);
+
+    const first = resample(resampler, input);
+    const second = resample(resampler, input);
+
+    expect(second).toEqual(first);
+  });
+
+  test("rejects rates that are not positive integers", () => {
+    expect(
+      () => new Resampler({ inputRate: 44100.5, outputRate: 16000 })
+    ).toThrow("integer");
+    expect(() => new Resampler({ inputRate: 0, outputRate: 16000 })).toThrow(
+      "positive"
+    );
+  });
+});
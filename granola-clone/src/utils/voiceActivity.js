@@ -0,0 +1,184 @@
+/**
+ * @fileoverview Voice Activity Detection
+ * @description Lightweight energy and zero-crossing voice activity detector.
+ * Audio is classified in 20ms frames:
+ *
+ * - a frame is voiced when its RMS energy clears both an absolute floor and a
+ *   multiple of the running noise floor, and its zero-crossing rate is in the
+ *   range of speech (broadband hiss crosses zero far more often)
+ * - very loud frames count as speech whatever their zero-crossing rate, so
+ *   fricatives ("s", "sh") are not lost
+ * - the noise floor follows silent frames quickly and loud ones slowly, so a
+ *   steady hum is eventually treated as background
+ * - speech is held for a short hangover after the last voiced frame so word
+ *   endings and short gaps stay inside the utterance
+ *
+ * The same detector runs on the server (granola-clone-backend/utils), where
+ * it also drops silent audio before it reaches the STT provider.
+ *
+ * @author AI Assistant
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+export const VAD_CONFIG = {
+  FRAME_DURATION: 0.02, // Seconds per analysis frame
+  ENERGY_THRESHOLD: 0.01, // Minimum RMS of a voiced frame (about -40 dBFS)
+  NOISE_MULTIPLIER: 3, // Voiced frames are this much louder than the noise
+  LOUD_MULTIPLIER: 4, // Frames this far above threshold skip the ZCR check
+  MAX_ZERO_CROSSING_RATE: 0.35, // Crossings per sample above which is noise
+  NOISE_ADAPTATION: 0.05, // How quickly the noise floor follows silence
+  NOISE_RISE: 0.0005, // How slowly it creeps up under steady sound
+  HANGOVER: 0.3, // Seconds speech is held after the last voiced frame
+  PAUSE_DURATION: 0.5, // Seconds of silence that count as a natural pause
+};
+
+// =============================================================================
+// VOICE ACTIVITY DETECTOR CLASS
+// =============================================================================
+
+/**
+ * @class VoiceActivityDetector
+ * @description Streaming frame classifier; feed samples in any block size
+ */
+export class VoiceActivityDetector {
+  /**
+   * @constructor
+   * @param {Object} options - Detector options
+   * @param {number} options.sampleRate - Sample rate of the audio in Hz
+   * @param {number} [options.energyThreshold] - Minimum voiced RMS (0-1)
+   * @param {number} [options.hangover] - Seconds speech is held
+   */
+  constructor({ sampleRate, energyThreshold, hangover } = {}) {
+    if (!sampleRate) throw new Error("VoiceActivityDetector needs sampleRate");
+
+    this.sampleRate = sampleRate;
+    this.frameSize = Math.round(sampleRate * VAD_CONFIG.FRAME_DURATION);
+    this.energyThreshold = energyThreshold || VAD_CONFIG.ENERGY_THRESHOLD;
+    this.hangoverFrames = Math.round(
+      (hangover ?? VAD_CONFIG.HANGOVER) / VAD_CONFIG.FRAME_DURATION
+    );
+
+    this.frame = new Float32Array(this.frameSize);
+    this.frameFill = 0;
+    this.noiseFloor = this.energyThreshold / VAD_CONFIG.NOISE_MULTIPLIER;
+    this.hangoverLeft = 0;
+
+    this.totalFrames = 0;
+    this.speechFrames = 0;
+    this.trailingSilentFrames = 0;
+    this.regions = [];
+  }
+
+  /**
+   * @method process
+   * @description Classifies the complete frames in a block of samples;
+   * a partial frame is kept for the next call
+   * @param {Float32Array|Int16Array|number[]} samples - Mono samples
+   * @param {number} [scale] - Factor bringing the samples to -1..1, e.g.
+   *   1 / 32768 for 16-bit PCM
+   * @returns {number} Number of speech frames completed by this block
+   */
+  process(samples, scale = 1) {
+    let speech = 0;
+
+    for (let i = 0; i < samples.length; i++) {
+      this.frame[this.frameFill++] = samples[i] * scale;
+      if (this.frameFill === this.frameSize) {
+        if (this._classifyFrame()) speech++;
+        this.frameFill = 0;
+      }
+    }
+
+    return speech;
+  }
+
+  /**
+   * @method getSilenceDuration
+   * @description Seconds of silence since the last speech frame
+   * @returns {number} Trailing silence in seconds
+   */
+  getSilenceDuration() {
+    return this.trailingSilentFrames * VAD_CONFIG.FRAME_DURATION;
+  }
+
+  /**
+   * @method getStats
+   * @description Totals over everything processed so far
+   * @returns {{duration: number, speechDuration: number, speechRatio: number, regions: Array<{startTime: number, endTime: number}>}}
+   *   Durations in seconds; regions are the detected utterances
+   */
+  getStats() {
+    const duration = this.totalFrames * VAD_CONFIG.FRAME_DURATION;
+    const speechDuration = this.speechFrames * VAD_CONFIG.FRAME_DURATION;
+    return {
+      duration,
+      speechDuration,
+      speechRatio: duration > 0 ? speechDuration / duration : 0,
+      regions: this.regions.map((region) => ({ ...region })),
+    };
+  }
+
+  /**
+   * @private
+   * @method _classifyFrame
+   * @description Classifies the buffered frame and updates the totals
+   * @returns {boolean} True if the frame is speech
+   */
+  _classifyFrame() {
+    let energy = 0;
+    let crossings = 0;
+    let wasPositive = this.frame[0] >= 0;
+    for (let i = 0; i < this.frameSize; i++) {
+      const isPositive = this.frame[i] >= 0;
+      energy += this.frame[i] * this.frame[i];
+      if (isPositive !== wasPositive) crossings++;
+      wasPositive = isPositive;
+    }
+    const rms = Math.sqrt(energy / this.frameSize);
+    const zeroCrossingRate = crossings / (this.frameSize - 1);
+
+    const threshold = Math.max(
+      this.energyThreshold,
+      this.noiseFloor * VAD_CONFIG.NOISE_MULTIPLIER
+    );
+    const voiced =
+      rms >= threshold * VAD_CONFIG.LOUD_MULTIPLIER ||
+      (rms >= threshold &&
+        zeroCrossingRate <= VAD_CONFIG.MAX_ZERO_CROSSING_RATE);
+
+    // Steady sound (a fan, a hum) slowly raises the floor until it no
+    // longer counts as speech; pauses bring the floor back down quickly
+    this.noiseFloor +=
+      (rms - this.noiseFloor) *
+      (voiced ? VAD_CONFIG.NOISE_RISE : VAD_CONFIG.NOISE_ADAPTATION);
+    if (voiced) this.hangoverLeft = this.hangoverFrames;
+
+    const isSpeech = voiced || this.hangoverLeft-- > 0;
+    const time = this.totalFrames * VAD_CONFIG.FRAME_DURATION;
+    this.totalFrames++;
+
+    if (isSpeech) {
+      this.speechFrames++;
+      this.trailingSilentFrames = 0;
+
+      const last = this.regions[this.regions.length - 1];
+      if (last && Math.abs(last.endTime - time) < 1e-6) {
+        last.endTime = time + VAD_CONFIG.FRAME_DURATION;
+      } else {
+        this.regions.push({
+          startTime: time,
+          endTime: time + VAD_CONFIG.FRAME_DURATION,
+        });
+      }
+    } else {
+      this.trailingSilentFrames++;
+    }
+
+    return isSpeech;
+  }
+}
@@ -5,8 +5,15 @@
  *
  * Key Features:
  * - Pure Web Audio API implementation (no MediaRecorder dependency)
+ * - Capture in an AudioWorklet off the main thread, converted to 16-bit PCM
+ *   there; ScriptProcessorNode only where worklets are unavailable
  * - Direct PCM to WAV conversion with proper headers
+ * - Anti-aliased resampling to the recording rate when the browser captures
+ *   at its own rate, so the WAV header always matches the audio
  * - Optimized for SarvamAI API (16kHz, 1 channel, 16-bit)
+ * - Rolling WAV chunks for streaming transcription while recording, cut at
+ *   natural pauses found by voice activity detection
+ * - Silent chunks reported without audio, so silence is never transcribed
  * - Comprehensive error handling and browser compatibility
  *
  * @author AI Assistant
@@ -14,6 +21,13 @@
  * @since 2025-09-27
  */
 
+// =============================================================================
+// IMPORTS
+// =============================================================================
+
+import { VoiceActivityDetector, VAD_CONFIG } from "./voiceActivity";
+import { Resampler } from "./resampler";
+
 // =============================================================================
 // CONSTANTS & CONFIGURATION
 // =============================================================================
@@ -23,7 +37,47 @@ const AUDIO_CONFIG = {
   CHANNELS: 1, // Mono recording for speech
   BIT_DEPTH: 16, // 16-bit PCM
   BUFFER_SIZE: 4096, // Balance between latency and performance
+  CHUNK_DURATION: 4, // Seconds of audio before a chunk ends at the next pause
+  MAX_CHUNK_DURATION: 8, // Seconds after which a chunk ends without a pause
   WAV_HEADER_SIZE: 44, // Standard WAV header size in bytes
+  WORKLET_URL: `${process.env.PUBLIC_URL}/worklets/pcm-capture-processor.js`,
+  WORKLET_PROCESSOR: "pcm-capture-processor",
+  WORKLET_BATCH_SIZE: 1024, // Samples per worklet message (64 ms at 16 kHz)
+  WORKLET_FLUSH_TIMEOUT: 500, // Max ms to wait for the worklet's last samples
+};
+
+// Scales 16-bit samples to -1..1 for voice activity detection
+const PCM16_SCALE = 1 / 0x8000;
+
+export const CAPTURE_MODES = {
+  WORKLET: "audio-worklet",
+  SCRIPT_PROCESSOR: "script-processor",
+};
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * @function floatToInt16
+ * @description Converts -1..1 samples to 16-bit PCM. The capture worklet
+ * (public/worklets/pcm-capture-processor.js) does the same conversion.
+ * @param {Float32Array} samples - Input samples
+ * @param {Int16Array} [target] - Output array, created if omitted
+ * @param {number} [offset] - Index in target to write at
+ * @returns {Int16Array} The output array
+ */
+const floatToInt16 = (
+  samples,
+  target = new Int16Array(samples.length),
+  offset = 0
+) => {
+  for (let i = 0; i < samples.length; i++) {
+    // Clamp sample to valid range and convert to int16
+    const sample = Math.max(-1, Math.min(1, samples[i]));
+    target[offset + i] = sample < 0 ? sample * 0x8000 : sample * 0x7fff;
+  }
+  return target;
 };
 
 // =============================================================================
@@ -35,7 +89,7 @@ const AUDIO_CONFIG = {
  * @description Creates properly formatted WAV files from raw PCM audio data
  *
  * This class handles the complex process of:
- * 1. Converting Float32 PCM data to Int16 format
+ * 1. Converting Float32 PCM data to Int16 format (Int16 input is used as is)
  * 2. Creating proper WAV file headers with correct metadata
  * 3. Assembling the complete WAV file as a Blob
  */
@@ -91,7 +145,8 @@ export class WAVEncoder {
   /**
    * @method encodeWAV
    * @description Creates a complete WAV file from raw PCM audio data
-   * @param {Float32Array[]} audioBuffers - Array of Float32Arrays containing PCM data
+   * @param {Array<Float32Array|Int16Array>} audioBuffers - PCM data, as
+   *   -1..1 floats or 16-bit samples
    * @returns {Blob} Complete WAV file as a Blob ready for upload
    * @throws {Error} If no audio data provided or encoding fails
    */
@@ -103,8 +158,10 @@ export class WAVEncoder {
 
     // Calculate total length of audio data
     const totalSamples = audioBuffers.reduce((sum, buffer) => {
-      if (!(buffer instanceof Float32Array)) {
-        throw new Error("All audio buffers must be Float32Array instances");
+      if (!(buffer instanceof Float32Array || buffer instanceof Int16Array)) {
+        throw new Error(
+          "All audio buffers must be Float32Array or Int16Array instances"
+        );
       }
       return sum + buffer.length;
     }, 0);
@@ -115,7 +172,7 @@ export class WAVEncoder {
 
     try {
       // Convert Float32 PCM data to Int16
-      const int16Data = this._convertFloat32ToInt16(audioBuffers, totalSamples);
+      const int16Data = this._convertToInt16(audioBuffers, totalSamples);
 
       // Calculate file sizes
       const dataSize = int16Data.length * this.bytesPerSample;
@@ -208,21 +265,21 @@ export class WAVEncoder {
 
   /**
    * @private
-   * @method _convertFloat32ToInt16
-   * @description Converts Float32Array audio data to Int16 PCM format
-   * @param {Float32Array[]} audioBuffers - Input audio buffers
+   * @method _convertToInt16
+   * @description Joins the audio buffers into one Int16 PCM array
+   * @param {Array<Float32Array|Int16Array>} audioBuffers - Input audio buffers
    * @param {number} totalLength - Total number of samples
    * @returns {Int16Array} Converted audio data
    */
-  _convertFloat32ToInt16(audioBuffers, totalLength) {
+  _convertToInt16(audioBuffers, totalLength) {
     const int16Data = new Int16Array(totalLength);
     let offset = 0;
 
     for (const buffer of audioBuffers) {
-      for (let i = 0; i < buffer.length; i++) {
-        // Clamp sample to valid range and convert to int16
-        const sample = Math.max(-1, Math.min(1, buffer[i]));
-        int16Data[offset + i] = sample < 0 ? sample * 0x8000 : sample * 0x7fff;
+      if (buffer instanceof Int16Array) {
+        int16Data.set(buffer, offset);
+      } else {
+        floatToInt16(buffer, int16Data, offset);
       }
       offset += buffer.length;
     }
@@ -248,7 +305,7 @@ export class WAVEncoder {
    * @static
    * @method createWAV
    * @description Static convenience method for quick WAV creation
-   * @param {Float32Array[]} audioBuffers - Audio data to encode
+   * @param {Array<Float32Array|Int16Array>} audioBuffers - Audio data to encode
    * @param {number} sampleRate - Sample rate (optional, default: 16000)
    * @returns {Blob} WAV file blob
    */
@@ -268,38 +325,81 @@ export class WAVEncoder {
  *
  * This class provides:
  * - High-quality audio capture via AudioContext
- * - Real-time PCM data collection
+ * - Capture on the audio thread with an AudioWorklet that streams 16-bit PCM
+ *   over its port; ScriptProcessorNode as a fallback
+ * - Real-time PCM data collection, kept as Int16 until stop
+ * - Resampling to sampleRate when the AudioContext runs at another rate
  * - Automatic WAV file generation
+ * - Optional rolling WAV chunks emitted during recording
+ * - Voice activity detection for pause-aligned chunks and speech statistics
+ * - Pause and resume without ending the recording
  * - Comprehensive error handling and cleanup
  */
 export class WebAudioRecorder {
   /**
    * @constructor
    * @param {Object} options - Recorder configuration
-   * @param {number} options.sampleRate - Recording sample rate
+   * @param {number} options.sampleRate - Sample rate of the recorded audio;
+   *   captured audio is resampled to it if the browser uses another rate
    * @param {number} options.numChannels - Number of channels
-   * @param {number} options.bufferSize - Audio buffer size
-   * @param {Function} options.onDataAvailable - Callback for real-time data
+   * @param {number} options.bufferSize - ScriptProcessor buffer size, used
+   *   only where AudioWorklet is unavailable
+   * @param {Function} options.onDataAvailable - Callback for real-time data,
+   *   called with {audioData: Int16Array, totalBuffers, duration}
+   * @param {Function} options.onChunk - Callback receiving rolling WAV chunks
+   * @param {number} options.chunkDuration - Seconds of audio before a chunk
+   *   is cut at the next pause
+   * @param {number} options.maxChunkDuration - Seconds of audio after which a
+   *   chunk is cut anyway
+   * @param {boolean} options.vad - Detect voice activity (default: true);
+   *   without it chunks are cut every chunkDuration seconds
    */
   constructor(options = {}) {
     // Configuration
     this.sampleRate = options.sampleRate || AUDIO_CONFIG.SAMPLE_RATE;
     this.numChannels = options.numChannels || AUDIO_CONFIG.CHANNELS;
     this.bufferSize = options.bufferSize || AUDIO_CONFIG.BUFFER_SIZE;
+    this.chunkDuration = options.chunkDuration || AUDIO_CONFIG.CHUNK_DURATION;
+    this.maxChunkDuration = Math.max(
+      this.chunkDuration,
+      options.maxChunkDuration || AUDIO_CONFIG.MAX_CHUNK_DURATION
+    );
+    this.useVAD = options.vad !== false;
 
     // Callbacks
     this.onDataAvailable = options.onDataAvailable || null;
+    this.onChunk = options.onChunk || null;
 
     // Web Audio API components
     this.audioContext = null;
     this.mediaStreamSource = null;
+    this.workletNode = null;
     this.scriptProcessor = null;
-
-    // Recording state
+    this.captureMode = null; // One of CAPTURE_MODES once initialized
+    this.captureRate = null; // Actual AudioContext sample rate
+    this.resampler = null; // Set when captureRate differs from sampleRate
+    this.pendingFlushes = new Map(); // flush id -> resolve, see _stopCapturing
+    this.nextFlushId = 0;
+
+    // Recording state, as Int16 PCM buffers. Only kept when stop() returns
+    // the whole recording; with onChunk the audio lives in the chunks.
     this.audioBuffers = [];
+    this.bufferCount = 0;
+    this.totalSamples = 0;
     this.isRecording = false;
+    this.isPaused = false;
     this.isInitialized = false;
 
+    // Streaming chunk state
+    this.chunkBuffers = [];
+    this.chunkSamples = 0;
+    this.chunkSequence = 0;
+    this.chunkStartSample = 0;
+    this.chunkSpeechFrames = 0;
+
+    // Voice activity detector, created per recording
+    this.vad = null;
+
     // Validation
     this._validateOptions();
   }
@@ -340,16 +440,23 @@ export class WebAudioRecorder {
     }
 
     try {
-      // Create AudioContext with specified sample rate
-      const AudioContextClass =
-        window.AudioContext || window.webkitAudioContext;
-      this.audioContext = new AudioContextClass({
-        sampleRate: this.sampleRate,
-      });
+      // Ask for the recording sample rate; many browsers ignore it
+      await this._openAudioContext({ sampleRate: this.sampleRate });
 
-      // Resume context if suspended (required by browser policies)
-      if (this.audioContext.state === "suspended") {
-        await this.audioContext.resume();
+      // Create media stream source. Firefox refuses to connect a microphone
+      // to a context running at another rate, so use the device rate then.
+      try {
+        this.mediaStreamSource =
+          this.audioContext.createMediaStreamSource(stream);
+      } catch (sourceError) {
+        console.warn(
+          "⚠️ Microphone needs its own sample rate, resampling instead:",
+          sourceError
+        );
+        await this.audioContext.close();
+        await this._openAudioContext();
+        this.mediaStreamSource =
+          this.audioContext.createMediaStreamSource(stream);
       }
 
       console.log(
@@ -357,28 +464,44 @@ export class WebAudioRecorder {
           `${this.numChannels} channel(s), ${this.bufferSize} buffer size`
       );
 
-      // Create media stream source
-      this.mediaStreamSource =
-        this.audioContext.createMediaStreamSource(stream);
-
-      // Create script processor for audio data capture
-      this.scriptProcessor = this.audioContext.createScriptProcessor(
-        this.bufferSize,
-        this.numChannels,
-        this.numChannels
-      );
+      // Captured audio is converted so chunks, durations and the WAV header
+      // all use this.sampleRate
+      this.captureRate = Math.round(this.audioContext.sampleRate);
+      if (this.captureRate !== this.sampleRate) {
+        this.resampler = new Resampler({
+          inputRate: this.captureRate,
+          outputRate: this.sampleRate,
+        });
+        console.log(
+          `🎚️ Capturing at ${this.captureRate}Hz, resampling to ${this.sampleRate}Hz`
+        );
+      }
 
-      // Set up audio processing callback
-      this.scriptProcessor.onaudioprocess = (event) => {
-        this._handleAudioProcess(event);
-      };
+      // Capture on the audio thread where possible; the worklet module can
+      // still fail to load (e.g. outside a secure context)
+      let captureNode = null;
+      if (WebAudioRecorder.isWorkletSupported()) {
+        try {
+          captureNode = await this._createWorkletNode();
+        } catch (workletError) {
+          console.warn(
+            "⚠️ AudioWorklet unavailable, using ScriptProcessorNode:",
+            workletError
+          );
+        }
+      }
+      if (!captureNode) {
+        captureNode = this._createScriptProcessor();
+      }
 
-      // Connect audio nodes
-      this.mediaStreamSource.connect(this.scriptProcessor);
-      this.scriptProcessor.connect(this.audioContext.destination);
+      // Connect audio nodes; the capture node outputs silence
+      this.mediaStreamSource.connect(captureNode);
+      captureNode.connect(this.audioContext.destination);
 
       this.isInitialized = true;
-      console.log("✅ Web Audio API recording pipeline ready");
+      console.log(
+        `✅ Web Audio API recording pipeline ready (${this.captureMode})`
+      );
 
       return true;
     } catch (error) {
@@ -388,6 +511,127 @@ export class WebAudioRecorder {
     }
   }
 
+  /**
+   * @private
+   * @method _openAudioContext
+   * @description Creates the AudioContext and resumes it if the browser
+   * starts it suspended (autoplay policies)
+   * @param {Object} [contextOptions] - AudioContext options
+   * @returns {Promise<void>}
+   */
+  async _openAudioContext(contextOptions) {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    this.audioContext = new AudioContextClass(contextOptions);
+
+    if (this.audioContext.state === "suspended") {
+      await this.audioContext.resume();
+    }
+  }
+
+  /**
+   * @private
+   * @method _createWorkletNode
+   * @description Loads the capture worklet and creates its node; PCM batches
+   * arrive on the node's port
+   * @returns {Promise<AudioWorkletNode>} Capture node
+   */
+  async _createWorkletNode() {
+    await this.audioContext.audioWorklet.addModule(AUDIO_CONFIG.WORKLET_URL);
+
+    this.workletNode = new AudioWorkletNode(
+      this.audioContext,
+      AUDIO_CONFIG.WORKLET_PROCESSOR,
+      {
+        numberOfInputs: 1,
+        numberOfOutputs: 1,
+        // Stereo microphones are mixed down rather than using channel 0 only
+        channelCount: this.numChannels,
+        channelCountMode: "explicit",
+        channelInterpretation: "speakers",
+        processorOptions: { batchSize: AUDIO_CONFIG.WORKLET_BATCH_SIZE },
+      }
+    );
+    this.workletNode.port.onmessage = ({ data }) => {
+      this._handleSamples(data.samples);
+      if (data.flushed !== undefined) this._finishFlush(data.flushed);
+    };
+
+    this.captureMode = CAPTURE_MODES.WORKLET;
+    return this.workletNode;
+  }
+
+  /**
+   * @private
+   * @method _createScriptProcessor
+   * @description Creates the main-thread fallback capture node
+   * @returns {ScriptProcessorNode} Capture node
+   */
+  _createScriptProcessor() {
+    this.scriptProcessor = this.audioContext.createScriptProcessor(
+      this.bufferSize,
+      this.numChannels,
+      this.numChannels
+    );
+    this.scriptProcessor.onaudioprocess = (event) => {
+      this._handleAudioProcess(event);
+    };
+
+    this.captureMode = CAPTURE_MODES.SCRIPT_PROCESSOR;
+    return this.scriptProcessor;
+  }
+
+  /**
+   * @private
+   * @method _startCapturing
+   * @description Tells the worklet to send audio; it stays quiet while idle
+   * or paused
+   */
+  _startCapturing() {
+    if (this.workletNode) {
+      this.workletNode.port.postMessage({ recording: true });
+    }
+  }
+
+  /**
+   * @private
+   * @method _stopCapturing
+   * @description Tells the worklet to stop sending audio and waits for the
+   * samples of its unfinished batch. Samples arriving in the meantime are
+   * still collected, so the chunk ends with everything captured before the
+   * pause or stop. The ScriptProcessor hands over each block as it comes and
+   * has nothing left to wait for.
+   * @returns {Promise<void>} Resolves once the last samples are collected
+   */
+  _stopCapturing() {
+    if (!this.workletNode) return Promise.resolve();
+
+    const id = this.nextFlushId++;
+    return new Promise((resolve) => {
+      // A worklet that never answers must not hold up the recording
+      const timer = setTimeout(
+        () => this._finishFlush(id),
+        AUDIO_CONFIG.WORKLET_FLUSH_TIMEOUT
+      );
+      this.pendingFlushes.set(id, () => {
+        clearTimeout(timer);
+        resolve();
+      });
+      this.workletNode.port.postMessage({ recording: false, flush: id });
+    });
+  }
+
+  /**
+   * @private
+   * @method _finishFlush
+   * @description Ends a wait started by _stopCapturing
+   * @param {number} id - Flush id
+   */
+  _finishFlush(id) {
+    const resolve = this.pendingFlushes.get(id);
+    this.pendingFlushes.delete(id);
+    if (resolve) resolve();
+  }
+
   /**
    * @private
    * @method _handleAudioProcess
@@ -395,24 +639,85 @@ export class WebAudioRecorder {
    * @param {AudioProcessingEvent} event - Audio processing event
    */
   _handleAudioProcess(event) {
-    if (!this.isRecording) return;
+    if (!this.isRecording || this.isPaused) return;
 
-    try {
-      const inputBuffer = event.inputBuffer;
-      const channelData = inputBuffer.getChannelData(0); // Get first channel
+    // getChannelData is reused by the browser, so it is converted right away
+    this._handleSamples(floatToInt16(event.inputBuffer.getChannelData(0)));
+  }
 
-      // Create a copy of the audio data (important for memory management)
-      const audioData = new Float32Array(channelData.length);
-      audioData.set(channelData);
+  /**
+   * @private
+   * @method _handleSamples
+   * @description Takes a block of captured 16-bit samples, resampled to the
+   * recording rate if needed; also while waiting for the worklet's last
+   * samples after a pause or stop
+   * @param {Int16Array} audioData - Mono PCM samples at the capture rate
+   */
+  _handleSamples(audioData) {
+    const capturing = this.isRecording && !this.isPaused;
+    if (!capturing && this.pendingFlushes.size === 0) return;
+
+    const samples = this.resampler
+      ? this.resampler.process(audioData)
+      : audioData;
+    if (samples.length > 0) this._collect(samples);
+  }
+
+  /**
+   * @private
+   * @method _drainResampler
+   * @description Collects the samples the resampler still holds back, before
+   * a pause or the end of the recording
+   */
+  _drainResampler() {
+    if (!this.resampler) return;
 
-      // Store the audio data
-      this.audioBuffers.push(audioData);
+    const samples = this.resampler.flush();
+    if (samples.length > 0) this._collect(samples);
+  }
+
+  /**
+   * @private
+   * @method _collect
+   * @description Stores samples at the recording rate, runs voice activity
+   * detection and cuts streaming chunks
+   * @param {Int16Array} audioData - Mono PCM samples
+   */
+  _collect(audioData) {
+    try {
+      // Store the audio data, unless it is streamed in chunks
+      if (!this.onChunk) this.audioBuffers.push(audioData);
+      this.bufferCount++;
+      this.totalSamples += audioData.length;
+      const speechFrames = this.vad
+        ? this.vad.process(audioData, PCM16_SCALE)
+        : 0;
+
+      // Collect streaming chunk and flush it at the first pause once it is
+      // long enough (or at the fixed length without voice activity detection)
+      if (this.onChunk) {
+        this.chunkBuffers.push(audioData);
+        this.chunkSamples += audioData.length;
+        this.chunkSpeechFrames += speechFrames;
+
+        const chunkSeconds = this.chunkSamples / this.sampleRate;
+        const atPause =
+          !this.vad ||
+          this.vad.getSilenceDuration() >= VAD_CONFIG.PAUSE_DURATION;
+
+        if (
+          (chunkSeconds >= this.chunkDuration && atPause) ||
+          chunkSeconds >= this.maxChunkDuration
+        ) {
+          this._flushChunk(false);
+        }
+      }
 
       // Notify listeners about new data availability
       if (this.onDataAvailable) {
         this.onDataAvailable({
           audioData: audioData,
-          totalBuffers: this.audioBuffers.length,
+          totalBuffers: this.bufferCount,
           duration: this.getDuration(),
         });
       }
@@ -421,6 +726,44 @@ export class WebAudioRecorder {
     }
   }
 
+  /**
+   * @private
+   * @method _flushChunk
+   * @description Encodes the pending streaming buffers and emits them via
+   * onChunk. Chunks without speech are emitted without audio (`blob: null`,
+   * `isSilent: true`) so their duration still keeps the timeline.
+   * @param {boolean} isFinal - Whether this is the last chunk of the recording
+   */
+  _flushChunk(isFinal) {
+    const buffers = this.chunkBuffers;
+    const samples = this.chunkSamples;
+    const isSilent = Boolean(this.vad) && this.chunkSpeechFrames === 0;
+
+    this.chunkBuffers = [];
+    this.chunkSamples = 0;
+    this.chunkSpeechFrames = 0;
+
+    const chunk = {
+      sequence: this.chunkSequence++,
+      startTime: this.chunkStartSample / this.sampleRate,
+      duration: samples / this.sampleRate,
+      isFinal,
+      isSilent,
+      blob:
+        samples > 0 && !isSilent
+          ? WAVEncoder.createWAV(buffers, this.sampleRate)
+          : null,
+    };
+
+    this.chunkStartSample += samples;
+
+    try {
+      this.onChunk(chunk);
+    } catch (error) {
+      console.error("❌ Chunk callback error:", error);
+    }
+  }
+
   /**
    * @method start
    * @description Starts audio recording
@@ -440,28 +783,59 @@ export class WebAudioRecorder {
 
     // Clear any previous recording data
     this.audioBuffers = [];
+    this.bufferCount = 0;
+    this.totalSamples = 0;
+    this.chunkBuffers = [];
+    this.chunkSamples = 0;
+    this.chunkSequence = 0;
+    this.chunkStartSample = 0;
+    this.chunkSpeechFrames = 0;
+    this.vad = this.useVAD
+      ? new VoiceActivityDetector({ sampleRate: this.sampleRate })
+      : null;
+    if (this.resampler) this.resampler.reset();
     this.isRecording = true;
+    this.isPaused = false;
+    this._startCapturing();
 
     console.log("🎤 Web Audio API recording started");
   }
 
   /**
    * @method stop
-   * @description Stops recording and generates WAV file
-   * @returns {Blob} Complete WAV file
+   * @description Stops recording and generates WAV file; when streaming
+   * chunks, the remaining audio is emitted as the final chunk instead
+   * @returns {Promise<Blob|null>} Complete WAV file, or null with onChunk
    * @throws {Error} If not recording or no data recorded
    */
-  stop() {
+  async stop() {
     if (!this.isRecording) {
       throw new Error("Not currently recording");
     }
 
     this.isRecording = false;
+    this.isPaused = false;
+    await this._stopCapturing();
+    this._drainResampler();
+
+    // Emit the remaining audio as the final streaming chunk
+    if (this.onChunk) {
+      this._flushChunk(true);
+    }
 
-    if (this.audioBuffers.length === 0) {
+    if (this.totalSamples === 0) {
       throw new Error("No audio data recorded");
     }
 
+    if (this.onChunk) {
+      console.log(
+        `🛑 Recording stopped. ${this.getDuration().toFixed(2)}s streamed in ${
+          this.chunkSequence
+        } chunks`
+      );
+      return null;
+    }
+
     try {
       // Create WAV file from recorded audio buffers
       const wavFile = WAVEncoder.createWAV(this.audioBuffers, this.sampleRate);
@@ -480,17 +854,54 @@ export class WebAudioRecorder {
     }
   }
 
+  /**
+   * @method pause
+   * @description Stops capturing audio until resume(); the audio collected
+   * so far is emitted as a chunk. Paused time is not part of the recording.
+   * @returns {Promise<void>} Resolves once that chunk has been emitted
+   */
+  async pause() {
+    if (!this.isRecording || this.isPaused) return;
+    this.isPaused = true;
+    await this._stopCapturing();
+    this._drainResampler();
+
+    if (this.onChunk && this.chunkSamples > 0) {
+      this._flushChunk(false);
+    }
+    console.log("⏸️ Web Audio API recording paused");
+  }
+
+  /**
+   * @method resume
+   * @description Continues capturing audio after pause()
+   */
+  resume() {
+    if (!this.isPaused) return;
+    this.isPaused = false;
+    this._startCapturing();
+    console.log("▶️ Web Audio API recording resumed");
+  }
+
   /**
    * @method getDuration
    * @description Calculates current recording duration in seconds
    * @returns {number} Duration in seconds
    */
   getDuration() {
-    const totalSamples = this.audioBuffers.reduce(
-      (sum, buffer) => sum + buffer.length,
-      0
-    );
-    return totalSamples / this.sampleRate;
+    return this.totalSamples / this.sampleRate;
+  }
+
+  /**
+   * @method getSpeechStats
+   * @description Voice activity totals for the current recording
+   * @returns {{duration: number, speechDuration: number, speechRatio: number}|null}
+   *   Durations in seconds, or null without voice activity detection
+   */
+  getSpeechStats() {
+    if (!this.vad) return null;
+    const { duration, speechDuration, speechRatio } = this.vad.getStats();
+    return { duration, speechDuration, speechRatio };
   }
 
   /**
@@ -515,6 +926,17 @@ export class WebAudioRecorder {
     this.isRecording = false;
 
     // Disconnect and clean up audio nodes
+    if (this.workletNode) {
+      try {
+        this.workletNode.port.onmessage = null;
+        this.workletNode.port.close();
+        this.workletNode.disconnect();
+      } catch (error) {
+        console.warn("Worklet node cleanup warning:", error);
+      }
+      this.workletNode = null;
+    }
+
     if (this.scriptProcessor) {
       try {
         this.scriptProcessor.disconnect();
@@ -546,6 +968,13 @@ export class WebAudioRecorder {
 
     // Clear audio buffers
     this.audioBuffers = [];
+    this.bufferCount = 0;
+    this.totalSamples = 0;
+    this.chunkBuffers = [];
+    this.chunkSamples = 0;
+    this.captureMode = null;
+    this.captureRate = null;
+    this.resampler = null;
     this.isInitialized = false;
 
     console.log("✅ Web Audio API cleanup completed");
@@ -568,7 +997,26 @@ export class WebAudioRecorder {
       hasAudioContext &&
       AudioContext.prototype.createMediaStreamSource !== undefined;
 
-    return hasAudioContext && hasScriptProcessor && hasMediaStreamSource;
+    return (
+      hasAudioContext &&
+      (WebAudioRecorder.isWorkletSupported() || hasScriptProcessor) &&
+      hasMediaStreamSource
+    );
+  }
+
+  /**
+   * @static
+   * @method isWorkletSupported
+   * @description Checks if audio can be captured with an AudioWorklet
+   * @returns {boolean} Support status
+   */
+  static isWorkletSupported() {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    return Boolean(
+      AudioContextClass &&
+        window.AudioWorkletNode &&
+        "audioWorklet" in AudioContextClass.prototype
+    );
   }
 
   /**
@@ -612,4 +1060,5 @@ export default {
   WAVEncoder,
   WebAudioRecorder,
   AUDIO_CONFIG,
+  CAPTURE_MODES,
 };
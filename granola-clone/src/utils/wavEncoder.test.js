@@ -0,0 +1,105 @@
+import { WebAudioRecorder } from "./wavEncoder";
+
+const SAMPLE_RATE = 16000;
+
+// Enough of the Web Audio API for the recorder's support check
+class FakeAudioContext {
+  createScriptProcessor() {}
+  createMediaStreamSource() {}
+}
+
+// A recorder that is fed samples directly instead of from a microphone
+const startRecorder = (options = {}) => {
+  const recorder = new WebAudioRecorder({
+    sampleRate: SAMPLE_RATE,
+    vad: false,
+    ...options,
+  });
+  recorder.isInitialized = true;
+  recorder.start();
+  return recorder;
+};
+
+// Feeds seconds of a steady tone in worklet-sized blocks
+const record = (recorder, seconds) => {
+  const total = seconds * SAMPLE_RATE;
+  for (let offset = 0; offset < total; offset += 1024) {
+    const block = new Int16Array(Math.min(1024, total - offset));
+    block.fill(4000);
+    recorder._handleSamples(block);
+  }
+};
+
+beforeEach(() => {
+  window.AudioContext = FakeAudioContext;
+  jest.spyOn(console, "log").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  delete window.AudioContext;
+  jest.restoreAllMocks();
+});
+
+describe("WebAudioRecorder", () => {
+  test("streaming chunks does not keep the whole recording", async () => {
+    const chunks = [];
+    const recorder = startRecorder({
+      chunkDuration: 4,
+      onChunk: (chunk) => chunks.push(chunk),
+    });
+
+    record(recorder, 10);
+
+    expect(recorder.audioBuffers).toEqual([]);
+    await expect(recorder.stop()).resolves.toBeNull();
+    expect(recorder.getDuration()).toBe(10);
+    expect(chunks.map((chunk) => chunk.isFinal)).toEqual([false, false, true]);
+    const streamed = chunks.reduce((sum, chunk) => sum + chunk.duration, 0);
+    expect(streamed).toBeCloseTo(10);
+  });
+
+  test("without onChunk stop() returns the whole recording as WAV", async () => {
+    const recorder = startRecorder();
+
+    record(recorder, 2);
+    const wav = await recorder.stop();
+
+    expect(wav.type).toBe("audio/wav");
+    expect(wav.size).toBe(44 + 2 * SAMPLE_RATE * 2);
+  });
+
+  test("stopping before any audio arrived is an error", async () => {
+    const chunks = [];
+    const recorder = startRecorder({ onChunk: (chunk) => chunks.push(chunk) });
+
+    await expect(recorder.stop()).rejects.toThrow("No audio data recorded");
+    // The stream still ends with a final chunk
+    expect(chunks).toEqual([
+      expect.objectContaining({ isFinal: true, duration: 0, blob: null }),
+    ]);
+  });
+
+  test("a pause waits for the samples the worklet has not posted yet", async () => {
+    const chunks = [];
+    const recorder = startRecorder({ onChunk: (chunk) => chunks.push(chunk) });
+    const messages = [];
+    recorder.workletNode = { port: { postMessage: (m) => messages.push(m) } };
+    record(recorder, 2);
+
+    const paused = recorder.pause();
+    const { flush } = messages[0];
+    expect(messages).toEqual([{ recording: false, flush }]);
+    expect(chunks).toEqual([]);
+
+    // The worklet's unfinished batch arrives after the pause was requested
+    recorder._handleSamples(new Int16Array(800).fill(4000));
+    recorder._finishFlush(flush);
+    await paused;
+
+    expect(chunks).toHaveLength(1);
+    expect(chunks[0].duration).toBeCloseTo(2.05);
+    // Once paused, later samples are ignored
+    recorder._handleSamples(new Int16Array(800));
+    expect(recorder.getDuration()).toBeCloseTo(2.05);
+  });
+});